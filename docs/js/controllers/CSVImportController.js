@@ -0,0 +1,403 @@
+/**
+ * CSVImportController Module
+ * Wizard for importing structures from a CSV file: map columns to the
+ * Add Structure fields, preview and validate the rows, then commit
+ */
+
+import { parseCSV } from '../formats/CSVFormat.js';
+import { UTILITY_TYPES, STRUCTURE_TYPES, STRUCTURE_UTILITY_TYPES, normalizeStructure, validateRecord } from '../models/Schema.js';
+import { readFileAsText } from '../utils/FileUtils.js';
+
+// Fields a column can be mapped to, with header names guessed automatically
+const FIELDS = [
+    { key: 'structureType', label: 'Structure Type', required: true, aliases: ['structuretype', 'structure', 'type', 'kind', 'feature'] },
+    { key: 'utilityType', label: 'Utility Type', aliases: ['utilitytype', 'utility', 'system', 'network'] },
+    { key: 'lat', label: 'Latitude', required: true, aliases: ['lat', 'latitude', 'y', 'centroidlat', 'pointy'] },
+    { key: 'lng', label: 'Longitude', required: true, aliases: ['lng', 'lon', 'long', 'longitude', 'x', 'centroidlng', 'pointx'] },
+    { key: 'size', label: 'Size (inches)', aliases: ['size', 'sizein', 'diameter', 'dia'] },
+    { key: 'depth', label: 'Depth (feet)', aliases: ['depth', 'depthft', 'cover'] },
+    { key: 'material', label: 'Material', aliases: ['material', 'mat'] },
+    { key: 'condition', label: 'Condition', aliases: ['condition', 'cond', 'status'] },
+    { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comments', 'comment', 'description'] }
+];
+
+// Rows shown in the preview table (all invalid rows are listed below it)
+const PREVIEW_ROWS = 20;
+
+export class CSVImportController {
+    constructor(appState, dataStore, mapController, uiController) {
+        this.appState = appState;
+        this.dataStore = dataStore;
+        this.mapController = mapController;
+        this.uiController = uiController;
+
+        this.fileName = null;
+        this.headers = [];
+        this.rows = [];
+        this.lineNumbers = [];
+        this.results = [];
+    }
+
+    /**
+     * Pick a CSV file and open the wizard on it
+     */
+    open() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,.txt,text/csv';
+
+        input.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            readFileAsText(file)
+                .then(text => this.load(file.name, text))
+                .catch(error => {
+                    console.error('Error reading CSV:', error);
+                    this.uiController.showToast('Error reading CSV file', 'error');
+                });
+        });
+
+        input.click();
+    }
+
+    /**
+     * Parse the file and show the column mapping step
+     * @param {string} fileName Name of the CSV file
+     * @param {string} text File contents
+     */
+    load(fileName, text) {
+        const { headers, rows, lineNumbers } = parseCSV(text);
+
+        if (!headers.length || !rows.length) {
+            this.uiController.showToast('The CSV file has no data rows', 'error');
+            return;
+        }
+
+        this.fileName = fileName;
+        this.headers = headers;
+        this.rows = rows;
+        this.lineNumbers = lineNumbers;
+        this.results = [];
+
+        this.renderMapping(guessMapping(headers));
+        this.showStep('mapping');
+        this.showModal();
+    }
+
+    /**
+     * Build the column mapping form
+     * @param {Object} mapping Field key -> column index
+     */
+    renderMapping(mapping) {
+        document.getElementById('csv-import-file-info').textContent =
+            `${this.fileName}: ${this.rows.length} row(s), ${this.headers.length} column(s)`;
+
+        const container = document.getElementById('csv-import-mapping');
+        container.innerHTML = '';
+
+        FIELDS.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.htmlFor = `csv-map-${field.key}`;
+            label.textContent = field.required ? `${field.label} *` : field.label;
+
+            const select = document.createElement('select');
+            select.className = 'form-control';
+            select.id = `csv-map-${field.key}`;
+            select.dataset.field = field.key;
+            select.appendChild(new Option('(not in file)', ''));
+            this.headers.forEach((header, index) => {
+                select.appendChild(new Option(header || `Column ${index + 1}`, String(index)));
+            });
+            select.value = mapping[field.key] !== undefined ? String(mapping[field.key]) : '';
+
+            group.appendChild(label);
+            group.appendChild(select);
+            container.appendChild(group);
+        });
+    }
+
+    /**
+     * Read the column mapping from the form
+     * @returns {Object} Field key -> column index
+     */
+    getMapping() {
+        const mapping = {};
+
+        document.querySelectorAll('#csv-import-mapping select').forEach(select => {
+            if (select.value !== '') {
+                mapping[select.dataset.field] = parseInt(select.value, 10);
+            }
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Validate every row with the current mapping and show the preview step
+     */
+    preview() {
+        const mapping = this.getMapping();
+        const missing = FIELDS.filter(field => field.required && mapping[field.key] === undefined);
+
+        if (missing.length) {
+            this.uiController.showToast(`Map a column to ${missing.map(field => field.label).join(', ')}`, 'warning');
+            return;
+        }
+
+        const defaultUtilityType = document.getElementById('csv-default-utility')?.value || '';
+        this.results = this.rows.map((row, index) =>
+            buildStructure(row, this.lineNumbers[index], mapping, defaultUtilityType));
+
+        this.renderPreview();
+        this.showStep('preview');
+    }
+
+    /**
+     * Show the first rows with their status, and list every invalid row
+     */
+    renderPreview() {
+        const valid = this.results.filter(result => !result.errors.length);
+        const invalid = this.results.filter(result => result.errors.length);
+
+        document.getElementById('csv-import-summary').textContent = invalid.length
+            ? `${valid.length} of ${this.results.length} row(s) are valid. ${invalid.length} row(s) will be skipped.`
+            : `All ${valid.length} row(s) are valid.`;
+
+        // Preview table
+        const table = document.getElementById('csv-import-preview');
+        table.innerHTML = '';
+
+        const headerRow = table.createTHead().insertRow();
+        ['Row', 'Structure', 'Utility', 'Lat', 'Lng', 'Size', 'Depth', 'Status'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        this.results.slice(0, PREVIEW_ROWS).forEach(result => {
+            const record = result.structure;
+            const row = body.insertRow();
+            row.className = result.errors.length ? 'invalid' : 'valid';
+
+            [
+                result.rowNumber,
+                record.structureType,
+                record.utilityType,
+                record.coordinates ? record.coordinates[0] : '',
+                record.coordinates ? record.coordinates[1] : '',
+                record.size,
+                record.depth,
+                result.errors.length ? 'Error' : 'OK'
+            ].forEach(value => {
+                row.insertCell().textContent = value === undefined || value === null ? '' : value;
+            });
+        });
+
+        // Validation errors
+        const errorList = document.getElementById('csv-import-errors');
+        errorList.innerHTML = '';
+        invalid.forEach(result => {
+            const item = document.createElement('li');
+            item.textContent = `Row ${result.rowNumber}: ${result.errors.join('; ')}`;
+            errorList.appendChild(item);
+        });
+        errorList.style.display = invalid.length ? 'block' : 'none';
+
+        const confirmButton = document.getElementById('confirm-csv-import');
+        confirmButton.textContent = `Import ${valid.length} Structure${valid.length === 1 ? '' : 's'}`;
+        confirmButton.disabled = !valid.length;
+    }
+
+    /**
+     * Add the valid rows to the data store and the map
+     */
+    commit() {
+        const structures = this.results
+            .filter(result => !result.errors.length)
+            .map(result => result.structure);
+
+        if (!structures.length) return;
+
+        const added = this.dataStore.addStructures(structures);
+        structures.forEach(structure => this.mapController.renderStructure(structure));
+
+        this.hideModal();
+
+        const skipped = this.results.length - added;
+        if (skipped) {
+            this.uiController.showToast(`Imported ${added} structure(s), ${skipped} row(s) skipped`, 'warning');
+        } else {
+            this.uiController.showToast(`Imported ${added} structure(s)`, 'success');
+        }
+
+        this.results = [];
+        this.rows = [];
+        this.lineNumbers = [];
+    }
+
+    /**
+     * Switch between the 'mapping' and 'preview' steps
+     */
+    showStep(step) {
+        const isMapping = step === 'mapping';
+
+        document.getElementById('csv-import-step-mapping').style.display = isMapping ? 'block' : 'none';
+        document.getElementById('csv-import-step-preview').style.display = isMapping ? 'none' : 'block';
+        document.getElementById('csv-import-next').style.display = isMapping ? '' : 'none';
+        document.getElementById('csv-import-back').style.display = isMapping ? 'none' : '';
+        document.getElementById('confirm-csv-import').style.display = isMapping ? 'none' : '';
+    }
+
+    /**
+     * Show the wizard modal
+     */
+    showModal() {
+        const modal = document.getElementById('csv-import-modal');
+        modal.classList.add('visible');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.querySelector('.modal-container').style.opacity = '1';
+        }, 10);
+    }
+
+    /**
+     * Hide the wizard modal
+     */
+    hideModal() {
+        const modal = document.getElementById('csv-import-modal');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.classList.remove('visible');
+        }, 300);
+    }
+}
+
+/**
+ * Lower-case a header or value and strip everything but letters and digits
+ */
+function simplify(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Guess which column holds each field from the header names
+ * @param {Array<string>} headers
+ * @returns {Object} Field key -> column index
+ */
+function guessMapping(headers) {
+    const simplified = headers.map(simplify);
+    const mapping = {};
+    const used = new Set();
+
+    FIELDS.forEach(field => {
+        for (const alias of field.aliases) {
+            const index = simplified.findIndex((header, i) => header === alias && !used.has(i));
+            if (index !== -1) {
+                mapping[field.key] = index;
+                used.add(index);
+                break;
+            }
+        }
+    });
+
+    return mapping;
+}
+
+/**
+ * Match a structure type label such as "Catch Basin" or "Gate Valve"
+ * @returns {string|null} One of STRUCTURE_TYPES
+ */
+function matchStructureType(value) {
+    const text = simplify(value);
+    if (!text) return null;
+    if (STRUCTURE_TYPES.includes(text)) return text;
+
+    return STRUCTURE_TYPES.find(type => text.includes(type)) || null;
+}
+
+/**
+ * Parse an optional numeric cell
+ * @returns {number|null} The number, 0 when blank, or null when invalid
+ */
+function parseOptionalNumber(value) {
+    const text = String(value || '').trim();
+    if (!text) return 0;
+
+    const number = Number(text);
+    return isFinite(number) ? number : null;
+}
+
+/**
+ * Turn one CSV row into a structure record and collect its validation errors
+ * @returns {{rowNumber: number, structure: Object, errors: Array<string>}}
+ */
+function buildStructure(row, rowNumber, mapping, defaultUtilityType) {
+    const cell = key => mapping[key] === undefined ? '' : String(row[mapping[key]] ?? '').trim();
+    const errors = [];
+
+    // Structure and utility type
+    const rawStructureType = cell('structureType');
+    const structureType = matchStructureType(rawStructureType);
+    if (!structureType) {
+        errors.push(rawStructureType ? `unknown structure type "${rawStructureType}"` : 'missing structure type');
+    }
+
+    const rawUtilityType = cell('utilityType').toLowerCase();
+    const utilityType = rawUtilityType || defaultUtilityType || (structureType && STRUCTURE_UTILITY_TYPES[structureType]) || '';
+    if (rawUtilityType && !UTILITY_TYPES.includes(rawUtilityType)) {
+        errors.push(`unknown utility type "${cell('utilityType')}"`);
+    }
+
+    // Location
+    const lat = cell('lat') === '' ? NaN : Number(cell('lat'));
+    const lng = cell('lng') === '' ? NaN : Number(cell('lng'));
+    const validLat = isFinite(lat) && Math.abs(lat) <= 90;
+    const validLng = isFinite(lng) && Math.abs(lng) <= 180;
+
+    if (!validLat) {
+        errors.push(cell('lat') ? `latitude "${cell('lat')}" is out of range` : 'missing latitude');
+    }
+    if (!validLng) {
+        errors.push(cell('lng') ? `longitude "${cell('lng')}" is out of range` : 'missing longitude');
+    }
+    if (validLat && validLng && lat === 0 && lng === 0) {
+        errors.push('location is 0, 0');
+    }
+
+    // Attributes
+    const size = parseOptionalNumber(cell('size'));
+    const depth = parseOptionalNumber(cell('depth'));
+    if (size === null || size < 0) errors.push(`invalid size "${cell('size')}"`);
+    if (depth === null || depth < 0) errors.push(`invalid depth "${cell('depth')}"`);
+
+    const structure = {
+        id: `structure-${Date.now()}-${index}`,
+        structureType: structureType || rawStructureType,
+        utilityType: utilityType,
+        coordinates: validLat && validLng ? [lat, lng] : null,
+        size: size || 0,
+        depth: depth || 0,
+        material: cell('material') || 'Unknown',
+        condition: cell('condition') || 'Unknown',
+        dateAdded: new Date().toISOString()
+    };
+
+    if (cell('notes')) {
+        structure.notes = cell('notes');
+    }
+
+    if (!errors.length) {
+        normalizeStructure(structure);
+        validateRecord('structure', structure).forEach(error => errors.push(error));
+    }
+
+    return { rowNumber, structure, errors };
+}
@@ -7,12 +7,34 @@
  * - Managing user interactions
  */
 
+import { toLatLngArray } from '../models/Schema.js';
+import { JSONFormat } from '../formats/JSONFormat.js';
+import { GeoJSONFormat } from '../formats/GeoJSONFormat.js';
+import { KMLFormat, KMZFormat } from '../formats/KMLFormat.js';
+import { ShapefileFormat } from '../formats/ShapefileFormat.js';
+import { DXFFormat } from '../formats/DXFFormat.js';
+import { CSVFormat } from '../formats/CSVFormat.js';
+import { getUtmZoneForLocation } from '../utils/Projection.js';
+import { downloadBlob, exportFileName, readFileAsText, getFileExtension } from '../utils/FileUtils.js';
+
 export class EventHandlers {
     constructor(appState, dataStore, mapController, uiController) {
         this.appState = appState;
         this.dataStore = dataStore;
         this.mapController = mapController;
         this.uiController = uiController;
+
+        // Import/export formats offered in the export modal, keyed by id
+        this.formats = {
+            json: new JSONFormat(),
+            geojson: new GeoJSONFormat(),
+            kml: new KMLFormat(mapController),
+            kmz: new KMZFormat(mapController),
+            shapefile: new ShapefileFormat(),
+            dxf: new DXFFormat(mapController),
+            'csv-utilities': new CSVFormat('utilities'),
+            'csv-structures': new CSVFormat('structures')
+        };
     }
 
     /**
@@ -39,6 +61,14 @@ export class EventHandlers {
         this.setupLineTypeListeners();
         this.setupRepositioningListeners();
         this.setupExcavationListeners();
+        this.setupCSVImportListeners();
+        this.setupSettingsListeners();
+        this.setupPointCaptureListeners();
+        this.setupLineTraceListeners();
+        this.setupLocationSourceListeners();
+        this.setupNetworkTraceListeners();
+        this.setupIsolationListeners();
+        this.setupTopologyListeners();
         
         console.log('All event listeners set up');
     }
@@ -90,13 +120,19 @@ export class EventHandlers {
             button.addEventListener('click', () => {
                 const mode = button.getAttribute('data-mode');
                 
-                if (this.appState.mode === mode) return;
+                if (this.appState.mode === mode && !this.appState.isPlanningExcavation) return;
                 
                 if (mode === 'excavation') {
-                    this.showExcavationWarning();
+                    if (!this.appState.isPlanningExcavation) {
+                        this.excavationController.startPlanning();
+                    }
                     return;
                 }
                 
+                if (this.appState.isPlanningExcavation) {
+                    this.excavationController.cancelPlanning();
+                }
+                
                 modeButtons.forEach(btn => btn.classList.remove('active'));
                 button.classList.add('active');
                 
@@ -113,68 +149,16 @@ export class EventHandlers {
         });
     }
 
-    /**
-     * Show excavation mode warning
-     */
-    showExcavationWarning() {
-        // Show confirmation dialog
-        const modal = document.getElementById('exit-excavation-modal');
-        const messageEl = modal.querySelector('.exit-confirmation-message');
-        
-        // Change message for entering excavation mode
-        messageEl.textContent = 'Excavation mode provides real-time safety alerts for nearby utilities. Do you want to continue?';
-        
-        // Change button text
-        const confirmBtn = document.getElementById('confirm-exit-excavation');
-        confirmBtn.textContent = 'Enter Excavation Mode';
-        confirmBtn.classList.remove('btn-danger');
-        confirmBtn.classList.add('btn-primary');
-        
-        // Show modal
-        modal.style.display = 'flex';
-        modal.classList.add('visible');
-        
-        // Add one-time listener for confirmation
-        const confirmHandler = () => {
-            this.enterExcavationMode();
-            modal.style.display = 'none';
-            modal.classList.remove('visible');
-            
-            // Change button text back for future exits
-            confirmBtn.textContent = 'Exit Mode';
-            confirmBtn.classList.remove('btn-primary');
-            confirmBtn.classList.add('btn-danger');
-            
-            // Remove this temporary handler
-            confirmBtn.removeEventListener('click', confirmHandler);
-        };
-        
-        const cancelHandler = () => {
-            modal.style.display = 'none';
-            modal.classList.remove('visible');
-            
-            // Reset mode selection
-            document.querySelectorAll('#mode-toggle .mode-button').forEach(btn => {
-                btn.classList.remove('active');
-            });
-            document.querySelector('#mode-toggle .mode-button[data-mode="discovery"]').classList.add('active');
-            
-            // Remove this temporary handler
-            document.getElementById('cancel-exit-excavation').removeEventListener('click', cancelHandler);
-        };
-        
-        // Add temporary handlers
-        confirmBtn.addEventListener('click', confirmHandler);
-        document.getElementById('cancel-exit-excavation').addEventListener('click', cancelHandler);
-    }
-
     /**
      * Enter excavation mode
      */
     enterExcavationMode() {
-        // Set application mode
+        // Set application mode (MapController sets isExcavationMode when it starts tracking)
         this.appState.mode = 'excavation';
-        this.appState.isExcavationMode = true;
+        
+        document.querySelectorAll('.mode-button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === 'excavation');
+        });
         
         // Update UI
         this.uiController.updateForMode('excavation');
@@ -183,7 +167,7 @@ export class EventHandlers {
         this.mapController.enableExcavationMode();
         
         // Show notification
-        this.uiController.showToast('Excavation mode activated. Click on map to set dig location.', 'warning');
+        this.uiController.showToast('Excavation mode activated. Proximity alerts are live.', 'warning');
     }
 
     /**
@@ -215,9 +199,8 @@ export class EventHandlers {
      * Confirm exiting excavation mode
      */
     confirmExitExcavation() {
-        // Exit excavation mode
+        // Exit excavation mode (MapController clears isExcavationMode when it stops tracking)
         this.appState.mode = 'discovery';
-        this.appState.isExcavationMode = false;
         
         // Update map
         this.mapController.disableExcavationMode();
@@ -231,7 +214,7 @@ export class EventHandlers {
         modal.classList.remove('visible');
         
         // Show notification
-        this.uiController.showToast('Excavation mode deactivated', 'info');
+        this.uiController.showToast('Excavation mode deactivated. The session log was saved.', 'info');
     }
 
     /**
@@ -263,6 +246,18 @@ export class EventHandlers {
             this.mapController.startMeasurement();
         });
         
+        document.getElementById('undo-btn')?.addEventListener('click', () => {
+            this.undo();
+        });
+        
+        document.getElementById('redo-btn')?.addEventListener('click', () => {
+            this.redo();
+        });
+        
+        // Keep the undo/redo buttons in step with the history
+        this.dataStore.history.onChange = history => this.uiController.updateHistoryButtons(history);
+        this.uiController.updateHistoryButtons(this.dataStore.history);
+        
         document.getElementById('layers-btn')?.addEventListener('click', () => {
             this.uiController.toggleLayersPanel();
         });
@@ -335,6 +330,11 @@ export class EventHandlers {
             this.uiController.showAddStructureModal();
         });
         
+        document.getElementById('menu-trace-utility')?.addEventListener('click', () => {
+            this.uiController.hideMainMenu();
+            this.lineTraceController.start();
+        });
+        
         document.getElementById('menu-export')?.addEventListener('click', () => {
             this.uiController.hideMainMenu();
             this.exportData();
@@ -345,6 +345,111 @@ export class EventHandlers {
             this.importData();
         });
         
+        document.getElementById('menu-import-csv')?.addEventListener('click', () => {
+            this.uiController.hideMainMenu();
+            this.csvImportController?.open();
+        });
+        
+        document.getElementById('menu-excavation-logs')?.addEventListener('click', () => {
+            this.uiController.hideMainMenu();
+            this.excavationController.showLogs();
+        });
+        
+        document.getElementById('menu-location-source')?.addEventListener('click', () => {
+            this.uiController.hideMainMenu();
+            this.locationSourceController.open();
+        });
+        
+        document.getElementById('menu-isolate-break')?.addEventListener('click', () => {
+            this.uiController.hideMainMenu();
+            this.isolationController.start();
+        });
+        
+        document.getElementById('menu-check-topology')?.addEventListener('click', () => {
+            this.uiController.hideMainMenu();
+            this.topologyController.open();
+        });
+        
+        // Export format modal
+        document.getElementById('confirm-export-btn')?.addEventListener('click', () => {
+            const options = this.uiController.getExportOptions();
+            
+            // Remember the CAD settings for the next export
+            this.appState.exportCoordinateSystem = options.crs;
+            this.appState.exportUnits = options.units;
+            
+            this.uiController.hideExportFormatModal();
+            this.exportDataAs(this.uiController.getSelectedExportFormat(), options);
+        });
+        
+        document.querySelectorAll('input[name="export-format"]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.uiController.updateExportOptions();
+            });
+        });
+        
+        document.getElementById('export-crs')?.addEventListener('change', () => {
+            this.uiController.updateExportUnits();
+        });
+        
+        document.getElementById('cancel-export-btn')?.addEventListener('click', () => {
+            this.uiController.hideExportFormatModal();
+        });
+        
+        document.getElementById('close-export-format')?.addEventListener('click', () => {
+            this.uiController.hideExportFormatModal();
+        });
+        
+        // Merge import modal
+        document.getElementById('confirm-merge-import')?.addEventListener('click', () => {
+            this.confirmMergeImport();
+        });
+        
+        document.getElementById('replace-merge-import')?.addEventListener('click', () => {
+            const pending = this.pendingImport;
+            this.pendingImport = null;
+            this.uiController.hideMergeImportModal();
+            
+            if (pending) {
+                this.replaceWithImport(pending.data, pending.errors);
+            }
+        });
+        
+        document.getElementById('merge-keep-all-local')?.addEventListener('click', () => {
+            this.uiController.setAllMergeChoices('local');
+        });
+        
+        document.getElementById('merge-take-all-incoming')?.addEventListener('click', () => {
+            this.uiController.setAllMergeChoices('incoming');
+        });
+        
+        ['cancel-merge-import', 'close-merge-import'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => {
+                this.pendingImport = null;
+                this.uiController.hideMergeImportModal();
+            });
+        });
+        
+        // Name recorded in the audit log
+        const userNameInput = document.getElementById('menu-user-name');
+        if (userNameInput) {
+            userNameInput.value = this.appState.userName;
+            userNameInput.addEventListener('change', () => {
+                this.appState.setUserName(userNameInput.value);
+            });
+        }
+        
+        // Utility info card
+        document.getElementById('info-close-btn')?.addEventListener('click', () => {
+            this.uiController.hideUtilityInfoCard();
+        });
+        
+        document.querySelectorAll('#utility-info-card .info-card-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.uiController.showInfoCardTab(tab.dataset.tab);
+            });
+        });
+        
         // Add main menu close button listener
         document.getElementById('close-main-menu')?.addEventListener('click', () => {
             this.uiController.hideMainMenu();
@@ -398,6 +503,265 @@ export class EventHandlers {
         });
     }
 
+    /**
+     * Whether a key event target is a text field (so editing shortcuts
+     * belong to the field, not the map)
+     */
+    isTypingTarget(target) {
+        if (!target) return false;
+        return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+
+    /**
+     * Undo the last map edit
+     */
+    undo() {
+        if (this.isEditInProgress()) {
+            this.uiController.showToast('Finish the current action before undoing', 'warning');
+            return;
+        }
+        
+        const command = this.dataStore.history.undo();
+        if (!command) {
+            this.uiController.showToast('Nothing to undo', 'info');
+            return;
+        }
+        
+        this.mapController.loadUtilities();
+        this.uiController.showToast(`Undid: ${command.label}`, 'info');
+    }
+
+    /**
+     * Redo the last undone map edit
+     */
+    redo() {
+        if (this.isEditInProgress()) {
+            this.uiController.showToast('Finish the current action before redoing', 'warning');
+            return;
+        }
+        
+        const command = this.dataStore.history.redo();
+        if (!command) {
+            this.uiController.showToast('Nothing to redo', 'info');
+            return;
+        }
+        
+        this.mapController.loadUtilities();
+        this.uiController.showToast(`Redid: ${command.label}`, 'info');
+    }
+
+    /**
+     * Drawing and repositioning hold references to live records, so
+     * history can't be replayed underneath them
+     */
+    isEditInProgress() {
+        return this.appState.isDrawing || Boolean(this.appState.repositioningUtility);
+    }
+
+    /**
+     * Setup settings screen listeners
+     */
+    setupSettingsListeners() {
+        document.getElementById('save-settings')?.addEventListener('click', () => {
+            this.settingsController.save();
+        });
+        
+        document.getElementById('reset-clearance-rules')?.addEventListener('click', () => {
+            this.settingsController.resetClearanceRules();
+        });
+        
+        document.getElementById('cancel-settings')?.addEventListener('click', () => {
+            this.settingsController.hideModal();
+        });
+        
+        document.getElementById('close-settings')?.addEventListener('click', () => {
+            this.settingsController.hideModal();
+        });
+    }
+
+    /**
+     * Setup averaged and offset point capture listeners
+     */
+    setupPointCaptureListeners() {
+        document.getElementById('capture-structure-position')?.addEventListener('click', () => {
+            this.pointCaptureController.open(capture => {
+                this.appState.pendingCapture = capture;
+                this.uiController.updateStructureCaptureStatus();
+            });
+        });
+        
+        document.getElementById('capture-vertex-btn')?.addEventListener('click', () => {
+            this.captureDrawingVertex();
+        });
+        
+        // Offset points: the structure form steps aside while the point is previewed on the map
+        document.getElementById('offset-structure-position')?.addEventListener('click', () => {
+            this.uiController.hideAddStructureModal();
+            this.offsetCaptureController.open(capture => {
+                this.appState.pendingCapture = capture;
+                this.uiController.updateStructureCaptureStatus();
+            }, () => {
+                this.uiController.showAddStructureModal(false);
+            });
+        });
+        
+        document.getElementById('offset-vertex-btn')?.addEventListener('click', () => {
+            this.offsetDrawingVertex();
+        });
+        
+        document.getElementById('offset-mode')?.addEventListener('change', () => {
+            this.offsetCaptureController.update();
+        });
+        
+        ['offset-bearing', 'offset-side', 'offset-distance'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => {
+                this.offsetCaptureController.update();
+            });
+        });
+        
+        document.getElementById('offset-use-heading')?.addEventListener('click', () => {
+            this.offsetCaptureController.useHeading();
+        });
+        
+        document.getElementById('add-offset-point')?.addEventListener('click', () => {
+            this.offsetCaptureController.add();
+        });
+        
+        document.getElementById('cancel-offset-point')?.addEventListener('click', () => {
+            this.offsetCaptureController.close();
+        });
+        
+        document.getElementById('start-point-capture')?.addEventListener('click', () => {
+            this.pointCaptureController.toggle();
+        });
+        
+        document.getElementById('use-point-capture')?.addEventListener('click', () => {
+            this.pointCaptureController.use();
+        });
+        
+        document.getElementById('cancel-point-capture')?.addEventListener('click', () => {
+            this.pointCaptureController.close();
+        });
+        
+        document.getElementById('close-point-capture')?.addEventListener('click', () => {
+            this.pointCaptureController.close();
+        });
+    }
+
+    /**
+     * Setup GPS line trace panel listeners
+     */
+    setupLineTraceListeners() {
+        document.getElementById('pause-line-trace')?.addEventListener('click', () => {
+            this.lineTraceController.togglePause();
+        });
+        
+        document.getElementById('finish-line-trace')?.addEventListener('click', () => {
+            this.lineTraceController.finish();
+        });
+        
+        document.getElementById('cancel-line-trace')?.addEventListener('click', () => {
+            this.lineTraceController.cancel();
+        });
+        
+        document.getElementById('line-trace-tolerance')?.addEventListener('input', () => {
+            this.lineTraceController.render();
+        });
+    }
+
+    /**
+     * Setup network trace panel listeners
+     */
+    setupNetworkTraceListeners() {
+        document.querySelectorAll('.network-trace-action').forEach(button => {
+            button.addEventListener('click', () => {
+                this.networkTraceController.run(button.dataset.trace);
+            });
+        });
+        
+        document.getElementById('close-network-trace')?.addEventListener('click', () => {
+            this.networkTraceController.close();
+        });
+    }
+
+    /**
+     * Setup main break isolation panel listeners
+     */
+    setupIsolationListeners() {
+        document.getElementById('isolation-new-break')?.addEventListener('click', () => {
+            this.isolationController.start();
+        });
+        
+        document.getElementById('isolation-print')?.addEventListener('click', () => {
+            this.isolationController.printPlan();
+        });
+        
+        document.getElementById('close-isolation')?.addEventListener('click', () => {
+            this.isolationController.close();
+        });
+    }
+
+    /**
+     * Setup topology check panel listeners
+     */
+    setupTopologyListeners() {
+        document.getElementById('topology-recheck')?.addEventListener('click', () => {
+            this.topologyController.run();
+        });
+        
+        document.getElementById('close-topology')?.addEventListener('click', () => {
+            this.topologyController.close();
+        });
+    }
+
+    /**
+     * Setup location source dialog listeners
+     */
+    setupLocationSourceListeners() {
+        document.getElementById('location-source-type')?.addEventListener('change', () => {
+            this.locationSourceController.render();
+        });
+        
+        document.getElementById('location-source-file')?.addEventListener('click', () => {
+            this.locationSourceController.chooseFile();
+        });
+        
+        document.getElementById('apply-location-source')?.addEventListener('click', () => {
+            this.locationSourceController.apply();
+        });
+        
+        ['close-location-source', 'cancel-location-source'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => {
+                this.locationSourceController.hideModal();
+            });
+        });
+    }
+
+    /**
+     * Setup CSV structure import wizard listeners
+     */
+    setupCSVImportListeners() {
+        document.getElementById('csv-import-next')?.addEventListener('click', () => {
+            this.csvImportController.preview();
+        });
+        
+        document.getElementById('csv-import-back')?.addEventListener('click', () => {
+            this.csvImportController.showStep('mapping');
+        });
+        
+        document.getElementById('confirm-csv-import')?.addEventListener('click', () => {
+            this.csvImportController.commit();
+        });
+        
+        document.getElementById('cancel-csv-import')?.addEventListener('click', () => {
+            this.csvImportController.hideModal();
+        });
+        
+        document.getElementById('close-csv-import')?.addEventListener('click', () => {
+            this.csvImportController.hideModal();
+        });
+    }
+
     /**
      * Handle adding a new utility from the form
      */
@@ -411,9 +775,29 @@ export class EventHandlers {
         
         if (!selectedUtilityType || !lineType) return;
         
-        const coordinates = this.appState.userLocation ? 
+        // The same modal is used to edit an existing utility
+        const editingId = document.getElementById('confirm-add-utility')?.dataset.utilityId;
+        if (editingId) {
+            this.handleEditUtility(editingId, {
+                type: selectedUtilityType,
+                lineType: lineType,
+                size: parseFloat(size || "0"),
+                depth: parseFloat(depth || "0"),
+                material: material || "Unknown",
+                condition: condition || "Unknown",
+                notes: document.getElementById('utility-notes')?.value || ''
+            });
+            return;
+        }
+        
+        // A traced line brings its own vertices
+        const geometry = this.appState.pendingUtilityGeometry;
+        let coordinates = this.appState.userLocation ? 
             [this.appState.userLocation] : 
             [this.mapController.map.getCenter()];
+        if (geometry) {
+            coordinates = geometry.coordinates;
+        }
         
         const utilityData = {
             id: `utility-${Date.now()}`,
@@ -427,12 +811,51 @@ export class EventHandlers {
             dateAdded: new Date().toISOString()
         };
         
+        if (geometry) {
+            utilityData.trace = geometry.trace;
+        }
+        
+        const command = this.dataStore.history.begin(geometry ? 'Trace utility' : 'Add utility').track('utilities', utilityData.id);
         this.dataStore.addUtility(utilityData);
+        this.dataStore.history.commit(command);
+        this.appState.pendingUtilityGeometry = null;
+        
         this.mapController.renderUtility(utilityData);
         this.uiController.hideAddUtilityModal();
         this.uiController.showToast(`${selectedUtilityType} utility added successfully`, 'success');
     }
 
+    /**
+     * Save changes made to an existing utility in the edit modal
+     * @param {string} utilityId The utility being edited
+     * @param {Object} changes Attribute values from the form
+     */
+    handleEditUtility(utilityId, changes) {
+        const utility = this.dataStore.getUtilityById(utilityId);
+        if (!utility) {
+            this.uiController.hideAddUtilityModal();
+            return;
+        }
+        
+        const command = this.dataStore.history.begin('Edit utility').track('utilities', utility.id);
+        
+        // Changing the utility type moves the record to another collection
+        if (changes.type !== utility.type) {
+            this.dataStore.removeRecord('utilities', utility);
+            Object.assign(utility, changes);
+            this.dataStore.insertRecord('utilities', utility);
+        } else {
+            Object.assign(utility, changes);
+        }
+        
+        this.dataStore.touchRecord(utility);
+        this.dataStore.history.commit(command);
+        
+        this.mapController.loadUtilities();
+        this.uiController.hideAddUtilityModal();
+        this.uiController.showToast('Utility updated successfully', 'success');
+    }
+
     /**
      * Handle adding a new structure from the form
      */
@@ -447,9 +870,14 @@ export class EventHandlers {
         const material = document.getElementById('structure-material')?.value;
         const condition = document.getElementById('structure-condition')?.value;
         
-        const coordinates = this.appState.userLocation ? 
+        // An averaged capture beats the live location
+        const capture = this.appState.pendingCapture;
+        let coordinates = this.appState.userLocation ? 
             this.appState.userLocation : 
             this.mapController.map.getCenter();
+        if (capture) {
+            coordinates = capture.position;
+        }
         
         const structureData = {
             id: `structure-${Date.now()}`,
@@ -463,7 +891,15 @@ export class EventHandlers {
             dateAdded: new Date().toISOString()
         };
         
+        if (capture) {
+            structureData.capture = capture.statistics;
+        }
+        
+        const command = this.dataStore.history.begin('Add structure').track('structures', structureData.id);
         this.dataStore.addStructure(structureData);
+        this.dataStore.history.commit(command);
+        this.appState.pendingCapture = null;
+        
         this.mapController.renderStructure(structureData);
         this.uiController.hideAddStructureModal();
         this.uiController.showToast(`${structureType} structure added successfully`, 'success');
@@ -498,25 +934,39 @@ export class EventHandlers {
     }
 
     /**
-     * Export data to file
+     * Ask which format to export data in
      */
     exportData() {
-        const data = this.dataStore.exportData();
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        
-        a.href = url;
-        a.download = `utilitrack-export-${new Date().toISOString().slice(0, 10)}.json`;
-        document.body.appendChild(a);
-        a.click();
+        // Suggest the UTM zone of the current view for CAD exports
+        const center = this.mapController.map ? this.mapController.map.getCenter() : null;
+        const suggestedCrs = center ? getUtmZoneForLocation(center.lat, center.lng).id : null;
         
-        setTimeout(() => {
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-        }, 100);
+        this.uiController.showExportFormatModal(suggestedCrs);
+    }
+
+    /**
+     * Export all data in the given format and download it
+     * @param {string} formatId Key into this.formats (e.g. 'json', 'geojson')
+     * @param {Object} [options] Format options from the export modal (e.g. DXF coordinate system)
+     */
+    async exportDataAs(formatId, options = {}) {
+        const format = this.formats[formatId];
+        if (!format) {
+            this.uiController.showToast(`Unknown export format: ${formatId}`, 'error');
+            return;
+        }
         
-        this.uiController.showToast('Data exported successfully', 'success');
+        try {
+            // Formats may return a string, a Blob or a promise of either
+            const output = await format.write(this.dataStore, options);
+            const blob = output instanceof Blob ? output : new Blob([output], { type: format.mimeType });
+            
+            downloadBlob(blob, exportFileName(format.extension));
+            this.uiController.showToast(`Data exported as ${format.label}`, 'success');
+        } catch (error) {
+            console.error(`Error exporting ${formatId}:`, error);
+            this.uiController.showToast(`Error exporting ${format.label}: ${error.message}`, 'error');
+        }
     }
 
     /**
@@ -525,30 +975,93 @@ export class EventHandlers {
     importData() {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = 'application/json';
+        input.accept = '.json,.geojson,application/json,application/geo+json';
         
         input.addEventListener('change', (e) => {
             const file = e.target.files[0];
             if (!file) return;
             
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                try {
-                    const data = JSON.parse(event.target.result);
-                    this.dataStore.importData(data);
-                    this.mapController.loadUtilities();
-                    this.uiController.showToast('Data imported successfully', 'success');
-                } catch (error) {
+            readFileAsText(file)
+                .then(text => this.importFileContents(file.name, text))
+                .catch(error => {
+                    console.error('Error importing data:', error);
                     this.uiController.showToast('Error importing data: Invalid file format', 'error');
-                }
-            };
-            
-            reader.readAsText(file);
+                });
         });
         
         input.click();
     }
 
+    /**
+     * Parse imported file contents with the matching format and load them
+     * @param {string} filename Name of the imported file
+     * @param {string} text File contents
+     */
+    importFileContents(filename, text) {
+        const json = JSON.parse(text);
+        const isGeoJSON = getFileExtension(filename) === 'geojson' || GeoJSONFormat.isGeoJSON(json);
+        const format = isGeoJSON ? this.formats.geojson : this.formats.json;
+        const { data, errors } = format.read(json);
+        
+        if (errors.length) {
+            console.warn(`Skipped ${errors.length} invalid features:`, errors);
+        }
+        
+        // Nothing to lose locally - load the file as is
+        if (!this.dataStore.getUtilities().length && !this.dataStore.getStructures().length) {
+            this.replaceWithImport(data, errors);
+            return;
+        }
+        
+        // Otherwise merge, letting the user settle records changed on both sides
+        this.pendingImport = { data, errors, plan: this.dataStore.planMerge(data) };
+        this.uiController.showMergeImportModal(this.pendingImport.plan, filename);
+    }
+
+    /**
+     * Replace all local data with imported data
+     * @param {Object} data Parsed import data
+     * @param {Array} errors Features skipped while reading the file
+     */
+    replaceWithImport(data, errors = []) {
+        if (!this.dataStore.importData(data)) {
+            throw new Error('Import rejected');
+        }
+        
+        this.mapController.loadUtilities();
+        
+        if (errors.length) {
+            this.uiController.showToast(`Data imported, ${errors.length} invalid feature(s) skipped`, 'warning');
+        } else {
+            this.uiController.showToast('Data imported successfully', 'success');
+        }
+    }
+
+    /**
+     * Merge the pending import using the choices made in the merge modal
+     */
+    confirmMergeImport() {
+        const pending = this.pendingImport;
+        if (!pending) return;
+        
+        const resolutions = this.uiController.getMergeResolutions();
+        this.dataStore.applyMerge(pending.plan, resolutions);
+        this.mapController.loadUtilities();
+        
+        this.pendingImport = null;
+        this.uiController.hideMergeImportModal();
+        
+        const { added, updated, keptLocal, conflicts } = pending.plan;
+        const taken = [
+            ...updated.map(entry => resolutions[entry.key] || 'incoming'),
+            ...[...keptLocal, ...conflicts].map(entry => resolutions[entry.key] || 'local')
+        ].filter(choice => choice !== 'local').length;
+        this.uiController.showToast(
+            `Merged: ${added.length} added, ${taken} updated`,
+            pending.errors.length ? 'warning' : 'success'
+        );
+    }
+
     /**
      * Set the application mode
      * @param {string} mode The mode to set ('discovery', 'mapping', or 'excavation')
@@ -567,8 +1080,9 @@ export class EventHandlers {
         
         // Handle excavation mode separately
         if (mode === 'excavation') {
-            this.showExcavationWarning();
-            return; // showExcavationWarning will handle the rest
+            this.appState.mode = previousMode;
+            this.excavationController.startPlanning();
+            return; // arming from the pre-dig summary handles the rest
         } else if (previousMode === 'excavation') {
             // Exiting excavation mode
             this.mapController.disableExcavationMode();
@@ -704,6 +1218,9 @@ export class EventHandlers {
         
         this.mapController.drawingMode = true;
         this.appState.isDrawing = true;
+        this.appState.drawingCaptures = [];
+        this.appState.drawingSnaps = [];
+        this.uiController.showVertexCaptureButtons();
         this.uiController.showToast('Click on the map to start drawing a utility line', 'info');
         this.uiController.showStatusBar('Click on the map to add points. Click Finish when done.');
         
@@ -729,7 +1246,10 @@ export class EventHandlers {
             };
             
             // Add to data store
+            utilityData.id = this.dataStore.generateId('utility');
+            const command = this.dataStore.history.begin('Draw utility').track('utilities', utilityData.id);
             if (this.dataStore.addUtility(utilityData)) {
+                this.dataStore.history.commit(command);
                 this.uiController.showToast('Utility line added successfully', 'success');
             }
         } else {
@@ -813,13 +1333,14 @@ export class EventHandlers {
             const annotation = {
                 id: this.dataStore.generateId('annotation'),
                 text: text,
-                latlng: this.annotationLocation,
-                createdAt: new Date().toISOString()
+                coordinates: toLatLngArray(this.annotationLocation),
+                dateAdded: new Date().toISOString()
             };
             
             // Add to data store
+            const command = this.dataStore.history.begin('Add annotation').track('annotations', annotation.id);
             this.dataStore.annotations.push(annotation);
-            this.dataStore.saveData();
+            this.dataStore.history.commit(command);
             
             // Render on map
             this.mapController.renderAnnotation(annotation);
@@ -896,6 +1417,36 @@ export class EventHandlers {
      * This is critical for handling map interactions
      */
     setupMapListeners() {
+        // "View Details" in a utility popup opens the info card
+        this.mapController.map.on('popupopen', (e) => {
+            const button = e.popup.getElement()?.querySelector('.view-details-btn[data-type="utility"]');
+            if (!button) return;
+            
+            button.addEventListener('click', () => {
+                const utility = this.dataStore.getUtilityById(button.dataset.id);
+                if (!utility) return;
+                
+                const position = this.mapController.map.latLngToContainerPoint(e.popup.getLatLng());
+                this.mapController.map.closePopup();
+                this.uiController.showUtilityInfoCard(utility, position);
+            });
+        });
+        
+        // "Trace" in a utility or structure popup opens the network trace
+        // panel, tracing a line from the point that was clicked
+        this.mapController.map.on('popupopen', (e) => {
+            const button = e.popup.getElement()?.querySelector('.network-trace-btn');
+            if (!button) return;
+            
+            button.addEventListener('click', () => {
+                const { lat, lng } = e.popup.getLatLng();
+                this.mapController.map.closePopup();
+                this.networkTraceController.open(button.dataset.type === 'structure'
+                    ? { structureId: button.dataset.id }
+                    : { utilityId: button.dataset.id, point: [lat, lng] });
+            });
+        });
+        
         // Map click handler - most critical event for the application
         this.mapController.map.on('click', (e) => {
             // Close any open UI elements first
@@ -903,6 +1454,16 @@ export class EventHandlers {
             this.uiController.hideUtilityInfoCard();
             
             // Handle based on current mode and state
+            if (this.appState.isPickingBreak) {
+                this.isolationController.pick(e.latlng);
+                return;
+            }
+            
+            if (this.appState.isPickingSplit) {
+                this.geometryEditController.split(e.latlng);
+                return;
+            }
+            
             if (this.appState.isMeasuring) {
                 this.handleMeasurementClick(e);
                 return;
@@ -913,8 +1474,8 @@ export class EventHandlers {
                 return;
             }
             
-            // Handle excavation mode clicks differently
-            if (this.appState.mode === 'excavation') {
+            // Handle excavation planning and excavation mode clicks differently
+            if (this.appState.isPlanningExcavation || this.appState.mode === 'excavation') {
                 this.handleExcavationClick(e);
                 return;
             }
@@ -933,38 +1494,22 @@ export class EventHandlers {
         
         // Context menu (right click) handler
         this.mapController.map.on('contextmenu', (e) => {
-            // Find element under click
+            // Find the nearest utility and structure within 20 m (spatial index lookups)
             const utility = this.mapController.findNearestUtility(e.latlng, 20);
             const structure = this.mapController.findNearestStructure(e.latlng, 20);
             
             // Determine closest element
             let closestElement = null;
             
-            if (utility && structure) {
-                // Calculate distances to compare
-                const distToUtility = this.mapController.distanceToPolyline(e.latlng, utility.line.getLatLngs());
-                const distToStructure = this.mapController.map.distance(e.latlng, structure.latlng);
-                
-                if (distToUtility < distToStructure) {
-                    closestElement = {
-                        type: 'utility',
-                        element: utility
-                    };
-                } else {
-                    closestElement = {
-                        type: 'structure',
-                        element: structure
-                    };
-                }
-            } else if (utility) {
+            if (utility && (!structure || utility.distance < structure.distance)) {
                 closestElement = {
                     type: 'utility',
-                    element: utility
+                    element: utility.utility
                 };
             } else if (structure) {
                 closestElement = {
                     type: 'structure',
-                    element: structure
+                    element: structure.structure
                 };
             }
             
@@ -976,10 +1521,15 @@ export class EventHandlers {
         
         // Mouse move for drawing preview
         this.mapController.map.on('mousemove', (e) => {
-            // Update temp line during drawing
-            if (this.appState.isDrawing && this.appState.drawingPoints.length > 0) {
-                const points = [...this.appState.drawingPoints, e.latlng];
-                this.mapController.showTempLine(points);
+            // Update temp line during drawing, to where the point would snap
+            if (this.appState.isDrawing) {
+                const snap = this.findDrawingSnap(e.latlng);
+                this.updateSnapIndicator(snap);
+                
+                if (this.appState.drawingPoints.length > 0) {
+                    const points = [...this.appState.drawingPoints, snap ? L.latLng(snap.point) : e.latlng];
+                    this.mapController.showTempLine(points);
+                }
             }
             
             // Update measurement line preview
@@ -1000,7 +1550,8 @@ export class EventHandlers {
             }
             
             // Update connection indicator position if active
-            if (this.appState.isDrawing && this.appState.activeLineType === 'service' && this.appState.potentialConnection) {
+            if (this.appState.isDrawing && !this.appState.activeSnap &&
+                this.appState.activeLineType === 'service' && this.appState.potentialConnection) {
                 this.uiController.updateConnectionIndicatorPosition(this.appState.potentialConnection.connectionPoint);
             }
         });
@@ -1011,10 +1562,62 @@ export class EventHandlers {
      * @param {Object} e Map click event
      */
     handleDrawingClick(e) {
-        const latlng = e.latlng;
+        const snap = this.findDrawingSnap(e.latlng);
+        this.addDrawingPoint(snap ? L.latLng(snap.point) : e.latlng, snap);
+    }
+
+    /**
+     * Where a point of the line being drawn snaps to
+     * @param {L.LatLng} latlng
+     * @returns {Object|null} See MapController.findSnapTarget
+     */
+    findDrawingSnap(latlng) {
+        return this.mapController.findSnapTarget(latlng, this.appState.activeUtilityType, this.appState.snapSettings);
+    }
+
+    /**
+     * Mark the snap under the pointer, or fall back to the connection
+     * offered for the last point
+     * @param {Object|null} snap
+     */
+    updateSnapIndicator(snap) {
+        if (!snap && !this.appState.activeSnap) return;
+        this.appState.activeSnap = snap;
         
-        // Add point to drawing
+        if (snap) {
+            this.mapController.showSnapMarker(snap.point);
+            this.uiController.showSnapIndicator(snap, this.appState.activeUtilityType, this.appState.activeLineType);
+            return;
+        }
+        
+        this.mapController.clearSnapMarker();
+        const connection = this.appState.potentialConnection;
+        if (connection && this.appState.activeLineType === 'service') {
+            this.uiController.showConnectionIndicator(connection.connectionPoint, this.appState.activeUtilityType);
+        } else {
+            this.uiController.hideConnectionIndicator();
+        }
+    }
+
+    /**
+     * Add a point to the line being drawn
+     * @param {L.LatLng} latlng
+     * @param {Object} [snap] What the point was snapped to, see findDrawingSnap
+     */
+    addDrawingPoint(latlng, snap = null) {
         this.appState.drawingPoints.push(latlng);
+        this.mapController.showTempLine(this.appState.drawingPoints);
+        
+        if (snap) {
+            this.appState.drawingSnaps.push({
+                vertex: this.appState.drawingPoints.length - 1,
+                kind: snap.kind,
+                utilityId: snap.utility ? snap.utility.id : null,
+                structureId: snap.structure ? snap.structure.id : null,
+                point: snap.point,
+                station: snap.station ?? null
+            });
+        }
         
         // Update status
         const count = this.appState.drawingPoints.length;
@@ -1024,6 +1627,75 @@ export class EventHandlers {
         if (count >= 2) {
             this.uiController.showConfirmDrawingButton();
         }
+        
+        // Offer to connect a service line that ends near a main
+        if (this.appState.activeLineType === 'service') {
+            this.updatePotentialConnection(latlng, snap);
+        }
+    }
+
+    /**
+     * Add the next vertex of the line being drawn from an averaged capture
+     * of the user's position
+     */
+    captureDrawingVertex() {
+        if (!this.appState.isDrawing) return;
+        
+        this.pointCaptureController.open(capture => this.addCapturedVertex(capture));
+    }
+
+    /**
+     * Add the next vertex of the line being drawn at an offset from the
+     * user's position
+     */
+    offsetDrawingVertex() {
+        if (!this.appState.isDrawing) return;
+        
+        this.offsetCaptureController.open(capture => this.addCapturedVertex(capture));
+    }
+
+    /**
+     * Add a vertex from an averaged or offset capture, keeping its statistics
+     * @param {Object} capture { position: [lat, lng], statistics }
+     */
+    addCapturedVertex({ position, statistics }) {
+        if (!this.appState.isDrawing) return;
+        
+        this.addDrawingPoint(L.latLng(position[0], position[1]));
+        this.appState.drawingCaptures.push({ vertex: this.appState.drawingPoints.length - 1, ...statistics });
+    }
+
+    /**
+     * Look for a main to connect the last point of a service line to, and
+     * show or hide the connection indicator. A point snapped onto a main
+     * connects there; a point snapped to anything else stays where it is.
+     * @param {L.LatLng} latlng Last drawn point
+     * @param {Object} [snap] What the point was snapped to
+     */
+    updatePotentialConnection(latlng, snap = null) {
+        let target = null;
+        if (this.appState.drawingPoints.length >= 2) {
+            if (snap && snap.utility && snap.utility.lineType === 'main') {
+                target = {
+                    mainLine: snap.utility,
+                    connectionPoint: L.latLng(snap.point),
+                    distance: snap.distance,
+                    station: snap.station
+                };
+            } else if (!snap) {
+                target = this.mapController.findConnectionTarget(latlng, this.appState.activeUtilityType);
+            }
+        }
+        
+        this.appState.potentialConnection = target;
+        this.appState.activeSnap = null;
+        this.mapController.clearSnapMarker();
+        
+        if (target) {
+            this.uiController.showConnectionIndicator(target.connectionPoint, this.appState.activeUtilityType);
+        } else {
+            this.uiController.hideConnectionIndicator();
+        }
     }
 
     /**
@@ -1038,6 +1710,9 @@ export class EventHandlers {
         // Start drawing
         this.appState.isDrawing = true;
         this.appState.drawingPoints = [];
+        this.appState.drawingCaptures = [];
+        this.appState.drawingSnaps = [];
+        this.uiController.showVertexCaptureButtons();
         
         // Update status
         this.uiController.showStatusBar('Click on the map to start drawing a utility line. Use the Finish button when done.');
@@ -1058,33 +1733,59 @@ export class EventHandlers {
         }
         
         // Create utility object
+        const utilityId = this.dataStore.generateId('utility');
+        const command = this.dataStore.history.begin('Draw utility').track('utilities', utilityId);
         const utility = {
-            id: this.dataStore.generateId('utility'),
+            id: utilityId,
             type: this.appState.activeUtilityType,
             lineType: this.appState.activeLineType,
-            points: [...this.appState.drawingPoints],
+            coordinates: this.appState.drawingPoints.map(toLatLngArray),
             size: 4, // Default size
             depth: 3, // Default depth
             material: 'PVC', // Default material
             condition: 'Good', // Default condition
-            date: new Date().toISOString(),
+            dateAdded: new Date().toISOString(),
             notes: '',
             connections: []
         };
         
-        // Handle connection to main if available
-        if (this.appState.activeLineType === 'service' && this.appState.potentialConnection) {
-            const mainLine = this.appState.potentialConnection.mainLine;
-            const connectionPoint = this.appState.potentialConnection.connectionPoint;
+        // Connections to mains: every service vertex snapped onto a main,
+        // and the main offered for the last point
+        const connections = [];
+        if (this.appState.activeLineType === 'service') {
+            this.appState.drawingSnaps.forEach(snap => {
+                const mainLine = snap.utilityId ? this.dataStore.getUtilityById(snap.utilityId) : null;
+                if (mainLine && mainLine.lineType === 'main' && mainLine.type === utility.type) {
+                    connections.push({ mainLine, vertex: snap.vertex, point: snap.point, station: snap.station });
+                }
+            });
             
-            // Update the last point to connect precisely to the main
-            utility.points[utility.points.length - 1] = connectionPoint;
+            const lastVertex = utility.coordinates.length - 1;
+            const potential = this.appState.potentialConnection;
+            if (potential && !connections.some(connection => connection.vertex === lastVertex)) {
+                connections.push({
+                    mainLine: potential.mainLine,
+                    vertex: lastVertex,
+                    point: toLatLngArray(potential.connectionPoint),
+                    station: potential.station
+                });
+            }
+        }
+        
+        connections.forEach(({ mainLine, vertex, point, station: along }) => {
+            command.track('utilities', mainLine.id);
+            const connectionPoint = [point[0], point[1]];
+            const station = Math.round(along * 100) / 100; // meters along the main
+            
+            // Update the point to connect precisely to the main
+            utility.coordinates[vertex] = connectionPoint;
             
             // Record the connection in both utilities
             utility.connections.push({
                 type: 'main',
                 targetId: mainLine.id,
                 point: connectionPoint,
+                station,
                 date: new Date().toISOString()
             });
             
@@ -1092,32 +1793,42 @@ export class EventHandlers {
                 type: 'service',
                 targetId: utility.id,
                 point: connectionPoint,
+                station,
                 date: new Date().toISOString()
             });
+            this.dataStore.touchRecord(mainLine);
             
             // Add a connector marker at the connection point
             const connector = this.mapController.addConnectorMarker(connectionPoint, utility.type);
             
             // Store reference to the connector
             utility.connector = connector;
-            
+        });
+        
+        if (connections.length) {
             this.uiController.showToast('Service connected to main line', 'success');
         } else {
             // No connection, just a regular utility line
             this.uiController.showToast('Utility line added successfully', 'success');
         }
         
-        // Add to data store
-        this.dataStore.utilities[this.appState.activeUtilityType].push(utility);
+        // Keep the statistics of averaged vertices, except service points
+        // that were moved onto a main
+        const movedVertices = connections.map(connection => connection.vertex);
+        const captures = this.appState.drawingCaptures.filter(capture => !movedVertices.includes(capture.vertex));
+        if (captures.length) {
+            utility.captures = captures;
+        }
+        
+        // Add to data store (saved by the commit)
+        this.dataStore.addUtility(utility);
+        this.dataStore.history.commit(command);
         
         // Add to map
-        this.mapController.addUtilityLine(utility);
+        this.mapController.renderUtility(utility);
         
         // Clean up drawing state
         this.cancelDrawing();
-        
-        // Save data
-        this.dataStore.saveData();
     }
 
     /**
@@ -1127,6 +1838,9 @@ export class EventHandlers {
         // Reset drawing state
         this.appState.isDrawing = false;
         this.appState.drawingPoints = [];
+        this.appState.drawingCaptures = [];
+        this.appState.drawingSnaps = [];
+        this.appState.activeSnap = null;
         this.appState.potentialConnection = null;
         
         // Remove temp line if exists
@@ -1145,6 +1859,10 @@ export class EventHandlers {
         document.body.style.cursor = '';
         this.uiController.hideStatusBar();
         this.uiController.hideConfirmDrawingButton();
+        this.uiController.hideVertexCaptureButtons();
+        if (this.offsetCaptureController?.isOpen()) {
+            this.offsetCaptureController.close();
+        }
         this.uiController.hideConnectionIndicator();
     }
 
@@ -1176,6 +1894,23 @@ export class EventHandlers {
      */
     setupKeyboardListeners() {
         document.addEventListener('keydown', e => {
+            // Ctrl+Z / Ctrl+Y (Cmd on Mac) undo and redo, except while typing
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && !this.isTypingTarget(e.target)) {
+                const key = e.key.toLowerCase();
+                
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.undo();
+                    return;
+                }
+                
+                if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                    e.preventDefault();
+                    this.redo();
+                    return;
+                }
+            }
+            
             // Escape key to cancel current action
             if (e.key === 'Escape') {
                 if (this.appState.isDrawing) {
@@ -1218,7 +1953,21 @@ export class EventHandlers {
      * Setup repositioning listeners
      */
     setupRepositioningListeners() {
-        // Implementation needed
+        document.getElementById('delete-vertex-btn')?.addEventListener('click', () => {
+            this.geometryEditController.deleteSelectedVertex();
+        });
+        
+        document.getElementById('split-line-btn')?.addEventListener('click', () => {
+            this.geometryEditController.toggleSplit();
+        });
+        
+        document.getElementById('merge-line-btn')?.addEventListener('click', () => {
+            this.geometryEditController.merge();
+        });
+        
+        document.getElementById('reverse-line-btn')?.addEventListener('click', () => {
+            this.geometryEditController.reverse();
+        });
     }
 
     /**
@@ -1240,8 +1989,65 @@ export class EventHandlers {
             this.cancelExitExcavation();
         });
 
-        // Set excavation site on map click
-        // (This is already handled by handleExcavationClick method)
+        // Excavation site planner
+        document.getElementById('excavation-footprint-type')?.addEventListener('change', () => {
+            this.excavationController.updateOptions();
+        });
+        
+        document.getElementById('excavation-trench-width')?.addEventListener('change', () => {
+            this.excavationController.updateOptions();
+        });
+        
+        document.getElementById('excavation-tolerance')?.addEventListener('change', () => {
+            this.excavationController.updateOptions();
+        });
+        
+        document.getElementById('undo-excavation-point')?.addEventListener('click', () => {
+            this.excavationController.undoPoint();
+        });
+        
+        document.getElementById('cancel-excavation-plan')?.addEventListener('click', () => {
+            this.excavationController.cancelPlanning();
+        });
+        
+        document.getElementById('review-excavation-plan')?.addEventListener('click', () => {
+            this.excavationController.review();
+        });
+        
+        // Pre-dig conflict summary
+        document.getElementById('arm-excavation')?.addEventListener('click', () => {
+            this.excavationController.arm();
+        });
+        
+        document.getElementById('edit-predig-site')?.addEventListener('click', () => {
+            this.excavationController.hideSummaryModal();
+        });
+        
+        document.getElementById('close-predig-summary')?.addEventListener('click', () => {
+            this.excavationController.hideSummaryModal();
+        });
+        
+        // Alert acknowledgement
+        document.getElementById('confirm-alert-ack')?.addEventListener('click', () => {
+            this.uiController.confirmAlertAcknowledgement();
+        });
+        
+        document.getElementById('cancel-alert-ack')?.addEventListener('click', () => {
+            this.uiController.hideAlertAcknowledgement();
+        });
+        
+        document.getElementById('close-alert-ack')?.addEventListener('click', () => {
+            this.uiController.hideAlertAcknowledgement();
+        });
+        
+        // Session logs
+        document.getElementById('close-excavation-logs')?.addEventListener('click', () => {
+            this.excavationController.hideLogsModal();
+        });
+
+        document.getElementById('verify-excavation-log')?.addEventListener('click', () => {
+            this.excavationController.verifyLogFile();
+        });
     }
 
     /**
@@ -1267,29 +2073,15 @@ export class EventHandlers {
     }
 
     /**
-     * Handle map click during excavation mode
+     * Handle map click while planning an excavation or in excavation mode
      * @param {Object} e Map click event
      */
     handleExcavationClick(e) {
-        // In excavation mode a click sets/updates the excavation site
-        if (!this.appState.isExcavationMode) return;
-        
-        console.log('Setting excavation site at', e.latlng);
-        
-        // Set excavation site through MapController
-        this.mapController.setExcavationSite(e.latlng);
+        // Clicks place footprint points while planning; once armed the
+        // footprint is fixed
+        if (!this.appState.isPlanningExcavation) return;
         
-        // Show confirmation toast
-        this.uiController.showToast('Excavation site set. Monitoring for nearby utilities.', 'warning');
-        
-        // Make the excavation site circle pulse
-        const excavationCircle = this.mapController.excavationCircle;
-        if (excavationCircle) {
-            const element = excavationCircle.getElement();
-            if (element) {
-                element.classList.add('pulse-excavation');
-            }
-        }
+        this.excavationController.addPoint(e.latlng);
     }
 
     /**
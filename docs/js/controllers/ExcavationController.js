@@ -0,0 +1,550 @@
+/**
+ * ExcavationController Module
+ * Pre-dig planning: draw the excavation footprint (a polygon or a trench
+ * centerline), review every utility and structure it conflicts with, then
+ * arm excavation mode. Also lists stored excavation session logs for
+ * signed export and printing.
+ */
+
+import {
+    createExcavationSite,
+    isExcavationSiteComplete,
+    analyzeExcavationSite
+} from '../models/Excavation.js';
+import { FEET_PER_METER } from '../models/Clearance.js';
+import {
+    ExcavationLog,
+    EXCAVATION_LOG_FORMAT,
+    signExcavationLog,
+    verifyExcavationLog,
+    getDeviceKeyFingerprint
+} from '../models/ExcavationLog.js';
+import { downloadBlob, exportFileName, readFileAsText } from '../utils/FileUtils.js';
+import { escapeHtml } from '../utils/Html.js';
+
+function formatTime(iso) {
+    return iso ? new Date(iso).toLocaleString() : '-';
+}
+
+function formatPosition(entry) {
+    if (!entry.location) return 'No GPS fix';
+    const [lat, lng] = entry.location;
+    return `${lat.toFixed(7)}, ${lng.toFixed(7)}${entry.accuracy ? ` (±${Math.round(entry.accuracy)} m)` : ''}`;
+}
+
+export class ExcavationController {
+    constructor(appState, dataStore, mapController, uiController) {
+        this.appState = appState;
+        this.dataStore = dataStore;
+        this.mapController = mapController;
+        this.uiController = uiController;
+        this.eventHandlers = null; // Set by main.js
+
+        this.analysis = null;
+    }
+
+    /**
+     * Start drawing the excavation footprint
+     */
+    startPlanning() {
+        const type = document.getElementById('excavation-footprint-type').value;
+        document.getElementById('excavation-trench-width').value = this.appState.trenchWidth;
+        document.getElementById('excavation-tolerance').value = this.appState.excavationTolerance;
+
+        this.appState.isPlanningExcavation = true;
+        this.analysis = null;
+        this.mapController.setExcavationSite(createExcavationSite(type, {
+            width: this.appState.trenchWidth,
+            tolerance: this.appState.excavationTolerance
+        }));
+
+        document.querySelectorAll('.mode-button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === 'excavation');
+        });
+
+        this.updatePanel();
+        document.getElementById('excavation-planner').classList.add('visible');
+    }
+
+    /**
+     * Add a corner (polygon) or centerline point (trench)
+     * @param {L.LatLng} latlng
+     */
+    addPoint(latlng) {
+        const site = this.appState.excavationSite;
+        if (!site) return;
+
+        site.points.push([latlng.lat, latlng.lng]);
+        this.analysis = null;
+        this.mapController.setExcavationSite(site);
+        this.updatePanel();
+    }
+
+    /**
+     * Remove the last point placed
+     */
+    undoPoint() {
+        const site = this.appState.excavationSite;
+        if (!site || !site.points.length) return;
+
+        site.points.pop();
+        this.analysis = null;
+        this.mapController.setExcavationSite(site);
+        this.updatePanel();
+    }
+
+    /**
+     * Apply the footprint type, trench width and tolerance from the panel,
+     * remembering the width and tolerance for next time
+     */
+    updateOptions() {
+        const site = this.appState.excavationSite;
+        if (!site) return;
+
+        const width = parseFloat(document.getElementById('excavation-trench-width').value);
+        const tolerance = parseFloat(document.getElementById('excavation-tolerance').value);
+
+        site.type = document.getElementById('excavation-footprint-type').value;
+        if (width > 0) site.width = width;
+        if (tolerance >= 0) site.tolerance = tolerance;
+
+        this.appState.setExcavationDefaults(site.width, site.tolerance);
+
+        this.analysis = null;
+        this.mapController.setExcavationSite(site);
+        this.updatePanel();
+    }
+
+    /**
+     * Show the trench width only for trenches, and what to do next
+     */
+    updatePanel() {
+        const site = this.appState.excavationSite;
+        const trench = site.type === 'trench';
+        const needed = (trench ? 2 : 3) - site.points.length;
+
+        document.getElementById('excavation-trench-width-field').style.display = trench ? '' : 'none';
+        document.getElementById('undo-excavation-point').disabled = !site.points.length;
+
+        let hint;
+        if (needed > 0) {
+            hint = trench
+                ? `Tap the map along the trench centerline (${needed} more point${needed === 1 ? '' : 's'} needed)`
+                : `Tap the map at the corners of the dig (${needed} more corner${needed === 1 ? '' : 's'} needed)`;
+        } else {
+            hint = 'Keep tapping to add points, or review the conflicts';
+        }
+        document.getElementById('excavation-planner-hint').textContent = hint;
+    }
+
+    /**
+     * Stop planning without arming excavation mode
+     */
+    cancelPlanning() {
+        this.appState.isPlanningExcavation = false;
+        this.analysis = null;
+        this.mapController.clearExcavationSite();
+        document.getElementById('excavation-planner').classList.remove('visible');
+
+        document.querySelectorAll('.mode-button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === this.appState.mode);
+        });
+    }
+
+    /**
+     * Analyze the footprint and show the pre-dig conflict summary
+     */
+    review() {
+        const site = this.appState.excavationSite;
+
+        if (site.points.length && !isExcavationSiteComplete(site)) {
+            this.uiController.showToast('Finish the footprint or undo its points first', 'warning');
+            return;
+        }
+
+        this.analysis = site.points.length ? analyzeExcavationSite(site, this.dataStore) : null;
+        this.mapController.setExcavationSite(site, this.analysis);
+
+        this.renderSummary();
+        this.showSummaryModal();
+
+        if (this.analysis && this.analysis.outline.length) {
+            this.mapController.map.fitBounds(this.analysis.outline, { padding: [40, 40] });
+        }
+    }
+
+    /**
+     * Fill in the pre-dig summary from the analysis
+     */
+    renderSummary() {
+        const text = document.getElementById('predig-summary-text');
+        const list = document.getElementById('predig-conflict-list');
+        list.innerHTML = '';
+
+        if (!this.analysis) {
+            text.textContent = 'No footprint was drawn, so nothing has been checked against the dig. Only live proximity alerts will be available.';
+            return;
+        }
+
+        const conflicts = this.analysis.conflicts;
+        const crossing = conflicts.filter(conflict => conflict.status === 'intersects').length;
+        const site = this.appState.excavationSite;
+
+        text.textContent = conflicts.length
+            ? `${crossing} facilit${crossing === 1 ? 'y crosses' : 'ies cross'} the footprint and ${conflicts.length - crossing} ` +
+              `${conflicts.length - crossing === 1 ? 'is' : 'are'} within the tolerance zone (${site.tolerance} in plus half the diameter). ` +
+              `${this.analysis.checked} mapped facilities checked.`
+            : `No mapped facilities cross the footprint or its ${site.tolerance} in tolerance zone. ` +
+              `${this.analysis.checked} mapped facilities checked.`;
+
+        conflicts.forEach(conflict => list.appendChild(this.createConflictItem(conflict)));
+    }
+
+    /**
+     * List entry for one conflict; tapping it zooms to the conflict
+     */
+    createConflictItem(conflict) {
+        const { record } = conflict;
+        const isUtility = conflict.collection === 'utilities';
+        const item = document.createElement('li');
+        item.className = `predig-conflict ${conflict.status}`;
+
+        const title = document.createElement('div');
+        title.className = 'predig-conflict-title';
+        const name = isUtility ? this.mapController.getUtilityTitle(record) : this.mapController.getStructureTitle(record);
+        const details = [record.size ? `${record.size} in` : null, record.depth ? `${record.depth} ft deep` : null].filter(Boolean);
+        title.textContent = `${name}${isUtility ? '' : ` (${record.utilityType})`}${details.length ? ` - ${details.join(', ')}` : ''}`;
+        item.appendChild(title);
+
+        const detail = document.createElement('div');
+        detail.className = 'predig-conflict-detail';
+        if (conflict.status === 'intersects') {
+            detail.textContent = conflict.crossings.length
+                ? `Crosses the footprint at ${conflict.crossings.length} point${conflict.crossings.length === 1 ? '' : 's'}`
+                : 'Inside the footprint';
+        } else {
+            detail.textContent = `${(conflict.distance * FEET_PER_METER).toFixed(1)} ft outside the footprint ` +
+                `(tolerance zone ${(conflict.tolerance * FEET_PER_METER).toFixed(1)} ft)`;
+        }
+        item.appendChild(detail);
+
+        item.addEventListener('click', () => this.zoomToConflict(conflict));
+
+        return item;
+    }
+
+    /**
+     * Close the summary and show a conflict on the map
+     */
+    zoomToConflict(conflict) {
+        this.hideSummaryModal();
+
+        const points = conflict.crossings.length ? conflict.crossings : [conflict.closestPoint];
+        if (points.length > 1) {
+            this.mapController.map.fitBounds(points, { padding: [60, 60], maxZoom: 21 });
+        } else {
+            this.mapController.map.setView(points[0], Math.max(this.mapController.map.getZoom(), 20));
+        }
+    }
+
+    /**
+     * Finish planning and turn on excavation mode, keeping the footprint
+     * on the map
+     */
+    arm() {
+        this.hideSummaryModal();
+        this.appState.isPlanningExcavation = false;
+        document.getElementById('excavation-planner').classList.remove('visible');
+
+        this.eventHandlers.enterExcavationMode();
+    }
+
+    showSummaryModal() {
+        const modal = document.getElementById('predig-summary-modal');
+        modal.classList.add('visible');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.querySelector('.modal-container').style.opacity = '1';
+        }, 10);
+    }
+
+    hideSummaryModal() {
+        const modal = document.getElementById('predig-summary-modal');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.classList.remove('visible');
+        }, 300);
+    }
+
+    /**
+     * Show the stored session logs
+     */
+    showLogs() {
+        this.renderLogs();
+
+        const fingerprint = document.getElementById('excavation-key-fingerprint');
+        fingerprint.textContent = '';
+        getDeviceKeyFingerprint()
+            .then(value => { fingerprint.textContent = `This device's key: ${value}`; })
+            .catch(error => console.error('Error reading signing key:', error));
+
+        const modal = document.getElementById('excavation-logs-modal');
+        modal.classList.add('visible');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.querySelector('.modal-container').style.opacity = '1';
+        }, 10);
+    }
+
+    hideLogsModal() {
+        const modal = document.getElementById('excavation-logs-modal');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.classList.remove('visible');
+        }, 300);
+    }
+
+    /**
+     * List the stored sessions, newest first
+     */
+    renderLogs() {
+        const list = document.getElementById('excavation-log-list');
+        list.innerHTML = '';
+
+        const sessions = [...this.dataStore.excavationSessions]
+            .sort((a, b) => b.startTime.localeCompare(a.startTime));
+
+        if (!sessions.length) {
+            const empty = document.createElement('li');
+            empty.className = 'excavation-log-empty';
+            empty.textContent = 'No excavation sessions have been logged yet. A log is kept every time excavation mode is armed.';
+            list.appendChild(empty);
+            return;
+        }
+
+        sessions.forEach(session => list.appendChild(this.createLogItem(ExcavationLog.from(session))));
+    }
+
+    /**
+     * List entry for one session with its export buttons
+     * @param {ExcavationLog} log
+     */
+    createLogItem(log) {
+        const summary = log.getSummary();
+        const item = document.createElement('li');
+        item.className = 'excavation-log-item';
+
+        const title = document.createElement('div');
+        title.className = 'excavation-log-title';
+        title.textContent = `${formatTime(log.startTime)}${log.endTime ? '' : ' (in progress)'}`;
+        item.appendChild(title);
+
+        const detail = document.createElement('div');
+        detail.className = 'excavation-log-detail';
+        detail.textContent = `${log.user} - ${summary.durationMinutes} min, ` +
+            `${summary.alerts} alert${summary.alerts === 1 ? '' : 's'}, ` +
+            `${summary.dismissals} dismissal${summary.dismissals === 1 ? '' : 's'}, ` +
+            `${summary.trackPoints} GPS fix${summary.trackPoints === 1 ? '' : 'es'}`;
+        item.appendChild(detail);
+
+        const actions = document.createElement('div');
+        actions.className = 'excavation-log-actions';
+
+        const jsonBtn = document.createElement('button');
+        jsonBtn.className = 'btn btn-sm btn-secondary';
+        jsonBtn.innerHTML = '<i class="fas fa-file-signature"></i> Signed JSON';
+        jsonBtn.addEventListener('click', () => this.exportLogJSON(log));
+        actions.appendChild(jsonBtn);
+
+        const reportBtn = document.createElement('button');
+        reportBtn.className = 'btn btn-sm btn-secondary';
+        reportBtn.innerHTML = '<i class="fas fa-print"></i> Report';
+        reportBtn.addEventListener('click', () => this.printLogReport(log));
+        actions.appendChild(reportBtn);
+
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    /**
+     * Download a session as signed JSON
+     * @param {ExcavationLog} log
+     */
+    async exportLogJSON(log) {
+        try {
+            const signed = await signExcavationLog(log);
+            const blob = new Blob([JSON.stringify(signed, null, 2)], { type: 'application/json' });
+            downloadBlob(blob, exportFileName('json', `excavation-log-${log.startTime.slice(0, 10)}`));
+            this.uiController.showToast('Signed excavation log exported', 'success');
+        } catch (error) {
+            console.error('Error exporting excavation log:', error);
+            this.uiController.showToast('Could not sign the excavation log', 'error');
+        }
+    }
+
+    /**
+     * Pick a signed JSON export and check it against this device's key
+     */
+    verifyLogFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+
+        input.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const exported = JSON.parse(await readFileAsText(file));
+                if (exported.format !== EXCAVATION_LOG_FORMAT) {
+                    this.uiController.showToast('Not an excavation log export', 'error');
+                    return;
+                }
+
+                const valid = await verifyExcavationLog(exported, await getDeviceKeyFingerprint());
+                if (valid) {
+                    this.uiController.showToast('Signature valid: signed on this device and unchanged', 'success');
+                } else {
+                    this.uiController.showToast('Signature not valid: changed since export or signed by another device', 'error');
+                }
+            } catch (error) {
+                console.error('Error verifying excavation log:', error);
+                this.uiController.showToast('Could not read the excavation log', 'error');
+            }
+        });
+
+        input.click();
+    }
+
+    /**
+     * Open a printable report of a session. The report quotes the digest of
+     * the signed export so a printout can be matched to its JSON file.
+     * @param {ExcavationLog} log
+     */
+    async printLogReport(log) {
+        let signed = null;
+        try {
+            signed = await signExcavationLog(log);
+        } catch (error) {
+            console.error('Error signing excavation log:', error);
+        }
+
+        const html = this.buildLogReport(log, signed);
+        const report = window.open('', '_blank');
+
+        if (!report) {
+            // Pop-ups blocked: save the report instead
+            downloadBlob(new Blob([html], { type: 'text/html' }), exportFileName('html', 'excavation-report'));
+            return;
+        }
+
+        report.document.write(html);
+        report.document.close();
+        report.focus();
+        report.print();
+    }
+
+    /**
+     * Printable HTML for a session
+     * @param {ExcavationLog} log
+     * @param {Object|null} signed Result of signExcavationLog
+     * @returns {string}
+     */
+    buildLogReport(log, signed) {
+        const summary = log.getSummary();
+        const describe = entry => {
+            switch (entry.type) {
+                case 'enter':
+                    return 'Excavation mode armed' +
+                        `${entry.simulatedLocation ? ` (SIMULATED location: ${entry.locationSource})` : ''}`;
+                case 'exit':
+                    return 'Excavation mode ended';
+                case 'alert':
+                    return `${entry.escalated ? 'Escalated to' : 'New'} ${entry.level.toUpperCase()} alert: ` +
+                        `${entry.utility || entry.utilityId}, ${entry.clearance} ft clearance` +
+                        `${entry.verticalClearance ? ` (${entry.verticalClearance} ft below dig)` : ''}` +
+                        `${entry.station !== null && entry.station !== undefined ? `, station ${entry.station} m` : ''}`;
+                case 'dismiss':
+                    return `${entry.level.toUpperCase()} alert dismissed for ${entry.utilityId}. ` +
+                        `${entry.acknowledged ? `Acknowledged by ${entry.operator}` : 'Not acknowledged'}` +
+                        `${entry.note ? ` - "${entry.note}"` : ''}`;
+                default:
+                    return entry.type;
+            }
+        };
+
+        const entryRows = log.entries.map(entry => `
+            <tr class="${escapeHtml(entry.level || entry.type)}">
+                <td>${escapeHtml(formatTime(entry.time))}</td>
+                <td>${escapeHtml(describe(entry))}</td>
+                <td>${escapeHtml(formatPosition(entry))}</td>
+            </tr>`).join('');
+
+        const trackRows = log.track.map(point => `
+            <tr>
+                <td>${escapeHtml(formatTime(point.time))}</td>
+                <td>${point.lat.toFixed(7)}</td>
+                <td>${point.lng.toFixed(7)}</td>
+                <td>${point.accuracy ?? '-'}</td>
+            </tr>`).join('');
+
+        const site = log.site
+            ? `${log.site.type === 'trench' ? `Trench, ${log.site.width} ft wide` : 'Polygon'}, ` +
+              `${log.site.points.length} points, ${log.site.tolerance} in tolerance zone`
+            : 'No footprint planned';
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Excavation Log ${escapeHtml(log.startTime.slice(0, 10))}</title>
+<style>
+    body { font-family: sans-serif; font-size: 12px; margin: 24px; }
+    h1 { font-size: 18px; }
+    h2 { font-size: 14px; margin-top: 24px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    tr.critical td, tr.danger td { background: #fdecea; }
+    tr.caution td, tr.warning td { background: #fff8e1; }
+    .signature { font-family: monospace; word-break: break-all; }
+</style>
+</head>
+<body>
+<h1>Excavation Session Log</h1>
+<table>
+    <tr><th>Session</th><td>${escapeHtml(log.id)}</td></tr>
+    <tr><th>Operator</th><td>${escapeHtml(log.user)}</td></tr>
+    <tr><th>Started</th><td>${escapeHtml(formatTime(log.startTime))}</td></tr>
+    <tr><th>Ended</th><td>${escapeHtml(log.endTime ? formatTime(log.endTime) : 'In progress')}</td></tr>
+    <tr><th>Duration</th><td>${summary.durationMinutes} min</td></tr>
+    <tr><th>Dig depth</th><td>${log.digDepth !== null && log.digDepth !== undefined ? `${escapeHtml(log.digDepth)} ft` : 'Not set'}</td></tr>
+    <tr><th>Footprint</th><td>${escapeHtml(site)}</td></tr>
+    <tr><th>Alerts</th><td>${summary.alerts} raised, ${summary.dismissals} dismissed</td></tr>
+</table>
+
+<h2>Events</h2>
+<table>
+    <tr><th>Time</th><th>Event</th><th>Position</th></tr>${entryRows}
+</table>
+
+<h2>GPS Track (${summary.trackPoints} fixes)</h2>
+<table>
+    <tr><th>Time</th><th>Latitude</th><th>Longitude</th><th>Accuracy (m)</th></tr>${trackRows}
+</table>
+
+<h2>Signature</h2>
+${signed
+        ? `<p>SHA-256 of the signed session: <span class="signature">${signed.signature.sha256}</span></p>
+<p>Signing key fingerprint: <span class="signature">${escapeHtml(signed.signature.keyFingerprint)}</span></p>
+<p>A signed JSON export matches this report only if its ${escapeHtml(signed.signature.algorithm)} signature verifies with the key of this fingerprint.</p>`
+        : '<p>This report could not be signed on this device.</p>'}
+</body>
+</html>`;
+    }
+}
@@ -0,0 +1,369 @@
+/**
+ * GeometryEditController Module
+ * Vertex and line edits for the repositioning editor: add a vertex at a
+ * segment's midpoint handle, delete one, split the line at a point, merge
+ * it with the line carrying on from one of its ends and reverse it. Each
+ * edit is saved as one undoable command (with any vertices dragged so far)
+ * and keeps captures, connections and their stations in step.
+ */
+
+import {
+    JOIN_TOLERANCE,
+    VERTEX_TOLERANCE,
+    deleteVertex,
+    insertVertex,
+    mergeLines,
+    remapCaptures,
+    reverseLine,
+    splitLine
+} from '../models/LineEdit.js';
+import { toLatLngArray } from '../models/Schema.js';
+import { closestPointOnLine, geodesicDistance, measureStation } from '../utils/Geodesy.js';
+
+// How far from the line a split tap may land (m)
+const SPLIT_TOLERANCE = 10;
+
+/**
+ * Whether two connection points are the same place. Entries saved without
+ * a point match any.
+ */
+function samePoint(a, b) {
+    if (!a || !b) return true;
+    return geodesicDistance(a, b) <= VERTEX_TOLERANCE;
+}
+
+export class GeometryEditController {
+    constructor(appState, dataStore, mapController, uiController) {
+        this.appState = appState;
+        this.dataStore = dataStore;
+        this.mapController = mapController;
+        this.uiController = uiController;
+    }
+
+    /**
+     * Add a vertex in the middle of a segment of the line being edited
+     * @param {number} segmentIndex Segment between vertex i and i + 1
+     */
+    insertVertex(segmentIndex) {
+        const utility = this.appState.repositioningUtility;
+        if (!utility) return;
+
+        const command = this.begin('Add vertex', utility);
+
+        this.saveDraggedVertices(utility, command);
+        const start = utility.coordinates[segmentIndex];
+        const end = utility.coordinates[segmentIndex + 1];
+        const midpoint = [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2];
+
+        const { coordinates, vertexMap } = insertVertex(utility.coordinates, segmentIndex, midpoint);
+        this.setGeometry(utility, coordinates, vertexMap, command);
+        this.finish(command, utility, `Vertex ${segmentIndex + 2} added`);
+    }
+
+    /**
+     * Delete a vertex of the line being edited
+     * @param {number} index
+     */
+    deleteVertex(index) {
+        const utility = this.appState.repositioningUtility;
+        if (!utility) return;
+
+        if (this.appState.controlPoints.length <= 2) {
+            this.uiController.showToast('A line needs at least two vertices', 'warning');
+            return;
+        }
+
+        const command = this.begin('Delete vertex', utility);
+
+        this.saveDraggedVertices(utility, command);
+        const { coordinates, vertexMap } = deleteVertex(utility.coordinates, index);
+        this.setGeometry(utility, coordinates, vertexMap, command);
+        this.finish(command, utility, `Vertex ${index + 1} deleted`);
+    }
+
+    /**
+     * Delete the vertex picked in the editor
+     */
+    deleteSelectedVertex() {
+        const index = this.appState.controlPoints.indexOf(this.appState.selectedControlPoint);
+        if (index < 0) {
+            this.uiController.showToast('Tap a vertex to pick it, then delete it', 'info');
+            return;
+        }
+        this.deleteVertex(index);
+    }
+
+    /**
+     * Wait for a tap on the line where it should be split; pressing the
+     * button again stops waiting
+     */
+    toggleSplit() {
+        if (this.appState.isPickingSplit) {
+            this.stopSplit();
+            return;
+        }
+
+        this.appState.isPickingSplit = true;
+        this.mapController.map.getContainer().style.cursor = 'crosshair';
+        document.getElementById('split-line-btn')?.classList.add('active');
+        this.uiController.showToast('Tap the line where it should be split', 'info');
+    }
+
+    stopSplit() {
+        this.appState.isPickingSplit = false;
+        this.mapController.map.getContainer().style.cursor = '';
+        document.getElementById('split-line-btn')?.classList.remove('active');
+    }
+
+    /**
+     * Split the line being edited at the tapped point. The part after the
+     * point becomes a new record with the same attributes; connections go
+     * with the part they are on.
+     * @param {L.LatLng} latlng
+     */
+    split(latlng) {
+        const utility = this.appState.repositioningUtility;
+        if (!utility) return;
+
+        const result = splitLine(this.getEditedCoordinates(), toLatLngArray(latlng));
+        if (!result || result.distance > SPLIT_TOLERANCE) {
+            this.uiController.showToast(result ? 'Tap on the line to split it' : 'Tap away from the ends of the line', 'warning');
+            return;
+        }
+        this.stopSplit();
+
+        const command = this.begin('Split line', utility);
+
+        this.saveDraggedVertices(utility, command);
+        const coordinates = utility.coordinates;
+        const [first, second] = result.parts;
+
+        // Connections beyond the split point move to the new part
+        const moved = (utility.connections || []).filter(connection =>
+            connection.point && closestPointOnLine(connection.point, coordinates).station > result.station);
+
+        const created = JSON.parse(JSON.stringify(utility));
+        created.id = this.dataStore.generateId('utility');
+        created.coordinates = second.coordinates;
+        created.connections = moved;
+        created.dateAdded = new Date().toISOString();
+        const captures = remapCaptures(utility.captures, second.vertexMap);
+        if (captures) {
+            created.captures = captures;
+        } else {
+            delete created.captures;
+        }
+        command.track('utilities', created.id);
+        this.dataStore.insertRecord('utilities', created);
+
+        moved.forEach(connection => {
+            const partner = this.dataStore.findConnected(connection.targetId, command);
+            if (!partner) return;
+
+            (partner.record.connections || [])
+                .filter(entry => entry.targetId === utility.id && samePoint(entry.point, connection.point))
+                .forEach(entry => {
+                    entry.targetId = created.id;
+                });
+            this.dataStore.touchRecord(partner.record);
+        });
+
+        utility.connections = utility.connections.filter(connection => !moved.includes(connection));
+        this.setGeometry(utility, first.coordinates, first.vertexMap, command);
+        this.updateConnections(created, command);
+        this.dataStore.touchRecord(created);
+
+        this.finish(command, utility, `Split into ${this.mapController.getUtilityTitle(utility)} and ${this.mapController.getUtilityTitle(created)}`);
+    }
+
+    /**
+     * Merge the line being edited with a line of the same type that carries
+     * straight on from one of its ends. The edited line is kept and takes
+     * over the other's vertices and connections.
+     */
+    merge() {
+        const utility = this.appState.repositioningUtility;
+        if (!utility) return;
+
+        const candidate = this.findMergeCandidate(utility, this.getEditedCoordinates());
+        if (!candidate) {
+            this.uiController.showToast(`No ${utility.type} ${utility.lineType} carries straight on from either end`, 'warning');
+            return;
+        }
+
+        const { other, merged } = candidate;
+        const command = this.begin('Merge lines', utility);
+        this.saveDraggedVertices(utility, command);
+        command.track('utilities', other.id);
+
+        const [keptMap, otherMap] = merged.vertexMaps;
+        const otherCaptures = remapCaptures(other.captures, otherMap) || [];
+
+        // The two lines' connections to each other end with the merge
+        utility.connections = (utility.connections || []).filter(connection => connection.targetId !== other.id);
+        (other.connections || []).forEach(connection => {
+            if (connection.targetId === utility.id) return;
+
+            const partner = this.dataStore.findConnected(connection.targetId, command);
+            if (partner) {
+                (partner.record.connections || [])
+                    .filter(entry => entry.targetId === other.id)
+                    .forEach(entry => {
+                        entry.targetId = utility.id;
+                    });
+                this.dataStore.touchRecord(partner.record);
+            }
+            utility.connections.push(connection);
+        });
+
+        this.setGeometry(utility, merged.coordinates, keptMap, command);
+        const captures = [
+            ...(utility.captures || []),
+            ...otherCaptures.filter(capture => !(utility.captures || []).some(kept => kept.vertex === capture.vertex))
+        ];
+        if (captures.length) {
+            utility.captures = captures.sort((a, b) => a.vertex - b.vertex);
+        }
+
+        const title = this.mapController.getUtilityTitle(other);
+        this.dataStore.removeRecord('utilities', other);
+        this.finish(command, utility, `Merged with ${title}`);
+    }
+
+    /**
+     * Line of the same type meeting one end of a line and carrying straight on
+     * @returns {Object|null} { other, merged } (see LineEdit.mergeLines)
+     */
+    findMergeCandidate(utility, coordinates) {
+        const ends = [coordinates[0], coordinates[coordinates.length - 1]];
+
+        for (const end of ends) {
+            for (const id of this.dataStore.findNearby('utilities', end, JOIN_TOLERANCE)) {
+                const other = this.dataStore.getUtilityById(id);
+                if (!other || other.id === utility.id) continue;
+                if (other.type !== utility.type || other.lineType !== utility.lineType) continue;
+
+                const merged = mergeLines(coordinates, other.coordinates);
+                if (merged) return { other, merged };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Run the line being edited the other way
+     */
+    reverse() {
+        const utility = this.appState.repositioningUtility;
+        if (!utility) return;
+
+        const command = this.begin('Reverse line', utility);
+
+        this.saveDraggedVertices(utility, command);
+        const { coordinates, vertexMap } = reverseLine(utility.coordinates);
+        this.setGeometry(utility, coordinates, vertexMap, command);
+        this.finish(command, utility, 'Line direction reversed');
+    }
+
+    /**
+     * Vertices where the editor's control points are now
+     */
+    getEditedCoordinates() {
+        return this.appState.controlPoints.map(cp => toLatLngArray(cp.marker.getLatLng()));
+    }
+
+    /**
+     * Start a history command for an edit of a line, tracking the line
+     */
+    begin(label, utility) {
+        return this.dataStore.history.begin(label).track('utilities', utility.id);
+    }
+
+    /**
+     * Save vertices dragged in the editor. Captures of moved vertices no
+     * longer describe them and are dropped.
+     */
+    saveDraggedVertices(utility, command) {
+        const controlPoints = this.appState.controlPoints;
+        if (controlPoints.length !== utility.coordinates.length) return;
+
+        const moved = controlPoints
+            .map((cp, index) => cp.marker.getLatLng().equals(cp.originalPos) ? -1 : index)
+            .filter(index => index >= 0);
+        if (!moved.length) return;
+
+        const coordinates = this.getEditedCoordinates();
+        const vertexMap = coordinates.map((vertex, index) => index);
+        this.setGeometry(utility, coordinates, vertexMap, command, moved);
+    }
+
+    /**
+     * Replace a line's vertices, carrying captures over by a vertex map
+     * (old index -> new index, -1 where removed) and connections along
+     * @param {Array<number>} [moved] Old indexes of vertices that moved
+     */
+    setGeometry(utility, coordinates, vertexMap, command, moved = []) {
+        const previous = utility.coordinates;
+        utility.coordinates = coordinates;
+
+        const captures = remapCaptures(utility.captures, vertexMap.map((vertex, index) => moved.includes(index) ? -1 : vertex));
+        if (captures) {
+            utility.captures = captures;
+        } else {
+            delete utility.captures;
+        }
+
+        this.updateConnections(utility, command, previous, vertexMap);
+        this.dataStore.touchRecord(utility);
+    }
+
+    /**
+     * Bring a line's connections, and their copies on the other records, in
+     * line with its vertices. A service's connection made at a vertex follows
+     * that vertex; stations are measured again along the main.
+     * @param {Array} [previous] Vertices before the edit
+     * @param {Array<number>} [vertexMap] Old index -> new index
+     */
+    updateConnections(utility, command, previous = null, vertexMap = null) {
+        (utility.connections || []).forEach(connection => {
+            if (!connection.point) return;
+
+            const oldPoint = connection.point;
+            if (previous && utility.lineType !== 'main') {
+                const vertex = previous.findIndex(coordinate => samePoint(coordinate, oldPoint));
+                if (vertex >= 0 && vertexMap[vertex] >= 0) {
+                    connection.point = [...utility.coordinates[vertexMap[vertex]]];
+                }
+            }
+
+            const partner = this.dataStore.findConnected(connection.targetId, command);
+            const partnerMain = partner && partner.collection === 'utilities' && partner.record.lineType === 'main'
+                ? partner.record
+                : null;
+            const main = utility.lineType === 'main' ? utility : partnerMain;
+            if (main) {
+                connection.station = measureStation(connection.point, main.coordinates);
+            }
+            if (!partner) return;
+
+            (partner.record.connections || [])
+                .filter(entry => entry.targetId === utility.id && samePoint(entry.point, oldPoint))
+                .forEach(entry => {
+                    entry.point = connection.point;
+                    entry.station = connection.station;
+                });
+            this.dataStore.touchRecord(partner.record);
+        });
+    }
+
+    /**
+     * Save and commit an edit, then carry on editing the line as it is now
+     */
+    finish(command, utility, message) {
+        this.dataStore.history.commit(command);
+        this.mapController.loadUtilities();
+        this.mapController.restartRepositioning(utility);
+        this.uiController.showToast(message, 'success');
+    }
+}
@@ -0,0 +1,342 @@
+/**
+ * IsolationController Module
+ * Main break isolation: the user taps the break on a water or gas main and
+ * gets the valves to close (nearest first), the service lines and meters
+ * that lose supply, the shut-down segment shaded on the map and a printable
+ * shutoff plan for the crew.
+ */
+
+import { NetworkGraph } from '../models/NetworkGraph.js';
+import { downloadBlob, exportFileName } from '../utils/FileUtils.js';
+import { escapeHtml } from '../utils/Html.js';
+
+// Networks with valves that shut off supply
+const ISOLATION_NETWORKS = ['water', 'gas'];
+
+// How far from a main a tap may land and still pick it (m)
+const PICK_TOLERANCE = 20;
+
+function formatPoint([lat, lng]) {
+    return `${lat.toFixed(7)}, ${lng.toFixed(7)}`;
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+export class IsolationController {
+    constructor(appState, dataStore, mapController, uiController) {
+        this.appState = appState;
+        this.dataStore = dataStore;
+        this.mapController = mapController;
+        this.uiController = uiController;
+
+        this.main = null; // Main the break is on
+        this.breakPoint = null; // [lat, lng] on the main
+        this.graph = null;
+        this.result = null; // NetworkGraph.findIsolatingValves
+    }
+
+    /**
+     * Open the panel and wait for the break to be tapped
+     */
+    start() {
+        this.mapController.clearNetworkTrace();
+        this.main = null;
+        this.breakPoint = null;
+        this.graph = null;
+        this.result = null;
+
+        this.appState.isPickingBreak = true;
+        this.mapController.map.getContainer().style.cursor = 'crosshair';
+        this.render();
+        document.getElementById('isolation-panel').classList.add('visible');
+    }
+
+    /**
+     * Isolate a break at the tapped point on the nearest main
+     * @param {L.LatLng} latlng
+     */
+    pick(latlng) {
+        const nearest = this.mapController.findNearestUtility(latlng, PICK_TOLERANCE,
+            utility => utility.lineType === 'main' && ISOLATION_NETWORKS.includes(utility.type));
+        if (!nearest) {
+            this.uiController.showToast('Tap on a water or gas main', 'warning');
+            return;
+        }
+
+        this.appState.isPickingBreak = false;
+        this.mapController.map.getContainer().style.cursor = '';
+
+        this.main = nearest.utility;
+        this.breakPoint = [nearest.closestPoint.lat, nearest.closestPoint.lng];
+        this.graph = new NetworkGraph(this.main.type, this.dataStore.getUtilities(), this.dataStore.getStructures());
+        this.result = this.graph.findIsolatingValves({ utilityId: this.main.id, point: this.breakPoint });
+
+        this.render();
+        this.showResult();
+    }
+
+    /**
+     * Fill in the summary, valve list and affected list
+     */
+    render() {
+        const summary = document.getElementById('isolation-summary');
+        const valveList = document.getElementById('isolation-valves');
+        const affectedList = document.getElementById('isolation-affected');
+        valveList.innerHTML = '';
+        affectedList.innerHTML = '';
+        document.getElementById('isolation-print').disabled = !this.result;
+
+        if (this.appState.isPickingBreak) {
+            summary.textContent = 'Tap the main at the break';
+            return;
+        }
+
+        const result = this.result;
+        if (!result) {
+            summary.textContent = 'The main is not part of a mapped network';
+            return;
+        }
+
+        summary.textContent = result.valves.length
+            ? `Close ${plural(result.valves.length, 'valve')} to isolate ${Math.round(result.length)} m of line. ` +
+              `${plural(result.serviceIds.length, 'service line')} and ${plural(result.meterIds.length, 'meter')} lose supply.`
+            : 'No mapped valves isolate this break: the supply must be shut off upstream of the mapped network';
+
+        result.valves.forEach((valve, index) => {
+            const structure = this.graph.structures.get(valve.structureId);
+            valveList.appendChild(this.createItem(
+                `${index + 1}. ${this.mapController.getStructureTitle(structure)}`,
+                [
+                    valve.distance !== null ? `${Math.round(valve.distance)} m from the break` : null,
+                    structure.size ? `${structure.size} in` : null,
+                    structure.condition && structure.condition !== 'Unknown' ? structure.condition : null
+                ],
+                'valve',
+                [valve.point]
+            ));
+        });
+
+        result.serviceIds.forEach(id => {
+            const service = this.graph.utilities.get(id);
+            affectedList.appendChild(this.createItem(
+                this.mapController.getUtilityTitle(service),
+                [service.size ? `${service.size} in` : null, service.notes || null],
+                'utility',
+                service.coordinates
+            ));
+        });
+        result.meterIds.forEach(id => {
+            const meter = this.graph.structures.get(id);
+            affectedList.appendChild(this.createItem(
+                this.mapController.getStructureTitle(meter),
+                [meter.notes || null],
+                'structure',
+                [meter.coordinates]
+            ));
+        });
+    }
+
+    /**
+     * List entry; tapping it zooms to it
+     * @param {string} titleText
+     * @param {Array<string|null>} details Joined with commas, nulls dropped
+     * @param {string} role 'valve', 'utility' or 'structure'
+     * @param {Array<Array<number>>} points Where to zoom
+     */
+    createItem(titleText, details, role, points) {
+        const item = document.createElement('li');
+        item.className = `network-trace-item ${role}`;
+
+        const title = document.createElement('div');
+        title.className = 'network-trace-item-title';
+        title.textContent = titleText;
+        item.appendChild(title);
+
+        const detail = details.filter(Boolean).join(', ');
+        if (detail) {
+            const detailElement = document.createElement('div');
+            detailElement.className = 'network-trace-item-detail';
+            detailElement.textContent = detail;
+            item.appendChild(detailElement);
+        }
+
+        item.addEventListener('click', () => this.zoomTo(points));
+
+        return item;
+    }
+
+    /**
+     * Shade the shut-down segment, number the valves and fit it in view
+     */
+    showResult() {
+        if (!this.result) {
+            this.mapController.showNetworkTrace([], [{ point: this.breakPoint, role: 'break', label: 'Break' }]);
+            this.zoomTo([this.breakPoint]);
+            return;
+        }
+
+        const lines = this.result.edgeIds.map(id => ({
+            coordinates: this.graph.edges.get(id).coordinates,
+            role: 'affected'
+        }));
+        const points = this.result.valves.map((valve, index) => ({
+            point: valve.point,
+            role: 'valve',
+            label: `Close ${index + 1}`
+        }));
+        points.push({ point: this.breakPoint, role: 'break', label: 'Break' });
+
+        this.mapController.showNetworkTrace(lines, points);
+        this.zoomTo(lines.flatMap(line => line.coordinates).concat(points.map(point => point.point)));
+    }
+
+    zoomTo(points) {
+        if (points.length > 1) {
+            this.mapController.map.fitBounds(points, { padding: [40, 40], maxZoom: 21 });
+        } else if (points.length) {
+            this.mapController.map.setView(points[0], Math.max(this.mapController.map.getZoom(), 20));
+        }
+    }
+
+    /**
+     * Open the shutoff plan for printing
+     */
+    printPlan() {
+        if (!this.result) return;
+
+        const html = this.buildShutoffPlan();
+        const plan = window.open('', '_blank');
+
+        if (!plan) {
+            // Pop-ups blocked: save the plan instead
+            downloadBlob(new Blob([html], { type: 'text/html' }), exportFileName('html', 'shutoff-plan'));
+            return;
+        }
+
+        plan.document.write(html);
+        plan.document.close();
+        plan.focus();
+        plan.print();
+    }
+
+    /**
+     * Printable HTML shutoff plan: valves in the order to close them, with
+     * columns for the crew to fill in, then what loses supply
+     * @returns {string}
+     */
+    buildShutoffPlan() {
+        const result = this.result;
+        const main = this.main;
+        const network = main.type.charAt(0).toUpperCase() + main.type.slice(1);
+
+        const valveRows = result.valves.map((valve, index) => {
+            const structure = this.graph.structures.get(valve.structureId);
+            return `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${escapeHtml(this.mapController.getStructureTitle(structure))}<br><small>${escapeHtml(structure.id)}</small></td>
+                <td>${formatPoint(valve.point)}</td>
+                <td>${valve.distance !== null ? Math.round(valve.distance) : '-'}</td>
+                <td>${structure.size ? `${escapeHtml(structure.size)} in` : '-'}</td>
+                <td>${structure.depth ? `${escapeHtml(structure.depth)} ft` : '-'}</td>
+                <td>${escapeHtml(structure.notes || '')}</td>
+                <td></td>
+                <td></td>
+            </tr>`;
+        }).join('');
+
+        const serviceRows = result.serviceIds.map(id => {
+            const service = this.graph.utilities.get(id);
+            return `
+            <tr>
+                <td>${escapeHtml(this.mapController.getUtilityTitle(service))}</td>
+                <td>${escapeHtml(service.id)}</td>
+                <td>${service.size ? `${escapeHtml(service.size)} in` : '-'}</td>
+                <td>${escapeHtml(service.notes || '')}</td>
+            </tr>`;
+        }).join('');
+
+        const meterRows = result.meterIds.map(id => {
+            const meter = this.graph.structures.get(id);
+            return `
+            <tr>
+                <td>${escapeHtml(this.mapController.getStructureTitle(meter))}</td>
+                <td>${escapeHtml(meter.id)}</td>
+                <td>${formatPoint(meter.coordinates)}</td>
+                <td>${escapeHtml(meter.notes || '')}</td>
+            </tr>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Shutoff Plan ${escapeHtml(new Date().toISOString().slice(0, 10))}</title>
+<style>
+    body { font-family: sans-serif; font-size: 12px; margin: 24px; }
+    h1 { font-size: 18px; }
+    h2 { font-size: 14px; margin-top: 24px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    .warning { background: #fdecea; padding: 8px; border: 1px solid #d50000; }
+    .sign-off td { height: 28px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(network)} Main Break Shutoff Plan</h1>
+<table>
+    <tr><th>Break location</th><td>${formatPoint(this.breakPoint)}</td></tr>
+    <tr><th>Main</th><td>${escapeHtml(this.mapController.getUtilityTitle(main))} (${escapeHtml(main.id)})</td></tr>
+    <tr><th>Size / material</th><td>${main.size ? `${escapeHtml(main.size)} in` : 'Unknown size'}, ${escapeHtml(main.material || 'Unknown material')}</td></tr>
+    <tr><th>Prepared</th><td>${escapeHtml(new Date().toLocaleString())} by ${escapeHtml(this.dataStore.getCurrentUser())}</td></tr>
+    <tr><th>Out of service</th><td>${Math.round(result.length)} m of line, ${plural(result.serviceIds.length, 'service line')}, ${plural(result.meterIds.length, 'meter')}</td></tr>
+</table>
+
+<h2>Valves to Close (nearest first)</h2>
+${result.valves.length
+        ? `<table>
+    <tr><th>#</th><th>Valve</th><th>Location</th><th>From break (m)</th><th>Size</th><th>Depth</th><th>Notes</th><th>Turns</th><th>Closed (time / initials)</th></tr>${valveRows}
+</table>`
+        : '<p class="warning">No mapped valves isolate this break. Shut off the supply upstream of the mapped network.</p>'}
+<p>Valves come from the connections recorded between mains, services and structures. Confirm each valve in the field before closing it.</p>
+
+<h2>Service Lines Out of Service (${result.serviceIds.length})</h2>
+${serviceRows
+        ? `<table>
+    <tr><th>Service</th><th>ID</th><th>Size</th><th>Notes</th></tr>${serviceRows}
+</table>`
+        : '<p>None mapped.</p>'}
+
+<h2>Meters Out of Service (${result.meterIds.length})</h2>
+${meterRows
+        ? `<table>
+    <tr><th>Meter</th><th>ID</th><th>Location</th><th>Notes</th></tr>${meterRows}
+</table>`
+        : '<p>None mapped.</p>'}
+
+<h2>Crew Sign-off</h2>
+<table class="sign-off">
+    <tr><th>Crew lead</th><td></td><th>Supply off at</th><td></td></tr>
+    <tr><th>Customers notified</th><td></td><th>Supply restored at</th><td></td></tr>
+</table>
+</body>
+</html>`;
+    }
+
+    /**
+     * Close the panel and remove the shading
+     */
+    close() {
+        this.appState.isPickingBreak = false;
+        this.mapController.map.getContainer().style.cursor = '';
+        this.mapController.clearNetworkTrace();
+        document.getElementById('isolation-panel').classList.remove('visible');
+        this.main = null;
+        this.breakPoint = null;
+        this.graph = null;
+        this.result = null;
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * LineTraceController Module
+ * Walk-the-line capture: records the filtered GPS track while the locator
+ * walks over a utility, previews the line it simplifies to, and hands the
+ * vertices to the add utility form with the utility and line type already
+ * selected.
+ */
+
+import { LineTrace } from '../models/LineTrace.js';
+
+export class LineTraceController {
+    constructor(appState, mapController, uiController) {
+        this.appState = appState;
+        this.mapController = mapController;
+        this.uiController = uiController;
+        this.eventHandlers = null; // Set by main.js
+
+        this.handlePosition = (position, estimate) => this.addPosition(position, estimate);
+    }
+
+    /**
+     * Start tracing a line of the selected utility and line type
+     */
+    start() {
+        if (this.appState.lineTrace) return;
+
+        if (this.appState.isDrawing) {
+            this.eventHandlers.cancelDrawing();
+        }
+        if (this.appState.mode !== 'mapping') {
+            this.eventHandlers.setMode('mapping');
+        }
+
+        document.getElementById('line-trace-tolerance').value = this.appState.traceTolerance;
+
+        this.appState.lineTrace = new LineTrace({
+            utilityType: this.appState.activeUtilityType,
+            lineType: this.appState.activeLineType
+        });
+        this.mapController.addPositionListener(this.handlePosition);
+
+        this.render();
+        document.getElementById('line-trace-panel').classList.add('visible');
+        this.uiController.showToast('Walk along the utility. Pause to step around obstacles.', 'info');
+    }
+
+    /**
+     * @param {GeolocationPosition} position Raw fix
+     * @param {Object|null} estimate Filtered estimate
+     */
+    addPosition(position, estimate) {
+        const trace = this.appState.lineTrace;
+        if (trace && trace.addPosition(estimate, position.timestamp)) {
+            this.render();
+        }
+    }
+
+    /**
+     * Simplification tolerance from the panel (meters)
+     */
+    getTolerance() {
+        const tolerance = parseFloat(document.getElementById('line-trace-tolerance').value);
+        return isFinite(tolerance) && tolerance >= 0 ? tolerance : this.appState.traceTolerance;
+    }
+
+    /**
+     * Update the panel and the map preview
+     */
+    render() {
+        const trace = this.appState.lineTrace;
+        if (!trace) return;
+
+        const line = trace.simplify(this.getTolerance());
+        const status = trace.paused ? 'Paused' : 'Recording';
+
+        document.getElementById('line-trace-title').textContent = `Trace ${trace.utilityType} ${trace.lineType}`;
+        document.getElementById('line-trace-status').textContent =
+            `${status}: ${trace.points.length} points, ${trace.getLength().toFixed(1)} m, ${line.length} vertices`;
+        document.getElementById('line-trace-panel').classList.toggle('paused', trace.paused);
+        document.getElementById('pause-line-trace').innerHTML = trace.paused
+            ? '<i class="fas fa-play"></i> Resume'
+            : '<i class="fas fa-pause"></i> Pause';
+
+        this.mapController.showLineTrace(trace.getCoordinates(), line, trace.utilityType);
+    }
+
+    /**
+     * Pause or resume recording
+     */
+    togglePause() {
+        const trace = this.appState.lineTrace;
+        if (!trace) return;
+
+        if (trace.paused) {
+            trace.resume();
+        } else {
+            trace.pause();
+        }
+        this.render();
+    }
+
+    /**
+     * Simplify the trace and open the add utility form with it
+     */
+    finish() {
+        const trace = this.appState.lineTrace;
+        if (!trace) return;
+
+        const tolerance = this.getTolerance();
+        const coordinates = trace.simplify(tolerance);
+        if (coordinates.length < 2) {
+            this.uiController.showToast('Not enough of the line traced yet', 'warning');
+            return;
+        }
+
+        this.appState.setTraceTolerance(tolerance);
+        const statistics = trace.getStatistics(tolerance);
+        this.stop();
+
+        this.uiController.showAddTracedUtilityModal(
+            { type: trace.utilityType, lineType: trace.lineType },
+            { coordinates, trace: statistics }
+        );
+    }
+
+    /**
+     * Discard the trace
+     */
+    cancel() {
+        this.stop();
+        this.uiController.showToast('Trace discarded', 'info');
+    }
+
+    /**
+     * Stop recording and remove the panel and preview
+     */
+    stop() {
+        this.mapController.removePositionListener(this.handlePosition);
+        this.mapController.clearLineTrace();
+        this.appState.lineTrace = null;
+        document.getElementById('line-trace-panel').classList.remove('visible');
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ * LocationSourceController Module
+ * Location Source dialog: switch the map between the device GPS, a replayed
+ * NMEA/GPX log and the scripted simulator, so excavation alerts and capture
+ * tools can be tried out without walking a site. The choice is not saved;
+ * the app always starts on the device GPS.
+ */
+
+import { BrowserLocationProvider } from '../location/BrowserLocationProvider.js';
+import { ReplayLocationProvider } from '../location/ReplayLocationProvider.js';
+import { SimulatedLocationProvider, validateScript } from '../location/SimulatedLocationProvider.js';
+import { parseTrackLog } from '../location/TrackLog.js';
+import { readFileAsText } from '../utils/FileUtils.js';
+
+export class LocationSourceController {
+    constructor(appState, mapController, uiController) {
+        this.appState = appState;
+        this.mapController = mapController;
+        this.uiController = uiController;
+
+        this.fixes = null; // Fixes of the loaded log
+        this.fileName = null;
+    }
+
+    /**
+     * Show the dialog on the current source
+     */
+    open() {
+        const provider = this.mapController.locationProvider;
+        document.getElementById('location-source-type').value = provider.id;
+
+        const script = document.getElementById('location-source-script');
+        if (!script.value.trim()) {
+            script.value = JSON.stringify(this.getDefaultScript(), null, 2);
+        }
+
+        this.render();
+        this.showModal();
+    }
+
+    /**
+     * A walk around the square at the map center, stopping at each corner
+     */
+    getDefaultScript() {
+        const center = this.appState.userLocation || (this.mapController.map
+            ? [this.mapController.map.getCenter().lat, this.mapController.map.getCenter().lng]
+            : [38.897957, -77.036560]);
+        const round = value => Math.round(value * 1e6) / 1e6;
+
+        return {
+            start: center.map(round),
+            speed: 1.4,
+            accuracy: 3,
+            interval: 1,
+            seed: 1,
+            steps: [
+                { bearing: 90, distance: 20 },
+                { wait: 5 },
+                { bearing: 0, distance: 20 },
+                { wait: 5 },
+                { bearing: 270, distance: 20 },
+                { wait: 5 },
+                { bearing: 180, distance: 20 }
+            ]
+        };
+    }
+
+    /**
+     * Show the fields for the chosen source
+     */
+    render() {
+        const type = document.getElementById('location-source-type').value;
+        document.getElementById('location-source-replay').style.display = type === 'replay' ? '' : 'none';
+        document.getElementById('location-source-simulator').style.display = type === 'simulator' ? '' : 'none';
+        document.getElementById('location-source-playback').style.display = type === 'browser' ? 'none' : '';
+
+        const status = document.getElementById('location-source-file-status');
+        if (this.fixes) {
+            const duration = (this.fixes[this.fixes.length - 1].time - this.fixes[0].time) / 1000;
+            status.textContent = `${this.fileName}: ${this.fixes.length} fixes over ${formatDuration(duration)}`;
+        } else {
+            status.textContent = 'No log loaded';
+        }
+    }
+
+    /**
+     * Pick an NMEA or GPX log to replay
+     */
+    chooseFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.nmea,.txt,.log,.gpx';
+
+        input.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            readFileAsText(file)
+                .then(text => {
+                    const fixes = parseTrackLog(text, file.name);
+                    if (!fixes.length) {
+                        this.uiController.showToast('No position fixes found in the log', 'error');
+                        return;
+                    }
+
+                    this.fixes = fixes;
+                    this.fileName = file.name;
+                    this.render();
+                })
+                .catch(error => {
+                    console.error('Error reading log:', error);
+                    this.uiController.showToast(`Error reading log: ${error.message}`, 'error');
+                });
+        });
+
+        input.click();
+    }
+
+    /**
+     * Provider for the dialog's settings
+     * @returns {LocationProvider|null} Null (with a toast) if the settings
+     *   are incomplete
+     */
+    createProvider() {
+        const type = document.getElementById('location-source-type').value;
+        const options = {
+            speed: parseFloat(document.getElementById('location-source-speed').value),
+            loop: document.getElementById('location-source-loop').checked
+        };
+
+        if (type === 'replay') {
+            if (!this.fixes) {
+                this.uiController.showToast('Choose a log file to replay', 'warning');
+                return null;
+            }
+            return new ReplayLocationProvider(this.fixes, { ...options, label: `Replay of ${this.fileName}` });
+        }
+
+        if (type === 'simulator') {
+            let script;
+            try {
+                script = JSON.parse(document.getElementById('location-source-script').value);
+            } catch (error) {
+                this.uiController.showToast('The script is not valid JSON', 'error');
+                return null;
+            }
+
+            const error = validateScript(script);
+            if (error) {
+                this.uiController.showToast(error, 'error');
+                return null;
+            }
+
+            try {
+                return new SimulatedLocationProvider(script, options);
+            } catch (simulationError) {
+                this.uiController.showToast(simulationError.message, 'error');
+                return null;
+            }
+        }
+
+        return new BrowserLocationProvider();
+    }
+
+    /**
+     * Switch to the chosen source and center the map on its first fix
+     */
+    apply() {
+        const provider = this.createProvider();
+        if (!provider) return;
+
+        if (!provider.isAvailable()) {
+            this.uiController.showToast('Geolocation is not supported by your browser', 'error');
+            return;
+        }
+
+        provider.onFinish = () => {
+            this.uiController.showToast(`${provider.label} finished`, 'info');
+        };
+
+        this.mapController.setLocationProvider(provider);
+        this.mapController.locateUser();
+        this.updateIndicator();
+        this.hideModal();
+
+        this.uiController.showToast(`Location source: ${provider.label}`, provider.simulated ? 'warning' : 'success');
+    }
+
+    /**
+     * Flag simulated positions on the map, so nobody digs by them
+     */
+    updateIndicator() {
+        const provider = this.mapController.locationProvider;
+        document.getElementById('location-source-indicator').classList.toggle('visible', provider.simulated);
+        document.getElementById('location-source-indicator-text').textContent =
+            `SIMULATED LOCATION: ${provider.label.toUpperCase()}`;
+    }
+
+    showModal() {
+        const modal = document.getElementById('location-source-modal');
+        modal.classList.add('visible');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.querySelector('.modal-container').style.opacity = '1';
+        }, 10);
+    }
+
+    hideModal() {
+        const modal = document.getElementById('location-source-modal');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.classList.remove('visible');
+        }, 300);
+    }
+}
+
+/**
+ * Seconds as "1 h 5 min", "3 min 20 s" or "45 s"
+ */
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    if (total >= 3600) {
+        return `${Math.floor(total / 3600)} h ${Math.floor(total % 3600 / 60)} min`;
+    }
+    if (total >= 60) {
+        return `${Math.floor(total / 60)} min ${total % 60} s`;
+    }
+    return `${total} s`;
+}
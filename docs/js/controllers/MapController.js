@@ -1,160 +1,12 @@
-/**
- * Position filter for smoothing location data
- */
-class PositionFilter {
-    constructor() {
-        this.positions = [];
-        this.maxPositions = 10;  // Increased from 5 to 10 for smoother location averaging
-        this.accuracyThreshold = 35; // Increased from 20 to 35 meters to accommodate more challenging environments
-        this.headings = [];
-        this.maxHeadings = 10;   // Increased from 8 to 10 heading samples for better smoothing
-        this.lastHeading = null; // Track last heading for dampening
-    }
-    
-    addPosition(position) {
-        // Add simple speed-based outlier detection
-        if (this.positions.length > 0) {
-            const lastPos = this.positions[this.positions.length - 1];
-            const timeDelta = (position.timestamp - lastPos.timestamp) / 1000;
-            if (timeDelta > 0) {
-                const distDelta = this.calculateDistance(
-                    {lat: lastPos.coords.latitude, lng: lastPos.coords.longitude},
-                    {lat: position.coords.latitude, lng: position.coords.longitude}
-                );
-                const speed = distDelta / timeDelta; // meters per second
-                // Reject positions with unrealistic speed (e.g., > 30 m/s ≈ 108 km/h)
-                if (speed > 30 && this.positions.length > 2) {
-                    console.warn('Position rejected: unrealistic speed');
-                    return this.getFilteredPosition();
-                }
-            }
-        }
-        
-        // Always add positions for tracking, but weight them by accuracy
-        this.positions.push(position);
-        
-        // Keep only the most recent positions
-        if (this.positions.length > this.maxPositions) {
-            this.positions.shift();
-        }
-        
-        return this.getFilteredPosition();
-    }
-    
-    // Helper method to calculate distance between two points
-    calculateDistance(p1, p2) {
-        if (!p1 || !p2) return 0;
-        
-        // Using the Haversine formula to calculate distance
-        const R = 6371e3; // Earth's radius in meters
-        const φ1 = p1.lat * Math.PI / 180;
-        const φ2 = p2.lat * Math.PI / 180;
-        const Δφ = (p2.lat - p1.lat) * Math.PI / 180;
-        const Δλ = (p2.lng - p1.lng) * Math.PI / 180;
-
-        const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-                Math.cos(φ1) * Math.cos(φ2) *
-                Math.sin(Δλ/2) * Math.sin(Δλ/2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-        return R * c; // Distance in meters
-    }
-    
-    getFilteredPosition() {
-        if (this.positions.length === 0) return null;
-        
-        // Weight positions by recency and accuracy
-        let totalWeight = 0;
-        let weightedLat = 0;
-        let weightedLng = 0;
-        let totalAccuracy = 0;
-        
-        this.positions.forEach((pos, index) => {
-            // More recent positions get higher weight
-            const recencyWeight = Math.pow((index + 1) / this.positions.length, 2); // Squared for greater emphasis on recent positions
-            // More accurate positions get higher weight
-            const accuracyWeight = 1 / Math.max(1, pos.coords.accuracy);
-            const weight = recencyWeight * accuracyWeight;
-            
-            weightedLat += pos.coords.latitude * weight;
-            weightedLng += pos.coords.longitude * weight;
-            totalWeight += weight;
-            
-            // Track average accuracy
-            totalAccuracy += pos.coords.accuracy;
-        });
-        
-        // Return weighted average position with accuracy estimate
-        return {
-            latitude: weightedLat / totalWeight,
-            longitude: weightedLng / totalWeight,
-            accuracy: totalAccuracy / this.positions.length
-        };
-    }
-    
-    addHeading(heading) {
-        if (isNaN(heading)) return this.getFilteredHeading();
-        
-        // Apply a simple motion model to reduce jitter
-        if (this.lastHeading !== null) {
-            // Dampening: new heading is a weighted average of new and previous
-            const dampFactor = 0.3; // Lower = more dampening
-            heading = (1 - dampFactor) * this.lastHeading + dampFactor * heading;
-            
-            // Handle wrap-around for angles crossing 0/360 boundary
-            if (Math.abs(heading - this.lastHeading) > 180) {
-                if (heading > this.lastHeading) {
-                    heading -= 360;
-                } else {
-                    heading += 360;
-                }
-                heading = (1 - dampFactor) * this.lastHeading + dampFactor * heading;
-                // Normalize back to 0-360
-                if (heading < 0) heading += 360;
-                if (heading >= 360) heading -= 360;
-            }
-        }
-        
-        this.lastHeading = heading;
-        this.headings.push(heading);
-        
-        if (this.headings.length > this.maxHeadings) {
-            this.headings.shift();
-        }
-        
-        return this.getFilteredHeading();
-    }
-    
-    getFilteredHeading() {
-        if (this.headings.length === 0) return 0;
-        
-        // Special handling for heading values that wrap around 0/360
-        // Convert headings to vectors, average them, then convert back to angle
-        let sumSin = 0;
-        let sumCos = 0;
-        
-        this.headings.forEach((heading) => {
-            // Convert heading to radians
-            const rad = heading * Math.PI / 180;
-            sumSin += Math.sin(rad);
-            sumCos += Math.cos(rad);
-        });
-        
-        // Convert average vector back to degrees
-        const avgRad = Math.atan2(sumSin, sumCos);
-        let avgHeading = avgRad * 180 / Math.PI;
-        
-        // Normalize to 0-360 range
-        if (avgHeading < 0) avgHeading += 360;
-        
-        return avgHeading;
-    }
-    
-    reset() {
-        this.positions = [];
-        this.headings = [];
-        this.lastHeading = null;
-    }
-}
+import { toLatLngArray } from '../models/Schema.js';
+import { gradeClearance, getClearanceRule, getMaxClearanceDistance } from '../models/Clearance.js';
+import { getFootprintOutline } from '../models/Excavation.js';
+import { ExcavationLog } from '../models/ExcavationLog.js';
+import { geodesicDistance, closestPointOnLine, closestPointOnSegment, lineLength } from '../utils/Geodesy.js';
+import { PositionFilter } from '../location/PositionFilter.js';
+import { KalmanPositionFilter } from '../location/KalmanPositionFilter.js';
+import { BrowserLocationProvider } from '../location/BrowserLocationProvider.js';
+import { findSnap } from '../models/Snapping.js';
 
 /**
  * CAC UtiliTrack - Map Controller
@@ -170,6 +22,17 @@ class PositionFilter {
 // Import Leaflet as a global (already loaded via CDN)
 const L = window.L;
 
+// How often the excavation log is stored while only the GPS track changes
+const EXCAVATION_LOG_SAVE_INTERVAL = 30000; // ms
+
+/**
+ * Point halfway between two vertices (segments are short enough to
+ * average the degrees)
+ */
+function getMidpoint(a, b) {
+    return L.latLng((a.lat + b.lat) / 2, (a.lng + b.lng) / 2);
+}
+
 export class MapController {
     constructor(appState, dataStore) {
         this.appState = appState;
@@ -193,6 +56,12 @@ export class MapController {
             custom: L.layerGroup()
         };
         this.measurementLayer = L.layerGroup();
+        this.annotationLayer = L.layerGroup();
+        this.excavationLayer = L.layerGroup(); // Planned excavation footprint and its conflicts
+        
+        // Rendered layers by record id, for resolving spatial index results
+        this.utilityLinesById = new Map();
+        this.structureMarkersById = new Map();
         
         this.userLocationMarker = null;
         this.followUser = false;
@@ -206,6 +75,7 @@ export class MapController {
         this.accuracyCircle = null;
         
         // Location tracking properties
+        this.locationProvider = new BrowserLocationProvider(); // Device GPS, or a replay/simulator
         this.watchPositionId = null;
         this.currentHeading = 0;
         this.lastPosition = null;
@@ -220,8 +90,14 @@ export class MapController {
         this.lastHeadingPriority = null;
         this.lastHighPriorityTime = 0;
         
-        // Create an instance of PositionFilter for location smoothing
-        this.positionFilter = new PositionFilter();
+        // Location smoothing with the engine chosen in settings
+        this.positionFilter = this.createPositionFilter(appState.locationFilter);
+        this.confidenceEllipse = null; // Kalman 95% confidence ellipse
+        this.positionListeners = new Set(); // Called with every fix and the filtered estimate
+        this.trackingForListeners = false; // Tracking was started for position listeners, not by the user
+        this.lineTraceLayers = null; // GPS trace preview: recorded track and simplified line
+        this.offsetPreview = null; // Offset point preview: line from the user and the point
+        this.networkTraceLayer = null; // Network trace result highlight
         
         // Signal strength indicator
         this.signalStrengthIndicator = null;
@@ -257,8 +133,10 @@ export class MapController {
             this.structureLayers[type].addTo(this.map);
         }
         
-        // Add measurement layer to map
+        // Add measurement and annotation layers to map
         this.measurementLayer.addTo(this.map);
+        this.annotationLayer.addTo(this.map);
+        this.excavationLayer.addTo(this.map);
         
         // Store initial map center and zoom
         this.appState.lastMapCenter = this.map.getCenter();
@@ -511,16 +389,18 @@ export class MapController {
     }
 
     /**
-     * Use browser geolocation to locate the user
+     * Locate the user with the current location provider
      */
     locateUser() {
         // Attempt to start orientation tracking immediately (within the same
         // user-gesture that triggered Locate Me) so iOS devices will show the
         // motion-permission prompt together with the location prompt.
-        this.setupOrientationTracking();
+        if (this.locationProvider.usesDeviceOrientation) {
+            this.setupOrientationTracking();
+        }
 
-        if ('geolocation' in navigator) {
-            navigator.geolocation.getCurrentPosition(
+        if (this.locationProvider.isAvailable()) {
+            this.locationProvider.getCurrentPosition(
                 (position) => {
                     const userLocation = [position.coords.latitude, position.coords.longitude];
                     this.map.setView(userLocation, 19);
@@ -540,6 +420,7 @@ export class MapController {
                     
                     // Start high accuracy location tracking
                     this.startHighAccuracyLocationTracking();
+                    this.trackingForListeners = false;
                 },
                 (error) => {
                     console.error('Geolocation error:', error);
@@ -669,11 +550,18 @@ export class MapController {
      * @param {object} position Position object from geolocation
      */
     updateLocationMarker(position) {
+        // Raw fixes go in the excavation log's GPS track
+        this.logExcavationTrack(position);
+        
         // Use position filter to smooth location data
         const filteredPosition = this.positionFilter.addPosition(position);
+        this.positionListeners.forEach(listener => listener(position, filteredPosition));
         
         if (!filteredPosition) return;
         
+        this.appState.locationEstimate = filteredPosition;
+        this.updateConfidenceEllipse(filteredPosition.ellipse);
+        
         const lat = filteredPosition.latitude;
         const lng = filteredPosition.longitude;
         const accuracy = position.coords.accuracy;
@@ -700,6 +588,8 @@ export class MapController {
                     accuracyCircle.style.transform = `scale(${scale})`;
                 }
                 
+                markerElement.classList.toggle('stationary', Boolean(filteredPosition.stationary));
+                
                 // Add appropriate accuracy class
                 if (accuracy < 5) {
                     markerElement.classList.add('high-accuracy');
@@ -718,8 +608,135 @@ export class MapController {
         
         // Update app state with latest position
         this.appState.userLocation = [lat, lng];
+        if (accuracy) {
+            this.appState.locationAccuracy = accuracy;
+        }
     }
 
+    /**
+     * Receive every GPS fix, starting high accuracy tracking if the location
+     * isn't being watched yet
+     * @param {Function} listener Called with the raw GeolocationPosition and
+     *   the position filter's estimate (null until it has one)
+     */
+    addPositionListener(listener) {
+        this.positionListeners.add(listener);
+        
+        if (!this.watchPositionId) {
+            this.startHighAccuracyLocationTracking();
+            this.trackingForListeners = true;
+        }
+    }
+    
+    /**
+     * Stop receiving raw GPS fixes. Tracking started for the listeners stops
+     * with the last of them, to spare the battery.
+     * @param {Function} listener
+     */
+    removePositionListener(listener) {
+        this.positionListeners.delete(listener);
+        
+        if (!this.positionListeners.size && this.trackingForListeners) {
+            this.trackingForListeners = false;
+            this.stopHighAccuracyLocationTracking();
+        }
+    }
+    
+    /**
+     * Position filter for a location engine
+     * @param {string} type 'kalman' or 'average' (see LOCATION_FILTERS)
+     * @returns {PositionFilter}
+     */
+    createPositionFilter(type) {
+        return type === 'average' ? new PositionFilter() : new KalmanPositionFilter();
+    }
+    
+    /**
+     * Switch location engine; the new one starts from the next fix. The
+     * compass hasn't changed, so its heading samples carry over.
+     * @param {string} type 'kalman' or 'average'
+     */
+    setLocationFilter(type) {
+        const previous = this.positionFilter;
+        this.positionFilter = this.createPositionFilter(type);
+        if (previous) {
+            this.positionFilter.headings = [...previous.headings];
+            this.positionFilter.lastHeading = previous.lastHeading;
+        }
+        this.appState.locationEstimate = null;
+        this.updateConfidenceEllipse(null);
+    }
+    
+    /**
+     * Take fixes from a different source (device GPS, a replayed log or the
+     * simulator), restarting location tracking on it
+     * @param {LocationProvider} provider
+     */
+    setLocationProvider(provider) {
+        if (this.watchPositionId) {
+            this.locationProvider.clearWatch(this.watchPositionId);
+            this.watchPositionId = null;
+        }
+        this.locationProvider.dispose();
+        
+        // The compass belongs to the device, not to replayed or scripted fixes
+        if (!provider.usesDeviceOrientation && this.orientationHandler && this.isOrientationActive) {
+            window.removeEventListener('deviceorientation', this.orientationHandler);
+            window.removeEventListener('deviceorientationabsolute', this.orientationHandler);
+            this.isOrientationActive = false;
+            this.orientationHandler = null;
+        }
+        this.lastHeadingSource = null;
+        this.lastHeadingTime = 0;
+        
+        this.locationProvider = provider;
+        this.appState.locationEstimate = null;
+        this.updateConfidenceEllipse(null);
+        this.startHighAccuracyLocationTracking();
+    }
+    
+    /**
+     * Draw, move or remove the confidence ellipse around the user
+     * @param {Object|null} ellipse From KalmanPositionFilter.getConfidenceEllipse
+     */
+    updateConfidenceEllipse(ellipse) {
+        if (!ellipse) {
+            if (this.confidenceEllipse) {
+                this.map.removeLayer(this.confidenceEllipse);
+                this.confidenceEllipse = null;
+            }
+            return;
+        }
+        
+        if (this.confidenceEllipse) {
+            this.confidenceEllipse.setLatLngs(ellipse.points);
+        } else {
+            this.confidenceEllipse = L.polygon(ellipse.points, {
+                color: '#2196F3',
+                weight: 1,
+                opacity: 0.6,
+                fillColor: '#2196F3',
+                fillOpacity: 0.1,
+                interactive: false
+            }).addTo(this.map);
+        }
+    }
+    
+    /**
+     * Current smoothed heading (compass, falling back to GPS course)
+     * @returns {Object|null} { heading (degrees), source, age (ms) }, null
+     *   before any heading has been received
+     */
+    getCurrentHeading() {
+        if (!this.lastHeadingTime) return null;
+        
+        return {
+            heading: this.positionFilter.getFilteredHeading(),
+            source: this.lastHeadingSource,
+            age: Date.now() - this.lastHeadingTime
+        };
+    }
+    
     /**
      * Update the heading indicator on the user location marker
      * @param {number} heading Heading in degrees (0-360)
@@ -1033,6 +1050,9 @@ export class MapController {
         // Clear existing layers
         Object.values(this.utilityLayers).forEach(layer => layer.clearLayers());
         Object.values(this.structureLayers).forEach(layer => layer.clearLayers());
+        this.annotationLayer.clearLayers();
+        this.utilityLinesById.clear();
+        this.structureMarkersById.clear();
 
         // Get utilities from the data store
         const utilities = this.dataStore.getUtilities();
@@ -1045,6 +1065,10 @@ export class MapController {
         structures.forEach(structure => {
             this.renderStructure(structure);
         });
+
+        this.dataStore.annotations.forEach(annotation => {
+            this.renderAnnotation(annotation);
+        });
     }
 
     /**
@@ -1068,6 +1092,7 @@ export class MapController {
         // Add data to the line
         line.utilityId = utility.id;
         line.utilityData = utility;
+        this.utilityLinesById.set(utility.id, line);
 
         // Add popup
         line.bindPopup(this.createUtilityPopupContent(utility));
@@ -1103,6 +1128,7 @@ export class MapController {
         // Add data to the marker
         marker.structureId = structure.id;
         marker.structureData = structure;
+        this.structureMarkersById.set(structure.id, marker);
 
         // Add popup
         marker.bindPopup(this.createStructurePopupContent(structure));
@@ -1115,6 +1141,56 @@ export class MapController {
         return marker;
     }
 
+    /**
+     * Render an annotation label on the map
+     * @param {Object} annotation The annotation to render
+     */
+    renderAnnotation(annotation) {
+        if (!annotation || !annotation.coordinates) {
+            console.error('Invalid annotation data:', annotation);
+            return;
+        }
+
+        const label = document.createElement('div');
+        label.className = 'annotation-marker';
+        label.textContent = annotation.text;
+
+        const marker = L.marker(annotation.coordinates, {
+            icon: L.divIcon({
+                className: 'annotation-icon',
+                html: label,
+                iconSize: null
+            })
+        });
+
+        marker.annotationId = annotation.id;
+        marker.addTo(this.annotationLayer);
+
+        return marker;
+    }
+
+    /**
+     * Mark where a service line connects to a main
+     * @param {Array} point [lat, lng] of the connection
+     * @param {string} utilityType Utility type, for the marker color
+     * @returns {L.CircleMarker}
+     */
+    addConnectorMarker(point, utilityType) {
+        const connector = L.circleMarker(point, {
+            radius: 5,
+            color: '#ffffff',
+            weight: 2,
+            fillColor: this.getUtilityColor(utilityType),
+            fillOpacity: 1
+        });
+
+        if (this.utilityLayers[utilityType]) {
+            connector.addTo(this.utilityLayers[utilityType]);
+        }
+
+        return connector;
+    }
+
     /**
      * Get the appropriate color for a utility type
      * @param {string} utilityType The type of utility
@@ -1173,6 +1249,9 @@ export class MapController {
                     <button class="btn btn-sm btn-primary view-details-btn" data-id="${utility.id}" data-type="utility">
                         View Details
                     </button>
+                    <button class="btn btn-sm btn-secondary network-trace-btn" data-id="${utility.id}" data-type="utility">
+                        Trace
+                    </button>
                 </div>
             </div>
         `;
@@ -1200,6 +1279,9 @@ export class MapController {
                     <button class="btn btn-sm btn-primary view-details-btn" data-id="${structure.id}" data-type="structure">
                         View Details
                     </button>
+                    <button class="btn btn-sm btn-secondary network-trace-btn" data-id="${structure.id}" data-type="structure">
+                        Trace
+                    </button>
                 </div>
             </div>
         `;
@@ -1387,6 +1469,182 @@ export class MapController {
         document.body.style.cursor = '';
     }
 
+    /**
+     * Show a GPS trace in progress: the recorded track and the line it
+     * simplifies to
+     * @param {Array} track Recorded points as [lat, lng]
+     * @param {Array} line Simplified vertices as [lat, lng]
+     * @param {string} utilityType
+     */
+    showLineTrace(track, line, utilityType) {
+        if (!this.lineTraceLayers) {
+            this.lineTraceLayers = {
+                track: L.polyline([], {
+                    color: '#757575',
+                    weight: 2,
+                    opacity: 0.7,
+                    dashArray: '2, 4',
+                    interactive: false
+                }).addTo(this.map),
+                line: L.polyline([], {
+                    weight: 4,
+                    opacity: 0.9,
+                    interactive: false
+                }).addTo(this.map),
+                vertices: L.layerGroup().addTo(this.map)
+            };
+        }
+        
+        const color = this.getUtilityColor(utilityType);
+        this.lineTraceLayers.track.setLatLngs(track);
+        this.lineTraceLayers.line.setLatLngs(line).setStyle({ color });
+        
+        this.lineTraceLayers.vertices.clearLayers();
+        line.forEach(point => {
+            L.circleMarker(point, {
+                radius: 4,
+                color,
+                fillColor: '#ffffff',
+                fillOpacity: 1,
+                weight: 2,
+                interactive: false
+            }).addTo(this.lineTraceLayers.vertices);
+        });
+    }
+    
+    /**
+     * Show where an offset point will be placed
+     * @param {Array} origin [lat, lng] the offset is measured from
+     * @param {Array|null} point [lat, lng], null to remove the preview
+     */
+    showOffsetPreview(origin, point) {
+        if (!point) {
+            this.clearOffsetPreview();
+            return;
+        }
+        
+        if (!this.offsetPreview) {
+            this.offsetPreview = {
+                line: L.polyline([origin, point], {
+                    color: '#2962ff',
+                    weight: 2,
+                    dashArray: '4, 4',
+                    interactive: false
+                }).addTo(this.map),
+                point: L.circleMarker(point, {
+                    radius: 7,
+                    color: '#2962ff',
+                    fillColor: '#ffffff',
+                    fillOpacity: 1,
+                    weight: 3,
+                    interactive: false
+                }).addTo(this.map)
+            };
+            return;
+        }
+        
+        this.offsetPreview.line.setLatLngs([origin, point]);
+        this.offsetPreview.point.setLatLng(point);
+    }
+    
+    /**
+     * Remove the offset point preview
+     */
+    clearOffsetPreview() {
+        if (!this.offsetPreview) return;
+        
+        this.map.removeLayer(this.offsetPreview.line);
+        this.map.removeLayer(this.offsetPreview.point);
+        this.offsetPreview = null;
+    }
+    
+    /**
+     * Highlight the result of a network trace, replacing any earlier one
+     * @param {Array<Object>} lines { coordinates, role }: role 'source' for
+     *   the line traced from, 'result' for the lines found, 'affected' for
+     *   lines shut off by an isolation
+     * @param {Array<Object>} points { point: [lat, lng], role, label }: role
+     *   'valve', 'outfall', 'start' or 'break'
+     */
+    showNetworkTrace(lines, points) {
+        this.clearNetworkTrace();
+        
+        const lineStyles = {
+            source: { color: '#1565c0', opacity: 0.45 },
+            result: { color: '#ff6d00', opacity: 0.55 },
+            affected: { color: '#d50000', opacity: 0.3 }
+        };
+        const pointStyles = {
+            valve: { radius: 9, color: '#d50000', fillColor: '#ffffff' },
+            outfall: { radius: 8, color: '#ffffff', fillColor: '#2e7d32' },
+            start: { radius: 6, color: '#212121', fillColor: '#ffeb3b' },
+            break: { radius: 8, color: '#ffffff', fillColor: '#d50000' }
+        };
+        
+        this.networkTraceLayer = L.layerGroup().addTo(this.map);
+        
+        lines.forEach(({ coordinates, role }) => {
+            L.polyline(coordinates, {
+                ...lineStyles[role],
+                weight: role === 'affected' ? 20 : 12,
+                lineCap: 'round',
+                interactive: false
+            }).addTo(this.networkTraceLayer);
+        });
+        
+        points.forEach(({ point, role, label }) => {
+            const marker = L.circleMarker(point, {
+                ...pointStyles[role],
+                weight: 3,
+                fillOpacity: 1,
+                interactive: false
+            }).addTo(this.networkTraceLayer);
+            
+            if (label) {
+                marker.bindTooltip(label, { permanent: true, direction: 'top', offset: [0, -8] });
+            }
+        });
+    }
+    
+    /**
+     * Remove the network trace highlight
+     */
+    clearNetworkTrace() {
+        if (!this.networkTraceLayer) return;
+        
+        this.map.removeLayer(this.networkTraceLayer);
+        this.networkTraceLayer = null;
+    }
+    
+    /**
+     * Remove the GPS trace preview
+     */
+    clearLineTrace() {
+        if (!this.lineTraceLayers) return;
+        
+        Object.values(this.lineTraceLayers).forEach(layer => this.map.removeLayer(layer));
+        this.lineTraceLayers = null;
+    }
+
+    /**
+     * Draw or move the preview of the line being drawn
+     * @param {Array} points Drawn points, plus the cursor position if any
+     */
+    showTempLine(points) {
+        if (this.appState.tempLine) {
+            this.appState.tempLine.setLatLngs(points);
+            return;
+        }
+        
+        this.appState.tempLine = L.polyline(points, {
+            color: this.getUtilityColor(this.appState.activeUtilityType),
+            weight: this.appState.activeLineType === 'main' ? 5 : 3,
+            opacity: 0.6,
+            dashArray: '5, 5',
+            interactive: false
+        }).addTo(this.map);
+    }
+
     /**
      * Handle measurement clicks on map
      */
@@ -1503,6 +1761,9 @@ export class MapController {
         this.appState.isExcavationMode = true;
         this.appState.activeAlerts = [];
         
+        // Start recording the session
+        this.startExcavationLog();
+        
         // Show excavation mode UI
         if (this.uiController) {
             this.uiController.showExcavationModeIndicator();
@@ -1526,6 +1787,7 @@ export class MapController {
         
         // Enable high accuracy location tracking
         this.startHighAccuracyLocationTracking();
+        this.trackingForListeners = false;
         
         // Start proximity monitoring at frequent intervals
         this.startProximityMonitoring();
@@ -1533,6 +1795,125 @@ export class MapController {
         console.log('Excavation mode enabled');
     }
     
+    /**
+     * Show the planned excavation footprint, and its conflicts once analyzed
+     * @param {Object} site Excavation site being planned (see Excavation.js)
+     * @param {Object} [analysis] Result of analyzeExcavationSite
+     */
+    setExcavationSite(site, analysis = null) {
+        this.appState.excavationSite = site;
+        this.excavationLayer.clearLayers();
+        if (!site) return;
+        
+        const outline = analysis ? analysis.outline : getFootprintOutline(site);
+        if (outline.length) {
+            L.polygon(outline, {
+                color: '#FF5722',
+                weight: 2,
+                dashArray: analysis ? null : '6, 4',
+                fillColor: '#FF5722',
+                fillOpacity: 0.15,
+                fillRule: 'nonzero', // sharp trench bends overlap themselves
+                interactive: false
+            }).addTo(this.excavationLayer);
+        }
+        
+        // Centerline or corners as placed
+        if (site.type === 'trench' && site.points.length >= 2) {
+            L.polyline(site.points, { color: '#FF5722', weight: 1, dashArray: '2, 4', interactive: false }).addTo(this.excavationLayer);
+        }
+        site.points.forEach(point => {
+            L.circleMarker(point, { radius: 4, color: '#FF5722', weight: 2, fillColor: '#fff', fillOpacity: 1, interactive: false })
+                .addTo(this.excavationLayer);
+        });
+        
+        if (!analysis) return;
+        
+        // Crossing points in red, closest approach of tolerance-zone conflicts in amber
+        analysis.conflicts.forEach(conflict => {
+            const points = conflict.crossings.length ? conflict.crossings : [conflict.closestPoint];
+            points.forEach(point => {
+                L.circleMarker(point, {
+                    radius: 7,
+                    color: '#fff',
+                    weight: 2,
+                    fillColor: conflict.status === 'intersects' ? '#F44336' : '#FFC107',
+                    fillOpacity: 1,
+                    interactive: false
+                }).addTo(this.excavationLayer);
+            });
+        });
+    }
+    
+    /**
+     * Remove the excavation footprint from the map
+     */
+    clearExcavationSite() {
+        this.setExcavationSite(null);
+    }
+    
+    /**
+     * Start the session log for an excavation: who, where, and the alert
+     * settings in force
+     */
+    startExcavationLog() {
+        const site = this.appState.excavationSite;
+        const log = new ExcavationLog({
+            user: this.dataStore.getCurrentUser(),
+            site: site && site.points.length ? site : null,
+            digDepth: this.appState.digDepth,
+            clearanceRules: this.appState.clearanceRules
+        });
+        
+        log.record('enter', {
+            ...this.getExcavationLogPosition(),
+            locationSource: this.locationProvider.label,
+            simulatedLocation: this.locationProvider.simulated
+        });
+        
+        this.appState.excavationLog = log;
+        this.lastExcavationLogSave = Date.now();
+        this.dataStore.saveExcavationSession(log);
+    }
+    
+    /**
+     * Close and store the session log
+     */
+    endExcavationLog() {
+        const log = this.appState.excavationLog;
+        if (!log) return;
+        
+        log.record('exit', this.getExcavationLogPosition());
+        this.dataStore.saveExcavationSession(log);
+        this.appState.excavationLog = null;
+    }
+    
+    /**
+     * Add a GPS fix to the session log, storing the log every so often
+     * @param {GeolocationPosition} position
+     */
+    logExcavationTrack(position) {
+        const log = this.appState.excavationLog;
+        if (!log || !log.addTrackPoint(position)) return;
+        
+        if (Date.now() - this.lastExcavationLogSave >= EXCAVATION_LOG_SAVE_INTERVAL) {
+            this.lastExcavationLogSave = Date.now();
+            this.dataStore.saveExcavationSession(log);
+        }
+    }
+    
+    /**
+     * Current position and accuracy, for log entries
+     */
+    getExcavationLogPosition() {
+        const location = this.userLocationMarker ? this.userLocationMarker.getLatLng() : null;
+        
+        return {
+            location: location ? [location.lat, location.lng] : null,
+            accuracy: this.appState.locationAccuracy ?? null
+        };
+    }
+    
     /**
      * Disable excavation mode
      */
@@ -1544,11 +1925,14 @@ export class MapController {
         this.appState.isExcavationMode = false;
         this.appState.activeAlerts = [];
         
+        // Close the session log
+        this.endExcavationLog();
+        
         // Hide excavation mode UI
         if (this.uiController) {
             this.uiController.hideExcavationModeIndicator();
             this.uiController.hideExitExcavationButton();
-            this.uiController.clearAllProximityAlerts();
+            this.uiController.closeAllProximityAlerts();
         }
         
         // Reset zoom level to normal
@@ -1557,6 +1941,9 @@ export class MapController {
         // Remove excavation mode visual style
         document.body.classList.remove('excavation-mode');
         
+        // Remove the planned footprint
+        this.clearExcavationSite();
+        
         // Reset any existing utility highlights
         this.resetAllUtilityHighlights();
         
@@ -1634,7 +2021,7 @@ export class MapController {
         try {
             // Stop current watching
             if (this.watchPositionId) {
-                navigator.geolocation.clearWatch(this.watchPositionId);
+                this.locationProvider.clearWatch(this.watchPositionId);
                 this.watchPositionId = null;
             }
             
@@ -1642,7 +2029,7 @@ export class MapController {
             this.positionFilter.reset();
             
             // Start new watching with high accuracy
-            if (navigator.geolocation) {
+            if (this.locationProvider.isAvailable()) {
                 const options = {
                     enableHighAccuracy: true,
                     timeout: 10000,
@@ -1650,7 +2037,7 @@ export class MapController {
                 };
                 
                 try {
-                    this.watchPositionId = navigator.geolocation.watchPosition(
+                    this.watchPositionId = this.locationProvider.watchPosition(
                         (position) => {
                             this.updateLocationMarker(position);
                             
@@ -1716,7 +2103,9 @@ export class MapController {
                 }
                 
                 // Setup orientation tracking for heading
-                this.setupOrientationTracking();
+                if (this.locationProvider.usesDeviceOrientation) {
+                    this.setupOrientationTracking();
+                }
             }
         } catch (error) {
             console.error('Error starting high accuracy location tracking:', error);
@@ -1731,7 +2120,7 @@ export class MapController {
      */
     stopHighAccuracyLocationTracking() {
         if (this.watchPositionId) {
-            navigator.geolocation.clearWatch(this.watchPositionId);
+            this.locationProvider.clearWatch(this.watchPositionId);
             this.watchPositionId = null;
         }
         
@@ -1758,12 +2147,16 @@ export class MapController {
     resetAllUtilityHighlights() {
         // Reset previous highlights
         this.utilityHighlights.forEach(highlightInfo => {
-            const { layer, originalStyle } = highlightInfo;
+            const { layer, originalStyle, marker } = highlightInfo;
             
             // Reset to original style
             if (layer && originalStyle) {
                 layer.setStyle(originalStyle);
             }
+            
+            if (marker) {
+                this.map.removeLayer(marker);
+            }
         });
         
         // Clear the highlights array
@@ -1786,149 +2179,333 @@ export class MapController {
             
             // Active alerts list
             const activeAlerts = [];
+            const searchRadius = getMaxClearanceDistance(this.appState.clearanceRules);
             
-            // Check all utility layers
-            Object.keys(this.utilityLayers).forEach(utilityType => {
-                const layer = this.utilityLayers[utilityType];
+            // Only lines whose bounds come within the widest warning threshold
+            this.dataStore.findNearby('utilities', userLocation, searchRadius).forEach(id => {
+                const utility = this.getUtilityLine(id);
+                if (!utility) return;
                 
-                // Skip if layer is not visible
-                if (!this.map.hasLayer(layer)) return;
+                // Skip hidden layers
+                const utilityType = utility.utilityData.type;
+                if (!this.map.hasLayer(this.utilityLayers[utilityType])) return;
                 
-                // Check each utility in the layer
-                layer.eachLayer(utility => {
-                    // Skip if utility is not a line or polygon
-                    if (!utility.getLatLngs) return;
+                try {
+                    // Closest point on the line itself, not just its vertices
+                    const closest = this.closestPointOnUtility(userLocation, utility);
+                    if (!closest) return;
+                    
+                    const minDistance = closest.distance;
+                    const closestPoint = L.latLng(closest.point);
                     
-                    try {
-                        // Calculate distance to utility
-                        const utilityPoints = utility.getLatLngs();
-                        let minDistance = Infinity;
-                        let closestPoint;
+                    // Only lines within the widest warning threshold can alert
+                    if (minDistance <= searchRadius) {
+                        // Get utility data
+                        const utilityData = utility.feature?.properties || utility.utilityData || {};
                         
-                        // For multi-polygons and complex line strings
-                        if (utilityPoints.length && typeof utilityPoints[0].lat !== 'function') {
-                            // Handle multi-part geometries
-                            utilityPoints.forEach(partPoints => {
-                                if (Array.isArray(partPoints)) {
-                                    partPoints.forEach(point => {
-                                        const distance = userLocation.distanceTo(point);
-                                        if (distance < minDistance) {
-                                            minDistance = distance;
-                                            closestPoint = point;
-                                        }
-                                    });
-                                }
-                            });
-                        } else {
-                            // Simple line string
-                            utilityPoints.forEach(point => {
-                                const distance = userLocation.distanceTo(point);
-                                if (distance < minDistance) {
-                                    minDistance = distance;
-                                    closestPoint = point;
-                                }
-                            });
-                        }
+                        // Grade against the rule for this utility and line type
+                        const grade = gradeClearance({
+                            distance: minDistance,
+                            utilityDepth: utilityData.depth,
+                            digDepth: this.appState.digDepth,
+                            rule: getClearanceRule(this.appState.clearanceRules, utilityData.type || utilityType, utilityData.lineType)
+                        });
+                        if (!grade.level) return;
                         
-                        // If distance is less than threshold, add to alerts
-                        if (minDistance <= 20) { // 20 meters threshold
-                            // Get utility data
-                            const utilityData = utility.feature?.properties || utility.utilityData || {};
-                            
-                            // Determine alert level
-                            let alertLevel;
-                            if (minDistance <= 2) {
-                                alertLevel = 'critical';
-                            } else if (minDistance <= 5) {
-                                alertLevel = 'danger';
-                            } else if (minDistance <= 10) {
-                                alertLevel = 'caution';
-                            } else {
-                                alertLevel = 'warning';
-                            }
-                            
-                            // Create alert data
-                            const alert = {
-                                id: `utility-${utilityType}-${utility._leaflet_id}`,
-                                utilityType,
-                                distance: minDistance,
-                                level: alertLevel,
-                                utility,
-                                utilityData,
-                                closestPoint,
-                                timestamp: Date.now()
-                            };
-                            
-                            // Add to active alerts
-                            activeAlerts.push(alert);
-                            
-                            // Store the original style
-                            const originalStyle = {
-                                color: utility.options.color,
-                                weight: utility.options.weight,
-                                opacity: utility.options.opacity
-                            };
-                            
-                            // Apply highlight style
-                            let highlightColor;
-                            let highlightWeight = utility.options.weight + 2;
-                            
-                            switch (alertLevel) {
-                                case 'critical':
-                                    highlightColor = '#F44336'; // Red
-                                    highlightWeight = utility.options.weight + 4;
-                                    break;
-                                case 'danger':
-                                    highlightColor = '#FF5722'; // Deep Orange
-                                    highlightWeight = utility.options.weight + 3;
-                                    break;
-                                case 'caution':
-                                    highlightColor = '#FF9800'; // Orange
-                                    break;
-                                default:
-                                    highlightColor = '#FFC107'; // Amber
-                            }
-                            
-                            // Apply highlight style
-                            utility.setStyle({
-                                color: highlightColor,
-                                weight: highlightWeight,
-                                opacity: 1
-                            });
-                            
-                            // Add to highlights list
-                            this.utilityHighlights.push({
-                                layer: utility,
-                                originalStyle
-                            });
+                        const alertLevel = grade.level;
+                        
+                        // Create alert data
+                        const alert = {
+                            id: `utility-${utilityType}-${utility._leaflet_id}`,
+                            utilityId: utilityData.id || utility.utilityId,
+                            utilityType,
+                            distance: minDistance, // horizontal, meters
+                            clearance: grade.clearance, // feet
+                            horizontalClearance: grade.horizontal, // feet
+                            verticalClearance: grade.vertical, // feet
+                            level: alertLevel,
+                            utility,
+                            utilityData,
+                            closestPoint,
+                            station: closest.station,
+                            timestamp: Date.now()
+                        };
+                        
+                        // Add to active alerts
+                        activeAlerts.push(alert);
+                        
+                        // Store the original style
+                        const originalStyle = {
+                            color: utility.options.color,
+                            weight: utility.options.weight,
+                            opacity: utility.options.opacity
+                        };
+                        
+                        // Apply highlight style
+                        let highlightColor;
+                        let highlightWeight = utility.options.weight + 2;
+                        
+                        switch (alertLevel) {
+                            case 'critical':
+                                highlightColor = '#F44336'; // Red
+                                highlightWeight = utility.options.weight + 4;
+                                break;
+                            case 'danger':
+                                highlightColor = '#FF5722'; // Deep Orange
+                                highlightWeight = utility.options.weight + 3;
+                                break;
+                            case 'caution':
+                                highlightColor = '#FF9800'; // Orange
+                                break;
+                            default:
+                                highlightColor = '#FFC107'; // Amber
                         }
-                    } catch (e) {
-                        console.error('Error checking proximity for utility:', e);
+                        
+                        // Apply highlight style
+                        utility.setStyle({
+                            color: highlightColor,
+                            weight: highlightWeight,
+                            opacity: 1
+                        });
+                        
+                        // Mark the closest point on the line
+                        const marker = L.circleMarker(closestPoint, {
+                            radius: 6,
+                            color: '#fff',
+                            weight: 2,
+                            fillColor: highlightColor,
+                            fillOpacity: 1,
+                            interactive: false
+                        }).addTo(this.map);
+                        
+                        // Add to highlights list
+                        this.utilityHighlights.push({
+                            layer: utility,
+                            originalStyle,
+                            marker
+                        });
                     }
-                });
+                } catch (e) {
+                    console.error('Error checking proximity for utility:', e);
+                }
             });
             
-            // Update app state with active alerts
-            this.appState.activeAlerts = activeAlerts;
-            
-            // Update UI
+            // Update UI (which keeps appState.activeAlerts in step)
             if (this.uiController && this.uiController.updateProximityAlerts) {
                 this.uiController.updateProximityAlerts(activeAlerts);
+            } else {
+                this.appState.activeAlerts = activeAlerts;
             }
         } catch (error) {
             console.error('Error checking proximity alerts:', error);
         }
     }
 
+    /**
+     * Geodesic distance from a point to a line segment
+     * @param {L.LatLng|Array} point Query point
+     * @param {L.LatLng|Array} start Segment start
+     * @param {L.LatLng|Array} end Segment end
+     * @returns {number} Distance in meters
+     */
+    distanceToSegment(point, start, end) {
+        return closestPointOnSegment(point, start, end).distance;
+    }
+    
     // Calculate distance from a point to an entire polyline (in meters)
     distanceToPolyline(point, polyline) {
         if (!polyline || polyline.length < 2) return Infinity;
-        let min = Infinity;
-        for (let i = 0; i < polyline.length - 1; i++) {
-            const d = this.distanceToSegment(point, polyline[i], polyline[i + 1]);
-            if (d < min) min = d;
+        const closest = closestPointOnLine(point, polyline);
+        return closest ? closest.distance : Infinity;
+    }
+    
+    /**
+     * Closest point on a rendered utility line, handling multi-part lines
+     * @param {L.LatLng} point Query point
+     * @param {L.Polyline} line Utility layer
+     * @returns {Object|null} { point, distance, station, segmentIndex, fraction } (see Geodesy)
+     */
+    closestPointOnUtility(point, line) {
+        const latlngs = line.getLatLngs();
+        const parts = latlngs.length && Array.isArray(latlngs[0]) ? latlngs : [latlngs];
+        
+        let best = null;
+        let offset = 0;
+        parts.forEach(part => {
+            const closest = closestPointOnLine(point, part);
+            if (closest && (!best || closest.distance < best.distance)) {
+                best = { ...closest, station: offset + closest.station };
+            }
+            offset += lineLength(part);
+        });
+        
+        return best;
+    }
+    
+    /**
+     * Rendered line for a utility id, if it is still on the map
+     * @param {string} id
+     * @returns {L.Polyline|null}
+     */
+    getUtilityLine(id) {
+        const line = this.utilityLinesById.get(id);
+        const layer = line && this.utilityLayers[line.utilityData.type];
+        return layer && layer.hasLayer(line) ? line : null;
+    }
+    
+    /**
+     * Rendered marker for a structure id, if it is still on the map
+     * @param {string} id
+     * @returns {L.Marker|null}
+     */
+    getStructureMarker(id) {
+        const marker = this.structureMarkersById.get(id);
+        const layer = marker && this.structureLayers[marker.structureData.utilityType];
+        return layer && layer.hasLayer(marker) ? marker : null;
+    }
+    
+    /**
+     * Nearest visible utility line to a point
+     * @param {L.LatLng} latlng
+     * @param {number} [maxDistance=20] Search radius in meters
+     * @param {Function} [filter] (utility) => whether it may be picked
+     * @returns {Object|null} { utility, line, distance, closestPoint }
+     */
+    findNearestUtility(latlng, maxDistance = 20, filter = null) {
+        let nearest = null;
+        
+        this.dataStore.findNearby('utilities', latlng, maxDistance).forEach(id => {
+            const line = this.getUtilityLine(id);
+            if (!line || !this.map.hasLayer(this.utilityLayers[line.utilityData.type])) return;
+            if (filter && !filter(line.utilityData)) return;
+            
+            const closest = this.closestPointOnUtility(latlng, line);
+            if (closest && closest.distance <= maxDistance && (!nearest || closest.distance < nearest.distance)) {
+                nearest = {
+                    utility: line.utilityData,
+                    line,
+                    distance: closest.distance,
+                    closestPoint: L.latLng(closest.point)
+                };
+            }
+        });
+        
+        return nearest;
+    }
+    
+    /**
+     * Nearest visible structure to a point
+     * @param {L.LatLng} latlng
+     * @param {number} [maxDistance=20] Search radius in meters
+     * @returns {Object|null} { structure, marker, latlng, distance }
+     */
+    findNearestStructure(latlng, maxDistance = 20) {
+        let nearest = null;
+        
+        this.dataStore.findNearby('structures', latlng, maxDistance).forEach(id => {
+            const marker = this.getStructureMarker(id);
+            if (!marker || !this.map.hasLayer(this.structureLayers[marker.structureData.utilityType])) return;
+            
+            const distance = geodesicDistance(latlng, marker.getLatLng());
+            if (distance <= maxDistance && (!nearest || distance < nearest.distance)) {
+                nearest = {
+                    structure: marker.structureData,
+                    marker,
+                    latlng: marker.getLatLng(),
+                    distance
+                };
+            }
+        });
+        
+        return nearest;
+    }
+    
+    /**
+     * Find the main of a utility type to connect a service line to: the
+     * closest point on any main within a screen-space tolerance
+     * @param {L.LatLng} latlng Point being drawn
+     * @param {string} utilityType Utility type of the service
+     * @param {number} [tolerancePixels=20] Snap distance in screen pixels
+     * @returns {Object|null} { mainLine, connectionPoint, distance, station }
+     */
+    findConnectionTarget(latlng, utilityType, tolerancePixels = 20) {
+        const containerPoint = this.map.latLngToContainerPoint(latlng);
+        const toleranceMeters = this.map.distance(latlng, this.map.containerPointToLatLng(containerPoint.add([tolerancePixels, 0])));
+        
+        let target = null;
+        this.dataStore.findNearby('utilities', latlng, toleranceMeters).forEach(id => {
+            const utility = this.dataStore.getUtilityById(id);
+            if (!utility || utility.type !== utilityType || utility.lineType !== 'main' || !Array.isArray(utility.coordinates)) return;
+            
+            const closest = closestPointOnLine(latlng, utility.coordinates);
+            if (closest && closest.distance <= toleranceMeters && (!target || closest.distance < target.distance)) {
+                target = {
+                    mainLine: utility,
+                    connectionPoint: L.latLng(closest.point),
+                    distance: closest.distance,
+                    station: closest.station
+                };
+            }
+        });
+        
+        return target;
+    }
+
+    /**
+     * Where a point being drawn snaps to, among the visible lines and
+     * structures of one utility type
+     * @param {L.LatLng} latlng Point being drawn
+     * @param {string} utilityType Utility type being drawn
+     * @param {Object} settings Snap settings, see Snapping.js
+     * @returns {Object|null} Snap from findSnap; null when snapping is off
+     *   or nothing is in range
+     */
+    findSnapTarget(latlng, utilityType, settings) {
+        if (!settings.enabled) return null;
+        
+        // Within the pixel tolerance at this zoom and the meter tolerance
+        const containerPoint = this.map.latLngToContainerPoint(latlng);
+        const pixelMeters = this.map.distance(latlng, this.map.containerPointToLatLng(containerPoint.add([settings.tolerancePixels, 0])));
+        const tolerance = Math.min(pixelMeters, settings.toleranceMeters);
+        
+        const utilities = this.map.hasLayer(this.utilityLayers[utilityType])
+            ? this.dataStore.findNearby('utilities', latlng, tolerance)
+                .map(id => this.dataStore.getUtilityById(id))
+                .filter(utility => utility && utility.type === utilityType && Array.isArray(utility.coordinates))
+            : [];
+        const structures = this.map.hasLayer(this.structureLayers[utilityType])
+            ? this.dataStore.findNearby('structures', latlng, tolerance)
+                .map(id => this.dataStore.getStructureById(id))
+                .filter(structure => structure && structure.utilityType === utilityType)
+            : [];
+        
+        return findSnap(latlng, { utilities, structures }, { tolerance, targets: settings.targets });
+    }
+    
+    /**
+     * Ring the point a drawn vertex snaps to
+     * @param {Array} point [lat, lng]
+     */
+    showSnapMarker(point) {
+        if (this.appState.connectionPointMarker) {
+            this.appState.connectionPointMarker.setLatLng(point);
+            return;
         }
-        return min;
+        
+        this.appState.connectionPointMarker = L.circleMarker(point, {
+            radius: 9,
+            color: '#ff4081',
+            weight: 3,
+            fill: false,
+            interactive: false
+        }).addTo(this.map);
+    }
+    
+    clearSnapMarker() {
+        if (!this.appState.connectionPointMarker) return;
+        
+        this.map.removeLayer(this.appState.connectionPointMarker);
+        this.appState.connectionPointMarker = null;
     }
 
     /**
@@ -1998,14 +2575,17 @@ export class MapController {
         if (this.dataStore && this.dataStore.measurements) {
             const measurement = {
                 id: `measurement-${Date.now()}`,
-                points: points,
+                coordinates: points.map(toLatLngArray),
                 distance: distance,
+                dateAdded: new Date().toISOString(),
                 line: line,
                 label: marker
             };
             
+            // Committing audits and saves it
+            const command = this.dataStore.history.begin('Add measurement').track('measurements', measurement.id);
             this.dataStore.measurements.push(measurement);
-            this.dataStore.saveData();
+            this.dataStore.history.commit(command);
         }
         
         return line;
@@ -2030,7 +2610,25 @@ export class MapController {
         this.uiController.showRepositionPanel();
         
         // Show instructions
-        this.uiController.showStatusBar('Drag the blue points to reposition the utility line. Click Save when done.');
+        this.uiController.showStatusBar('Drag the blue points to move vertices, tap a white handle to add one. Click Save when done.');
+    }
+
+    /**
+     * Put the editor back on a line whose vertices were just changed
+     * (see GeometryEditController.js)
+     */
+    restartRepositioning(utility) {
+        this.clearControlPoints();
+        
+        if (this.previewLine) {
+            this.map.removeLayer(this.previewLine);
+            this.previewLine = null;
+        }
+        
+        this.appState.repositioningUtility = utility;
+        this.hideUtilityLine(utility);
+        this.createControlPoints(utility);
+        this.createUtilityLinePreview(utility);
     }
 
     createControlPoints(utility) {
@@ -2071,7 +2669,54 @@ export class MapController {
                 label.setLatLng(e.latlng);
             });
             
-            return { marker, label, originalPos: L.latLng(coord) };
+            const controlPoint = { marker, label, originalPos: L.latLng(coord) };
+            
+            // Tap picks the vertex for the Delete button; long press or
+            // right click deletes it straight away
+            marker.on('click', () => {
+                this.selectControlPoint(controlPoint);
+            });
+            marker.on('contextmenu', () => {
+                this.geometryEditController.deleteVertex(this.appState.controlPoints.indexOf(controlPoint));
+            });
+            
+            return controlPoint;
+        });
+        
+        this.createMidpointHandles();
+    }
+
+    /**
+     * Handle in the middle of each segment; tapping one adds a vertex there
+     */
+    createMidpointHandles() {
+        const positions = this.appState.controlPoints.map(cp => cp.marker.getLatLng());
+        
+        this.midpointHandles = positions.slice(1).map((end, index) => {
+            const handle = L.marker(getMidpoint(positions[index], end), {
+                icon: L.divIcon({
+                    className: 'edit-midpoint-handle',
+                    iconSize: [12, 12]
+                })
+            }).addTo(this.map);
+            
+            handle.on('click', () => {
+                this.geometryEditController.insertVertex(index);
+            });
+            
+            return handle;
+        });
+    }
+
+    /**
+     * Pick a vertex to delete, or unpick it
+     */
+    selectControlPoint(controlPoint) {
+        const selected = this.appState.selectedControlPoint === controlPoint ? null : controlPoint;
+        this.appState.selectedControlPoint = selected;
+        
+        this.appState.controlPoints.forEach(cp => {
+            cp.marker.getElement()?.classList.toggle('selected', cp === selected);
         });
     }
 
@@ -2097,6 +2742,11 @@ export class MapController {
         
         // Update the preview line
         this.previewLine.setLatLngs(positions);
+        
+        // Keep the midpoint handles in the middle of their segments
+        (this.midpointHandles || []).forEach((handle, index) => {
+            handle.setLatLng(getMidpoint(positions[index], positions[index + 1]));
+        });
     }
 
     hideUtilityLine(utility) {
@@ -2121,11 +2771,9 @@ export class MapController {
         const utility = this.appState.repositioningUtility;
         if (!utility) return;
         
-        // Get updated coordinates
-        const newCoordinates = this.appState.controlPoints.map(cp => cp.marker.getLatLng());
-        
-        // Update utility coordinates
-        utility.coordinates = newCoordinates;
+        // Update utility coordinates, carrying captures and connections along
+        const command = this.geometryEditController.begin('Reposition utility', utility);
+        this.geometryEditController.saveDraggedVertices(utility, command);
         
         // Remove the original utility line
         this.utilityLayers[utility.type].eachLayer(layer => {
@@ -2138,7 +2786,7 @@ export class MapController {
         this.renderUtility(utility);
         
         // Save changes to data store
-        this.dataStore.saveData();
+        this.dataStore.history.commit(command);
         
         // Show success message
         this.uiController.showToast('Utility repositioned successfully', 'success');
@@ -2166,7 +2814,8 @@ export class MapController {
         }
         
         // Reset state
-        this.appState.repositioningUtility = null;
+        this.geometryEditController.stopSplit();
+        this.appState.resetRepositioning();
         
         // Hide UI elements
         this.uiController.hideRepositionPanel();
@@ -2182,8 +2831,12 @@ export class MapController {
             });
         }
         
+        (this.midpointHandles || []).forEach(handle => this.map.removeLayer(handle));
+        this.midpointHandles = [];
+        
         // Clear the array
         this.appState.controlPoints = [];
+        this.appState.selectedControlPoint = null;
     }
 
     removeUtilityFromMap(utility) {
@@ -2206,7 +2859,7 @@ export class MapController {
         this.lastHeadingSource = null;
         this.lastHeadingTime = 0;
         
-        if (navigator.geolocation) {
+        if (this.locationProvider.isAvailable()) {
             // Set options for geolocation
             const options = {
                 enableHighAccuracy: this.appState.isExcavationMode, // High accuracy in excavation mode
@@ -2214,7 +2867,7 @@ export class MapController {
                 maximumAge: 0
             };
             
-            this.watchPositionId = navigator.geolocation.watchPosition(
+            this.watchPositionId = this.locationProvider.watchPosition(
                 // Success callback
                 (position) => {
                     // Update marker position
@@ -2257,7 +2910,7 @@ export class MapController {
      */
     stopWatchingPosition() {
         if (this.watchPositionId) {
-            navigator.geolocation.clearWatch(this.watchPositionId);
+            this.locationProvider.clearWatch(this.watchPositionId);
             this.watchPositionId = null;
         }
         
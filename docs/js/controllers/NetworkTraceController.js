@@ -0,0 +1,243 @@
+/**
+ * NetworkTraceController Module
+ * Network trace panel: from a line or structure picked on the map, finds
+ * the services a main feeds, the valves that isolate a break or everything
+ * downstream to the outfalls, highlights the result and lists it.
+ */
+
+import { NetworkGraph } from '../models/NetworkGraph.js';
+
+export class NetworkTraceController {
+    constructor(appState, dataStore, mapController, uiController) {
+        this.appState = appState;
+        this.dataStore = dataStore;
+        this.mapController = mapController;
+        this.uiController = uiController;
+
+        this.start = null; // { utilityId, point } or { structureId }
+        this.graph = null;
+        this.kind = null;
+        this.result = null;
+    }
+
+    /**
+     * Show the panel for a line or structure
+     * @param {Object} start { utilityId, point: [lat, lng] } (the point
+     *   picked on the line) or { structureId }
+     */
+    open(start) {
+        const record = start.structureId
+            ? this.dataStore.getStructureById(start.structureId)
+            : this.dataStore.getUtilityById(start.utilityId);
+        if (!record) return;
+
+        const utilityType = start.structureId ? record.utilityType : record.type;
+        this.start = start;
+        this.graph = new NetworkGraph(utilityType, this.dataStore.getUtilities(), this.dataStore.getStructures());
+        this.kind = null;
+        this.result = null;
+
+        const name = start.structureId
+            ? this.mapController.getStructureTitle(record)
+            : this.mapController.getUtilityTitle(record);
+        document.getElementById('network-trace-title').textContent = `Trace from ${name}`;
+
+        this.mapController.clearNetworkTrace();
+        this.render();
+        document.getElementById('network-trace-panel').classList.add('visible');
+    }
+
+    /**
+     * Run a trace and show its result
+     * @param {string} kind 'fed', 'isolate' or 'downstream'
+     */
+    run(kind) {
+        if (!this.graph) return;
+
+        this.kind = kind;
+        if (kind === 'fed') {
+            this.result = this.graph.findFedServices(this.start);
+        } else if (kind === 'isolate') {
+            this.result = this.graph.findIsolatingValves(this.start);
+        } else {
+            this.result = this.graph.traceDownstream(this.start);
+        }
+
+        this.render();
+        this.showResult();
+    }
+
+    /**
+     * Fill in the summary and result list
+     */
+    render() {
+        document.querySelectorAll('.network-trace-action').forEach(button => {
+            button.classList.toggle('active', button.dataset.trace === this.kind);
+        });
+
+        const summary = document.getElementById('network-trace-summary');
+        const list = document.getElementById('network-trace-list');
+        list.innerHTML = '';
+
+        if (!this.kind) {
+            summary.textContent = 'Choose what to trace';
+            return;
+        }
+
+        const result = this.result;
+        if (!result) {
+            summary.textContent = 'Not connected to any mapped line of this network';
+            return;
+        }
+
+        const length = Math.round(result.edgeIds.reduce((sum, id) => sum + this.graph.edges.get(id).length, 0));
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+        if (this.kind === 'fed') {
+            summary.textContent = result.utilityIds.length
+                ? `${plural(result.utilityIds.length, 'service line')} (${length} m) fed by this main`
+                : 'No service lines are connected to this main';
+        } else if (this.kind === 'isolate') {
+            summary.textContent = result.valveIds.length
+                ? `Close ${plural(result.valveIds.length, 'valve')} to isolate ${length} m of line`
+                : 'No mapped valves isolate this break';
+            result.valveIds.forEach(id => list.appendChild(this.createItem(this.graph.structures.get(id), 'valve')));
+        } else {
+            summary.textContent = `${length} m downstream to ${plural(result.outfallNodeIds.length, 'outfall')}`;
+            result.outfallNodeIds.forEach((nodeId, index) => {
+                list.appendChild(this.createOutfallItem(this.graph.nodes.get(nodeId), index));
+            });
+        }
+
+        result.utilityIds
+            .filter(id => this.kind !== 'fed' || !result.sourceUtilityIds.includes(id))
+            .forEach(id => list.appendChild(this.createItem(this.graph.utilities.get(id), 'utility')));
+        result.structureIds
+            .filter(id => !(result.valveIds || []).includes(id))
+            .forEach(id => list.appendChild(this.createItem(this.graph.structures.get(id), 'structure')));
+    }
+
+    /**
+     * List entry for a line or structure in the result; tapping it zooms to it
+     * @param {Object} record
+     * @param {string} role 'utility', 'structure' or 'valve'
+     */
+    createItem(record, role) {
+        const isUtility = role === 'utility';
+        const item = document.createElement('li');
+        item.className = `network-trace-item ${role}`;
+
+        const title = document.createElement('div');
+        title.className = 'network-trace-item-title';
+        title.textContent = isUtility
+            ? this.mapController.getUtilityTitle(record)
+            : this.mapController.getStructureTitle(record);
+        item.appendChild(title);
+
+        const detail = document.createElement('div');
+        detail.className = 'network-trace-item-detail';
+        const length = isUtility
+            ? (this.graph.edgesByUtility.get(record.id) || [])
+                .filter(id => this.result.edgeIds.includes(id) || (this.result.sourceEdgeIds || []).includes(id))
+                .reduce((sum, id) => sum + this.graph.edges.get(id).length, 0)
+            : null;
+        detail.textContent = [
+            record.size ? `${record.size} in` : null,
+            record.material && record.material !== 'Unknown' ? record.material : null,
+            length !== null ? `${Math.round(length)} m in trace` : null
+        ].filter(Boolean).join(', ') || record.id;
+        item.appendChild(detail);
+
+        item.addEventListener('click', () => {
+            this.zoomTo(isUtility ? record.coordinates : [record.coordinates]);
+        });
+
+        return item;
+    }
+
+    /**
+     * List entry for the end of a downstream trace
+     */
+    createOutfallItem(node, index) {
+        const item = document.createElement('li');
+        item.className = 'network-trace-item outfall';
+
+        const title = document.createElement('div');
+        title.className = 'network-trace-item-title';
+        const structure = node.structureIds.length ? this.graph.structures.get(node.structureIds[0]) : null;
+        title.textContent = `Outfall ${index + 1}${structure ? `: ${this.mapController.getStructureTitle(structure)}` : ''}`;
+        item.appendChild(title);
+
+        const detail = document.createElement('div');
+        detail.className = 'network-trace-item-detail';
+        detail.textContent = node.edgeIds.length > 1 ? 'Flow goes no further' : 'End of line';
+        item.appendChild(detail);
+
+        item.addEventListener('click', () => this.zoomTo([node.point]));
+
+        return item;
+    }
+
+    /**
+     * Highlight the result on the map and fit it in view
+     */
+    showResult() {
+        if (!this.result) {
+            this.mapController.clearNetworkTrace();
+            return;
+        }
+
+        const edge = id => this.graph.edges.get(id);
+        const lines = [
+            ...(this.result.sourceEdgeIds || []).map(id => ({ coordinates: edge(id).coordinates, role: 'source' })),
+            ...this.result.edgeIds.map(id => ({ coordinates: edge(id).coordinates, role: 'result' }))
+        ];
+
+        const points = [];
+        if (this.kind === 'isolate') {
+            this.result.valveNodeIds.forEach(nodeId => {
+                const node = this.graph.nodes.get(nodeId);
+                points.push({ point: node.point, role: 'valve', label: 'Close' });
+            });
+        }
+        if (this.kind === 'downstream') {
+            this.result.outfallNodeIds.forEach((nodeId, index) => {
+                points.push({ point: this.graph.nodes.get(nodeId).point, role: 'outfall', label: `Outfall ${index + 1}` });
+            });
+        }
+        points.push({ point: this.getStartPoint(), role: 'start' });
+
+        this.mapController.showNetworkTrace(lines, points);
+        this.zoomTo(lines.flatMap(line => line.coordinates).concat(points.map(point => point.point)));
+    }
+
+    /**
+     * Where the trace was started from, as [lat, lng]
+     */
+    getStartPoint() {
+        if (this.start.point) return this.start.point;
+
+        const nodeId = this.graph.nodeByStructure.get(this.start.structureId);
+        return this.graph.nodes.get(nodeId).point;
+    }
+
+    zoomTo(points) {
+        if (points.length > 1) {
+            this.mapController.map.fitBounds(points, { padding: [40, 40], maxZoom: 21 });
+        } else if (points.length) {
+            this.mapController.map.setView(points[0], Math.max(this.mapController.map.getZoom(), 20));
+        }
+    }
+
+    /**
+     * Close the panel and remove the highlight
+     */
+    close() {
+        this.mapController.clearNetworkTrace();
+        document.getElementById('network-trace-panel').classList.remove('visible');
+        this.start = null;
+        this.graph = null;
+        this.kind = null;
+        this.result = null;
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * OffsetCaptureController Module
+ * Offset point panel: places a structure or line vertex at a bearing and
+ * distance (or to the left/right of the heading) from the user's position,
+ * previewing the point on the map before it is added.
+ */
+
+import { OFFSET_MODES, validateOffset, computeOffset } from '../models/Offset.js';
+
+// How often the heading and preview are refreshed while the panel is open
+const REFRESH_INTERVAL = 500; // ms
+
+// A heading older than this is shown as stale
+const STALE_HEADING_AGE = 5000; // ms
+
+export class OffsetCaptureController {
+    constructor(appState, mapController, uiController) {
+        this.appState = appState;
+        this.mapController = mapController;
+        this.uiController = uiController;
+
+        this.onComplete = null;
+        this.onClose = null;
+        this.timer = null;
+        this.handlePosition = () => this.update();
+    }
+
+    /**
+     * Show the offset panel
+     * @param {Function} onComplete Called with { position: [lat, lng],
+     *   statistics } when the point is added
+     * @param {Function} [onClose] Called when the panel closes, added or not
+     */
+    open(onComplete, onClose = null) {
+        this.close();
+        this.onComplete = onComplete;
+        this.onClose = onClose;
+
+        const mode = document.getElementById('offset-mode');
+        if (!mode.options.length) {
+            Object.entries(OFFSET_MODES).forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                mode.appendChild(option);
+            });
+        }
+
+        this.mapController.addPositionListener(this.handlePosition);
+        this.timer = setInterval(() => this.update(), REFRESH_INTERVAL);
+
+        this.update();
+        document.getElementById('offset-capture-panel').classList.add('visible');
+    }
+
+    /**
+     * Whether the panel is showing
+     */
+    isOpen() {
+        return Boolean(this.timer);
+    }
+
+    /**
+     * Offset as entered, from the current position and heading
+     */
+    getOffset() {
+        const current = this.mapController.getCurrentHeading();
+        const estimate = this.appState.locationEstimate;
+
+        return {
+            origin: this.appState.userLocation,
+            originAccuracy: estimate ? estimate.accuracy : this.appState.locationAccuracy,
+            mode: document.getElementById('offset-mode').value,
+            bearing: parseFloat(document.getElementById('offset-bearing').value),
+            side: document.getElementById('offset-side').value,
+            heading: current ? current.heading : null,
+            headingSource: current ? current.source : null,
+            distance: parseFloat(document.getElementById('offset-distance').value)
+        };
+    }
+
+    /**
+     * Refresh the heading readout, the computed point and its preview
+     */
+    update() {
+        const lateral = document.getElementById('offset-mode').value === 'lateral';
+        document.getElementById('offset-bearing-field').style.display = lateral ? 'none' : '';
+        document.getElementById('offset-use-heading').style.display = lateral ? 'none' : '';
+        document.getElementById('offset-side-field').style.display = lateral ? '' : 'none';
+
+        const current = this.mapController.getCurrentHeading();
+        document.getElementById('offset-heading').textContent = current
+            ? `Heading ${Math.round(current.heading)}° (${current.source}${current.age > STALE_HEADING_AGE ? ', stale' : ''})`
+            : 'Heading: none yet';
+
+        const offset = this.getOffset();
+        const error = validateOffset(offset);
+        const status = document.getElementById('offset-status');
+        status.classList.toggle('error', Boolean(error));
+        document.getElementById('add-offset-point').disabled = Boolean(error);
+
+        if (error) {
+            status.textContent = error;
+            this.mapController.showOffsetPreview(null, null);
+            return;
+        }
+
+        const { position, statistics } = computeOffset(offset);
+        status.textContent = `${statistics.distance} m at ${Math.round(statistics.bearing)}° from you` +
+            (statistics.originAccuracy !== null ? ` (GPS ±${statistics.originAccuracy} m)` : '');
+        this.mapController.showOffsetPreview(offset.origin, position);
+    }
+
+    /**
+     * Fill in the bearing from the current heading
+     */
+    useHeading() {
+        const current = this.mapController.getCurrentHeading();
+        if (!current) {
+            this.uiController.showToast('No heading yet', 'warning');
+            return;
+        }
+
+        document.getElementById('offset-bearing').value = Math.round(current.heading);
+        this.update();
+    }
+
+    /**
+     * Add the previewed point
+     */
+    add() {
+        const offset = this.getOffset();
+        const error = validateOffset(offset);
+        if (error) {
+            this.uiController.showToast(error, 'warning');
+            return;
+        }
+
+        const result = computeOffset(offset);
+        const onComplete = this.onComplete;
+        this.close();
+
+        if (onComplete) {
+            onComplete(result);
+        }
+    }
+
+    /**
+     * Close the panel (cancelled, or after adding the point)
+     */
+    close() {
+        this.mapController.removePositionListener(this.handlePosition);
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        this.mapController.clearOffsetPreview();
+        document.getElementById('offset-capture-panel').classList.remove('visible');
+
+        const onClose = this.onClose;
+        this.onComplete = null;
+        this.onClose = null;
+        if (onClose) {
+            onClose();
+        }
+    }
+}
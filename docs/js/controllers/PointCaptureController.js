@@ -0,0 +1,197 @@
+/**
+ * PointCaptureController Module
+ * "Capture point" dialog: collects raw GPS fixes while the user stands on a
+ * point, shows the averaged position converging, and hands the result to
+ * whoever asked for it (a new structure, the next vertex of a line).
+ */
+
+import { PointCapture } from '../models/PointCapture.js';
+
+// How often the elapsed time is refreshed, and a timeout noticed when no fixes arrive
+const TICK_INTERVAL = 1000; // ms
+
+function formatMeters(value) {
+    return isFinite(value) ? `${value.toFixed(2)} m` : '–';
+}
+
+export class PointCaptureController {
+    constructor(appState, mapController, uiController) {
+        this.appState = appState;
+        this.mapController = mapController;
+        this.uiController = uiController;
+
+        this.capture = null;
+        this.onComplete = null;
+        this.timer = null;
+        this.handlePosition = position => this.addFix(position);
+    }
+
+    /**
+     * Show the capture dialog
+     * @param {Function} onComplete Called with { position: [lat, lng],
+     *   statistics } when the user accepts the averaged position
+     */
+    open(onComplete) {
+        this.stop();
+        this.capture = null;
+        this.onComplete = onComplete;
+
+        this.render();
+        this.showModal();
+    }
+
+    /**
+     * Start collecting fixes with the duration and target from the form
+     */
+    start() {
+        const duration = parseFloat(document.getElementById('point-capture-duration').value);
+        const targetAccuracy = parseFloat(document.getElementById('point-capture-target').value);
+
+        if (!(duration >= 5) || !(targetAccuracy > 0)) {
+            this.uiController.showToast('Enter a time of at least 5 seconds and a target accuracy above 0', 'warning');
+            return;
+        }
+
+        this.stop();
+        this.capture = new PointCapture({ duration, targetAccuracy });
+        this.mapController.addPositionListener(this.handlePosition);
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+
+        this.render();
+    }
+
+    /**
+     * Stop collecting fixes, keeping what has been collected
+     */
+    stop() {
+        this.mapController.removePositionListener(this.handlePosition);
+
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Whether fixes are being collected
+     */
+    isRunning() {
+        return Boolean(this.timer);
+    }
+
+    /**
+     * @param {GeolocationPosition} position Raw fix
+     */
+    addFix(position) {
+        if (!this.capture) return;
+
+        this.capture.addFix(position);
+        this.tick();
+    }
+
+    /**
+     * Refresh the indicator and stop once the capture is complete
+     */
+    tick() {
+        if (this.capture && this.capture.isComplete()) {
+            this.stop();
+        }
+        this.render();
+    }
+
+    /**
+     * Update the convergence indicator
+     */
+    render() {
+        const running = this.isRunning();
+        const result = this.capture ? this.capture.getResult() : null;
+        const progress = document.getElementById('point-capture-progress');
+        let status = 'Waiting to start';
+
+        if (this.capture) {
+            if (!result) {
+                status = running ? 'Waiting for GPS fixes…' : 'No usable GPS fixes received';
+            } else if (result.converged) {
+                status = `Converged: ±${result.precision.toFixed(2)} m`;
+            } else if (running) {
+                status = `Converging: ±${result.precision.toFixed(2)} m of ±${this.capture.targetAccuracy} m target`;
+            } else {
+                status = `Stopped at ±${result.precision.toFixed(2)} m (target ±${this.capture.targetAccuracy} m)`;
+            }
+        }
+
+        document.getElementById('point-capture-status').textContent = status;
+        document.getElementById('point-capture-bar').style.width = `${Math.round((result ? result.progress : 0) * 100)}%`;
+        document.getElementById('point-capture-samples').textContent = result ? result.samples : 0;
+        document.getElementById('point-capture-rejected').textContent = result ? result.rejected : (this.capture ? this.capture.ignored : 0);
+        document.getElementById('point-capture-spread').textContent = result ? formatMeters(result.spread) : '–';
+        document.getElementById('point-capture-precision').textContent = result ? formatMeters(result.precision) : '–';
+        document.getElementById('point-capture-elapsed').textContent = `${this.capture ? Math.floor(this.capture.getElapsed()) : 0} s`;
+
+        progress.classList.toggle('converged', Boolean(result && result.converged));
+        progress.classList.toggle('timed-out', Boolean(this.capture && !running && !(result && result.converged)));
+
+        document.getElementById('start-point-capture').textContent = running ? 'Stop' : (this.capture ? 'Restart' : 'Start');
+        document.getElementById('use-point-capture').disabled = !result;
+        document.getElementById('point-capture-duration').disabled = running;
+        document.getElementById('point-capture-target').disabled = running;
+    }
+
+    /**
+     * Start/Stop button
+     */
+    toggle() {
+        if (this.isRunning()) {
+            this.stop();
+            this.render();
+        } else {
+            this.start();
+        }
+    }
+
+    /**
+     * Accept the averaged position, even if it hasn't converged yet
+     */
+    use() {
+        const result = this.capture ? this.capture.getResult() : null;
+        if (!result) return;
+
+        this.stop();
+        const statistics = this.capture.getStatistics();
+        const onComplete = this.onComplete;
+        this.close();
+
+        if (onComplete) {
+            onComplete({ position: result.position, statistics });
+        }
+    }
+
+    /**
+     * Discard the capture and close the dialog
+     */
+    close() {
+        this.stop();
+        this.capture = null;
+        this.onComplete = null;
+        this.hideModal();
+    }
+
+    showModal() {
+        const modal = document.getElementById('point-capture-modal');
+        modal.classList.add('visible');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.querySelector('.modal-container').style.opacity = '1';
+        }, 10);
+    }
+
+    hideModal() {
+        const modal = document.getElementById('point-capture-modal');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.classList.remove('visible');
+        }, 300);
+    }
+}
@@ -0,0 +1,250 @@
+/**
+ * SettingsController Module
+ * Settings screen: planned dig depth and the clearance thresholds used for
+ * excavation alerts, per utility type and line type, the location engine
+ * and how drawn points snap
+ */
+
+import {
+    CLEARANCE_LEVELS,
+    CLEARANCE_UTILITY_TYPES,
+    CLEARANCE_LINE_TYPES,
+    createClearanceRules,
+    validateClearanceRule
+} from '../models/Clearance.js';
+import { LOCATION_FILTERS } from '../models/AppState.js';
+import { SNAP_TARGETS, SNAP_TARGET_LABELS } from '../models/Snapping.js';
+
+const UTILITY_LABELS = {
+    water: 'Water',
+    gas: 'Gas',
+    electric: 'Electric',
+    sewer: 'Sewer',
+    telecom: 'Telecom'
+};
+
+const LINE_LABELS = {
+    main: 'Main',
+    service: 'Service'
+};
+
+export class SettingsController {
+    constructor(appState, mapController, uiController) {
+        this.appState = appState;
+        this.mapController = mapController;
+        this.uiController = uiController;
+    }
+
+    /**
+     * Show the settings screen filled in from the current settings
+     */
+    open() {
+        const digDepth = document.getElementById('settings-dig-depth');
+        digDepth.value = this.appState.digDepth ?? '';
+
+        this.renderClearanceRules(this.appState.clearanceRules);
+        this.renderLocationFilters();
+        this.renderSnapSettings();
+        this.showModal();
+    }
+
+    /**
+     * Build the threshold table: one row per utility and line type, one
+     * input per level
+     * @param {Object} rules utilityType -> lineType -> level -> feet
+     */
+    renderClearanceRules(rules) {
+        const table = document.getElementById('settings-clearance-rules');
+        table.innerHTML = '';
+
+        const header = document.createElement('tr');
+        ['Utility', ...CLEARANCE_LEVELS].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            th.className = CLEARANCE_LEVELS.includes(text) ? `clearance-level ${text}` : '';
+            header.appendChild(th);
+        });
+        table.appendChild(header);
+
+        CLEARANCE_UTILITY_TYPES.forEach(utilityType => {
+            CLEARANCE_LINE_TYPES.forEach(lineType => {
+                const row = document.createElement('tr');
+
+                const label = document.createElement('td');
+                label.textContent = `${UTILITY_LABELS[utilityType]} ${LINE_LABELS[lineType]}`;
+                row.appendChild(label);
+
+                CLEARANCE_LEVELS.forEach(level => {
+                    const cell = document.createElement('td');
+                    const input = document.createElement('input');
+                    input.type = 'number';
+                    input.min = '0.5';
+                    input.step = '0.5';
+                    input.className = 'form-control';
+                    input.dataset.utilityType = utilityType;
+                    input.dataset.lineType = lineType;
+                    input.dataset.level = level;
+                    input.value = rules[utilityType][lineType][level];
+                    input.setAttribute('aria-label', `${label.textContent} ${level} (ft)`);
+                    cell.appendChild(input);
+                    row.appendChild(cell);
+                });
+
+                table.appendChild(row);
+            });
+        });
+    }
+
+    /**
+     * Fill the location engine picker
+     */
+    renderLocationFilters() {
+        const select = document.getElementById('settings-location-filter');
+        select.innerHTML = '';
+
+        Object.entries(LOCATION_FILTERS).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+
+        select.value = this.appState.locationFilter;
+    }
+
+    /**
+     * Fill in the snapping settings, one checkbox per snap target
+     */
+    renderSnapSettings() {
+        const settings = this.appState.snapSettings;
+        document.getElementById('settings-snap-enabled').checked = settings.enabled;
+        document.getElementById('settings-snap-pixels').value = settings.tolerancePixels;
+        document.getElementById('settings-snap-meters').value = settings.toleranceMeters;
+
+        const targets = document.getElementById('settings-snap-targets');
+        targets.innerHTML = '';
+        SNAP_TARGETS.forEach(target => {
+            const item = document.createElement('div');
+            item.className = 'checkbox-item';
+
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.id = `settings-snap-${target}`;
+            input.dataset.target = target;
+            input.checked = settings.targets[target];
+            item.appendChild(input);
+
+            const label = document.createElement('label');
+            label.htmlFor = input.id;
+            label.textContent = SNAP_TARGET_LABELS[target];
+            item.appendChild(label);
+
+            targets.appendChild(item);
+        });
+    }
+
+    /**
+     * Read the threshold table
+     * @returns {Object} utilityType -> lineType -> level -> feet
+     */
+    getClearanceRules() {
+        const rules = createClearanceRules(this.appState.distanceThresholds);
+
+        document.querySelectorAll('#settings-clearance-rules input').forEach(input => {
+            const { utilityType, lineType, level } = input.dataset;
+            rules[utilityType][lineType][level] = parseFloat(input.value);
+        });
+
+        return rules;
+    }
+
+    /**
+     * Validate and apply the settings, then re-check alerts with them
+     */
+    save() {
+        const rules = this.getClearanceRules();
+
+        for (const utilityType of CLEARANCE_UTILITY_TYPES) {
+            for (const lineType of CLEARANCE_LINE_TYPES) {
+                const problem = validateClearanceRule(rules[utilityType][lineType]);
+                if (problem) {
+                    this.uiController.showToast(`${UTILITY_LABELS[utilityType]} ${LINE_LABELS[lineType]}: ${problem}`, 'error');
+                    return;
+                }
+            }
+        }
+
+        const digDepth = document.getElementById('settings-dig-depth').value.trim();
+        if (digDepth !== '' && !(parseFloat(digDepth) > 0)) {
+            this.uiController.showToast('Dig depth must be a positive number of feet', 'error');
+            return;
+        }
+
+        const snapPixels = parseFloat(document.getElementById('settings-snap-pixels').value);
+        const snapMeters = parseFloat(document.getElementById('settings-snap-meters').value);
+        if (!(snapPixels > 0) || !(snapMeters > 0)) {
+            this.uiController.showToast('Snap tolerances must be positive numbers', 'error');
+            return;
+        }
+
+        this.appState.setClearanceRules(rules);
+        this.appState.setDigDepth(digDepth === '' ? null : parseFloat(digDepth));
+
+        const locationFilter = document.getElementById('settings-location-filter').value;
+        if (locationFilter !== this.appState.locationFilter) {
+            this.appState.setLocationFilter(locationFilter);
+            this.mapController.setLocationFilter(locationFilter);
+        }
+
+        const targets = {};
+        document.querySelectorAll('#settings-snap-targets input').forEach(input => {
+            targets[input.dataset.target] = input.checked;
+        });
+        this.appState.setSnapSettings({
+            enabled: document.getElementById('settings-snap-enabled').checked,
+            tolerancePixels: snapPixels,
+            toleranceMeters: snapMeters,
+            targets
+        });
+
+        if (this.appState.isExcavationMode) {
+            this.mapController.checkProximityAlerts();
+        }
+
+        this.hideModal();
+        this.uiController.showToast('Settings saved', 'success');
+    }
+
+    /**
+     * Put the default thresholds back in the table (applied on save)
+     */
+    resetClearanceRules() {
+        this.renderClearanceRules(createClearanceRules(this.appState.distanceThresholds));
+    }
+
+    showModal() {
+        const modal = document.getElementById('settings-modal');
+        modal.classList.add('visible');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.querySelector('.modal-container').style.opacity = '1';
+        }, 10);
+    }
+
+    /**
+     * Hide the settings screen and go back to the map tab
+     */
+    hideModal() {
+        const modal = document.getElementById('settings-modal');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.classList.remove('visible');
+        }, 300);
+
+        document.querySelectorAll('.nav-button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.screen === 'home');
+        });
+    }
+}
@@ -0,0 +1,303 @@
+/**
+ * TopologyController Module
+ * Topology check panel: runs the validator over the DataStore, lists the
+ * issues found, zooms to each one and applies its one-tap fix as an
+ * undoable edit.
+ */
+
+import { remapCaptures } from '../models/LineEdit.js';
+import { ISSUE_TYPES, validateTopology } from '../models/TopologyValidator.js';
+import { measureStation } from '../utils/Geodesy.js';
+
+export class TopologyController {
+    constructor(appState, dataStore, mapController, uiController) {
+        this.appState = appState;
+        this.dataStore = dataStore;
+        this.mapController = mapController;
+        this.uiController = uiController;
+
+        this.issues = [];
+        this.selectedId = null;
+    }
+
+    /**
+     * Check the network and show the panel
+     */
+    open() {
+        this.run();
+        document.getElementById('topology-panel').classList.add('visible');
+    }
+
+    /**
+     * Check the network again and refresh the list
+     */
+    run() {
+        this.issues = validateTopology(this.dataStore.getUtilities(), this.dataStore.getStructures());
+        if (!this.issues.some(issue => issue.id === this.selectedId)) {
+            this.selectedId = null;
+            this.mapController.clearNetworkTrace();
+        }
+        this.render();
+    }
+
+    /**
+     * Fill in the summary and issue list
+     */
+    render() {
+        const summary = document.getElementById('topology-summary');
+        const list = document.getElementById('topology-list');
+        list.innerHTML = '';
+
+        const errors = this.issues.filter(issue => issue.severity === 'error').length;
+        const warnings = this.issues.length - errors;
+        summary.textContent = this.issues.length
+            ? `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`
+            : 'No problems found';
+
+        this.issues.forEach(issue => list.appendChild(this.createItem(issue)));
+    }
+
+    /**
+     * List entry for an issue: tapping it zooms to the problem, its button
+     * applies the fix
+     */
+    createItem(issue) {
+        const item = document.createElement('li');
+        item.className = `topology-item ${issue.severity}`;
+        item.classList.toggle('selected', issue.id === this.selectedId);
+
+        const text = document.createElement('div');
+        text.className = 'topology-item-text';
+
+        const title = document.createElement('div');
+        title.className = 'topology-item-title';
+        title.textContent = ISSUE_TYPES[issue.type].label;
+        text.appendChild(title);
+
+        const detail = document.createElement('div');
+        detail.className = 'topology-item-detail';
+        detail.textContent = issue.message;
+        text.appendChild(detail);
+
+        item.appendChild(text);
+        item.addEventListener('click', () => this.select(issue));
+
+        if (issue.fix) {
+            const fixButton = document.createElement('button');
+            fixButton.className = 'btn btn-sm btn-primary topology-fix';
+            fixButton.textContent = issue.fix.label;
+            fixButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.applyFix(issue);
+            });
+            item.appendChild(fixButton);
+        }
+
+        return item;
+    }
+
+    /**
+     * Highlight an issue and zoom to it
+     */
+    select(issue) {
+        this.selectedId = issue.id;
+        document.querySelectorAll('.topology-item').forEach((item, index) => {
+            item.classList.toggle('selected', this.issues[index] === issue);
+        });
+
+        const lines = [];
+        if (issue.collection === 'utilities') {
+            const utility = this.dataStore.getUtilityById(issue.recordId);
+            if (utility) lines.push({ coordinates: utility.coordinates, role: 'result' });
+        }
+        const points = issue.collection === 'structures' || issue.points.length === 1 ? issue.points : [];
+        this.mapController.showNetworkTrace(lines, points.map(point => ({ point, role: 'start' })));
+
+        const map = this.mapController.map;
+        if (issue.points.length > 1) {
+            map.fitBounds(issue.points, { padding: [40, 40], maxZoom: 21 });
+        } else if (issue.points.length) {
+            map.setView(issue.points[0], Math.max(map.getZoom(), 20));
+        }
+    }
+
+    /**
+     * Apply an issue's fix as one undoable edit, then check again
+     */
+    applyFix(issue) {
+        const fix = issue.fix;
+        const command = this.dataStore.history.begin(fix.label);
+
+        let applied = false;
+        switch (fix.action) {
+            case 'connect':
+                applied = this.connectService(fix, command);
+                break;
+            case 'remove-connection':
+                applied = this.removeConnection(fix, command);
+                break;
+            case 'delete-line':
+                applied = this.deleteLine(fix, command);
+                break;
+            case 'set-coordinates':
+                applied = this.setCoordinates(fix, command);
+                break;
+            case 'move-structure':
+                applied = this.moveStructure(fix, command);
+                break;
+        }
+
+        if (!applied) {
+            this.uiController.showToast('The record has changed since the check; checking again', 'warning');
+            this.run();
+            return;
+        }
+
+        this.dataStore.history.commit(command);
+        this.mapController.loadUtilities();
+        this.uiController.showToast(`${fix.label}: done`, 'success');
+        this.run();
+    }
+
+    /**
+     * Move the service end onto the main and record the connection on both,
+     * as drawing a connected service does
+     */
+    connectService(fix, command) {
+        const service = this.dataStore.getUtilityById(fix.serviceId);
+        const main = this.dataStore.getUtilityById(fix.mainId);
+        if (!service || !main || !service.coordinates[fix.vertex]) return false;
+
+        command.track('utilities', service.id).track('utilities', main.id);
+
+        service.coordinates[fix.vertex] = fix.point;
+        if (service.captures) {
+            // The moved end's averaged statistics no longer describe it
+            service.captures = service.captures.filter(capture => capture.vertex !== fix.vertex);
+            if (!service.captures.length) delete service.captures;
+        }
+
+        const date = new Date().toISOString();
+        service.connections.push({ type: 'main', targetId: main.id, point: fix.point, station: fix.station, date });
+        main.connections.push({ type: 'service', targetId: service.id, point: fix.point, station: fix.station, date });
+
+        this.dataStore.touchRecord(service);
+        this.dataStore.touchRecord(main);
+        return true;
+    }
+
+    removeConnection(fix, command) {
+        const record = this.dataStore.getRecord(fix.collection, fix.recordId);
+        if (!record || !(record.connections || []).some(connection => connection.targetId === fix.targetId)) return false;
+
+        command.track(fix.collection, record.id);
+        record.connections = record.connections.filter(connection => connection.targetId !== fix.targetId);
+        this.dataStore.touchRecord(record);
+        return true;
+    }
+
+    /**
+     * Delete a line. Connections to it move to the line kept in its place,
+     * if any; otherwise they are removed from the other records.
+     */
+    deleteLine(fix, command) {
+        const utility = this.dataStore.getUtilityById(fix.utilityId);
+        const keep = fix.keepId ? this.dataStore.getUtilityById(fix.keepId) : null;
+        if (!utility || (fix.keepId && !keep)) return false;
+
+        command.track('utilities', utility.id);
+        if (keep) command.track('utilities', keep.id);
+
+        (utility.connections || []).forEach(connection => {
+            const partner = this.dataStore.findConnected(connection.targetId, command);
+            if (!partner || partner.record === keep) return;
+
+            const { record } = partner;
+            const station = keep && keep.lineType === 'main' && connection.point
+                ? measureStation(connection.point, keep.coordinates)
+                : connection.station;
+
+            record.connections = (record.connections || [])
+                .map(entry => entry.targetId !== utility.id ? entry
+                    : keep ? { ...entry, targetId: keep.id, station } : null)
+                .filter(Boolean);
+            this.dataStore.touchRecord(record);
+
+            if (keep && !keep.connections.some(entry => entry.targetId === record.id)) {
+                keep.connections.push({ ...connection, station });
+            }
+        });
+
+        if (keep) this.dataStore.touchRecord(keep);
+        this.dataStore.removeRecord('utilities', utility);
+        return true;
+    }
+
+    /**
+     * Replace a line's vertices, carrying vertex statistics over by the
+     * fix's vertexMap (old index -> new index, -1 where removed)
+     */
+    setCoordinates(fix, command) {
+        const utility = this.dataStore.getUtilityById(fix.utilityId);
+        if (!utility || utility.coordinates.length !== fix.vertexMap.length) return false;
+
+        command.track('utilities', utility.id);
+        utility.coordinates = fix.coordinates;
+
+        const captures = remapCaptures(utility.captures, fix.vertexMap);
+        if (captures) {
+            utility.captures = captures;
+        } else {
+            delete utility.captures;
+        }
+
+        this.refreshStations(utility, command);
+        this.dataStore.touchRecord(utility);
+        return true;
+    }
+
+    /**
+     * Stations are measured along the main: after a main's vertices change,
+     * measure its connections again, on both records
+     */
+    refreshStations(utility, command) {
+        if (utility.lineType !== 'main') return;
+
+        (utility.connections || []).forEach(connection => {
+            if (!connection.point) return;
+
+            const station = measureStation(connection.point, utility.coordinates);
+            connection.station = station;
+
+            const partner = this.dataStore.findConnected(connection.targetId, command);
+            if (!partner) return;
+            (partner.record.connections || [])
+                .filter(entry => entry.targetId === utility.id)
+                .forEach(entry => {
+                    entry.station = station;
+                });
+            this.dataStore.touchRecord(partner.record);
+        });
+    }
+
+    moveStructure(fix, command) {
+        const structure = this.dataStore.getStructureById(fix.structureId);
+        if (!structure) return false;
+
+        command.track('structures', structure.id);
+        structure.coordinates = fix.point;
+        delete structure.capture; // Averaged statistics were for the old position
+        this.dataStore.touchRecord(structure);
+        return true;
+    }
+
+    /**
+     * Close the panel and remove the highlight
+     */
+    close() {
+        this.mapController.clearNetworkTrace();
+        document.getElementById('topology-panel').classList.remove('visible');
+        this.issues = [];
+        this.selectedId = null;
+    }
+}
@@ -5,6 +5,9 @@
 
 import { AppState } from '../models/AppState.js';
 import { DataStore } from '../models/DataStore.js';
+import { MERGE_COLLECTIONS } from '../models/Merge.js';
+import { CLEARANCE_LEVELS } from '../models/Clearance.js';
+import { listCoordinateSystems } from '../utils/Projection.js';
 
 export class UIController {
     constructor(appState, dataStore, mapController) {
@@ -210,7 +213,7 @@ export class UIController {
         document.getElementById('info-condition').textContent = utility.condition || 'Unknown';
         
         // Format date
-        const date = utility.date ? new Date(utility.date) : new Date();
+        const date = utility.dateAdded ? new Date(utility.dateAdded) : new Date();
         document.getElementById('info-date').textContent = date.toLocaleString();
         
         // Display image if available
@@ -228,21 +231,24 @@ export class UIController {
             element: utility
         };
         
-        // Set up button handlers
-        document.getElementById('edit-utility-btn').addEventListener('click', () => {
+        // Set up button handlers (onclick, so reopening the card doesn't stack handlers)
+        document.getElementById('edit-utility-btn').onclick = () => {
             this.hideUtilityInfoCard();
             this.showEditUtilityModal(utility);
-        });
+        };
         
-        document.getElementById('delete-utility-btn').addEventListener('click', () => {
+        document.getElementById('delete-utility-btn').onclick = () => {
             this.hideUtilityInfoCard();
             this.showDeleteConfirmation(utility);
-        });
+        };
         
-        document.getElementById('high-accuracy-reposition-btn').addEventListener('click', () => {
+        document.getElementById('high-accuracy-reposition-btn').onclick = () => {
             this.hideUtilityInfoCard();
             this.mapController.startHighAccuracyRepositioning(utility);
-        });
+        };
+        
+        // Always open on the details tab
+        this.showInfoCardTab('details');
         
         // Show card
         infoCard.classList.add('visible');
@@ -253,6 +259,123 @@ export class UIController {
         infoCard.classList.remove('visible');
     }
     
+    /**
+     * Switch the info card between its details and history tabs
+     * @param {string} tab 'details' or 'history'
+     */
+    showInfoCardTab(tab) {
+        document.querySelectorAll('#utility-info-card .info-card-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tab);
+        });
+        
+        document.getElementById('info-card-details').style.display = tab === 'details' ? 'flex' : 'none';
+        document.getElementById('info-card-history').style.display = tab === 'history' ? 'block' : 'none';
+        
+        const selected = this.appState.selectedElement;
+        if (tab === 'history' && selected && selected.element) {
+            this.renderRecordHistory(selected.element.id);
+        }
+    }
+    
+    /**
+     * List the audit entries for a record, newest first
+     * @param {string} recordId
+     */
+    renderRecordHistory(recordId) {
+        const container = document.getElementById('info-card-history');
+        const entries = this.dataStore.audit.forRecord(recordId).reverse();
+        container.innerHTML = '';
+        
+        if (!entries.length) {
+            const empty = document.createElement('div');
+            empty.className = 'history-empty';
+            empty.textContent = 'No recorded changes. Records added before edit history was kept have no entries.';
+            container.appendChild(empty);
+            return;
+        }
+        
+        const actionNames = {
+            add: 'Added',
+            edit: 'Edited',
+            reposition: 'Repositioned',
+            connect: 'Connection changed',
+            delete: 'Deleted',
+            restore: 'Restored',
+            import: 'Imported'
+        };
+        
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'history-entry';
+            
+            const title = document.createElement('div');
+            title.className = 'history-entry-title';
+            title.textContent = actionNames[entry.action] || entry.action;
+            if (entry.label) {
+                title.textContent += ` · ${entry.label}`;
+            }
+            
+            const meta = document.createElement('div');
+            meta.className = 'history-entry-meta';
+            const accuracy = entry.gpsAccuracy !== null ? ` · GPS ±${entry.gpsAccuracy.toFixed(1)} m` : ' · no GPS fix';
+            meta.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${entry.user || 'Unknown user'}${accuracy}`;
+            
+            item.appendChild(title);
+            item.appendChild(meta);
+            
+            // Field changes (adds, deletes and restores list the whole record, so skip them)
+            if (!['add', 'delete', 'restore'].includes(entry.action)) {
+                const changes = document.createElement('ul');
+                changes.className = 'history-entry-changes';
+                
+                Object.entries(entry.changes).forEach(([field, change]) => {
+                    const line = document.createElement('li');
+                    line.textContent = this.describeAuditChange(field, change);
+                    changes.appendChild(line);
+                });
+                
+                if (changes.children.length) {
+                    item.appendChild(changes);
+                }
+            }
+            
+            container.appendChild(item);
+        });
+    }
+    
+    /**
+     * One-line summary of a field change in an audit entry
+     */
+    describeAuditChange(field, change) {
+        const { before, after } = change;
+        
+        if (field === 'coordinates' && Array.isArray(before) && Array.isArray(after)) {
+            const beforePoints = Array.isArray(before[0]) ? before : [before];
+            const afterPoints = Array.isArray(after[0]) ? after : [after];
+            
+            // Same vertices - report the largest shift
+            if (beforePoints.length === afterPoints.length) {
+                const shift = Math.max(...beforePoints.map((point, index) => {
+                    return this.mapController.calculateDistance(point, afterPoints[index]);
+                }));
+                return `Geometry moved up to ${shift.toFixed(2)} m`;
+            }
+            
+            return `Geometry changed from ${beforePoints.length} to ${afterPoints.length} points`;
+        }
+        
+        if (field === 'connections') {
+            return `Connections: ${(before || []).length} → ${(after || []).length}`;
+        }
+        
+        const format = value => {
+            if (value === null || value === undefined || value === '') return '(none)';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        };
+        
+        return `${field}: ${format(before)} → ${format(after)}`;
+    }
+    
     /* MODALS */
     showAddUtilityModal() {
         const modal = document.getElementById('add-utility-modal');
@@ -279,6 +402,13 @@ export class UIController {
         document.getElementById('utility-condition').value = 'Good';
         document.getElementById('utility-photo').value = '';
         document.getElementById('utility-notes').value = '';
+        this.appState.pendingUtilityGeometry = null;
+        
+        // Undo any edit mode left by showEditUtilityModal
+        modal.querySelector('.modal-title').textContent = 'Add Utility';
+        const confirmBtn = document.getElementById('confirm-add-utility');
+        confirmBtn.textContent = 'Add Utility';
+        delete confirmBtn.dataset.utilityId;
         
         // Show modal
         modal.classList.add('visible');
@@ -298,21 +428,29 @@ export class UIController {
         }, 300);
     }
     
-    showAddStructureModal() {
+    /**
+     * @param {boolean} [reset=true] False to show the form as it was left
+     *   (coming back from the offset panel)
+     */
+    showAddStructureModal(reset = true) {
         const modal = document.getElementById('add-structure-modal');
         
-        // Reset form values
-        document.querySelectorAll('#add-structure-modal .structure-option').forEach(opt => {
-            opt.classList.remove('selected');
-        });
-        
-        // Reset form fields
-        document.getElementById('structure-size').value = '24';
-        document.getElementById('structure-depth').value = '3';
-        document.getElementById('structure-material').value = 'Concrete';
-        document.getElementById('structure-condition').value = 'Good';
-        document.getElementById('structure-photo').value = '';
-        document.getElementById('structure-notes').value = '';
+        if (reset) {
+            // Reset form values
+            document.querySelectorAll('#add-structure-modal .structure-option').forEach(opt => {
+                opt.classList.remove('selected');
+            });
+            
+            // Reset form fields
+            document.getElementById('structure-size').value = '24';
+            document.getElementById('structure-depth').value = '3';
+            document.getElementById('structure-material').value = 'Concrete';
+            document.getElementById('structure-condition').value = 'Good';
+            document.getElementById('structure-photo').value = '';
+            document.getElementById('structure-notes').value = '';
+            this.appState.pendingCapture = null;
+            this.updateStructureCaptureStatus();
+        }
         
         // Show modal
         modal.classList.add('visible');
@@ -323,6 +461,22 @@ export class UIController {
         }, 10);
     }
     
+    /**
+     * Add utility form for a line whose vertices are already known (a GPS
+     * trace), with its utility and line type selected
+     * @param {Object} utilityData { type, lineType }
+     * @param {Object} geometry { coordinates, trace } used by handleAddUtility
+     */
+    showAddTracedUtilityModal(utilityData, geometry) {
+        this.showAddUtilityModal();
+        this.prepopulateUtilityForm(utilityData);
+        this.appState.pendingUtilityGeometry = geometry;
+        
+        const modal = document.getElementById('add-utility-modal');
+        modal.querySelector('.modal-title').textContent =
+            `Add Traced Utility (${geometry.coordinates.length} vertices, ${geometry.trace.length.toFixed(1)} m)`;
+    }
+    
     hideAddStructureModal() {
         const modal = document.getElementById('add-structure-modal');
         modal.querySelector('.modal-container').style.opacity = '0';
@@ -332,6 +486,23 @@ export class UIController {
         }, 300);
     }
     
+    /**
+     * Say where the new structure will be placed: the averaged or offset
+     * capture if there is one, otherwise the current location
+     */
+    updateStructureCaptureStatus() {
+        const status = document.getElementById('structure-capture-status');
+        const statistics = this.appState.pendingCapture?.statistics;
+        
+        if (!statistics) {
+            status.textContent = 'Current location';
+        } else if (statistics.method === 'offset') {
+            status.textContent = `Offset: ${statistics.distance} m at ${Math.round(statistics.bearing)}°`;
+        } else {
+            status.textContent = `Averaged: ${statistics.samples} fixes, ±${statistics.precision} m`;
+        }
+    }
+    
     /* LAYER PANEL */
     toggleLayersPanel() {
         const panel = document.getElementById('layers-panel');
@@ -374,6 +545,31 @@ export class UIController {
         panel.classList.toggle('visible');
     }
     
+    /* STORAGE USAGE */
+    updateStorageUsage(usage) {
+        const text = document.getElementById('storage-usage-text');
+        const fill = document.getElementById('storage-usage-fill');
+        const container = document.getElementById('storage-usage');
+        if (!text || !fill || !container || !usage) return;
+        
+        const ratio = usage.quota ? Math.min(1, usage.usage / usage.quota) : 0;
+        
+        text.textContent = usage.quota ?
+            `${this.formatBytes(usage.usage)} of ${this.formatBytes(usage.quota)} (${(ratio * 100).toFixed(1)}%)` :
+            this.formatBytes(usage.usage);
+        fill.style.width = `${Math.max(ratio * 100, 1)}%`;
+        
+        container.classList.toggle('warning', ratio >= 0.8);
+        container.title = `Storage backend: ${usage.backend}`;
+    }
+    
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+    }
+    
     /* MEASUREMENT UI */
     showMeasurementToolbar() {
         const toolbar = document.getElementById('measurement-toolbar');
@@ -427,7 +623,270 @@ export class UIController {
             modal.classList.remove('visible');
         }, 300);
     }
-    
+
+    /* EXPORT UI */
+    /**
+     * Show the export format chooser
+     * @param {string} [suggestedCrs] Coordinate system id to preselect for CAD exports
+     */
+    showExportFormatModal(suggestedCrs) {
+        const modal = document.getElementById('export-format-modal');
+        const crsSelect = document.getElementById('export-crs');
+
+        // Fill the coordinate system list on first use
+        if (crsSelect && !crsSelect.options.length) {
+            listCoordinateSystems().forEach(({ group, systems }) => {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = group;
+                systems.forEach(system => {
+                    optgroup.appendChild(new Option(system.name, system.id));
+                });
+                crsSelect.appendChild(optgroup);
+            });
+        }
+
+        if (crsSelect) {
+            crsSelect.value = this.appState.exportCoordinateSystem || suggestedCrs || crsSelect.options[0].value;
+            this.updateExportUnits(this.appState.exportUnits);
+        }
+
+        this.updateExportOptions();
+
+        modal.classList.add('visible');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.querySelector('.modal-container').style.opacity = '1';
+        }, 10);
+    }
+
+    hideExportFormatModal() {
+        const modal = document.getElementById('export-format-modal');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.classList.remove('visible');
+        }, 300);
+    }
+
+    /**
+     * Show the options that apply to the selected export format
+     */
+    updateExportOptions() {
+        const dxfOptions = document.getElementById('export-dxf-options');
+        if (dxfOptions) {
+            dxfOptions.style.display = this.getSelectedExportFormat() === 'dxf' ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Set the CAD export units, defaulting to meters for UTM and US survey
+     * feet for State Plane
+     * @param {string} [units] Explicit units to select
+     */
+    updateExportUnits(units) {
+        const crs = document.getElementById('export-crs').value;
+        document.getElementById('export-units').value = units || (crs.startsWith('utm') ? 'm' : 'usft');
+    }
+
+    /**
+     * Get the export format chosen in the export modal
+     * @returns {string} Format id (e.g. 'json', 'geojson')
+     */
+    getSelectedExportFormat() {
+        const selected = document.querySelector('input[name="export-format"]:checked');
+        return selected ? selected.value : 'json';
+    }
+
+    /**
+     * Get the format options chosen in the export modal
+     * @returns {{crs: string, units: string}}
+     */
+    getExportOptions() {
+        return {
+            crs: document.getElementById('export-crs')?.value,
+            units: document.getElementById('export-units')?.value
+        };
+    }
+
+    /* UNDO / REDO */
+    /**
+     * Enable the undo/redo buttons when there is something to undo/redo
+     * @param {CommandHistory} history
+     */
+    updateHistoryButtons(history) {
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        const lastUndo = history.undoStack[history.undoStack.length - 1];
+        const lastRedo = history.redoStack[history.redoStack.length - 1];
+
+        if (undoBtn) {
+            undoBtn.disabled = !history.canUndo();
+            undoBtn.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !history.canRedo();
+            redoBtn.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Y)` : 'Redo (Ctrl+Y)';
+        }
+    }
+
+    /* MERGE IMPORT UI */
+    /**
+     * Show the merge summary and a diff for each record that differs
+     * @param {Object} plan Merge plan from DataStore.planMerge
+     * @param {string} fileName Name of the imported file
+     */
+    showMergeImportModal(plan, fileName) {
+        const modal = document.getElementById('merge-import-modal');
+
+        const parts = [
+            `${plan.added.length} new`,
+            `${plan.updated.length} changed in the file`,
+            `${plan.keptLocal.length} changed here`,
+            `${plan.unchanged} unchanged`
+        ];
+        document.getElementById('merge-import-summary').textContent =
+            `${fileName}: ${parts.join(', ')}. ${plan.conflicts.length} record(s) changed on both sides.`;
+
+        // Records changed on one side: that side is picked but can be overridden
+        const autoList = document.getElementById('merge-auto-list');
+        autoList.innerHTML = '';
+        plan.updated.forEach(entry => autoList.appendChild(this.createMergeConflictItem(entry, 'incoming')));
+        plan.keptLocal.forEach(entry => autoList.appendChild(this.createMergeConflictItem(entry, 'local')));
+        document.getElementById('merge-auto-section').style.display =
+            plan.updated.length || plan.keptLocal.length ? 'block' : 'none';
+
+        const list = document.getElementById('merge-conflict-list');
+        list.innerHTML = '';
+        plan.conflicts.forEach(conflict => list.appendChild(this.createMergeConflictItem(conflict)));
+
+        document.getElementById('merge-conflict-section').style.display = plan.conflicts.length ? 'block' : 'none';
+
+        modal.classList.add('visible');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.querySelector('.modal-container').style.opacity = '1';
+        }, 10);
+    }
+
+    hideMergeImportModal() {
+        const modal = document.getElementById('merge-import-modal');
+        modal.querySelector('.modal-container').style.opacity = '0';
+
+        setTimeout(() => {
+            modal.classList.remove('visible');
+        }, 300);
+    }
+
+    /**
+     * Build the diff card for one record: changed fields side by side and
+     * the keep local / take incoming / keep both choice
+     * @param {Object} conflict Merge plan entry
+     * @param {string} [defaultChoice] Choice picked to start with
+     */
+    createMergeConflictItem(conflict, defaultChoice = 'local') {
+        const { local, incoming } = conflict;
+        const definition = MERGE_COLLECTIONS[conflict.collection];
+        const item = document.createElement('div');
+        item.className = 'merge-conflict';
+
+        const title = document.createElement('div');
+        title.className = 'merge-conflict-title';
+        const type = local.structureType || local.type || local.text || '';
+        title.textContent = `${definition.label}${type ? ` - ${type}` : ''} (${local.id})`;
+        item.appendChild(title);
+
+        const table = document.createElement('table');
+        table.className = 'merge-diff-table';
+        const headerRow = table.createTHead().insertRow();
+        ['Field', 'Local', 'Incoming'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        [...conflict.changedFields, 'dateModified'].forEach(field => {
+            const row = body.insertRow();
+            row.insertCell().textContent = field === 'dateModified' ? 'Modified' : field;
+            row.insertCell().textContent = this.formatMergeValue(field, local[field]);
+            row.insertCell().textContent = this.formatMergeValue(field, incoming[field]);
+        });
+        item.appendChild(table);
+
+        const choices = document.createElement('div');
+        choices.className = 'radio-group merge-conflict-choices';
+        [['local', 'Keep local'], ['incoming', 'Take incoming'], ['both', 'Keep both']].forEach(([value, label]) => {
+            const choice = document.createElement('div');
+            choice.className = 'radio-item';
+
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = `merge-${conflict.key}`;
+            input.id = `merge-${conflict.key}-${value}`;
+            input.value = value;
+            input.dataset.conflictKey = conflict.key;
+            input.checked = value === defaultChoice;
+
+            const inputLabel = document.createElement('label');
+            inputLabel.htmlFor = input.id;
+            inputLabel.textContent = label;
+
+            choice.appendChild(input);
+            choice.appendChild(inputLabel);
+            choices.appendChild(choice);
+        });
+        item.appendChild(choices);
+
+        return item;
+    }
+
+    /**
+     * Short, readable text for a field value in the merge diff
+     */
+    formatMergeValue(field, value) {
+        if (value === undefined || value === null || value === '') return '-';
+
+        switch (field) {
+            case 'coordinates':
+                if (Array.isArray(value[0])) return `${value.length} points`;
+                return value.map(number => Number(number).toFixed(6)).join(', ');
+            case 'connections':
+                return `${value.length} connection(s)`;
+            case 'imageData':
+                return 'Photo';
+            case 'dateModified':
+                return new Date(value).toLocaleString();
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * Set every conflict to the same choice
+     * @param {string} choice 'local', 'incoming' or 'both'
+     */
+    setAllMergeChoices(choice) {
+        document.querySelectorAll(`#merge-conflict-list input[value="${choice}"]`).forEach(input => {
+            input.checked = true;
+        });
+    }
+
+    /**
+     * Read the choice made for each record that differs
+     * @returns {Object} Entry key -> 'local', 'incoming' or 'both'
+     */
+    getMergeResolutions() {
+        const resolutions = {};
+
+        document.querySelectorAll('#merge-conflict-list input:checked, #merge-auto-list input:checked').forEach(input => {
+            resolutions[input.dataset.conflictKey] = input.value;
+        });
+
+        return resolutions;
+    }
+
     /* DELETE CONFIRMATION */
     showDeleteConfirmation(utility) {
         const modal = document.getElementById('confirm-delete-modal');
@@ -449,8 +908,9 @@ export class UIController {
         const index = typeArray.findIndex(u => u.id === utility.id);
         
         if (index !== -1) {
+            const command = this.dataStore.history.begin('Delete utility').track('utilities', utility.id);
             typeArray.splice(index, 1);
-            this.dataStore.saveData();
+            this.dataStore.history.commit(command);
             
             // Remove from map
             this.mapController.removeUtilityFromMap(utility);
@@ -622,6 +1082,14 @@ export class UIController {
         btn.classList.remove('visible');
     }
     
+    showVertexCaptureButtons() {
+        document.getElementById('vertex-capture-buttons').classList.add('visible');
+    }
+    
+    hideVertexCaptureButtons() {
+        document.getElementById('vertex-capture-buttons').classList.remove('visible');
+    }
+    
     /* LINE TYPE SELECTOR */
     showLineTypeSelector() {
         const selector = document.getElementById('line-type-selector');
@@ -672,14 +1140,18 @@ export class UIController {
         
         // Update indicator styling based on utility type
         icon.className = `connection-indicator-icon ${utilityType}`;
+        icon.innerHTML = '<i class="fas fa-plug"></i>';
         document.getElementById('connection-indicator-text').textContent = `Connect to ${utilityType} Main`;
         
         // Setup confirm connection button
-        document.getElementById('confirm-connection-btn').addEventListener('click', () => {
+        // (assigned rather than added, as this runs for every point near a main)
+        const confirmButton = document.getElementById('confirm-connection-btn');
+        confirmButton.style.display = '';
+        confirmButton.onclick = () => {
             if (this.appState.isDrawing && this.appState.potentialConnection) {
                 this.eventHandlers.finishUtilityDrawing();
             }
-        }, { once: true }); // Important: use once to prevent multiple handlers
+        };
         
         // Show indicator
         indicator.classList.add('visible');
@@ -690,6 +1162,44 @@ export class UIController {
         indicator.classList.remove('visible');
     }
     
+    /**
+     * Show what the point under the pointer will snap to, on the connection
+     * indicator
+     * @param {Object} snap From MapController.findSnapTarget
+     * @param {string} utilityType Utility type being drawn
+     * @param {string} lineType Line type being drawn
+     */
+    showSnapIndicator(snap, utilityType, lineType) {
+        const indicator = document.getElementById('connection-indicator');
+        const icon = document.getElementById('connection-indicator-icon');
+        
+        const point = this.mapController.map.latLngToContainerPoint(snap.point);
+        indicator.style.left = `${point.x + 20}px`;
+        indicator.style.top = `${point.y - 20}px`;
+        
+        const connects = lineType === 'service' && snap.utility && snap.utility.lineType === 'main';
+        icon.className = `connection-indicator-icon ${utilityType}`;
+        icon.innerHTML = `<i class="fas ${connects ? 'fa-plug' : 'fa-magnet'}"></i>`;
+        
+        let text;
+        if (connects) {
+            text = `Connect to ${utilityType} Main`;
+        } else if (snap.structure) {
+            text = `Snap to ${this.mapController.getStructureTitle(snap.structure)}`;
+        } else {
+            const title = this.mapController.getUtilityTitle(snap.utility);
+            text = snap.kind === 'endpoint' ? `Snap to end of ${title}`
+                : snap.kind === 'vertex' ? `Snap to vertex of ${title}`
+                : `Snap to ${title}`;
+        }
+        document.getElementById('connection-indicator-text').textContent = text;
+        
+        // Confirming belongs to a connection already drawn, not to a preview
+        document.getElementById('confirm-connection-btn').style.display = 'none';
+        
+        indicator.classList.add('visible');
+    }
+    
     updateConnectionIndicatorPosition(latlng) {
         const indicator = document.getElementById('connection-indicator');
         if (indicator && indicator.classList.contains('visible')) {
@@ -770,26 +1280,76 @@ export class UIController {
     }
     
     /* PROXIMITY ALERTS */
+    /**
+     * Sync the alert cards with the latest proximity check: add new alerts,
+     * update existing ones and remove those no longer in range. A dismissed
+     * alert stays hidden until it becomes more severe or the user leaves it.
+     * @param {Array<Object>} alerts Alerts from MapController.checkProximityAlerts
+     */
+    updateProximityAlerts(alerts) {
+        const severity = level => CLEARANCE_LEVELS.indexOf(level);
+        const previous = new Map(this.appState.activeAlerts.map(alert => [alert.utilityId, alert]));
+        const inRange = new Set(alerts.map(alert => alert.utilityId));
+        const current = [];
+        
+        // Forget dismissals for utilities that are out of range again
+        this.appState.dismissedAlerts = this.appState.dismissedAlerts.filter(entry => inRange.has(entry.utilityId));
+        
+        alerts.forEach(alert => {
+            const dismissed = this.appState.dismissedAlerts.find(entry => entry.utilityId === alert.utilityId);
+            if (dismissed) {
+                if (severity(alert.level) >= severity(dismissed.level)) return;
+                this.appState.dismissedAlerts = this.appState.dismissedAlerts.filter(entry => entry !== dismissed);
+            }
+            
+            const existing = previous.get(alert.utilityId);
+            if (existing) {
+                previous.delete(alert.utilityId);
+                
+                const escalated = severity(alert.level) < severity(existing.level);
+                Object.assign(existing, alert);
+                this.updateProximityAlert(existing);
+                if (escalated) {
+                    this.playAlertSound(alert.level === 'critical' ? 'critical' : 'warning');
+                    this.logProximityAlert(existing, true);
+                }
+                current.push(existing);
+            } else {
+                alert.lastSeenTime = Date.now();
+                this.createProximityAlert(alert);
+                this.logProximityAlert(alert, false);
+                current.push(alert);
+            }
+        });
+        
+        // Alerts that are dismissed or out of range
+        previous.forEach(alert => this.removeProximityAlert(alert));
+        
+        this.appState.activeAlerts = current;
+    }
+    
+    /**
+     * Clearance text for an alert, with the horizontal and vertical parts
+     * when a dig depth puts the utility below the dig
+     */
+    formatClearance(alert) {
+        const text = `${alert.clearance.toFixed(1)} ft`;
+        if (!alert.verticalClearance) return text;
+        
+        return `${text} (${alert.horizontalClearance.toFixed(1)} ft horiz., ${alert.verticalClearance.toFixed(1)} ft below dig)`;
+    }
+    
     createProximityAlert(alert) {
         const container = document.getElementById('proximity-alerts');
-        const utility = alert.utility;
-        const distance = alert.distance;
+        const utility = alert.utilityData;
         
         // Create alert element
         const alertElement = document.createElement('div');
         alertElement.className = 'proximity-alert';
-        alertElement.id = `alert-${utility.id}`;
+        alertElement.id = `alert-${alert.utilityId}`;
         
-        // Add severity class based on distance
-        if (distance <= 5) {
-            alertElement.classList.add('critical');
-        } else if (distance <= 10) {
-            alertElement.classList.add('danger');
-        } else if (distance <= 25) {
-            alertElement.classList.add('caution');
-        } else {
-            alertElement.classList.add('warning');
-        }
+        // Add severity class from the clearance grade
+        alertElement.classList.add(alert.level);
         
         // Icon for utility type
         const icons = {
@@ -825,7 +1385,7 @@ export class UIController {
                     <i class="fas fa-${icons[utility.type]}"></i>
                     <span>${typeNames[utility.type]} ${utility.lineType === 'main' ? 'Main' : 'Service'} Line</span>
                 </div>
-                <button class="proximity-alert-dismiss" data-utility-id="${utility.id}">
+                <button class="proximity-alert-dismiss" data-utility-id="${alert.utilityId}">
                     <i class="fas fa-times"></i>
                 </button>
             </div>
@@ -852,9 +1412,9 @@ export class UIController {
             <div class="proximity-alert-footer">
                 <div class="proximity-distance">
                     <i class="fas fa-exclamation-triangle"></i>
-                    <span id="distance-${utility.id}">${distance.toFixed(1)} ft</span>
+                    <span id="distance-${alert.utilityId}">${this.formatClearance(alert)}</span>
                 </div>
-                <div class="proximity-timer" id="timer-${utility.id}">Just detected</div>
+                <div class="proximity-timer" id="timer-${alert.utilityId}">Just detected</div>
             </div>
         `;
         
@@ -865,7 +1425,7 @@ export class UIController {
         const dismissBtn = alertElement.querySelector('.proximity-alert-dismiss');
         if (dismissBtn) {
             dismissBtn.addEventListener('click', () => {
-                this.dismissProximityAlert(utility.id);
+                this.showAlertAcknowledgement(alert.utilityId);
             });
         }
         
@@ -875,7 +1435,7 @@ export class UIController {
         }
         
         // Play warning sound
-        this.playAlertSound(distance <= 5 ? 'critical' : 'warning');
+        this.playAlertSound(alert.level === 'critical' ? 'critical' : 'warning');
         
         // Store element reference
         alert.element = alertElement;
@@ -915,18 +1475,124 @@ export class UIController {
         }
     }
     
-    dismissProximityAlert(utilityId) {
+    /**
+     * Ask the operator to acknowledge an alert before it is dismissed
+     * @param {string} utilityId
+     */
+    showAlertAcknowledgement(utilityId) {
+        const alert = this.appState.activeAlerts.find(active => active.utilityId === utilityId);
+        if (!alert) return;
+        
+        const modal = document.getElementById('alert-ack-modal');
+        modal.dataset.utilityId = utilityId;
+        
+        document.getElementById('alert-ack-message').textContent =
+            `${this.mapController.getUtilityTitle(alert.utilityData)}: ${alert.level} alert, ` +
+            `${this.formatClearance(alert)} clearance.`;
+        document.getElementById('alert-ack-operator').value = this.appState.userName || '';
+        document.getElementById('alert-ack-note').value = '';
+        document.getElementById('alert-ack-confirm').checked = false;
+        
+        modal.classList.add('visible');
+        modal.querySelector('.modal-container').style.opacity = '0';
+        
+        setTimeout(() => {
+            modal.querySelector('.modal-container').style.opacity = '1';
+        }, 10);
+    }
+    
+    hideAlertAcknowledgement() {
+        const modal = document.getElementById('alert-ack-modal');
+        modal.querySelector('.modal-container').style.opacity = '0';
+        
+        setTimeout(() => {
+            modal.classList.remove('visible');
+        }, 300);
+    }
+    
+    /**
+     * Dismiss the alert in the acknowledgement dialog once the operator has
+     * confirmed it and given their name
+     */
+    confirmAlertAcknowledgement() {
+        const operator = document.getElementById('alert-ack-operator').value.trim();
+        
+        if (!document.getElementById('alert-ack-confirm').checked) {
+            this.showToast('Tick the acknowledgement to dismiss the alert', 'warning');
+            return;
+        }
+        if (!operator) {
+            this.showToast('Enter your name to acknowledge the alert', 'warning');
+            return;
+        }
+        
+        const modal = document.getElementById('alert-ack-modal');
+        this.dismissProximityAlert(modal.dataset.utilityId, {
+            operator,
+            note: document.getElementById('alert-ack-note').value.trim()
+        });
+        this.hideAlertAcknowledgement();
+    }
+    
+    /**
+     * Add an alert to the excavation session log
+     * @param {Object} alert Alert from checkProximityAlerts
+     * @param {boolean} escalated Whether an existing alert became more severe
+     */
+    logProximityAlert(alert, escalated) {
+        const log = this.appState.excavationLog;
+        if (!log) return;
+        
+        log.record('alert', {
+            utilityId: alert.utilityId,
+            utility: this.mapController.getUtilityTitle(alert.utilityData),
+            utilityType: alert.utilityData.type || alert.utilityType,
+            lineType: alert.utilityData.lineType || null,
+            level: alert.level,
+            escalated,
+            distance: Math.round(alert.distance * 100) / 100, // horizontal, meters
+            clearance: Math.round(alert.clearance * 10) / 10, // feet
+            verticalClearance: Math.round(alert.verticalClearance * 10) / 10, // feet
+            station: alert.station !== undefined ? Math.round(alert.station * 10) / 10 : null,
+            closestPoint: [alert.closestPoint.lat, alert.closestPoint.lng],
+            ...this.mapController.getExcavationLogPosition()
+        });
+        this.dataStore.saveExcavationSession(log);
+    }
+    
+    /**
+     * Dismiss a proximity alert
+     * @param {string} utilityId
+     * @param {Object} [acknowledgement] { operator, note } from the acknowledgement dialog
+     */
+    dismissProximityAlert(utilityId, acknowledgement = {}) {
         // Remove the alert from active alerts
         if (this.appState.activeAlerts) {
             const index = this.appState.activeAlerts.findIndex(alert => alert.utilityId === utilityId);
             
             if (index >= 0) {
-                // Remove alert
+                // Remove alert, keeping it hidden until it gets more severe
                 const alert = this.appState.activeAlerts[index];
-                this.appState.activeAlerts.splice(index, 1);
                 
-                // Remove from UI
+                if (this.appState.excavationLog) {
+                    this.appState.excavationLog.record('dismiss', {
+                        utilityId,
+                        level: alert.level,
+                        clearance: Math.round(alert.clearance * 10) / 10,
+                        acknowledged: Boolean(acknowledgement.operator),
+                        operator: acknowledgement.operator || null,
+                        note: acknowledgement.note || null
+                    });
+                    this.dataStore.saveExcavationSession(this.appState.excavationLog);
+                }
+                
                 this.removeProximityAlert(alert);
+                this.appState.activeAlerts.splice(index, 1);
+                this.appState.dismissedAlerts.push({
+                    utilityId,
+                    level: alert.level,
+                    time: Date.now()
+                });
                 
                 // Show confirmation
                 this.showToast('Alert dismissed', 'info');
@@ -977,8 +1643,11 @@ export class UIController {
     updateUIPositions() {
         // Position connection indicator when it's visible
         const connectionIndicator = document.getElementById('connection-indicator');
-        if (connectionIndicator && connectionIndicator.classList.contains('visible') && this.appState.potentialConnection) {
-            const point = this.mapController.map.latLngToContainerPoint(this.appState.potentialConnection.connectionPoint);
+        const indicatorLatLng = this.appState.activeSnap
+            ? this.appState.activeSnap.point
+            : this.appState.potentialConnection?.connectionPoint;
+        if (connectionIndicator && connectionIndicator.classList.contains('visible') && indicatorLatLng) {
+            const point = this.mapController.map.latLngToContainerPoint(indicatorLatLng);
             connectionIndicator.style.left = `${point.x + 20}px`;
             connectionIndicator.style.top = `${point.y - 20}px`;
         }
@@ -990,6 +1659,7 @@ export class UIController {
         const navHeight = navBar.offsetHeight;
         
         button.style.bottom = `${navHeight + 60}px`;
+        document.getElementById('vertex-capture-buttons').style.bottom = `${navHeight + 110}px`;
     }
     
     updateRepositionPanelPosition() {
@@ -1196,8 +1866,7 @@ export class UIController {
             // Not implemented yet - would show a list of utilities
             this.showToast('Utilities list view coming soon', 'info');
         } else if (screen === 'settings') {
-            // Not implemented yet - would show settings
-            this.showToast('Settings view coming soon', 'info');
+            this.settingsController.open();
         }
     }
 
@@ -1333,8 +2002,8 @@ export class UIController {
         const distanceElement = document.getElementById(`distance-${alert.utilityId}`);
         if (!distanceElement) return;
         
-        // Update distance text
-        distanceElement.textContent = `${alert.distance.toFixed(1)} ft`;
+        // Update clearance text
+        distanceElement.textContent = this.formatClearance(alert);
         
         // Update alert severity class
         const alertElement = document.getElementById(`alert-${alert.utilityId}`);
@@ -1343,18 +2012,10 @@ export class UIController {
             alertElement.classList.remove('warning', 'caution', 'danger', 'critical');
             
             // Add new severity class
-            if (alert.distance <= 5) {
-                alertElement.classList.add('critical');
-            } else if (alert.distance <= 10) {
-                alertElement.classList.add('danger');
-            } else if (alert.distance <= 25) {
-                alertElement.classList.add('caution');
-            } else {
-                alertElement.classList.add('warning');
-            }
+            alertElement.classList.add(alert.level);
             
             // Update animation for critical alerts
-            if (alert.distance <= 5) {
+            if (alert.level === 'critical') {
                 alertElement.style.animation = 'pulse-warning 1s infinite';
             } else {
                 alertElement.style.animation = '';
@@ -0,0 +1,226 @@
+/**
+ * CSVFormat Module
+ * CSV attribute tables for spreadsheets, with WKT geometry and centroid
+ * columns, plus the CSV parser used by the structure import wizard
+ */
+
+// Columns written for each table. `value` reads the cell from a record.
+const TABLES = {
+    utilities: {
+        label: 'CSV - Utilities',
+        getRecords: dataStore => dataStore.getUtilities(),
+        columns: [
+            { name: 'id', value: record => record.id },
+            { name: 'type', value: record => record.type },
+            { name: 'lineType', value: record => record.lineType },
+            { name: 'size_in', value: record => record.size },
+            { name: 'depth_ft', value: record => record.depth },
+            { name: 'material', value: record => record.material },
+            { name: 'condition', value: record => record.condition },
+            { name: 'notes', value: record => record.notes },
+            { name: 'dateAdded', value: record => record.dateAdded },
+            { name: 'connections', value: record => getConnectionIds(record) },
+            { name: 'centroid_lat', value: record => lineCentroid(record.coordinates)?.[0] },
+            { name: 'centroid_lng', value: record => lineCentroid(record.coordinates)?.[1] },
+            { name: 'wkt', value: record => toWKT(record.coordinates, 'LINESTRING') }
+        ]
+    },
+    structures: {
+        label: 'CSV - Structures',
+        getRecords: dataStore => dataStore.getStructures(),
+        columns: [
+            { name: 'id', value: record => record.id },
+            { name: 'structureType', value: record => record.structureType },
+            { name: 'utilityType', value: record => record.utilityType },
+            { name: 'size_in', value: record => record.size },
+            { name: 'depth_ft', value: record => record.depth },
+            { name: 'material', value: record => record.material },
+            { name: 'condition', value: record => record.condition },
+            { name: 'notes', value: record => record.notes },
+            { name: 'dateAdded', value: record => record.dateAdded },
+            { name: 'connections', value: record => getConnectionIds(record) },
+            { name: 'centroid_lat', value: record => record.coordinates?.[0] },
+            { name: 'centroid_lng', value: record => record.coordinates?.[1] },
+            { name: 'wkt', value: record => toWKT(record.coordinates, 'POINT') }
+        ]
+    }
+};
+
+export class CSVFormat {
+    /**
+     * @param {string} table 'utilities' or 'structures'
+     */
+    constructor(table) {
+        this.table = TABLES[table];
+        this.id = `csv-${table}`;
+        this.label = this.table.label;
+        this.extension = 'csv';
+        this.mimeType = 'text/csv';
+    }
+
+    /**
+     * Serialize one attribute table
+     * @param {DataStore} dataStore The data store to export
+     * @returns {string}
+     */
+    write(dataStore) {
+        const columns = this.table.columns;
+        const lines = [columns.map(column => escapeCell(column.name)).join(',')];
+
+        this.table.getRecords(dataStore).forEach(record => {
+            lines.push(columns.map(column => escapeCell(column.value(record))).join(','));
+        });
+
+        // Excel needs the BOM to open UTF-8 files correctly
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting). Comma, semicolon and tab delimiters
+ * are detected from the header row.
+ * @param {string} text
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>, lineNumbers: Array<number>}}
+ *   lineNumbers holds the file line (from 1) each row starts on
+ */
+export function parseCSV(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    const starts = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowStart = 1;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            starts.push(rowStart);
+            row = [];
+            cell = '';
+            line++;
+            rowStart = line;
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+        starts.push(rowStart);
+    }
+
+    // Drop blank lines, keeping where each row was in the file
+    const nonEmpty = rows
+        .map((cells, index) => ({ cells, line: starts[index] }))
+        .filter(({ cells }) => cells.some(value => value.trim() !== ''));
+    const [headers = { cells: [] }, ...body] = nonEmpty;
+
+    return {
+        headers: headers.cells.map(header => header.trim()),
+        rows: body.map(({ cells }) => cells),
+        lineNumbers: body.map(({ line }) => line)
+    };
+}
+
+/**
+ * Pick the delimiter that appears most in the first line
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const candidates = [',', ';', '\t'];
+
+    return candidates.reduce((best, candidate) => {
+        return firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best;
+    }, ',');
+}
+
+/**
+ * Quote a cell when needed. Text starting with a formula character is
+ * prefixed with ' so spreadsheets don't evaluate it.
+ */
+function escapeCell(value) {
+    if (value === undefined || value === null) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Ids of connected records, separated by semicolons
+ */
+function getConnectionIds(record) {
+    return (record.connections || [])
+        .map(connection => connection && connection.targetId)
+        .filter(Boolean)
+        .join(';');
+}
+
+/**
+ * Well-known text for a [lat, lng] point or line (WKT uses lng lat order)
+ */
+function toWKT(coordinates, geometryType) {
+    if (!coordinates) return '';
+
+    if (geometryType === 'POINT') {
+        return `POINT (${coordinates[1]} ${coordinates[0]})`;
+    }
+
+    if (!coordinates.length) return '';
+    return `LINESTRING (${coordinates.map(point => `${point[1]} ${point[0]}`).join(', ')})`;
+}
+
+/**
+ * Length-weighted centroid of a line. Lines are short enough that treating
+ * lat/lng as planar (with a cos(lat) correction) is accurate.
+ * @returns {Array<number>|null} [lat, lng]
+ */
+function lineCentroid(coordinates) {
+    if (!Array.isArray(coordinates) || !coordinates.length) return null;
+    if (coordinates.length === 1) return coordinates[0];
+
+    const cosLat = Math.cos(coordinates[0][0] * Math.PI / 180);
+    let totalLength = 0;
+    let lat = 0;
+    let lng = 0;
+
+    for (let i = 0; i < coordinates.length - 1; i++) {
+        const [lat1, lng1] = coordinates[i];
+        const [lat2, lng2] = coordinates[i + 1];
+        const length = Math.hypot(lat2 - lat1, (lng2 - lng1) * cosLat);
+
+        totalLength += length;
+        lat += length * (lat1 + lat2) / 2;
+        lng += length * (lng1 + lng2) / 2;
+    }
+
+    if (!totalLength) return coordinates[0];
+
+    return [Number((lat / totalLength).toFixed(8)), Number((lng / totalLength).toFixed(8))];
+}
@@ -0,0 +1,516 @@
+/**
+ * DXFFormat Module
+ * AutoCAD R2000 DXF export for CAD as-builts. Coordinates are projected to
+ * a State Plane or UTM zone; each utility is an LWPOLYLINE on a
+ * TYPE-LINETYPE layer and each structure is a block insert.
+ */
+
+import { UTILITY_TYPES } from '../models/Schema.js';
+import { createProjector, getCoordinateSystem, getUtmZoneForLocation, UNITS } from '../utils/Projection.js';
+
+// Registered application name for XDATA
+const APP_ID = 'UTILITRACK';
+
+// Label text height and structure symbol size, in meters
+const TEXT_HEIGHT_METERS = 0.5;
+const SYMBOL_SIZE_METERS = 1;
+
+// Symbol drawn for each structure block (unit size, scaled on insert)
+const BLOCK_SHAPES = {
+    valve: 'bowtie',
+    meter: 'square',
+    hydrant: 'circle-cross',
+    regulator: 'triangle',
+    transformer: 'square-cross',
+    junction: 'square',
+    manhole: 'circle',
+    catchbasin: 'square-cross',
+    handhole: 'diamond'
+};
+
+export class DXFFormat {
+    /**
+     * @param {MapController} mapController Source of utility colors and titles
+     */
+    constructor(mapController) {
+        this.mapController = mapController;
+        this.id = 'dxf';
+        this.label = 'DXF (AutoCAD)';
+        this.extension = 'dxf';
+        this.mimeType = 'application/dxf';
+    }
+
+    /**
+     * Serialize the data store as a DXF drawing
+     * @param {DataStore} dataStore The data store to export
+     * @param {Object} [options]
+     * @param {string} [options.crs] Coordinate system id (see Projection.getCoordinateSystem)
+     * @param {string} [options.units] Output units ('m', 'usft' or 'ft')
+     * @returns {string}
+     */
+    write(dataStore, options = {}) {
+        const data = dataStore.getExportData();
+        const crs = getCoordinateSystem(options.crs) || suggestCoordinateSystem(data);
+        const units = UNITS[options.units] ? options.units : (crs.id.startsWith('utm') ? 'm' : 'usft');
+        const project = createProjector(crs, units);
+        const scale = 1 / UNITS[units].metersPerUnit;
+
+        const drawing = new DxfDrawing({
+            units,
+            textHeight: TEXT_HEIGHT_METERS * scale,
+            symbolSize: SYMBOL_SIZE_METERS * scale
+        });
+
+        UTILITY_TYPES.forEach(type => {
+            const color = nearestAciColor(this.mapController.getUtilityColor(type));
+            const prefix = type.toUpperCase();
+
+            ((data.utilities && data.utilities[type]) || []).forEach(utility => {
+                if (!Array.isArray(utility.coordinates) || utility.coordinates.length < 2) return;
+
+                const lineType = utility.lineType === 'main' ? 'MAIN' : 'SERVICE';
+                const layer = drawing.addLayer(`${prefix}-${lineType}`, color, lineType === 'SERVICE' ? 'DASHED' : 'CONTINUOUS');
+                const points = utility.coordinates.map(([lat, lng]) => project(lat, lng));
+
+                drawing.addPolyline(layer, points, createXData(utility, 'type'));
+
+                const label = formatLabel(utility);
+                if (label) {
+                    const textLayer = drawing.addLayer(`${prefix}-TEXT`, color, 'CONTINUOUS');
+                    const { point, angle } = getLabelPlacement(points);
+                    drawing.addText(textLayer, point, label, angle);
+                }
+            });
+
+            ((data.structures && data.structures[type]) || []).forEach(structure => {
+                if (!structure.coordinates) return;
+
+                const layer = drawing.addLayer(`${prefix}-STRUCTURE`, color, 'CONTINUOUS');
+                const point = project(structure.coordinates[0], structure.coordinates[1]);
+                const blockName = drawing.addBlock(structure.structureType);
+
+                drawing.addInsert(layer, blockName, point, createXData(structure, 'structureType'));
+
+                const title = this.mapController.getStructureTitle(structure);
+                const label = [title, formatLabel(structure)].filter(Boolean).join(' ');
+                const textLayer = drawing.addLayer(`${prefix}-TEXT`, color, 'CONTINUOUS');
+                drawing.addText(textLayer, [point[0] + drawing.symbolSize, point[1] + drawing.symbolSize / 2], label, 0);
+            });
+        });
+
+        return drawing.toString(`${crs.name} (${UNITS[units].label})`);
+    }
+}
+
+/**
+ * Suggest a coordinate system for the data: the UTM zone of its first point
+ */
+function suggestCoordinateSystem(data) {
+    for (const type in data.utilities || {}) {
+        const utility = data.utilities[type].find(item => item.coordinates && item.coordinates.length);
+        if (utility) return getUtmZoneForLocation(utility.coordinates[0][0], utility.coordinates[0][1]);
+    }
+
+    for (const type in data.structures || {}) {
+        const structure = data.structures[type].find(item => item.coordinates);
+        if (structure) return getUtmZoneForLocation(structure.coordinates[0], structure.coordinates[1]);
+    }
+
+    return getUtmZoneForLocation(0, 0);
+}
+
+/**
+ * Builds the group-code/value pairs of an R2000 drawing. R2000 is the
+ * oldest version with LWPOLYLINE, and it needs handles and owner
+ * references on every table record and entity.
+ */
+class DxfDrawing {
+    constructor({ units, textHeight, symbolSize }) {
+        this.units = units;
+        this.textHeight = textHeight;
+        this.symbolSize = symbolSize;
+        this.nextHandle = 0x20; // below this is reserved for the fixed tables
+
+        this.layers = new Map();
+        this.blocks = new Map();
+        this.entities = [];
+
+        this.modelSpaceHandle = this.allocateHandle();
+        this.paperSpaceHandle = this.allocateHandle();
+    }
+
+    allocateHandle() {
+        return (this.nextHandle++).toString(16).toUpperCase();
+    }
+
+    /**
+     * Register a layer (once) and return its name
+     */
+    addLayer(name, color, lineType) {
+        if (!this.layers.has(name)) {
+            this.layers.set(name, { name, color, lineType, handle: this.allocateHandle() });
+        }
+        return name;
+    }
+
+    /**
+     * Register a block definition for a structure type and return its name
+     */
+    addBlock(structureType) {
+        const name = String(structureType || 'structure').toUpperCase().replace(/[^A-Z0-9_-]/g, '_');
+
+        if (!this.blocks.has(name)) {
+            this.blocks.set(name, {
+                name,
+                shape: BLOCK_SHAPES[structureType] || 'circle',
+                recordHandle: this.allocateHandle(),
+                beginHandle: this.allocateHandle(),
+                endHandle: this.allocateHandle(),
+                entityHandles: [this.allocateHandle(), this.allocateHandle(), this.allocateHandle()]
+            });
+        }
+
+        return name;
+    }
+
+    addPolyline(layer, points, xdata) {
+        const pairs = [
+            [0, 'LWPOLYLINE'], [5, this.allocateHandle()], [330, this.modelSpaceHandle],
+            [100, 'AcDbEntity'], [8, layer],
+            [100, 'AcDbPolyline'], [90, points.length], [70, 0], [43, 0]
+        ];
+
+        points.forEach(([x, y]) => pairs.push([10, formatNumber(x)], [20, formatNumber(y)]));
+
+        this.entities.push(...pairs, ...xdata);
+    }
+
+    addInsert(layer, blockName, [x, y], xdata) {
+        this.entities.push(
+            [0, 'INSERT'], [5, this.allocateHandle()], [330, this.modelSpaceHandle],
+            [100, 'AcDbEntity'], [8, layer],
+            [100, 'AcDbBlockReference'], [2, blockName],
+            [10, formatNumber(x)], [20, formatNumber(y)], [30, 0],
+            [41, formatNumber(this.symbolSize)], [42, formatNumber(this.symbolSize)], [43, 1],
+            ...xdata
+        );
+    }
+
+    addText(layer, [x, y], text, angle) {
+        this.entities.push(
+            [0, 'TEXT'], [5, this.allocateHandle()], [330, this.modelSpaceHandle],
+            [100, 'AcDbEntity'], [8, layer],
+            [100, 'AcDbText'], [10, formatNumber(x)], [20, formatNumber(y)], [30, 0],
+            [40, formatNumber(this.textHeight)], [1, sanitizeText(text)], [50, formatNumber(angle)],
+            [7, 'Standard'],
+            [100, 'AcDbText']
+        );
+    }
+
+    /**
+     * Entities drawing a unit-size symbol centred on the block origin.
+     * Color 0 (BYBLOCK) so symbols take the color of the insert's layer.
+     */
+    getBlockEntities(block) {
+        const [circleHandle, outlineHandle, crossHandle] = block.entityHandles;
+        const common = handle => [[5, handle], [330, block.recordHandle], [100, 'AcDbEntity'], [8, '0'], [62, 0]];
+        const polyline = (handle, points, closed) => [
+            [0, 'LWPOLYLINE'], ...common(handle), [100, 'AcDbPolyline'], [90, points.length], [70, closed ? 1 : 0],
+            ...points.flatMap(([x, y]) => [[10, x], [20, y]])
+        ];
+        const circle = handle => [[0, 'CIRCLE'], ...common(handle), [100, 'AcDbCircle'], [10, 0], [20, 0], [30, 0], [40, 0.5]];
+        const cross = handle => polyline(handle, [[-0.5, 0], [0.5, 0], [0, 0], [0, 0.5], [0, -0.5]], false);
+        const square = [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]];
+
+        switch (block.shape) {
+            case 'bowtie':
+                return polyline(outlineHandle, [[-0.5, -0.5], [0.5, 0.5], [0.5, -0.5], [-0.5, 0.5]], true);
+            case 'square':
+                return polyline(outlineHandle, square, true);
+            case 'square-cross':
+                return [...polyline(outlineHandle, square, true), ...cross(crossHandle)];
+            case 'triangle':
+                return polyline(outlineHandle, [[-0.5, -0.433], [0.5, -0.433], [0, 0.433]], true);
+            case 'diamond':
+                return polyline(outlineHandle, [[0, -0.5], [0.5, 0], [0, 0.5], [-0.5, 0]], true);
+            case 'circle-cross':
+                return [...circle(circleHandle), ...cross(crossHandle)];
+            default:
+                return circle(circleHandle);
+        }
+    }
+
+    /**
+     * Assemble the complete DXF file
+     * @param {string} description Coordinate system note stored in the header
+     * @returns {string}
+     */
+    toString(description) {
+        const unitCode = UNITS[this.units].dxfCode;
+        const dashLength = this.textHeight * 2;
+        const layers = [{ name: '0', color: 7, lineType: 'CONTINUOUS', handle: '10' }, ...this.layers.values()];
+        const blocks = [...this.blocks.values()];
+
+        const pairs = [
+            // HEADER
+            [0, 'SECTION'], [2, 'HEADER'],
+            [9, '$ACADVER'], [1, 'AC1015'],
+            [9, '$HANDSEED'], [5, this.nextHandle.toString(16).toUpperCase()],
+            [9, '$INSUNITS'], [70, unitCode],
+            [9, '$MEASUREMENT'], [70, this.units === 'm' ? 1 : 0],
+            [9, '$PROJECTNAME'], [1, sanitizeText(description)],
+            [0, 'ENDSEC'],
+
+            // TABLES
+            [0, 'SECTION'], [2, 'TABLES'],
+            ...table('VPORT', '1', []),
+            ...table('LTYPE', '2', [
+                lineTypeRecord('11', 'BYBLOCK', '', []),
+                lineTypeRecord('12', 'BYLAYER', '', []),
+                lineTypeRecord('13', 'CONTINUOUS', 'Solid line', []),
+                lineTypeRecord('14', 'DASHED', 'Dashed __ __ __', [dashLength, -dashLength / 2])
+            ]),
+            ...table('LAYER', '3', layers.map(layer => [
+                [0, 'LAYER'], [5, layer.handle], [330, '3'],
+                [100, 'AcDbSymbolTableRecord'], [100, 'AcDbLayerTableRecord'],
+                [2, layer.name], [70, 0], [62, layer.color], [6, layer.lineType]
+            ])),
+            ...table('STYLE', '4', [[
+                [0, 'STYLE'], [5, '15'], [330, '4'],
+                [100, 'AcDbSymbolTableRecord'], [100, 'AcDbTextStyleTableRecord'],
+                [2, 'Standard'], [70, 0], [40, 0], [41, 1], [50, 0], [71, 0], [42, formatNumber(this.textHeight)], [3, 'txt'], [4, '']
+            ]]),
+            ...table('VIEW', '5', []),
+            ...table('UCS', '6', []),
+            ...table('APPID', '7', [
+                appIdRecord('16', 'ACAD'),
+                appIdRecord('17', APP_ID)
+            ]),
+            ...table('DIMSTYLE', '8', [], [[100, 'AcDbDimStyleTable']]),
+            ...table('BLOCK_RECORD', '9', [
+                blockRecord(this.modelSpaceHandle, '*Model_Space'),
+                blockRecord(this.paperSpaceHandle, '*Paper_Space'),
+                ...blocks.map(block => blockRecord(block.recordHandle, block.name))
+            ]),
+            [0, 'ENDSEC'],
+
+            // BLOCKS
+            [0, 'SECTION'], [2, 'BLOCKS'],
+            ...blockDefinition('18', '19', this.modelSpaceHandle, '*Model_Space', []),
+            ...blockDefinition('1A', '1B', this.paperSpaceHandle, '*Paper_Space', []),
+            ...blocks.flatMap(block => blockDefinition(
+                block.beginHandle, block.endHandle, block.recordHandle, block.name, this.getBlockEntities(block)
+            )),
+            [0, 'ENDSEC'],
+
+            // ENTITIES
+            [0, 'SECTION'], [2, 'ENTITIES'],
+            ...this.entities,
+            [0, 'ENDSEC'],
+
+            // OBJECTS - the root dictionary every drawing must have
+            [0, 'SECTION'], [2, 'OBJECTS'],
+            [0, 'DICTIONARY'], [5, 'C'], [330, '0'], [100, 'AcDbDictionary'], [281, 1], [3, 'ACAD_GROUP'], [350, 'D'],
+            [0, 'DICTIONARY'], [5, 'D'], [330, 'C'], [100, 'AcDbDictionary'], [281, 1],
+            [0, 'ENDSEC'],
+
+            [0, 'EOF']
+        ];
+
+        return pairs.map(([code, value]) => `${code}\r\n${value}`).join('\r\n') + '\r\n';
+    }
+}
+
+/**
+ * Build a symbol table wrapping its records
+ */
+function table(name, handle, records, extra = []) {
+    return [
+        [0, 'TABLE'], [2, name], [5, handle], [330, '0'],
+        [100, 'AcDbSymbolTable'], [70, records.length], ...extra,
+        ...records.flat(),
+        [0, 'ENDTAB']
+    ];
+}
+
+function lineTypeRecord(handle, name, description, pattern) {
+    return [
+        [0, 'LTYPE'], [5, handle], [330, '2'],
+        [100, 'AcDbSymbolTableRecord'], [100, 'AcDbLinetypeTableRecord'],
+        [2, name], [70, 0], [3, description], [72, 65], [73, pattern.length],
+        [40, formatNumber(pattern.reduce((sum, length) => sum + Math.abs(length), 0))],
+        ...pattern.flatMap(length => [[49, formatNumber(length)], [74, 0]])
+    ];
+}
+
+function appIdRecord(handle, name) {
+    return [
+        [0, 'APPID'], [5, handle], [330, '7'],
+        [100, 'AcDbSymbolTableRecord'], [100, 'AcDbRegAppTableRecord'],
+        [2, name], [70, 0]
+    ];
+}
+
+function blockRecord(handle, name) {
+    return [
+        [0, 'BLOCK_RECORD'], [5, handle], [330, '9'],
+        [100, 'AcDbSymbolTableRecord'], [100, 'AcDbBlockTableRecord'],
+        [2, name]
+    ];
+}
+
+function blockDefinition(beginHandle, endHandle, recordHandle, name, entities) {
+    return [
+        [0, 'BLOCK'], [5, beginHandle], [330, recordHandle],
+        [100, 'AcDbEntity'], [8, '0'],
+        [100, 'AcDbBlockBegin'], [2, name], [70, 0], [10, 0], [20, 0], [30, 0], [3, name], [1, ''],
+        ...entities,
+        [0, 'ENDBLK'], [5, endHandle], [330, recordHandle],
+        [100, 'AcDbEntity'], [8, '0'],
+        [100, 'AcDbBlockEnd']
+    ];
+}
+
+/**
+ * XDATA carrying the record attributes (1000 = string, 1040 = real)
+ */
+function createXData(record, typeKey) {
+    const xdata = [
+        [1001, APP_ID],
+        [1000, sanitizeText(`ID=${record.id}`).slice(0, 255)],
+        [1000, sanitizeText(`TYPE=${record[typeKey] || ''}`).slice(0, 255)]
+    ];
+
+    if (record.lineType) {
+        xdata.push([1000, `LINETYPE=${sanitizeText(record.lineType)}`]);
+    }
+
+    xdata.push(
+        [1040, formatNumber(parseFloat(record.size) || 0)],
+        [1040, formatNumber(parseFloat(record.depth) || 0)],
+        [1000, sanitizeText(`MATERIAL=${record.material || ''}`).slice(0, 255)],
+        [1000, sanitizeText(`CONDITION=${record.condition || ''}`).slice(0, 255)]
+    );
+
+    return xdata;
+}
+
+/**
+ * Size/material/depth annotation, e.g. 8" PVC D=4'
+ */
+function formatLabel(record) {
+    const parts = [];
+
+    if (parseFloat(record.size)) parts.push(`${record.size}"`);
+    if (record.material && record.material !== 'Unknown') parts.push(record.material);
+    if (parseFloat(record.depth)) parts.push(`D=${record.depth}'`);
+
+    return parts.join(' ');
+}
+
+/**
+ * Place a label at the middle of the longest segment, rotated to read
+ * along the line (never upside down)
+ */
+function getLabelPlacement(points) {
+    let best = 0;
+    let bestLength = -1;
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const length = Math.hypot(points[i + 1][0] - points[i][0], points[i + 1][1] - points[i][1]);
+        if (length > bestLength) {
+            bestLength = length;
+            best = i;
+        }
+    }
+
+    const [x1, y1] = points[best];
+    const [x2, y2] = points[best + 1];
+    let angle = Math.atan2(y2 - y1, x2 - x1) * 180 / Math.PI;
+
+    if (angle > 90) angle -= 180;
+    if (angle < -90) angle += 180;
+
+    return { point: [(x1 + x2) / 2, (y1 + y2) / 2], angle };
+}
+
+/**
+ * DXF values are line based - strip line breaks and non-ASCII control codes
+ */
+function sanitizeText(text) {
+    return String(text).replace(/[\r\n]+/g, ' ').replace(/[\u0000-\u001f]/g, '');
+}
+
+function formatNumber(value) {
+    return Number(value.toFixed(4));
+}
+
+/**
+ * The standard AutoCAD Color Index palette as [r, g, b]
+ */
+function buildAciPalette() {
+    const palette = [
+        null,
+        [255, 0, 0], [255, 255, 0], [0, 255, 0], [0, 255, 255],
+        [0, 0, 255], [255, 0, 255], [255, 255, 255], [128, 128, 128], [192, 192, 192]
+    ];
+
+    // 10-249: 24 hues x 5 brightness levels x full/half saturation
+    const levels = [255, 165, 127, 76, 38];
+    for (let index = 10; index < 250; index++) {
+        const hue = Math.floor((index - 10) / 10) * 15;
+        const step = (index - 10) % 10;
+        const value = levels[Math.floor(step / 2)];
+        const saturation = step % 2 ? 0.5 : 1;
+        palette.push(hsvToRgb(hue, saturation, value));
+    }
+
+    // 250-255: grays
+    [51, 80, 105, 130, 190, 255].forEach(gray => palette.push([gray, gray, gray]));
+
+    return palette;
+}
+
+function hsvToRgb(hue, saturation, value) {
+    const chroma = value * saturation;
+    const x = chroma * (1 - Math.abs((hue / 60) % 2 - 1));
+    const m = value - chroma;
+    const [r, g, b] = hue < 60 ? [chroma, x, 0]
+        : hue < 120 ? [x, chroma, 0]
+        : hue < 180 ? [0, chroma, x]
+        : hue < 240 ? [0, x, chroma]
+        : hue < 300 ? [x, 0, chroma]
+        : [chroma, 0, x];
+
+    return [Math.round(r + m), Math.round(g + m), Math.round(b + m)];
+}
+
+let aciPalette = null;
+
+/**
+ * Find the ACI color closest to a #rrggbb color. Index 7 is skipped since
+ * it flips between black and white with the CAD background.
+ * @param {string} hex
+ * @returns {number} ACI color index (1-255)
+ */
+function nearestAciColor(hex) {
+    if (!aciPalette) aciPalette = buildAciPalette();
+
+    const value = parseInt(hex.replace('#', ''), 16);
+    const target = [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+
+    let bestIndex = 1;
+    let bestDistance = Infinity;
+
+    aciPalette.forEach((rgb, index) => {
+        if (!rgb || index === 7) return;
+
+        const distance = (rgb[0] - target[0]) ** 2 + (rgb[1] - target[1]) ** 2 + (rgb[2] - target[2]) ** 2;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            bestIndex = index;
+        }
+    });
+
+    return bestIndex;
+}
@@ -0,0 +1,346 @@
+/**
+ * GeoJSONFormat Module
+ * Reads and writes RFC 7946 GeoJSON FeatureCollections so data can be
+ * opened in QGIS, ArcGIS and other GIS tools
+ */
+
+import {
+    SCHEMA_VERSION,
+    createEmptyBuckets,
+    normalizeUtility,
+    normalizeStructure,
+    normalizeAnnotation,
+    normalizeMeasurement,
+    validateRecord
+} from '../models/Schema.js';
+
+// Attribute properties written for each record type (geometry is separate)
+const UTILITY_PROPERTIES = [
+    'id', 'type', 'lineType', 'size', 'depth', 'material', 'condition', 'notes', 'dateAdded', 'dateModified', 'connections'
+];
+const STRUCTURE_PROPERTIES = [
+    'id', 'utilityType', 'structureType', 'size', 'depth', 'material', 'condition', 'notes', 'dateAdded', 'dateModified', 'connections'
+];
+const ANNOTATION_PROPERTIES = ['id', 'text', 'dateAdded', 'dateModified'];
+const MEASUREMENT_PROPERTIES = ['id', 'distance', 'dateAdded', 'dateModified'];
+
+export class GeoJSONFormat {
+    constructor() {
+        this.id = 'geojson';
+        this.label = 'GeoJSON';
+        this.extension = 'geojson';
+        this.mimeType = 'application/geo+json';
+    }
+
+    /**
+     * Build a FeatureCollection from the data store contents
+     * @param {DataStore} dataStore The data store to export
+     * @returns {Object} GeoJSON FeatureCollection
+     */
+    toFeatureCollection(dataStore) {
+        const data = dataStore.getExportData();
+        const features = [];
+
+        for (const type in data.utilities) {
+            data.utilities[type].forEach(utility => {
+                features.push(createFeature(
+                    utility,
+                    'utility',
+                    UTILITY_PROPERTIES,
+                    { type: 'LineString', coordinates: utility.coordinates.map(toPosition) }
+                ));
+            });
+        }
+
+        for (const type in data.structures) {
+            data.structures[type].forEach(structure => {
+                if (!structure.coordinates) return;
+
+                features.push(createFeature(
+                    structure,
+                    'structure',
+                    STRUCTURE_PROPERTIES,
+                    { type: 'Point', coordinates: toPosition(structure.coordinates) }
+                ));
+            });
+        }
+
+        (data.annotations || []).forEach(annotation => {
+            if (!annotation.coordinates) return;
+
+            features.push(createFeature(
+                annotation,
+                'annotation',
+                ANNOTATION_PROPERTIES,
+                { type: 'Point', coordinates: toPosition(annotation.coordinates) }
+            ));
+        });
+
+        (data.measurements || []).forEach(measurement => {
+            if (!measurement.coordinates || measurement.coordinates.length < 2) return;
+
+            features.push(createFeature(
+                measurement,
+                'measurement',
+                MEASUREMENT_PROPERTIES,
+                { type: 'LineString', coordinates: measurement.coordinates.map(toPosition) }
+            ));
+        });
+
+        return {
+            type: 'FeatureCollection',
+            name: 'utilitrack',
+            metadata: {
+                version: SCHEMA_VERSION,
+                timestamp: data.timestamp
+            },
+            features
+        };
+    }
+
+    /**
+     * Serialize the data store as a GeoJSON string
+     * @param {DataStore} dataStore The data store to export
+     * @returns {string}
+     */
+    write(dataStore) {
+        return JSON.stringify(this.toFeatureCollection(dataStore), null, 2);
+    }
+
+    /**
+     * Check whether parsed JSON looks like GeoJSON rather than a native export
+     * @param {Object} json Parsed JSON
+     * @returns {boolean}
+     */
+    static isGeoJSON(json) {
+        return !!json && (json.type === 'FeatureCollection' || json.type === 'Feature');
+    }
+
+    /**
+     * Convert GeoJSON into DataStore collections. Features with invalid
+     * geometry or attributes are skipped and reported in `errors`.
+     * @param {string|Object} input GeoJSON text or parsed object
+     * @returns {{data: Object, errors: Array<string>}}
+     */
+    read(input) {
+        const json = typeof input === 'string' ? JSON.parse(input) : input;
+
+        if (!GeoJSONFormat.isGeoJSON(json)) {
+            throw new Error('Not a GeoJSON Feature or FeatureCollection');
+        }
+
+        const features = json.type === 'Feature' ? [json] : (json.features || []);
+        const data = {
+            version: SCHEMA_VERSION,
+            utilities: createEmptyBuckets(),
+            structures: createEmptyBuckets(),
+            annotations: [],
+            measurements: []
+        };
+        const errors = [];
+        const usedIds = new Set();
+        let imported = 0;
+
+        features.forEach((feature, index) => {
+            const label = `Feature ${index + 1}`;
+
+            if (!feature || feature.type !== 'Feature' || !feature.geometry) {
+                errors.push(`${label}: missing geometry`);
+                return;
+            }
+
+            const geometryError = validateGeometry(feature.geometry);
+            if (geometryError) {
+                errors.push(`${label}: ${geometryError}`);
+                return;
+            }
+
+            const properties = feature.properties || {};
+            const kind = detectRecordKind(feature.geometry.type, properties);
+
+            // A MultiLineString becomes one utility per part
+            const parts = feature.geometry.type === 'MultiLineString'
+                ? feature.geometry.coordinates
+                : [feature.geometry.coordinates];
+
+            parts.forEach((part, partIndex) => {
+                const record = buildRecord(kind, part, properties, feature.id);
+
+                // Keep ids unique - split parts and copied features would collide
+                if (!record.id || usedIds.has(record.id)) {
+                    record.id = `${kind}-${Date.now()}-${index}-${partIndex}`;
+                }
+                usedIds.add(record.id);
+
+                const recordErrors = validateRecord(kind, record);
+                if (recordErrors.length) {
+                    errors.push(`${label}: ${recordErrors.join(', ')}`);
+                    return;
+                }
+
+                imported++;
+
+                if (kind === 'utility') {
+                    data.utilities[record.type].push(record);
+                } else if (kind === 'structure') {
+                    data.structures[record.utilityType].push(record);
+                } else if (kind === 'annotation') {
+                    data.annotations.push(record);
+                } else {
+                    data.measurements.push(record);
+                }
+            });
+        });
+
+        // Don't let a file of nothing but bad features replace the user's data
+        if (!imported && errors.length) {
+            throw new Error(`No valid features found (${errors[0]})`);
+        }
+
+        return { data, errors };
+    }
+}
+
+/**
+ * Convert a [lat, lng] pair to a GeoJSON [lng, lat] position
+ */
+function toPosition(point) {
+    return [point[1], point[0]];
+}
+
+/**
+ * Convert a GeoJSON [lng, lat] position to [lat, lng]
+ */
+function fromPosition(position) {
+    return [position[1], position[0]];
+}
+
+/**
+ * Build a Feature from a record, copying the listed attributes
+ */
+function createFeature(record, recordType, propertyNames, geometry) {
+    const properties = { recordType };
+
+    propertyNames.forEach(name => {
+        if (record[name] !== undefined) {
+            properties[name] = record[name];
+        }
+    });
+
+    return {
+        type: 'Feature',
+        id: record.id,
+        geometry,
+        properties
+    };
+}
+
+/**
+ * Check a single [lng, lat] position
+ */
+function isValidPosition(position) {
+    return Array.isArray(position) &&
+        position.length >= 2 &&
+        typeof position[0] === 'number' &&
+        typeof position[1] === 'number' &&
+        isFinite(position[0]) &&
+        isFinite(position[1]) &&
+        Math.abs(position[0]) <= 180 &&
+        Math.abs(position[1]) <= 90;
+}
+
+/**
+ * Validate a supported geometry
+ * @returns {string|null} An error message, or null if the geometry is valid
+ */
+function validateGeometry(geometry) {
+    const coordinates = geometry.coordinates;
+
+    switch (geometry.type) {
+        case 'Point':
+            return isValidPosition(coordinates) ? null : 'invalid Point coordinates';
+
+        case 'LineString':
+            if (!Array.isArray(coordinates) || coordinates.length < 2) {
+                return 'a LineString needs at least 2 positions';
+            }
+            return coordinates.every(isValidPosition) ? null : 'invalid LineString coordinates';
+
+        case 'MultiLineString':
+            if (!Array.isArray(coordinates) || !coordinates.length) {
+                return 'empty MultiLineString';
+            }
+            for (const line of coordinates) {
+                if (!Array.isArray(line) || line.length < 2 || !line.every(isValidPosition)) {
+                    return 'invalid MultiLineString coordinates';
+                }
+            }
+            return null;
+
+        default:
+            return `unsupported geometry type ${geometry.type}`;
+    }
+}
+
+/**
+ * Work out which record type a feature maps to. Files we exported carry
+ * recordType; otherwise lines are utilities and points are structures
+ * unless they only carry a text label.
+ */
+function detectRecordKind(geometryType, properties) {
+    const isLine = geometryType !== 'Point';
+
+    if (properties.recordType === 'measurement' && isLine) return 'measurement';
+    if (properties.recordType === 'annotation' && !isLine) return 'annotation';
+
+    if (isLine) return 'utility';
+
+    if (!properties.structureType && (properties.text || properties.label)) {
+        return 'annotation';
+    }
+
+    return 'structure';
+}
+
+/**
+ * Lower-case string attribute values, passing anything else through
+ */
+function lowerCase(value) {
+    return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+/**
+ * Create a normalized record from feature properties and coordinates
+ */
+function buildRecord(kind, coordinates, properties, featureId) {
+    const record = { ...properties };
+    delete record.recordType;
+
+    record.id = properties.id !== undefined ? String(properties.id) : (featureId !== undefined ? String(featureId) : null);
+
+    if (kind === 'utility') {
+        // Other tools often capitalize attribute values (e.g. "Water", "Main")
+        record.type = lowerCase(properties.type || properties.utilityType);
+        record.lineType = lowerCase(properties.lineType);
+        delete record.utilityType;
+        record.coordinates = coordinates.map(fromPosition);
+        return normalizeUtility(record);
+    }
+
+    if (kind === 'structure') {
+        record.utilityType = lowerCase(properties.utilityType || properties.type);
+        record.structureType = lowerCase(properties.structureType);
+        delete record.type;
+        record.coordinates = fromPosition(coordinates);
+        return normalizeStructure(record);
+    }
+
+    if (kind === 'annotation') {
+        record.text = properties.text || properties.label || '';
+        record.coordinates = fromPosition(coordinates);
+        return normalizeAnnotation(record);
+    }
+
+    record.coordinates = coordinates.map(fromPosition);
+    return normalizeMeasurement(record);
+}
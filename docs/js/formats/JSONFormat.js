@@ -0,0 +1,32 @@
+/**
+ * JSONFormat Module
+ * Native UtiliTrack JSON backup format (lossless, includes photos)
+ */
+
+export class JSONFormat {
+    constructor() {
+        this.id = 'json';
+        this.label = 'UtiliTrack JSON';
+        this.extension = 'json';
+        this.mimeType = 'application/json';
+    }
+
+    /**
+     * Serialize the data store as a versioned JSON backup
+     * @param {DataStore} dataStore The data store to export
+     * @returns {string}
+     */
+    write(dataStore) {
+        return JSON.stringify(dataStore.getExportData(), null, 2);
+    }
+
+    /**
+     * Parse a JSON backup. Schema migration happens in DataStore.importData.
+     * @param {string|Object} input JSON text or parsed object
+     * @returns {{data: Object, errors: Array<string>}}
+     */
+    read(input) {
+        const data = typeof input === 'string' ? JSON.parse(input) : input;
+        return { data, errors: [] };
+    }
+}
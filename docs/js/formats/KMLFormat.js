@@ -0,0 +1,411 @@
+/**
+ * KMLFormat Module
+ * KML and KMZ export for reviewing field work in Google Earth. Styling
+ * follows the map: one Folder per utility type in the utility color,
+ * structure icons from MapController.getStructureIcon and balloons that
+ * mirror the map popups.
+ */
+
+import { UTILITY_TYPES } from '../models/Schema.js';
+import { ZipWriter } from '../utils/ZipWriter.js';
+import { dataUrlToBytes } from '../utils/FileUtils.js';
+
+// KML has no dash patterns, so service lines are drawn thinner and
+// semi-transparent to set them apart from mains (dashed on the map)
+const LINE_STYLES = {
+    main: { width: 4, opacity: 1 },
+    service: { width: 2, opacity: 0.6 }
+};
+
+// Google Earth hosted icons used in plain KML, where icons can't be embedded.
+// Tinted with the utility color by the IconStyle.
+const HOSTED_ICON_BASE = 'https://maps.google.com/mapfiles/kml/shapes/';
+const HOSTED_ICONS = {
+    valve: 'triangle.png',
+    meter: 'square.png',
+    hydrant: 'firedept.png',
+    regulator: 'target.png',
+    transformer: 'electronics.png',
+    junction: 'square.png',
+    manhole: 'placemark_circle.png',
+    catchbasin: 'water.png',
+    handhole: 'open-diamond.png'
+};
+const HOSTED_DEFAULT_ICON = 'placemark_circle.png';
+const ANNOTATION_ICON = 'https://maps.google.com/mapfiles/kml/pal4/icon56.png';
+
+// Size in pixels of the structure icons rendered for KMZ files
+const ICON_SIZE = 64;
+
+export class KMLFormat {
+    /**
+     * @param {MapController} mapController Source of colors, icons and titles
+     */
+    constructor(mapController) {
+        this.mapController = mapController;
+        this.id = 'kml';
+        this.label = 'KML (Google Earth)';
+        this.extension = 'kml';
+        this.mimeType = 'application/vnd.google-earth.kml+xml';
+    }
+
+    /**
+     * Serialize the data store as a KML document
+     * @param {DataStore} dataStore The data store to export
+     * @returns {string}
+     */
+    write(dataStore) {
+        return this.buildDocument(dataStore.getExportData());
+    }
+
+    /**
+     * Build the KML document
+     * @param {Object} data Export data from DataStore.getExportData
+     * @param {Object} [assets] Files embedded in a KMZ
+     * @param {Map<string, string>} [assets.icons] Style id -> icon path
+     * @param {Map<string, string>} [assets.photos] Record id -> photo path
+     * @returns {string}
+     */
+    buildDocument(data, assets = null) {
+        const styles = [];
+        const folders = [];
+
+        UTILITY_TYPES.forEach(type => {
+            const utilities = (data.utilities && data.utilities[type]) || [];
+            const structures = (data.structures && data.structures[type]) || [];
+            const color = this.mapController.getUtilityColor(type);
+
+            for (const lineType in LINE_STYLES) {
+                const lineStyle = LINE_STYLES[lineType];
+                styles.push(`
+    <Style id="${type}-${lineType}">
+      <LineStyle>
+        <color>${toKmlColor(color, lineStyle.opacity)}</color>
+        <width>${lineStyle.width}</width>
+      </LineStyle>
+    </Style>`);
+            }
+
+            const structureTypes = new Set(structures.map(structure => structure.structureType));
+            structureTypes.forEach(structureType => {
+                const styleId = `${type}-${structureType}`;
+                const embeddedIcon = assets && assets.icons.get(styleId);
+                const href = embeddedIcon || HOSTED_ICON_BASE + (HOSTED_ICONS[structureType] || HOSTED_DEFAULT_ICON);
+
+                // Embedded icons are already colored; hosted ones are tinted
+                styles.push(`
+    <Style id="${escapeXml(styleId)}">
+      <IconStyle>
+        <color>${embeddedIcon ? 'ffffffff' : toKmlColor(color, 1)}</color>
+        <scale>1.1</scale>
+        <Icon><href>${escapeXml(href)}</href></Icon>
+      </IconStyle>
+    </Style>`);
+            });
+
+            if (!utilities.length && !structures.length) return;
+
+            const placemarks = [
+                ...utilities.map(utility => this.createUtilityPlacemark(utility, assets)),
+                ...structures.map(structure => this.createStructurePlacemark(structure, assets))
+            ].filter(Boolean);
+
+            folders.push(`
+    <Folder>
+      <name>${escapeXml(capitalize(type))}</name>
+      ${placemarks.join('')}
+    </Folder>`);
+        });
+
+        const annotations = (data.annotations || []).filter(annotation => annotation.coordinates);
+        if (annotations.length) {
+            styles.push(`
+    <Style id="annotation">
+      <IconStyle>
+        <Icon><href>${ANNOTATION_ICON}</href></Icon>
+      </IconStyle>
+    </Style>`);
+
+            folders.push(`
+    <Folder>
+      <name>Annotations</name>
+      ${annotations.map(annotation => this.createAnnotationPlacemark(annotation)).join('')}
+    </Folder>`);
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>CAC UtiliTrack Export</name>
+    <description>Exported ${escapeXml(data.timestamp || new Date().toISOString())}</description>${styles.join('')}${folders.join('')}
+  </Document>
+</kml>
+`;
+    }
+
+    /**
+     * Create a LineString placemark for a utility
+     */
+    createUtilityPlacemark(utility, assets) {
+        if (!Array.isArray(utility.coordinates) || utility.coordinates.length < 2) return '';
+
+        const lineType = LINE_STYLES[utility.lineType] ? utility.lineType : 'service';
+        const title = this.mapController.getUtilityTitle(utility);
+
+        return `
+      <Placemark id="${escapeXml(utility.id)}">
+        <name>${escapeXml(title)}</name>
+        <styleUrl>#${utility.type}-${lineType}</styleUrl>
+        <description>${toCData(this.createDescription(title, utility, assets))}</description>
+        ${createExtendedData(utility, ['type', 'lineType', 'size', 'depth', 'material', 'condition', 'notes', 'dateAdded'])}
+        <LineString>
+          <tessellate>1</tessellate>
+          <coordinates>${utility.coordinates.map(toKmlCoordinate).join(' ')}</coordinates>
+        </LineString>
+      </Placemark>`;
+    }
+
+    /**
+     * Create a Point placemark for a structure
+     */
+    createStructurePlacemark(structure, assets) {
+        if (!structure.coordinates) return '';
+
+        const title = this.mapController.getStructureTitle(structure);
+
+        return `
+      <Placemark id="${escapeXml(structure.id)}">
+        <name>${escapeXml(title)}</name>
+        <styleUrl>#${escapeXml(`${structure.utilityType}-${structure.structureType}`)}</styleUrl>
+        <description>${toCData(this.createDescription(title, structure, assets))}</description>
+        ${createExtendedData(structure, ['utilityType', 'structureType', 'size', 'depth', 'material', 'condition', 'notes', 'dateAdded'])}
+        <Point>
+          <coordinates>${toKmlCoordinate(structure.coordinates)}</coordinates>
+        </Point>
+      </Placemark>`;
+    }
+
+    /**
+     * Create a Point placemark for an annotation
+     */
+    createAnnotationPlacemark(annotation) {
+        return `
+      <Placemark id="${escapeXml(annotation.id)}">
+        <name>${escapeXml(annotation.text)}</name>
+        <styleUrl>#annotation</styleUrl>
+        <Point>
+          <coordinates>${toKmlCoordinate(annotation.coordinates)}</coordinates>
+        </Point>
+      </Placemark>`;
+    }
+
+    /**
+     * Balloon HTML - same fields as createUtilityPopupContent, plus the
+     * photo when it is embedded in a KMZ
+     */
+    createDescription(title, record, assets) {
+        const photo = assets && assets.photos.get(record.id);
+
+        return `
+<h3>${escapeXml(title)}</h3>
+<p><strong>Size:</strong> ${escapeXml(record.size)} inches</p>
+<p><strong>Depth:</strong> ${escapeXml(record.depth)} feet</p>
+<p><strong>Material:</strong> ${escapeXml(record.material)}</p>
+<p><strong>Condition:</strong> ${escapeXml(record.condition)}</p>
+${photo ? `<p><img src="${escapeXml(photo)}" width="300"></p>` : ''}`;
+    }
+}
+
+export class KMZFormat extends KMLFormat {
+    constructor(mapController) {
+        super(mapController);
+        this.id = 'kmz';
+        this.label = 'KMZ (Google Earth, with photos)';
+        this.extension = 'kmz';
+        this.mimeType = 'application/vnd.google-earth.kmz';
+    }
+
+    /**
+     * Package the KML with rendered structure icons and captured photos
+     * @param {DataStore} dataStore The data store to export
+     * @returns {Promise<Blob>}
+     */
+    async write(dataStore) {
+        const data = dataStore.getExportData();
+        const assets = { icons: new Map(), photos: new Map() };
+        const files = [];
+
+        // Photos
+        const records = [];
+        for (const type in data.utilities) records.push(...data.utilities[type]);
+        for (const type in data.structures) records.push(...data.structures[type]);
+
+        records.forEach(record => {
+            if (typeof record.imageData !== 'string' || !record.imageData.startsWith('data:')) return;
+
+            const { bytes, mimeType } = dataUrlToBytes(record.imageData);
+            const extension = (mimeType.split('/')[1] || 'jpg').replace('jpeg', 'jpg');
+            const path = `files/photo-${toFileName(record.id)}.${extension}`;
+
+            files.push({ path, bytes });
+            assets.photos.set(record.id, path);
+        });
+
+        // Structure icons, rendered from the same Font Awesome glyphs as the map
+        if (document.fonts && document.fonts.ready) {
+            await document.fonts.ready;
+        }
+
+        for (const type in data.structures) {
+            const color = this.mapController.getUtilityColor(type);
+
+            data.structures[type].forEach(structure => {
+                const styleId = `${type}-${structure.structureType}`;
+                if (assets.icons.has(styleId)) return;
+
+                const iconClass = this.mapController.getStructureIcon(structure.structureType);
+                const dataUrl = renderStructureIcon(iconClass, color);
+                if (!dataUrl) return;
+
+                const path = `files/icons/${toFileName(styleId)}.png`;
+                files.push({ path, bytes: dataUrlToBytes(dataUrl).bytes });
+                assets.icons.set(styleId, path);
+            });
+        }
+
+        // Google Earth reads the first .kml entry in the archive
+        const zip = new ZipWriter();
+        zip.addFile('doc.kml', this.buildDocument(data, assets));
+        files.forEach(file => zip.addFile(file.path, file.bytes));
+
+        return zip.toBlob(this.mimeType);
+    }
+}
+
+/**
+ * Draw a structure marker (white rounded square, colored border and glyph)
+ * to a PNG data URL, matching the .structure-marker map style
+ * @param {string} iconClass Font Awesome icon class, e.g. 'fa-tint-slash'
+ * @param {string} color CSS color
+ * @returns {string|null} PNG data URL, or null if canvas is unavailable
+ */
+function renderStructureIcon(iconClass, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = ICON_SIZE;
+    canvas.height = ICON_SIZE;
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+
+    const inset = 4;
+    const size = ICON_SIZE - inset * 2;
+    const radius = 12;
+
+    ctx.beginPath();
+    ctx.moveTo(inset + radius, inset);
+    ctx.arcTo(inset + size, inset, inset + size, inset + size, radius);
+    ctx.arcTo(inset + size, inset + size, inset, inset + size, radius);
+    ctx.arcTo(inset, inset + size, inset, inset, radius);
+    ctx.arcTo(inset, inset, inset + size, inset, radius);
+    ctx.closePath();
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = color;
+    ctx.stroke();
+
+    const glyph = getIconGlyph(iconClass);
+    if (glyph) {
+        ctx.font = `${glyph.fontWeight} ${Math.round(ICON_SIZE * 0.5)}px ${glyph.fontFamily}`;
+        ctx.fillStyle = color;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(glyph.character, ICON_SIZE / 2, ICON_SIZE / 2);
+    }
+
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Look up the character and font Font Awesome uses for an icon class by
+ * reading the computed ::before style, so icons always match the stylesheet
+ * @returns {{character: string, fontFamily: string, fontWeight: string}|null}
+ */
+function getIconGlyph(iconClass) {
+    const element = document.createElement('i');
+    element.className = `fas ${iconClass}`;
+    element.style.position = 'absolute';
+    element.style.visibility = 'hidden';
+    document.body.appendChild(element);
+
+    const style = window.getComputedStyle(element, '::before');
+    const character = (style.content || '').replace(/^["']|["']$/g, '');
+    const glyph = character && character !== 'none'
+        ? { character, fontFamily: style.fontFamily, fontWeight: style.fontWeight }
+        : null;
+
+    document.body.removeChild(element);
+
+    return glyph;
+}
+
+/**
+ * Convert a #rrggbb color and opacity to KML aabbggrr
+ */
+function toKmlColor(hex, opacity) {
+    const value = hex.replace('#', '');
+    const alpha = Math.round(opacity * 255).toString(16).padStart(2, '0');
+
+    return `${alpha}${value.slice(4, 6)}${value.slice(2, 4)}${value.slice(0, 2)}`.toLowerCase();
+}
+
+/**
+ * Convert a [lat, lng] pair to a KML lng,lat,alt tuple
+ */
+function toKmlCoordinate(point) {
+    return `${point[1]},${point[0]},0`;
+}
+
+/**
+ * Build an ExtendedData block so attributes show in Google Earth's table view
+ */
+function createExtendedData(record, fields) {
+    const entries = fields
+        .filter(field => record[field] !== undefined && record[field] !== null && record[field] !== '')
+        .map(field => `<Data name="${field}"><value>${escapeXml(record[field])}</value></Data>`);
+
+    return entries.length ? `<ExtendedData>${entries.join('')}</ExtendedData>` : '';
+}
+
+/**
+ * Escape text for use in XML content and attributes
+ */
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Wrap HTML in a CDATA section
+ */
+function toCData(html) {
+    return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Make an id safe to use in an archive path
+ */
+function toFileName(id) {
+    return String(id).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Capitalize the first letter of a word
+ */
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
@@ -0,0 +1,351 @@
+/**
+ * ShapefileFormat Module
+ * Writes zipped Esri Shapefiles (.shp/.shx/.dbf/.prj) entirely in the
+ * browser: one PolyLine layer per utility type and one Point layer per
+ * utility type for structures
+ */
+
+import { UTILITY_TYPES } from '../models/Schema.js';
+import { ZipWriter } from '../utils/ZipWriter.js';
+
+const SHAPE_POINT = 1;
+const SHAPE_POLYLINE = 3;
+
+const SHP_HEADER_LENGTH = 100;
+const SHP_FILE_CODE = 9994;
+const SHP_VERSION = 1000;
+
+// dBase limits
+const DBF_FIELD_NAME_LENGTH = 10;
+const DBF_MAX_CHARACTER_LENGTH = 254;
+
+// WGS 84 - coordinates are written as longitude/latitude degrees
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+    'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// Attribute columns per layer kind. Names are truncated to the DBF limit
+// when the file is written (e.g. structureType -> structureT).
+const LINE_FIELDS = [
+    { key: 'id', type: 'C' },
+    { key: 'type', type: 'C' },
+    { key: 'lineType', type: 'C' },
+    { key: 'size', type: 'N', length: 10, decimals: 2 },
+    { key: 'depth', type: 'N', length: 10, decimals: 2 },
+    { key: 'material', type: 'C' },
+    { key: 'condition', type: 'C' },
+    { key: 'notes', type: 'C' },
+    { key: 'dateAdded', type: 'C' }
+];
+
+const STRUCTURE_FIELDS = [
+    { key: 'id', type: 'C' },
+    { key: 'utilityType', type: 'C' },
+    { key: 'structureType', type: 'C' },
+    { key: 'size', type: 'N', length: 10, decimals: 2 },
+    { key: 'depth', type: 'N', length: 10, decimals: 2 },
+    { key: 'material', type: 'C' },
+    { key: 'condition', type: 'C' },
+    { key: 'notes', type: 'C' },
+    { key: 'dateAdded', type: 'C' }
+];
+
+export class ShapefileFormat {
+    constructor() {
+        this.id = 'shapefile';
+        this.label = 'Shapefile';
+        this.extension = 'zip';
+        this.mimeType = 'application/zip';
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Build a ZIP with one shapefile layer per utility type and geometry
+     * @param {DataStore} dataStore The data store to export
+     * @returns {Blob}
+     */
+    write(dataStore) {
+        const data = dataStore.getExportData();
+        const zip = new ZipWriter();
+        let layerCount = 0;
+
+        UTILITY_TYPES.forEach(type => {
+            const lines = ((data.utilities && data.utilities[type]) || [])
+                .filter(utility => Array.isArray(utility.coordinates) && utility.coordinates.length >= 2);
+            const structures = ((data.structures && data.structures[type]) || [])
+                .filter(structure => Array.isArray(structure.coordinates));
+
+            if (lines.length) {
+                this.addLayer(zip, `${type}_lines`, SHAPE_POLYLINE, lines, LINE_FIELDS);
+                layerCount++;
+            }
+
+            if (structures.length) {
+                this.addLayer(zip, `${type}_structures`, SHAPE_POINT, structures, STRUCTURE_FIELDS);
+                layerCount++;
+            }
+        });
+
+        if (!layerCount) {
+            throw new Error('There are no utilities or structures to export');
+        }
+
+        return zip.toBlob(this.mimeType);
+    }
+
+    /**
+     * Add the .shp, .shx, .dbf, .prj and .cpg files for one layer
+     */
+    addLayer(zip, name, shapeType, records, fields) {
+        const { shp, shx } = writeShapes(shapeType, records);
+
+        zip.addFile(`${name}.shp`, shp);
+        zip.addFile(`${name}.shx`, shx);
+        zip.addFile(`${name}.dbf`, this.writeDbf(records, fields));
+        zip.addFile(`${name}.prj`, WGS84_PRJ);
+        zip.addFile(`${name}.cpg`, 'UTF-8');
+    }
+
+    /**
+     * Write a dBase III attribute table
+     * @param {Array<Object>} records
+     * @param {Array<Object>} fields Column definitions
+     * @returns {Uint8Array}
+     */
+    writeDbf(records, fields) {
+        const names = toDbfFieldNames(fields.map(field => field.key));
+
+        // Size character columns to the longest value (UTF-8 bytes)
+        const columns = fields.map((field, index) => {
+            if (field.type === 'N') {
+                return { ...field, name: names[index] };
+            }
+
+            const longest = records.reduce((max, record) => {
+                return Math.max(max, this.encoder.encode(formatValue(record[field.key])).length);
+            }, 1);
+
+            return { ...field, name: names[index], length: Math.min(longest, DBF_MAX_CHARACTER_LENGTH), decimals: 0 };
+        });
+
+        const headerLength = 32 + columns.length * 32 + 1;
+        const recordLength = 1 + columns.reduce((sum, column) => sum + column.length, 0);
+        const bytes = new Uint8Array(headerLength + records.length * recordLength + 1);
+        const view = new DataView(bytes.buffer);
+        const now = new Date();
+
+        // File header
+        view.setUint8(0, 0x03);
+        view.setUint8(1, now.getFullYear() - 1900);
+        view.setUint8(2, now.getMonth() + 1);
+        view.setUint8(3, now.getDate());
+        view.setUint32(4, records.length, true);
+        view.setUint16(8, headerLength, true);
+        view.setUint16(10, recordLength, true);
+
+        // Field descriptors
+        columns.forEach((column, index) => {
+            const offset = 32 + index * 32;
+            writeAscii(bytes, offset, column.name, 11);
+            bytes[offset + 11] = column.type.charCodeAt(0);
+            bytes[offset + 16] = column.length;
+            bytes[offset + 17] = column.decimals;
+        });
+        bytes[headerLength - 1] = 0x0d;
+
+        // Records
+        records.forEach((record, recordIndex) => {
+            let offset = headerLength + recordIndex * recordLength;
+            bytes[offset++] = 0x20; // not deleted
+
+            columns.forEach(column => {
+                const cell = column.type === 'N'
+                    ? formatNumber(record[column.key], column.length, column.decimals)
+                    : this.fitText(formatValue(record[column.key]), column.length);
+
+                bytes.fill(0x20, offset, offset + column.length);
+                bytes.set(cell, offset);
+                offset += column.length;
+            });
+        });
+
+        bytes[bytes.length - 1] = 0x1a;
+
+        return bytes;
+    }
+
+    /**
+     * Encode text as UTF-8, truncated to a byte length without splitting characters
+     */
+    fitText(text, maxBytes) {
+        let encoded = this.encoder.encode(text);
+        if (encoded.length <= maxBytes) return encoded;
+
+        let end = text.length;
+        while (end > 0 && encoded.length > maxBytes) {
+            end--;
+            encoded = this.encoder.encode(text.slice(0, end));
+        }
+
+        return encoded;
+    }
+}
+
+/**
+ * Write the .shp geometry file and its .shx index
+ * @returns {{shp: Uint8Array, shx: Uint8Array}}
+ */
+function writeShapes(shapeType, records) {
+    const contents = records.map(record => {
+        return shapeType === SHAPE_POINT
+            ? encodePoint(record.coordinates)
+            : encodePolyLine(record.coordinates);
+    });
+
+    const shpLength = SHP_HEADER_LENGTH + contents.reduce((sum, content) => sum + 8 + content.byteLength, 0);
+    const shxLength = SHP_HEADER_LENGTH + records.length * 8;
+
+    const shp = new Uint8Array(shpLength);
+    const shx = new Uint8Array(shxLength);
+    const shpView = new DataView(shp.buffer);
+    const shxView = new DataView(shx.buffer);
+
+    const bbox = getBoundingBox(records.flatMap(record => {
+        return shapeType === SHAPE_POINT ? [record.coordinates] : record.coordinates;
+    }));
+
+    writeShpHeader(shpView, shpLength, shapeType, bbox);
+    writeShpHeader(shxView, shxLength, shapeType, bbox);
+
+    let offset = SHP_HEADER_LENGTH;
+    contents.forEach((content, index) => {
+        // Offsets and lengths are in 16-bit words, big-endian
+        shxView.setInt32(SHP_HEADER_LENGTH + index * 8, offset / 2, false);
+        shxView.setInt32(SHP_HEADER_LENGTH + index * 8 + 4, content.byteLength / 2, false);
+
+        shpView.setInt32(offset, index + 1, false);
+        shpView.setInt32(offset + 4, content.byteLength / 2, false);
+        shp.set(new Uint8Array(content), offset + 8);
+        offset += 8 + content.byteLength;
+    });
+
+    return { shp, shx };
+}
+
+/**
+ * Write the 100-byte header shared by .shp and .shx
+ */
+function writeShpHeader(view, byteLength, shapeType, bbox) {
+    view.setInt32(0, SHP_FILE_CODE, false);
+    view.setInt32(24, byteLength / 2, false);
+    view.setInt32(28, SHP_VERSION, true);
+    view.setInt32(32, shapeType, true);
+    view.setFloat64(36, bbox.xMin, true);
+    view.setFloat64(44, bbox.yMin, true);
+    view.setFloat64(52, bbox.xMax, true);
+    view.setFloat64(60, bbox.yMax, true);
+}
+
+/**
+ * Encode a Point record's content
+ */
+function encodePoint(point) {
+    const buffer = new ArrayBuffer(20);
+    const view = new DataView(buffer);
+
+    view.setInt32(0, SHAPE_POINT, true);
+    view.setFloat64(4, point[1], true);
+    view.setFloat64(12, point[0], true);
+
+    return buffer;
+}
+
+/**
+ * Encode a single-part PolyLine record's content
+ */
+function encodePolyLine(points) {
+    const buffer = new ArrayBuffer(44 + 4 + points.length * 16);
+    const view = new DataView(buffer);
+    const bbox = getBoundingBox(points);
+
+    view.setInt32(0, SHAPE_POLYLINE, true);
+    view.setFloat64(4, bbox.xMin, true);
+    view.setFloat64(12, bbox.yMin, true);
+    view.setFloat64(20, bbox.xMax, true);
+    view.setFloat64(28, bbox.yMax, true);
+    view.setInt32(36, 1, true); // parts
+    view.setInt32(40, points.length, true);
+    view.setInt32(44, 0, true); // first part starts at point 0
+
+    points.forEach((point, index) => {
+        view.setFloat64(48 + index * 16, point[1], true);
+        view.setFloat64(56 + index * 16, point[0], true);
+    });
+
+    return buffer;
+}
+
+/**
+ * Bounding box of [lat, lng] points in shapefile x (lng) / y (lat) terms
+ */
+function getBoundingBox(points) {
+    const bbox = { xMin: Infinity, yMin: Infinity, xMax: -Infinity, yMax: -Infinity };
+
+    points.forEach(([lat, lng]) => {
+        bbox.xMin = Math.min(bbox.xMin, lng);
+        bbox.xMax = Math.max(bbox.xMax, lng);
+        bbox.yMin = Math.min(bbox.yMin, lat);
+        bbox.yMax = Math.max(bbox.yMax, lat);
+    });
+
+    return bbox;
+}
+
+/**
+ * Truncate attribute names to the 10-character DBF limit, keeping them unique
+ * @param {Array<string>} keys Record property names
+ * @returns {Array<string>}
+ */
+function toDbfFieldNames(keys) {
+    const used = new Set();
+
+    return keys.map(key => {
+        const base = key.replace(/[^A-Za-z0-9_]/g, '_').slice(0, DBF_FIELD_NAME_LENGTH);
+        let name = base;
+        let suffix = 1;
+
+        while (used.has(name.toUpperCase())) {
+            const tag = String(suffix++);
+            name = base.slice(0, DBF_FIELD_NAME_LENGTH - tag.length) + tag;
+        }
+
+        used.add(name.toUpperCase());
+        return name;
+    });
+}
+
+/**
+ * Write an ASCII string into a fixed-width, null-padded slot
+ */
+function writeAscii(bytes, offset, text, width) {
+    for (let i = 0; i < width; i++) {
+        bytes[offset + i] = i < text.length ? text.charCodeAt(i) & 0x7f : 0;
+    }
+}
+
+/**
+ * Convert an attribute value to text for a character column
+ */
+function formatValue(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Right-align a number in a numeric column
+ */
+function formatNumber(value, length, decimals) {
+    const number = parseFloat(value);
+    const text = isFinite(number) ? number.toFixed(decimals) : '';
+
+    return new TextEncoder().encode(text.slice(0, length).padStart(length, ' '));
+}
@@ -0,0 +1,32 @@
+/**
+ * BrowserLocationProvider Module
+ * The device's own GPS, through the browser Geolocation API
+ */
+
+import { LocationProvider } from './LocationProvider.js';
+
+export class BrowserLocationProvider extends LocationProvider {
+    constructor() {
+        super();
+        this.id = 'browser';
+        this.label = 'Device GPS';
+        this.simulated = false;
+        this.usesDeviceOrientation = true;
+    }
+
+    isAvailable() {
+        return 'geolocation' in navigator;
+    }
+
+    watchPosition(success, error, options) {
+        return navigator.geolocation.watchPosition(success, error, options);
+    }
+
+    clearWatch(id) {
+        navigator.geolocation.clearWatch(id);
+    }
+
+    getCurrentPosition(success, error, options) {
+        navigator.geolocation.getCurrentPosition(success, error, options);
+    }
+}
@@ -0,0 +1,357 @@
+/**
+ * KalmanPositionFilter Module
+ * Constant-velocity Kalman filter for GPS fixes. The state is east/north
+ * position and velocity (meters, m/s) in a local plane around the first
+ * fix. Each fix corrects it using its reported accuracy, and its speed and
+ * heading when the device reports them. The position covariance gives a
+ * confidence ellipse. A sustained near-zero velocity marks the user as
+ * stationary, which pins the velocity to zero so the estimate settles on
+ * the spot instead of drifting.
+ *
+ * Headings (compass or GPS) are still smoothed by PositionFilter.
+ */
+
+import { PositionFilter } from './PositionFilter.js';
+import { createLocalProjection } from '../utils/Geodesy.js';
+
+// 95% radius of a 2D normal distribution in standard deviations (the
+// Geolocation API reports coords.accuracy at 95% confidence)
+const CONFIDENCE_95 = 2.4477;
+
+// Process noise: how hard the user may accelerate (m²/s³)
+const ACCELERATION_NOISE = 0.15;
+const STATIONARY_ACCELERATION_NOISE = 0.005;
+
+// Measurement noise floors
+const MIN_POSITION_SIGMA = 1; // m
+const SPEED_SIGMA = 0.3; // m/s
+const HEADING_SIGMA = 15 * Math.PI / 180; // rad
+
+// Stationary detection (m/s, with hysteresis) and how long it must last
+const STATIONARY_SPEED = 0.3;
+const MOVING_SPEED = 0.6;
+const STATIONARY_TIME = 3000; // ms
+
+// Squared Mahalanobis distances (chi-square, 2 degrees of freedom)
+const MOVE_GATE = 9.21; // 99%: a stationary user has started moving
+const OUTLIER_GATE = 13.82; // 99.9%: the fix is rejected
+
+// Consecutive rejected fixes before the filter restarts on the new fix
+const MAX_REJECTIONS = 3;
+
+// Restart after a gap this long, re-center the plane past this distance
+const MAX_GAP = 30000; // ms
+const RECENTER_DISTANCE = 1000; // m
+
+function identity4() {
+    return [0, 1, 2, 3].map(i => [0, 1, 2, 3].map(j => (i === j ? 1 : 0)));
+}
+
+export class KalmanPositionFilter extends PositionFilter {
+    constructor() {
+        super();
+        this.resetState();
+    }
+
+    resetState() {
+        this.state = null; // [east, north, velocityEast, velocityNorth]
+        this.covariance = null;
+        this.projection = null;
+        this.lastTime = null;
+        this.stationary = false;
+        this.stillSince = null;
+        this.rejections = 0;
+    }
+
+    reset() {
+        super.reset();
+        this.resetState();
+    }
+
+    /**
+     * Correct the estimate with a GPS fix
+     * @param {GeolocationPosition} position
+     * @returns {Object|null} See getFilteredPosition
+     */
+    addPosition(position) {
+        const { latitude, longitude } = position.coords;
+        if (!isFinite(latitude) || !isFinite(longitude)) return this.getFilteredPosition();
+
+        const time = position.timestamp || Date.now();
+        if (!this.state || time - this.lastTime > MAX_GAP) {
+            this.initialize(position, time);
+            return this.getFilteredPosition();
+        }
+
+        const dt = (time - this.lastTime) / 1000;
+        if (dt < 0) return this.getFilteredPosition(); // out of order
+
+        this.predict(dt);
+        this.lastTime = time;
+
+        const sigma = this.getPositionSigma(position);
+        const [east, north] = this.projection.forward([latitude, longitude]);
+        let distance = this.mahalanobis(east, north, sigma);
+
+        if (this.stationary && distance > MOVE_GATE) {
+            // Started moving: let the velocity loose again
+            this.setStationary(false);
+            this.covariance[2][2] += 1;
+            this.covariance[3][3] += 1;
+            distance = 0;
+        }
+
+        if (distance > OUTLIER_GATE) {
+            this.rejections++;
+            if (this.rejections > MAX_REJECTIONS) {
+                // Consistently somewhere else: trust the fixes, not the model
+                this.initialize(position, time);
+            }
+            return this.getFilteredPosition();
+        }
+        this.rejections = 0;
+
+        this.update(0, east, sigma * sigma);
+        this.update(1, north, sigma * sigma);
+        this.updateVelocity(position.coords);
+        this.updateStationary(time);
+        this.recenter();
+
+        return this.getFilteredPosition();
+    }
+
+    /**
+     * Start from a single fix
+     */
+    initialize(position, time) {
+        const { latitude, longitude, speed, heading } = position.coords;
+        const sigma = this.getPositionSigma(position);
+        const hasVelocity = typeof speed === 'number' && isFinite(speed) && isFinite(heading) && heading !== null;
+        const direction = hasVelocity ? heading * Math.PI / 180 : 0;
+
+        this.projection = createLocalProjection([latitude, longitude]);
+        this.state = hasVelocity ? [0, 0, speed * Math.sin(direction), speed * Math.cos(direction)] : [0, 0, 0, 0];
+        this.covariance = identity4();
+        this.covariance[0][0] = this.covariance[1][1] = sigma * sigma;
+        this.covariance[2][2] = this.covariance[3][3] = hasVelocity ? SPEED_SIGMA * SPEED_SIGMA : 4;
+        this.lastTime = time;
+        this.stationary = false;
+        this.stillSince = null;
+        this.rejections = 0;
+    }
+
+    /**
+     * Standard deviation of a fix's position on each axis (m)
+     */
+    getPositionSigma(position) {
+        const accuracy = position.coords.accuracy;
+        return Math.max(MIN_POSITION_SIGMA, (isFinite(accuracy) && accuracy > 0 ? accuracy : 30) / CONFIDENCE_95);
+    }
+
+    /**
+     * Move the estimate forward in time (constant velocity, random
+     * acceleration)
+     * @param {number} dt Seconds
+     */
+    predict(dt) {
+        if (dt <= 0) return;
+
+        const x = this.state;
+        const P = this.covariance;
+
+        x[0] += x[2] * dt;
+        x[1] += x[3] * dt;
+
+        // P = F P F' for F = [[I, dt I], [0, I]]
+        for (let i = 0; i < 4; i++) {
+            P[i][0] += dt * P[i][2];
+            P[i][1] += dt * P[i][3];
+        }
+        for (let j = 0; j < 4; j++) {
+            P[0][j] += dt * P[2][j];
+            P[1][j] += dt * P[3][j];
+        }
+
+        // Q for white-noise acceleration on each axis
+        const q = this.stationary ? STATIONARY_ACCELERATION_NOISE : ACCELERATION_NOISE;
+        const positionNoise = q * dt * dt * dt / 3;
+        const crossNoise = q * dt * dt / 2;
+        const velocityNoise = q * dt;
+
+        [[0, 2], [1, 3]].forEach(([p, v]) => {
+            P[p][p] += positionNoise;
+            P[p][v] += crossNoise;
+            P[v][p] += crossNoise;
+            P[v][v] += velocityNoise;
+        });
+
+        if (this.stationary) {
+            x[2] = 0;
+            x[3] = 0;
+        }
+    }
+
+    /**
+     * Squared Mahalanobis distance of a position fix from the prediction
+     */
+    mahalanobis(east, north, sigma) {
+        const P = this.covariance;
+        const r = sigma * sigma;
+        const a = P[0][0] + r;
+        const b = P[0][1];
+        const d = P[1][1] + r;
+        const det = a * d - b * b;
+        const de = east - this.state[0];
+        const dn = north - this.state[1];
+
+        return det > 0 ? (d * de * de - 2 * b * de * dn + a * dn * dn) / det : 0;
+    }
+
+    /**
+     * Correct one state component with a direct measurement of it
+     * @param {number} index State component
+     * @param {number} value Measured value
+     * @param {number} variance Measurement variance
+     */
+    update(index, value, variance) {
+        const x = this.state;
+        const P = this.covariance;
+        const innovationVariance = P[index][index] + variance;
+        if (!(innovationVariance > 0)) return;
+
+        const gain = P.map(row => row[index] / innovationVariance);
+        const innovation = value - x[index];
+        const row = [...P[index]];
+
+        for (let i = 0; i < 4; i++) {
+            x[i] += gain[i] * innovation;
+            for (let j = 0; j < 4; j++) {
+                P[i][j] -= gain[i] * row[j];
+            }
+        }
+    }
+
+    /**
+     * Correct the velocity with the fix's reported speed and heading
+     */
+    updateVelocity({ speed, heading }) {
+        if (this.stationary) {
+            this.update(2, 0, SPEED_SIGMA * SPEED_SIGMA / 4);
+            this.update(3, 0, SPEED_SIGMA * SPEED_SIGMA / 4);
+            return;
+        }
+        if (typeof speed !== 'number' || !isFinite(speed)) return;
+
+        if (speed < STATIONARY_SPEED) {
+            this.update(2, 0, SPEED_SIGMA * SPEED_SIGMA);
+            this.update(3, 0, SPEED_SIGMA * SPEED_SIGMA);
+        } else if (heading !== null && isFinite(heading)) {
+            const direction = heading * Math.PI / 180;
+            // Speed error along the track plus heading error across it
+            const variance = SPEED_SIGMA * SPEED_SIGMA + (speed * HEADING_SIGMA) ** 2;
+            this.update(2, speed * Math.sin(direction), variance);
+            this.update(3, speed * Math.cos(direction), variance);
+        }
+    }
+
+    /**
+     * Enter the stationary state after STATIONARY_TIME below
+     * STATIONARY_SPEED; leave it above MOVING_SPEED
+     */
+    updateStationary(time) {
+        const speed = Math.hypot(this.state[2], this.state[3]);
+
+        if (speed > MOVING_SPEED) {
+            this.setStationary(false);
+        } else if (speed < STATIONARY_SPEED) {
+            if (this.stillSince === null) this.stillSince = time;
+            if (!this.stationary && time - this.stillSince >= STATIONARY_TIME) {
+                this.setStationary(true);
+            }
+        }
+    }
+
+    setStationary(stationary) {
+        this.stationary = stationary;
+        if (!stationary) {
+            this.stillSince = null;
+        }
+    }
+
+    /**
+     * Move the plane's origin to the estimate once it has wandered far
+     * enough for the flat-earth approximation to matter
+     */
+    recenter() {
+        if (Math.hypot(this.state[0], this.state[1]) < RECENTER_DISTANCE) return;
+
+        this.projection = createLocalProjection(this.projection.inverse([this.state[0], this.state[1]]));
+        this.state[0] = 0;
+        this.state[1] = 0;
+    }
+
+    /**
+     * 95% confidence ellipse of the position estimate
+     * @param {number} [segments=36] Points in the outline
+     * @returns {Object|null} { center: [lat, lng], semiMajor, semiMinor (m),
+     *   orientation (degrees clockwise from north of the major axis),
+     *   points: outline as [[lat, lng]] }
+     */
+    getConfidenceEllipse(segments = 36) {
+        if (!this.state) return null;
+
+        const P = this.covariance;
+        const a = P[0][0];
+        const b = P[0][1];
+        const d = P[1][1];
+        const mean = (a + d) / 2;
+        const spread = Math.sqrt(((a - d) / 2) ** 2 + b * b);
+        const semiMajor = CONFIDENCE_95 * Math.sqrt(Math.max(0, mean + spread));
+        const semiMinor = CONFIDENCE_95 * Math.sqrt(Math.max(0, mean - spread));
+        const angle = Math.atan2(2 * b, a - d) / 2; // major axis, counterclockwise from east
+
+        const [x0, y0] = this.state;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            const t = 2 * Math.PI * i / segments;
+            const u = semiMajor * Math.cos(t);
+            const v = semiMinor * Math.sin(t);
+            points.push(this.projection.inverse([x0 + u * cos - v * sin, y0 + u * sin + v * cos]));
+        }
+
+        return {
+            center: this.projection.inverse([x0, y0]),
+            semiMajor,
+            semiMinor,
+            orientation: ((90 - angle * 180 / Math.PI) % 180 + 180) % 180,
+            points
+        };
+    }
+
+    /**
+     * Current estimate
+     * @returns {Object|null} { latitude, longitude, accuracy (95% radius of
+     *   the ellipse's major axis, m), speed (m/s), heading (degrees, null
+     *   when stationary), stationary, ellipse }
+     */
+    getFilteredPosition() {
+        if (!this.state) return null;
+
+        const ellipse = this.getConfidenceEllipse();
+        const [latitude, longitude] = ellipse.center;
+        const speed = Math.hypot(this.state[2], this.state[3]);
+        const moving = !this.stationary && speed >= STATIONARY_SPEED;
+
+        return {
+            latitude,
+            longitude,
+            accuracy: ellipse.semiMajor,
+            speed: this.stationary ? 0 : speed,
+            heading: moving ? (Math.atan2(this.state[2], this.state[3]) * 180 / Math.PI + 360) % 360 : null,
+            stationary: this.stationary,
+            ellipse
+        };
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * LocationProvider Module
+ * Where GPS fixes come from. Providers have the same watchPosition /
+ * clearWatch / getCurrentPosition calls as navigator.geolocation, so the
+ * map can be driven by the device, by a recorded log or by a script
+ * without knowing which. Subclasses implement start() and stop() and call
+ * emit() with each fix.
+ */
+
+/**
+ * Fix in the shape of a GeolocationPosition
+ * @param {Object} fix { latitude, longitude, accuracy, altitude, heading, speed }
+ * @param {number} timestamp ms
+ * @returns {Object} { coords, timestamp }
+ */
+export function createPosition(fix, timestamp) {
+    const value = number => (typeof number === 'number' && isFinite(number) ? number : null);
+
+    return {
+        coords: {
+            latitude: fix.latitude,
+            longitude: fix.longitude,
+            accuracy: value(fix.accuracy) ?? 10,
+            altitude: value(fix.altitude),
+            altitudeAccuracy: null,
+            heading: value(fix.heading),
+            speed: value(fix.speed)
+        },
+        timestamp
+    };
+}
+
+export class LocationProvider {
+    constructor() {
+        this.id = 'provider';
+        this.label = 'Location provider';
+        this.simulated = true; // Fixes don't come from this device's GPS
+        this.usesDeviceOrientation = false; // Whether compass events belong with these fixes
+
+        this.watchers = new Map();
+        this.nextWatchId = 1;
+        this.lastPosition = null;
+    }
+
+    /**
+     * Whether fixes can be had at all
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Call back with every fix until cleared
+     * @param {Function} success Called with each position
+     * @param {Function} [error] Called with { code, message }
+     * @param {Object} [options] As for navigator.geolocation
+     * @returns {number} Watch id for clearWatch
+     */
+    watchPosition(success, error, options) {
+        const id = this.nextWatchId++;
+        this.watchers.set(id, { success, error });
+
+        if (this.watchers.size === 1) {
+            this.start(options);
+        }
+
+        return id;
+    }
+
+    /**
+     * @param {number} id From watchPosition
+     */
+    clearWatch(id) {
+        if (this.watchers.delete(id) && !this.watchers.size) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Call back once with the latest fix, or the next one
+     */
+    getCurrentPosition(success, error, options) {
+        if (this.lastPosition) {
+            setTimeout(() => success(this.lastPosition), 0);
+            return;
+        }
+
+        const id = this.watchPosition(position => {
+            this.clearWatch(id);
+            success(position);
+        }, positionError => {
+            this.clearWatch(id);
+            if (error) error(positionError);
+        }, options);
+    }
+
+    /**
+     * Begin producing fixes (first watcher added)
+     */
+    start() {}
+
+    /**
+     * Stop producing fixes (last watcher cleared)
+     */
+    stop() {}
+
+    /**
+     * Stop for good, dropping all watchers
+     */
+    dispose() {
+        this.watchers.clear();
+        this.stop();
+    }
+
+    /**
+     * Hand a fix to every watcher
+     * @param {Object} position From createPosition
+     */
+    emit(position) {
+        this.lastPosition = position;
+        [...this.watchers.values()].forEach(watcher => watcher.success(position));
+    }
+
+    /**
+     * Hand an error to every watcher
+     * @param {Object} error { code, message } (codes as GeolocationPositionError)
+     */
+    emitError(error) {
+        [...this.watchers.values()].forEach(watcher => {
+            if (watcher.error) watcher.error(error);
+        });
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * PositionFilter Module
+ * Smooths GPS fixes with a recency- and accuracy-weighted average of the
+ * last few positions, and compass/GPS headings with a damped circular mean.
+ * KalmanPositionFilter builds on it for the default location engine; this
+ * one stays selectable in settings for comparison.
+ */
+
+export class PositionFilter {
+    constructor() {
+        this.positions = [];
+        this.maxPositions = 10;  // Increased from 5 to 10 for smoother location averaging
+        this.accuracyThreshold = 35; // Increased from 20 to 35 meters to accommodate more challenging environments
+        this.headings = [];
+        this.maxHeadings = 10;   // Increased from 8 to 10 heading samples for better smoothing
+        this.lastHeading = null; // Track last heading for dampening
+    }
+    
+    addPosition(position) {
+        // Add simple speed-based outlier detection
+        if (this.positions.length > 0) {
+            const lastPos = this.positions[this.positions.length - 1];
+            const timeDelta = (position.timestamp - lastPos.timestamp) / 1000;
+            if (timeDelta > 0) {
+                const distDelta = this.calculateDistance(
+                    {lat: lastPos.coords.latitude, lng: lastPos.coords.longitude},
+                    {lat: position.coords.latitude, lng: position.coords.longitude}
+                );
+                const speed = distDelta / timeDelta; // meters per second
+                // Reject positions with unrealistic speed (e.g., > 30 m/s ≈ 108 km/h)
+                if (speed > 30 && this.positions.length > 2) {
+                    console.warn('Position rejected: unrealistic speed');
+                    return this.getFilteredPosition();
+                }
+            }
+        }
+        
+        // Always add positions for tracking, but weight them by accuracy
+        this.positions.push(position);
+        
+        // Keep only the most recent positions
+        if (this.positions.length > this.maxPositions) {
+            this.positions.shift();
+        }
+        
+        return this.getFilteredPosition();
+    }
+    
+    // Helper method to calculate distance between two points
+    calculateDistance(p1, p2) {
+        if (!p1 || !p2) return 0;
+        
+        // Using the Haversine formula to calculate distance
+        const R = 6371e3; // Earth's radius in meters
+        const φ1 = p1.lat * Math.PI / 180;
+        const φ2 = p2.lat * Math.PI / 180;
+        const Δφ = (p2.lat - p1.lat) * Math.PI / 180;
+        const Δλ = (p2.lng - p1.lng) * Math.PI / 180;
+
+        const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+                Math.cos(φ1) * Math.cos(φ2) *
+                Math.sin(Δλ/2) * Math.sin(Δλ/2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+        return R * c; // Distance in meters
+    }
+    
+    getFilteredPosition() {
+        if (this.positions.length === 0) return null;
+        
+        // Weight positions by recency and accuracy
+        let totalWeight = 0;
+        let weightedLat = 0;
+        let weightedLng = 0;
+        let totalAccuracy = 0;
+        
+        this.positions.forEach((pos, index) => {
+            // More recent positions get higher weight
+            const recencyWeight = Math.pow((index + 1) / this.positions.length, 2); // Squared for greater emphasis on recent positions
+            // More accurate positions get higher weight
+            const accuracyWeight = 1 / Math.max(1, pos.coords.accuracy);
+            const weight = recencyWeight * accuracyWeight;
+            
+            weightedLat += pos.coords.latitude * weight;
+            weightedLng += pos.coords.longitude * weight;
+            totalWeight += weight;
+            
+            // Track average accuracy
+            totalAccuracy += pos.coords.accuracy;
+        });
+        
+        // Return weighted average position with accuracy estimate
+        return {
+            latitude: weightedLat / totalWeight,
+            longitude: weightedLng / totalWeight,
+            accuracy: totalAccuracy / this.positions.length
+        };
+    }
+    
+    addHeading(heading) {
+        if (isNaN(heading)) return this.getFilteredHeading();
+        
+        // Apply a simple motion model to reduce jitter
+        if (this.lastHeading !== null) {
+            // Dampening: new heading is a weighted average of new and previous
+            const dampFactor = 0.3; // Lower = more dampening
+            heading = (1 - dampFactor) * this.lastHeading + dampFactor * heading;
+            
+            // Handle wrap-around for angles crossing 0/360 boundary
+            if (Math.abs(heading - this.lastHeading) > 180) {
+                if (heading > this.lastHeading) {
+                    heading -= 360;
+                } else {
+                    heading += 360;
+                }
+                heading = (1 - dampFactor) * this.lastHeading + dampFactor * heading;
+                // Normalize back to 0-360
+                if (heading < 0) heading += 360;
+                if (heading >= 360) heading -= 360;
+            }
+        }
+        
+        this.lastHeading = heading;
+        this.headings.push(heading);
+        
+        if (this.headings.length > this.maxHeadings) {
+            this.headings.shift();
+        }
+        
+        return this.getFilteredHeading();
+    }
+    
+    getFilteredHeading() {
+        if (this.headings.length === 0) return 0;
+        
+        // Special handling for heading values that wrap around 0/360
+        // Convert headings to vectors, average them, then convert back to angle
+        let sumSin = 0;
+        let sumCos = 0;
+        
+        this.headings.forEach((heading) => {
+            // Convert heading to radians
+            const rad = heading * Math.PI / 180;
+            sumSin += Math.sin(rad);
+            sumCos += Math.cos(rad);
+        });
+        
+        // Convert average vector back to degrees
+        const avgRad = Math.atan2(sumSin, sumCos);
+        let avgHeading = avgRad * 180 / Math.PI;
+        
+        // Normalize to 0-360 range
+        if (avgHeading < 0) avgHeading += 360;
+        
+        return avgHeading;
+    }
+    
+    reset() {
+        this.positions = [];
+        this.headings = [];
+        this.lastHeading = null;
+    }
+}
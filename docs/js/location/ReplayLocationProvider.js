@@ -0,0 +1,99 @@
+/**
+ * ReplayLocationProvider Module
+ * Plays back recorded fixes (an NMEA or GPX log, see TrackLog.js) at real
+ * or accelerated speed. Fix timestamps keep the recorded spacing so the
+ * position filter sees the recorded motion, whatever the playback speed.
+ */
+
+import { LocationProvider, createPosition } from './LocationProvider.js';
+
+// Least gap between the last fix played and the next when playback starts
+// again (looping, or resumed after a stop)
+const LOOP_GAP = 1000; // ms
+
+export class ReplayLocationProvider extends LocationProvider {
+    /**
+     * @param {Array<Object>} fixes { time (ms), latitude, longitude, accuracy,
+     *   altitude, heading, speed }, in time order
+     * @param {Object} [options]
+     * @param {number} [options.speed=1] Playback speed multiplier
+     * @param {boolean} [options.loop=false] Start again after the last fix
+     * @param {string} [options.label] Shown while the replay is the location source
+     */
+    constructor(fixes, { speed = 1, loop = false, label = 'Log replay' } = {}) {
+        super();
+        this.id = 'replay';
+        this.label = label;
+
+        this.fixes = fixes;
+        this.speed = speed > 0 ? speed : 1;
+        this.loop = loop;
+        this.onFinish = null; // Called when the last fix has been played (not looping)
+
+        this.index = 0;
+        this.timer = null;
+        this.passStart = 0; // Wall clock time the first fix of the current pass was due
+        this.clockBase = 0; // Timestamp the first fix of the current pass would get
+        this.lastTimestamp = 0;
+    }
+
+    start() {
+        if (!this.fixes.length) {
+            setTimeout(() => this.emitError({ code: 2, message: 'The log has no fixes' }), 0);
+            return;
+        }
+
+        // Carry on where a stopped replay left off
+        this.startPass(this.index < this.fixes.length ? this.index : 0);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Play from a fix onwards, now
+     * @param {number} index
+     */
+    startPass(index) {
+        const offset = this.fixes[index].time - this.fixes[0].time;
+
+        this.index = index;
+        this.passStart = Date.now() - offset / this.speed;
+        this.clockBase = Math.max(Date.now(), this.lastTimestamp + LOOP_GAP) - offset;
+        this.scheduleNext();
+    }
+
+    scheduleNext() {
+        if (this.index >= this.fixes.length) {
+            if (this.loop) {
+                this.startPass(0);
+            } else {
+                this.timer = null;
+                if (this.onFinish) this.onFinish();
+            }
+            return;
+        }
+
+        const fix = this.fixes[this.index];
+        const offset = fix.time - this.fixes[0].time;
+        const delay = this.passStart + offset / this.speed - Date.now();
+
+        this.timer = setTimeout(() => {
+            this.lastTimestamp = this.clockBase + offset;
+            this.index++;
+            this.emit(createPosition(fix, this.lastTimestamp));
+            this.scheduleNext();
+        }, Math.max(0, delay));
+    }
+
+    /**
+     * How far through the log playback is (0-1)
+     */
+    getProgress() {
+        return this.fixes.length ? this.index / this.fixes.length : 0;
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * SimulatedLocationProvider Module
+ * Scripted walks for trying out proximity alerts and excavation mode at a
+ * desk. A script is a start point and a list of steps; the walk is turned
+ * into one fix per interval with repeatable GPS-like noise and then played
+ * back like a recorded log.
+ *
+ * Script: {
+ *   start: [lat, lng],
+ *   speed: 1.4,        walking speed, m/s (steps can override)
+ *   interval: 1,       seconds between fixes
+ *   accuracy: 3,       reported accuracy, m (95%); noise is drawn to match
+ *   seed: 1,           same seed, same noise
+ *   loop: false,
+ *   steps: [
+ *     { to: [lat, lng], speed? },        walk to a point
+ *     { bearing, distance, speed? },     walk a bearing (degrees) and distance (m)
+ *     { wait: 10 }                       stand still (s)
+ *   ]
+ * }
+ */
+
+import { ReplayLocationProvider } from './ReplayLocationProvider.js';
+import { offsetPoint } from '../models/Offset.js';
+import { createLocalProjection } from '../utils/Geodesy.js';
+
+// 95% radius of a 2D normal distribution in standard deviations
+const CONFIDENCE_95 = 2.4477;
+
+const DEFAULT_WALKING_SPEED = 1.4; // m/s
+const DEFAULT_INTERVAL = 1; // s
+const DEFAULT_ACCURACY = 3; // m
+
+// Longest walk a script may describe, to keep the fix list small
+const MAX_FIXES = 36000;
+
+/**
+ * Park-Miller generator: the same seed gives the same walk every run
+ */
+function createRandom(seed) {
+    let state = Math.abs(Math.floor(seed)) % 2147483647 || 1;
+    const uniform = () => {
+        state = state * 16807 % 2147483647;
+        return state / 2147483647;
+    };
+
+    // Standard normal by Box-Muller
+    return () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+}
+
+function isLatLng(value) {
+    return Array.isArray(value) && value.length === 2 &&
+        value.every(number => typeof number === 'number' && isFinite(number)) &&
+        Math.abs(value[0]) <= 90 && Math.abs(value[1]) <= 180;
+}
+
+/**
+ * Check a script before simulating it
+ * @param {Object} script
+ * @returns {string|null} What is wrong with it, or null if it can be run
+ */
+export function validateScript(script) {
+    if (!script || typeof script !== 'object') {
+        return 'The script must be a JSON object';
+    }
+    if (!isLatLng(script.start)) {
+        return 'start must be [lat, lng]';
+    }
+    if (!Array.isArray(script.steps) || !script.steps.length) {
+        return 'steps must be a list with at least one step';
+    }
+
+    for (let i = 0; i < script.steps.length; i++) {
+        const step = script.steps[i] || {};
+        const valid = isLatLng(step.to) ||
+            (step.wait > 0) ||
+            (typeof step.bearing === 'number' && step.distance > 0);
+        if (!valid) {
+            return `Step ${i + 1} needs to: [lat, lng], bearing and distance, or wait`;
+        }
+        if (step.speed !== undefined && !(step.speed > 0)) {
+            return `Step ${i + 1} speed must be above 0`;
+        }
+    }
+
+    for (const key of ['speed', 'interval', 'accuracy']) {
+        if (script[key] !== undefined && !(script[key] > 0)) {
+            return `${key} must be above 0`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Turn a script into fixes, one per interval, along the scripted walk
+ * @param {Object} script See the module comment
+ * @returns {Array<Object>} Fixes as read by ReplayLocationProvider
+ */
+export function simulateTrack(script) {
+    const error = validateScript(script);
+    if (error) {
+        throw new Error(error);
+    }
+
+    const interval = script.interval || DEFAULT_INTERVAL;
+    const accuracy = script.accuracy || DEFAULT_ACCURACY;
+    const sigma = accuracy / CONFIDENCE_95;
+    const normal = createRandom(script.seed ?? 1);
+
+    // The walk as legs of constant velocity
+    const legs = [];
+    let position = script.start;
+    script.steps.forEach(step => {
+        if (step.wait > 0) {
+            legs.push({ from: position, to: position, duration: step.wait, heading: null, speed: 0 });
+            return;
+        }
+
+        const to = isLatLng(step.to) ? step.to : offsetPoint(position, step.bearing, step.distance);
+        const [east, north] = createLocalProjection(position).forward(to);
+        const distance = Math.hypot(east, north);
+        const speed = step.speed || script.speed || DEFAULT_WALKING_SPEED;
+        if (distance > 0) {
+            legs.push({
+                from: position,
+                to,
+                duration: distance / speed,
+                heading: (Math.atan2(east, north) * 180 / Math.PI + 360) % 360,
+                speed
+            });
+        }
+        position = to;
+    });
+
+    if (!legs.length) {
+        throw new Error('The script never moves from its start');
+    }
+
+    const total = legs.reduce((sum, leg) => sum + leg.duration, 0);
+    if (total / interval > MAX_FIXES) {
+        throw new Error(`The walk is too long to simulate (over ${MAX_FIXES} fixes)`);
+    }
+
+    const fixes = [];
+    let legIndex = 0;
+    let legStart = 0;
+    for (let t = 0; t <= total + 1e-9; t += interval) {
+        while (legIndex < legs.length - 1 && t > legStart + legs[legIndex].duration) {
+            legStart += legs[legIndex].duration;
+            legIndex++;
+        }
+
+        const leg = legs[legIndex];
+        const fraction = leg.duration > 0 ? Math.min(1, (t - legStart) / leg.duration) : 1;
+        const projection = createLocalProjection(leg.from);
+        const [east, north] = projection.forward(leg.to);
+        const [latitude, longitude] = projection.inverse([
+            east * fraction + normal() * sigma,
+            north * fraction + normal() * sigma
+        ]);
+
+        fixes.push({
+            time: Math.round(t * 1000),
+            latitude,
+            longitude,
+            accuracy,
+            altitude: null,
+            heading: leg.heading,
+            speed: leg.speed
+        });
+    }
+
+    return fixes;
+}
+
+export class SimulatedLocationProvider extends ReplayLocationProvider {
+    /**
+     * @param {Object} script See the module comment
+     * @param {Object} [options] As for ReplayLocationProvider; the script's
+     *   own loop setting is used unless options.loop is given
+     */
+    constructor(script, options = {}) {
+        super(simulateTrack(script), {
+            loop: Boolean(script.loop),
+            label: 'Simulator',
+            ...options
+        });
+        this.id = 'simulator';
+        this.script = script;
+    }
+}
@@ -0,0 +1,258 @@
+/**
+ * TrackLog Module
+ * Reads recorded GNSS logs into fixes for ReplayLocationProvider: NMEA 0183
+ * (GGA, RMC, GST sentences from any talker) and GPX tracks. Fixes are
+ * { time (ms), latitude, longitude, accuracy (m, 95%), altitude, heading,
+ * speed }; heading and speed missing from the log are worked out from the
+ * neighbouring fixes.
+ */
+
+import { createLocalProjection } from '../utils/Geodesy.js';
+import { getFileExtension } from '../utils/FileUtils.js';
+
+// 95% radius of a 2D normal distribution in standard deviations
+const CONFIDENCE_95 = 2.4477;
+
+// Accuracy from HDOP when the log has no error estimate: HDOP times a
+// typical user range error (m)
+const USER_RANGE_ERROR = 5;
+
+// Accuracy assumed when the log has nothing to go on (m)
+const DEFAULT_ACCURACY = 5;
+
+const KNOTS = 0.514444; // m/s
+
+/**
+ * Check an NMEA sentence's checksum, when it has one
+ */
+function hasValidChecksum(sentence) {
+    const star = sentence.indexOf('*');
+    if (star === -1) return true;
+
+    let checksum = 0;
+    for (let i = 1; i < star; i++) {
+        checksum ^= sentence.charCodeAt(i);
+    }
+
+    return checksum === parseInt(sentence.slice(star + 1, star + 3), 16);
+}
+
+/**
+ * ddmm.mmmm / dddmm.mmmm plus hemisphere to signed degrees
+ */
+function parseNmeaCoordinate(value, hemisphere) {
+    if (!value) return null;
+
+    const dot = value.indexOf('.');
+    const degreeDigits = (dot === -1 ? value.length : dot) - 2;
+    const degrees = parseInt(value.slice(0, degreeDigits), 10) + parseFloat(value.slice(degreeDigits)) / 60;
+    if (!isFinite(degrees)) return null;
+
+    return hemisphere === 'S' || hemisphere === 'W' ? -degrees : degrees;
+}
+
+/**
+ * hhmmss.ss to ms since midnight
+ */
+function parseNmeaTime(value) {
+    if (!value || value.length < 6) return null;
+
+    const ms = ((parseInt(value.slice(0, 2), 10) * 60 + parseInt(value.slice(2, 4), 10)) * 60 +
+        parseFloat(value.slice(4))) * 1000;
+    return isFinite(ms) ? ms : null;
+}
+
+/**
+ * ddmmyy to ms at midnight UTC
+ */
+function parseNmeaDate(value) {
+    if (!value || value.length !== 6) return null;
+
+    const yy = parseInt(value.slice(4, 6), 10);
+    const year = yy < 80 ? 2000 + yy : 1900 + yy;
+    const ms = Date.UTC(year, parseInt(value.slice(2, 4), 10) - 1, parseInt(value.slice(0, 2), 10));
+    return isFinite(ms) ? ms : null;
+}
+
+function parseNumber(value) {
+    const number = parseFloat(value);
+    return isFinite(number) ? number : null;
+}
+
+/**
+ * Fill in heading and speed from the neighbouring fixes where the log had none
+ */
+function fillMotion(fixes) {
+    for (let i = 0; i < fixes.length; i++) {
+        const fix = fixes[i];
+        if (fix.speed !== null && fix.heading !== null) continue;
+
+        const from = fixes[Math.max(0, i - 1)];
+        const to = fixes[Math.min(fixes.length - 1, i + 1)];
+        const dt = (to.time - from.time) / 1000;
+        if (from === to || !(dt > 0)) continue;
+
+        const [east, north] = createLocalProjection([from.latitude, from.longitude]).forward([to.latitude, to.longitude]);
+        const speed = Math.hypot(east, north) / dt;
+
+        if (fix.speed === null) fix.speed = speed;
+        if (fix.heading === null && speed > 0.3) {
+            fix.heading = (Math.atan2(east, north) * 180 / Math.PI + 360) % 360;
+        }
+    }
+
+    return fixes;
+}
+
+/**
+ * Read an NMEA 0183 log. Sentences with the same time make up one fix;
+ * fixes without a date (no RMC) are dated 1 January 2000.
+ * @param {string} text
+ * @returns {Array<Object>} Fixes in time order
+ */
+export function parseNMEA(text) {
+    const fixes = [];
+    let date = null;
+    let lastTime = null;
+    let dayOffset = 0;
+    let epoch = null;
+
+    const flush = () => {
+        if (epoch && epoch.valid && epoch.latitude !== null && epoch.longitude !== null) {
+            let accuracy = DEFAULT_ACCURACY;
+            if (epoch.sigmaLatitude !== null && epoch.sigmaLongitude !== null) {
+                accuracy = CONFIDENCE_95 * Math.sqrt((epoch.sigmaLatitude ** 2 + epoch.sigmaLongitude ** 2) / 2);
+            } else if (epoch.hdop !== null) {
+                accuracy = epoch.hdop * USER_RANGE_ERROR;
+            }
+
+            fixes.push({
+                time: (date ?? Date.UTC(2000, 0, 1)) + dayOffset + epoch.time,
+                latitude: epoch.latitude,
+                longitude: epoch.longitude,
+                accuracy,
+                altitude: epoch.altitude,
+                heading: epoch.heading,
+                speed: epoch.speed
+            });
+        }
+        epoch = null;
+    };
+
+    text.split(/\r?\n/).forEach(line => {
+        const sentence = line.trim();
+        if (!sentence.startsWith('$') || !hasValidChecksum(sentence)) return;
+
+        const fields = sentence.split('*')[0].split(',');
+        const type = fields[0].slice(3);
+        if (!['GGA', 'RMC', 'GST'].includes(type)) return;
+
+        const time = parseNmeaTime(fields[1]);
+        if (time === null) return;
+
+        if (!epoch || epoch.time !== time) {
+            flush();
+
+            // Past midnight without a new date from RMC
+            if (lastTime !== null && time < lastTime) {
+                dayOffset += 86400000;
+            }
+            lastTime = time;
+
+            epoch = {
+                time,
+                valid: true,
+                latitude: null,
+                longitude: null,
+                altitude: null,
+                hdop: null,
+                sigmaLatitude: null,
+                sigmaLongitude: null,
+                heading: null,
+                speed: null
+            };
+        }
+
+        if (type === 'GGA') {
+            if (fields[6] === '0') epoch.valid = false; // no fix
+            epoch.latitude = parseNmeaCoordinate(fields[2], fields[3]);
+            epoch.longitude = parseNmeaCoordinate(fields[4], fields[5]);
+            epoch.hdop = parseNumber(fields[8]);
+            epoch.altitude = parseNumber(fields[9]);
+        } else if (type === 'RMC') {
+            if (fields[2] !== 'A') epoch.valid = false; // void
+            if (epoch.latitude === null) {
+                epoch.latitude = parseNmeaCoordinate(fields[3], fields[4]);
+                epoch.longitude = parseNmeaCoordinate(fields[5], fields[6]);
+            }
+            const speed = parseNumber(fields[7]);
+            epoch.speed = speed === null ? null : speed * KNOTS;
+            epoch.heading = parseNumber(fields[8]);
+
+            const rmcDate = parseNmeaDate(fields[9]);
+            if (rmcDate !== null) {
+                date = rmcDate;
+                dayOffset = 0;
+            }
+        } else if (type === 'GST') {
+            epoch.sigmaLatitude = parseNumber(fields[6]);
+            epoch.sigmaLongitude = parseNumber(fields[7]);
+        }
+    });
+    flush();
+
+    fixes.sort((a, b) => a.time - b.time);
+    return fillMotion(fixes);
+}
+
+/**
+ * Read the track points (or, failing that, route points) of a GPX file.
+ * Points without times are spaced one second apart.
+ * @param {string} text
+ * @returns {Array<Object>} Fixes in time order
+ */
+export function parseGPX(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error('Not a valid GPX file');
+    }
+
+    let points = [...doc.getElementsByTagNameNS('*', 'trkpt')];
+    if (!points.length) {
+        points = [...doc.getElementsByTagNameNS('*', 'rtept')];
+    }
+
+    const child = (point, name) => {
+        const element = point.getElementsByTagNameNS('*', name)[0];
+        return element ? element.textContent.trim() : null;
+    };
+
+    const start = Date.UTC(2000, 0, 1);
+    const fixes = points.map((point, i) => {
+        const time = Date.parse(child(point, 'time'));
+        const hdop = parseNumber(child(point, 'hdop'));
+
+        return {
+            time: isFinite(time) ? time : start + i * 1000,
+            latitude: parseFloat(point.getAttribute('lat')),
+            longitude: parseFloat(point.getAttribute('lon')),
+            accuracy: hdop !== null ? hdop * USER_RANGE_ERROR : DEFAULT_ACCURACY,
+            altitude: parseNumber(child(point, 'ele')),
+            heading: parseNumber(child(point, 'course')),
+            speed: parseNumber(child(point, 'speed'))
+        };
+    }).filter(fix => isFinite(fix.latitude) && isFinite(fix.longitude));
+
+    fixes.sort((a, b) => a.time - b.time);
+    return fillMotion(fixes);
+}
+
+/**
+ * Read a log file by its extension (.gpx, otherwise NMEA)
+ * @param {string} text File contents
+ * @param {string} fileName
+ * @returns {Array<Object>} Fixes in time order
+ */
+export function parseTrackLog(text, fileName) {
+    return getFileExtension(fileName) === 'gpx' ? parseGPX(text) : parseNMEA(text);
+}
@@ -9,6 +9,17 @@ import { DataStore } from './models/DataStore.js';
 import { MapController } from './controllers/MapController.js';
 import { UIController } from './controllers/UIController.js';
 import { EventHandlers } from './controllers/EventHandlers.js';
+import { CSVImportController } from './controllers/CSVImportController.js';
+import { SettingsController } from './controllers/SettingsController.js';
+import { ExcavationController } from './controllers/ExcavationController.js';
+import { PointCaptureController } from './controllers/PointCaptureController.js';
+import { LineTraceController } from './controllers/LineTraceController.js';
+import { OffsetCaptureController } from './controllers/OffsetCaptureController.js';
+import { LocationSourceController } from './controllers/LocationSourceController.js';
+import { NetworkTraceController } from './controllers/NetworkTraceController.js';
+import { IsolationController } from './controllers/IsolationController.js';
+import { TopologyController } from './controllers/TopologyController.js';
+import { GeometryEditController } from './controllers/GeometryEditController.js';
 
 // Global error tracking for debugging
 let initErrors = [];
@@ -20,9 +31,8 @@ function initApplication() {
     try {
         console.log('Initializing CAC UtiliTrack application...');
         
-        // Initialize the data store first and load saved data
+        // Initialize the data store first - saved data loads asynchronously (dataStore.ready)
         const dataStore = new DataStore();
-        dataStore.loadInitialData(); // Make sure this doesn't throw if there's no data
         console.log('DataStore initialized');
         
         // Initialize app state
@@ -41,14 +51,75 @@ function initApplication() {
         const eventHandlers = new EventHandlers(appState, dataStore, mapController, uiController);
         console.log('EventHandlers initialized');
         
+        // Initialize the CSV structure import wizard
+        const csvImportController = new CSVImportController(appState, dataStore, mapController, uiController);
+        console.log('CSVImportController initialized');
+        
+        // Initialize the settings screen
+        const settingsController = new SettingsController(appState, mapController, uiController);
+        console.log('SettingsController initialized');
+        
+        // Initialize pre-dig excavation planning
+        const excavationController = new ExcavationController(appState, dataStore, mapController, uiController);
+        console.log('ExcavationController initialized');
+        
+        // Initialize averaged point capture
+        const pointCaptureController = new PointCaptureController(appState, mapController, uiController);
+        console.log('PointCaptureController initialized');
+        
+        // Initialize offset point placement
+        const offsetCaptureController = new OffsetCaptureController(appState, mapController, uiController);
+        console.log('OffsetCaptureController initialized');
+        
+        // Initialize walk-the-line GPS tracing
+        const lineTraceController = new LineTraceController(appState, mapController, uiController);
+        console.log('LineTraceController initialized');
+        
+        // Initialize location source switching (device GPS, log replay, simulator)
+        const locationSourceController = new LocationSourceController(appState, mapController, uiController);
+        console.log('LocationSourceController initialized');
+        
+        // Initialize network tracing (services fed, valve isolation, downstream)
+        const networkTraceController = new NetworkTraceController(appState, dataStore, mapController, uiController);
+        console.log('NetworkTraceController initialized');
+        
+        // Initialize main break isolation
+        const isolationController = new IsolationController(appState, dataStore, mapController, uiController);
+        console.log('IsolationController initialized');
+        
+        // Initialize the topology check
+        const topologyController = new TopologyController(appState, dataStore, mapController, uiController);
+        console.log('TopologyController initialized');
+        
+        // Initialize the geometry editor
+        const geometryEditController = new GeometryEditController(appState, dataStore, mapController, uiController);
+        console.log('GeometryEditController initialized');
+        
         // Critical! Connect controllers to each other
         mapController.uiController = uiController;
         mapController.eventHandlers = eventHandlers;
         uiController.mapController = mapController;
         uiController.eventHandlers = eventHandlers;
+        eventHandlers.csvImportController = csvImportController;
+        eventHandlers.settingsController = settingsController;
+        uiController.settingsController = settingsController;
+        eventHandlers.excavationController = excavationController;
+        excavationController.eventHandlers = eventHandlers;
+        eventHandlers.pointCaptureController = pointCaptureController;
+        eventHandlers.offsetCaptureController = offsetCaptureController;
+        eventHandlers.lineTraceController = lineTraceController;
+        lineTraceController.eventHandlers = eventHandlers;
+        eventHandlers.locationSourceController = locationSourceController;
+        eventHandlers.networkTraceController = networkTraceController;
+        eventHandlers.isolationController = isolationController;
+        eventHandlers.topologyController = topologyController;
+        eventHandlers.geometryEditController = geometryEditController;
+        mapController.geometryEditController = geometryEditController;
         
         // Additional explicit connections to ensure full interconnectivity
         dataStore.mapController = mapController;
+        dataStore.uiController = uiController;
+        dataStore.appState = appState;
         uiController.init(); // Initialize UI before map to ensure all elements are ready
         console.log('UI initialized');
         
@@ -59,19 +130,27 @@ function initApplication() {
                 mapController.initMap();
                 console.log('Map initialized');
                 
-                // Initialize event handlers after UI and map are ready (now synchronously)
-                // This is the ONLY place event listeners should be initialized
-                eventHandlers.setupEventListeners();
-                console.log('Event handlers initialized');
-                
-                // Render initial data on the map
-                mapController.loadUtilities();
-                console.log('Utilities loaded');
-                
-                // Hide splash screen after full initialization
-                setTimeout(() => {
+                // Wait for storage to load before accepting edits - the
+                // loaded collections would replace anything made sooner
+                dataStore.ready.then(() => {
+                    // Initialize event handlers after UI, map and data are ready
+                    // This is the ONLY place event listeners should be initialized
+                    eventHandlers.setupEventListeners();
+                    console.log('Event handlers initialized');
+                    
+                    mapController.loadUtilities();
+                    console.log('Utilities loaded');
+                    
+                    // Hide splash screen after full initialization
+                    setTimeout(() => {
+                        hideSplashScreen();
+                    }, 500);
+                }).catch(error => {
+                    console.error('Error in delayed initialization:', error);
+                    initErrors.push(error);
+                    tryRecovery();
                     hideSplashScreen();
-                }, 500);
+                });
             } catch (error) {
                 console.error('Error in delayed initialization:', error);
                 initErrors.push(error);
@@ -260,54 +339,6 @@ window.addEventListener('error', function(event) {
     window._lastErrorTime = now;
     window._lastErrorMessage = errorKey;
     
-    // Handle specific known errors
-    if (event.message.includes('findNearestUtility is not a function')) {
-        console.log('Known issue detected: Missing findNearestUtility function');
-        
-        // If the MapController is available, try to add the missing function
-        if (window.mapController) {
-            if (!window.mapController.findNearestUtility) {
-                console.log('Adding missing findNearestUtility function to MapController');
-                
-                // Add the missing function
-                window.mapController.findNearestUtility = function(latlng, maxDistance = 50) {
-                    let nearestUtility = null;
-                    let minDistance = maxDistance;
-                    
-                    // Check all utility types if available
-                    if (this.utilityLayers) {
-                        for (const type in this.utilityLayers) {
-                            this.utilityLayers[type].eachLayer(layer => {
-                                if (layer.utilityId || layer.utilityData) {
-                                    // Calculate distance from point to utility
-                                    const distance = this.distanceToPolyline ? 
-                                        this.distanceToPolyline(latlng, layer.getLatLngs()) : 
-                                        0; // Default to 0 if the function doesn't exist
-                                    
-                                    // If this is closer than current minimum
-                                    if (distance < minDistance) {
-                                        minDistance = distance;
-                                        
-                                        // Get the utility data
-                                        nearestUtility = {
-                                            utility: layer.utilityData || (this.dataStore ? this.dataStore.getUtilityById(layer.utilityId) : null),
-                                            distance: distance,
-                                            layer: layer
-                                        };
-                                    }
-                                }
-                            });
-                        }
-                    }
-                    
-                    return nearestUtility;
-                };
-                
-                console.log('Fix applied: Added findNearestUtility function');
-            }
-        }
-    }
-    
     // Show an error toast if UI controller is available
     if (window.uiController && typeof window.uiController.showToast === 'function') {
         window.uiController.showToast('Application error detected', 'error');
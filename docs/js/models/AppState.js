@@ -3,6 +3,23 @@
  * Central state management for the application
  */
 
+import { createClearanceRules, normalizeClearanceRules } from './Clearance.js';
+import { DEFAULT_TOLERANCE_INCHES, DEFAULT_TRENCH_WIDTH_FEET } from './Excavation.js';
+import { DEFAULT_TRACE_TOLERANCE } from './LineTrace.js';
+import { normalizeSnapSettings } from './Snapping.js';
+
+// Where the user's name is remembered on this device
+const USER_NAME_STORAGE_KEY = 'cac_utilitrack_user';
+
+// Where settings from the settings screen are remembered on this device
+const SETTINGS_STORAGE_KEY = 'cac_utilitrack_settings';
+
+// Location engines selectable in settings ('kalman' is the default)
+export const LOCATION_FILTERS = {
+    kalman: 'Kalman filter',
+    average: 'Weighted average (previous engine)'
+};
+
 // Application State
 export class AppState {
     constructor() {
@@ -21,6 +38,16 @@ export class AppState {
         this.tempLine = null; // Temporary line during drawing
         this.potentialConnection = null; // Potential connection when drawing a service line
         this.connectionPointMarker = null; // Marker for connection point
+        this.drawingCaptures = []; // Averaged captures of drawn vertices, { vertex, ...statistics }
+        this.drawingSnaps = []; // Snapped vertices, { vertex, kind, utilityId, structureId, point, station }
+        this.activeSnap = null; // Snap under the pointer while drawing, see Snapping.js
+        this.snapSettings = normalizeSnapSettings(); // Drawing snap tolerance and targets
+        this.pendingCapture = null; // Averaged capture for the structure being added, see PointCapture.js
+        
+        // GPS line trace
+        this.lineTrace = null; // Trace in progress, see LineTrace.js
+        this.traceTolerance = DEFAULT_TRACE_TOLERANCE; // Douglas-Peucker tolerance (meters)
+        this.pendingUtilityGeometry = null; // Traced line for the add utility form, { coordinates, trace }
         
         // Measuring state
         this.isMeasuring = false;
@@ -34,8 +61,12 @@ export class AppState {
         
         // Excavation mode settings
         this.isExcavationMode = false;
-        this.excavationSite = null;
-        this.excavationRadius = 5; // Default 5 meter radius
+        this.isPlanningExcavation = false; // Drawing the footprint before arming
+        this.isPickingBreak = false; // Waiting for a main break to be tapped, see IsolationController.js
+        this.excavationSite = null; // Planned footprint, see Excavation.js
+        this.excavationLog = null; // Session log while excavation mode is on, see ExcavationLog.js
+        this.trenchWidth = DEFAULT_TRENCH_WIDTH_FEET; // Default trench width (feet)
+        this.excavationTolerance = DEFAULT_TOLERANCE_INCHES; // Tolerance zone (inches), plus half the diameter
         this.proximityThreshold = 50; // Default 50 feet warning threshold
         
         // Location tracking
@@ -46,6 +77,8 @@ export class AppState {
         this.locationAccuracy = null;
         this.heading = null;
         this.locationFollowingEnabled = true; // Whether map should follow user location
+        this.locationFilter = 'kalman'; // Location engine, see LOCATION_FILTERS
+        this.locationEstimate = null; // Latest filtered fix (stationary flag, confidence ellipse for Kalman)
         
         // Map settings
         this.mapZoom = 18;
@@ -84,6 +117,8 @@ export class AppState {
         // Repositioning state
         this.repositioningUtility = null; // Utility being repositioned
         this.controlPoints = []; // Control points for repositioning
+        this.selectedControlPoint = null; // Control point picked for deletion
+        this.isPickingSplit = false; // Waiting for a tap on the line to split it, see GeometryEditController.js
         
         // Excavation mode properties
         this.distanceThresholds = {
@@ -93,6 +128,17 @@ export class AppState {
             critical: 5  // Critical alert (feet)
         };
         
+        // Clearance thresholds per utility type and line type (feet), see Clearance.js
+        this.clearanceRules = createClearanceRules(this.distanceThresholds);
+        this.digDepth = null; // Planned dig depth (feet), null when not entered
+        
+        // Name of the person using this device, recorded in the audit log
+        this.userName = localStorage.getItem(USER_NAME_STORAGE_KEY) || '';
+        
+        // Export settings (remembered for the session)
+        this.exportCoordinateSystem = null; // CAD export coordinate system id, e.g. 'spcs-1900'
+        this.exportUnits = null; // CAD export units ('usft', 'ft' or 'm')
+        
         // Bind methods
         this.setMode = this.setMode.bind(this);
         this.setUtilityType = this.setUtilityType.bind(this);
@@ -101,6 +147,119 @@ export class AppState {
         this.resetMeasurement = this.resetMeasurement.bind(this);
         this.resetRepositioning = this.resetRepositioning.bind(this);
         this.setLocationTracking = this.setLocationTracking.bind(this);
+        this.setUserName = this.setUserName.bind(this);
+        
+        this.loadSettings();
+    }
+    
+    /**
+     * Load saved settings over the defaults
+     */
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+            if (!saved) return;
+            
+            this.clearanceRules = normalizeClearanceRules(saved.clearanceRules, createClearanceRules(this.distanceThresholds));
+            this.digDepth = typeof saved.digDepth === 'number' && saved.digDepth > 0 ? saved.digDepth : null;
+            if (saved.trenchWidth > 0) this.trenchWidth = saved.trenchWidth;
+            if (saved.excavationTolerance >= 0) this.excavationTolerance = saved.excavationTolerance;
+            if (LOCATION_FILTERS[saved.locationFilter]) this.locationFilter = saved.locationFilter;
+            if (typeof saved.traceTolerance === 'number' && saved.traceTolerance >= 0) this.traceTolerance = saved.traceTolerance;
+            this.snapSettings = normalizeSnapSettings(saved.snapSettings);
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+    }
+    
+    /**
+     * Remember the current settings
+     */
+    saveSettings() {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({
+            clearanceRules: this.clearanceRules,
+            digDepth: this.digDepth,
+            trenchWidth: this.trenchWidth,
+            excavationTolerance: this.excavationTolerance,
+            locationFilter: this.locationFilter,
+            traceTolerance: this.traceTolerance,
+            snapSettings: this.snapSettings
+        }));
+    }
+    
+    /**
+     * Set and remember the clearance rules
+     * @param {Object} rules utilityType -> lineType -> level -> feet
+     */
+    setClearanceRules(rules) {
+        this.clearanceRules = normalizeClearanceRules(rules, createClearanceRules(this.distanceThresholds));
+        this.saveSettings();
+    }
+    
+    /**
+     * Go back to the default clearance rules
+     */
+    resetClearanceRules() {
+        this.clearanceRules = createClearanceRules(this.distanceThresholds);
+        this.saveSettings();
+    }
+    
+    /**
+     * Set and remember the planned dig depth
+     * @param {number|null} depth Feet, or null when unknown
+     */
+    setDigDepth(depth) {
+        const value = Number(depth);
+        this.digDepth = depth !== null && depth !== '' && isFinite(value) && value > 0 ? value : null;
+        this.saveSettings();
+    }
+    
+    /**
+     * Set and remember the location engine
+     * @param {string} filter Key of LOCATION_FILTERS
+     */
+    setLocationFilter(filter) {
+        if (!LOCATION_FILTERS[filter]) return;
+        this.locationFilter = filter;
+        this.saveSettings();
+    }
+    
+    /**
+     * Remember the trench width and tolerance zone used for the last site
+     * @param {number} trenchWidth Feet
+     * @param {number} tolerance Inches
+     */
+    setExcavationDefaults(trenchWidth, tolerance) {
+        this.trenchWidth = trenchWidth;
+        this.excavationTolerance = tolerance;
+        this.saveSettings();
+    }
+    
+    /**
+     * Remember the line simplification tolerance used for the last GPS trace
+     * @param {number} tolerance Meters
+     */
+    setTraceTolerance(tolerance) {
+        this.traceTolerance = tolerance;
+        this.saveSettings();
+    }
+    
+    /**
+     * Set and remember how drawn points snap
+     * @param {Object} settings See Snapping.js DEFAULT_SNAP_SETTINGS
+     */
+    setSnapSettings(settings) {
+        this.snapSettings = normalizeSnapSettings(settings);
+        this.saveSettings();
+    }
+    
+    /**
+     * Set and remember the user's name
+     * @param {string} name
+     */
+    setUserName(name) {
+        this.userName = (name || '').trim();
+        localStorage.setItem(USER_NAME_STORAGE_KEY, this.userName);
     }
     
     /**
@@ -191,6 +350,9 @@ export class AppState {
     resetDrawing() {
         this.isDrawing = false;
         this.drawingPoints = [];
+        this.drawingCaptures = [];
+        this.drawingSnaps = [];
+        this.activeSnap = null;
         this.potentialConnection = null;
         this.tempLine = null;
         
@@ -216,6 +378,8 @@ export class AppState {
     resetRepositioning() {
         this.repositioningUtility = null;
         this.controlPoints = [];
+        this.selectedControlPoint = null;
+        this.isPickingSplit = false;
     }
     
     /**
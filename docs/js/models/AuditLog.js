@@ -0,0 +1,153 @@
+/**
+ * AuditLog Module
+ * Append-only history of every change to a record, kept for locate
+ * disputes: who made the change, when, the GPS accuracy at the time and a
+ * before/after diff of attributes and geometry. Entries are frozen once
+ * written and are never edited or removed.
+ */
+
+// Bookkeeping fields left out of diffs
+const IGNORED_FIELDS = ['dateModified'];
+
+// Fields summarized rather than copied into every entry
+const SUMMARIZED_FIELDS = {
+    imageData: value => (value ? 'photo' : null)
+};
+
+/**
+ * Deep-freeze an object so an entry can't be changed after it is written
+ */
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+function fieldValue(record, field) {
+    const value = record ? record[field] : undefined;
+    const summarize = SUMMARIZED_FIELDS[field];
+
+    if (summarize) return summarize(value);
+    return value === undefined ? null : value;
+}
+
+/**
+ * Field-by-field differences between two versions of a record
+ * @param {Object|null} before Record before the change (null when added)
+ * @param {Object|null} after Record after the change (null when deleted)
+ * @returns {Object} field -> { before, after }
+ */
+export function diffRecords(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) return;
+
+        const oldValue = fieldValue(before, field);
+        const newValue = fieldValue(after, field);
+
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes[field] = { before: oldValue, after: newValue };
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Name the kind of change from what was changed
+ * @returns {string} 'add', 'delete', 'reposition', 'connect' or 'edit'
+ */
+export function classifyChange(before, after, changes) {
+    if (!before) return 'add';
+    if (!after) return 'delete';
+
+    const fields = Object.keys(changes);
+    if (fields.length === 1 && fields[0] === 'coordinates') return 'reposition';
+    if (fields.includes('connections') && fields.every(field => field === 'connections' || field === 'coordinates')) {
+        return 'connect';
+    }
+
+    return 'edit';
+}
+
+export class AuditLog {
+    /**
+     * @param {Array<Object>} [entries] Previously saved entries
+     */
+    constructor(entries = []) {
+        this.entries = [];
+        this.sequence = 0; // Keeps ids apart within one millisecond (bulk imports)
+        this.merge(entries);
+    }
+
+    /**
+     * Append an entry for a change to one record
+     * @param {Object} change
+     * @param {string} change.collection 'utilities', 'structures', ...
+     * @param {Object|null} change.before Record before the change
+     * @param {Object|null} change.after Record after the change
+     * @param {string} [change.action] Overrides the action worked out from the diff
+     * @param {string} [change.label] What the user did (e.g. 'Undo Delete utility')
+     * @param {string} [change.user] Who made the change
+     * @param {number|null} [change.gpsAccuracy] GPS accuracy in meters at the time
+     * @returns {Object|null} The new entry, or null when nothing changed
+     */
+    append({ collection, before, after, action, label, user, gpsAccuracy }) {
+        const record = after || before;
+        if (!record) return null;
+
+        const changes = diffRecords(before, after);
+        if (!Object.keys(changes).length) return null;
+
+        const entry = deepFreeze({
+            id: `audit-${Date.now()}-${this.sequence++}-${Math.random().toString(36).slice(2, 10)}`,
+            timestamp: new Date().toISOString(),
+            recordId: record.id,
+            collection,
+            action: action || classifyChange(before, after, changes),
+            label: label || null,
+            user: user || null,
+            gpsAccuracy: typeof gpsAccuracy === 'number' && isFinite(gpsAccuracy) ? gpsAccuracy : null,
+            changes
+        });
+
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Entries for one record, oldest first
+     * @param {string} recordId
+     * @returns {Array<Object>}
+     */
+    forRecord(recordId) {
+        return this.entries
+            .filter(entry => entry.recordId === recordId)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * Add entries from another log (saved data or an import), skipping ids
+     * already present
+     * @param {Array<Object>} entries
+     */
+    merge(entries) {
+        if (!Array.isArray(entries)) return;
+
+        const known = new Set(this.entries.map(entry => entry.id));
+        entries.forEach(entry => {
+            if (entry && entry.id && entry.recordId && !known.has(entry.id)) {
+                known.add(entry.id);
+                this.entries.push(deepFreeze(JSON.parse(JSON.stringify(entry))));
+            }
+        });
+    }
+
+    toJSON() {
+        return this.entries;
+    }
+}
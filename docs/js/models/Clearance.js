@@ -0,0 +1,138 @@
+/**
+ * Clearance Module
+ * Grades how close a dig is to a utility. Each utility type and line type
+ * has its own thresholds (feet) for the critical, danger, caution and
+ * warning levels. Clearance is measured from the bottom of the dig to the
+ * utility: the horizontal distance to the line combined with the vertical
+ * gap between the dig depth and the recorded depth of the utility.
+ */
+
+export const FEET_PER_METER = 1 / 0.3048;
+
+// Most severe first
+export const CLEARANCE_LEVELS = ['critical', 'danger', 'caution', 'warning'];
+
+export const CLEARANCE_UTILITY_TYPES = ['water', 'gas', 'electric', 'sewer', 'telecom'];
+
+export const CLEARANCE_LINE_TYPES = ['main', 'service'];
+
+/**
+ * Rule table with the same thresholds for every utility and line type
+ * @param {Object} thresholds level -> feet (AppState.distanceThresholds)
+ * @returns {Object} utilityType -> lineType -> level -> feet
+ */
+export function createClearanceRules(thresholds) {
+    const rules = {};
+
+    CLEARANCE_UTILITY_TYPES.forEach(utilityType => {
+        rules[utilityType] = {};
+        CLEARANCE_LINE_TYPES.forEach(lineType => {
+            rules[utilityType][lineType] = { ...thresholds };
+        });
+    });
+
+    return rules;
+}
+
+/**
+ * Fill a saved rule table in over the defaults, dropping anything that
+ * isn't a positive number and keeping each rule's levels in order
+ * @param {Object} saved Possibly partial or stale rule table
+ * @param {Object} defaults Complete rule table
+ * @returns {Object} Complete rule table
+ */
+export function normalizeClearanceRules(saved, defaults) {
+    const rules = JSON.parse(JSON.stringify(defaults));
+
+    CLEARANCE_UTILITY_TYPES.forEach(utilityType => {
+        CLEARANCE_LINE_TYPES.forEach(lineType => {
+            const rule = saved?.[utilityType]?.[lineType];
+            if (!rule) return;
+
+            const merged = { ...rules[utilityType][lineType] };
+            CLEARANCE_LEVELS.forEach(level => {
+                const value = Number(rule[level]);
+                if (isFinite(value) && value > 0) {
+                    merged[level] = value;
+                }
+            });
+
+            if (!validateClearanceRule(merged)) {
+                rules[utilityType][lineType] = merged;
+            }
+        });
+    });
+
+    return rules;
+}
+
+/**
+ * Check that each level is a positive distance no larger than the next,
+ * less severe one
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateClearanceRule(rule) {
+    for (let i = 0; i < CLEARANCE_LEVELS.length; i++) {
+        const value = rule[CLEARANCE_LEVELS[i]];
+        if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+            return `${CLEARANCE_LEVELS[i]} must be a positive distance`;
+        }
+        if (i > 0 && value < rule[CLEARANCE_LEVELS[i - 1]]) {
+            return `${CLEARANCE_LEVELS[i]} must not be less than ${CLEARANCE_LEVELS[i - 1]}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Thresholds for a utility. Custom utility types use the water rules.
+ */
+export function getClearanceRule(rules, utilityType, lineType) {
+    const byType = rules[utilityType] || rules.water;
+    return byType[lineType] || byType.service;
+}
+
+/**
+ * Horizontal search radius that can contain any alert under these rules
+ * @returns {number} Meters
+ */
+export function getMaxClearanceDistance(rules) {
+    let max = 0;
+
+    Object.values(rules).forEach(byType => {
+        Object.values(byType).forEach(rule => {
+            max = Math.max(max, rule.warning || 0);
+        });
+    });
+
+    return max / FEET_PER_METER;
+}
+
+/**
+ * Grade the clearance between a dig and a utility
+ *
+ * With no dig depth, or no recorded utility depth, the dig is assumed to
+ * reach the utility and only the horizontal distance counts.
+ *
+ * @param {Object} options
+ * @param {number} options.distance Horizontal distance to the line (meters)
+ * @param {number|null} options.utilityDepth Recorded depth of the utility (feet)
+ * @param {number|null} options.digDepth Depth of the dig (feet)
+ * @param {Object} options.rule Thresholds from getClearanceRule
+ * @returns {{level: string|null, horizontal: number, vertical: number, clearance: number}}
+ *   Level (null when outside every threshold) and distances in feet
+ */
+export function gradeClearance({ distance, utilityDepth, digDepth, rule }) {
+    const horizontal = distance * FEET_PER_METER;
+
+    const depth = Number(utilityDepth);
+    const dig = Number(digDepth);
+    const vertical = digDepth !== null && digDepth !== undefined && isFinite(dig) && dig > 0 && isFinite(depth) && depth > 0
+        ? Math.max(0, depth - dig)
+        : 0;
+
+    const clearance = Math.hypot(horizontal, vertical);
+    const level = CLEARANCE_LEVELS.find(candidate => clearance <= rule[candidate]) || null;
+
+    return { level, horizontal, vertical, clearance };
+}
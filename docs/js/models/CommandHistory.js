@@ -0,0 +1,200 @@
+/**
+ * CommandHistory Module
+ * Undo/redo for map edits. A command stores before/after snapshots of every
+ * record it touched: undo puts the "before" snapshots back, redo the
+ * "after" ones. Adding a record is a snapshot of nothing -> record, deleting
+ * one is record -> nothing.
+ */
+
+import { cleanForStorage } from '../storage/StorageAdapter.js';
+
+// The stacks live in sessionStorage so they survive a reload
+const HISTORY_STORAGE_KEY = 'cac_utilitrack_history';
+
+// Oldest commands are dropped past this many
+const MAX_HISTORY = 50;
+
+export class CommandHistory {
+    /**
+     * @param {DataStore} dataStore Store whose records are snapshotted
+     */
+    constructor(dataStore) {
+        this.dataStore = dataStore;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange = null; // Called with (history) after any change
+
+        this.restore();
+    }
+
+    /**
+     * Start a command. Track each record it will touch BEFORE changing it,
+     * including records that don't exist yet (adds).
+     * @param {string} label Shown in undo/redo toasts (e.g. 'Delete utility')
+     * @returns {Object} Pending command, passed to commit()
+     */
+    begin(label) {
+        const command = { label, changes: [], date: new Date().toISOString() };
+
+        command.track = (collection, id) => {
+            if (!command.changes.some(change => change.collection === collection && change.id === id)) {
+                command.changes.push({ collection, id, before: this.snapshot(collection, id) });
+            }
+            return command;
+        };
+
+        return command;
+    }
+
+    /**
+     * Finish a command by snapshotting the tracked records as they are now,
+     * then save the data with its new audit entries and tombstones
+     * @param {Object} command Command returned by begin()
+     */
+    commit(command) {
+        command.changes.forEach(change => {
+            change.after = this.snapshot(change.collection, change.id);
+        });
+
+        const { label, changes, date } = command;
+        const changed = changes.filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+        if (!changed.length) return;
+
+        changed.forEach(change => {
+            this.dataStore.recordChange(change.collection, change.before, change.after, { label });
+        });
+
+        this.undoStack.push({ label, date, changes: changed });
+        if (this.undoStack.length > MAX_HISTORY) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        this.dataStore.saveData();
+        this.persist();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Reverse the last command
+     * @returns {Object|null} The command undone
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        [...command.changes].reverse().forEach(change => {
+            this.restoreSnapshot(change, change.before);
+            this.dataStore.recordChange(change.collection, change.after, change.before, { label: `Undo ${command.label}` });
+        });
+        this.redoStack.push(command);
+
+        this.dataStore.saveData();
+        this.persist();
+
+        return command;
+    }
+
+    /**
+     * Re-apply the last undone command
+     * @returns {Object|null} The command redone
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.changes.forEach(change => {
+            this.restoreSnapshot(change, change.after);
+            this.dataStore.recordChange(change.collection, change.before, change.after, { label: `Redo ${command.label}` });
+        });
+        this.undoStack.push(command);
+
+        this.dataStore.saveData();
+        this.persist();
+
+        return command;
+    }
+
+    /**
+     * Forget all history (e.g. after an import replaced the data)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.persist();
+    }
+
+    /**
+     * Serializable copy of a record, or null if it doesn't exist
+     */
+    snapshot(collection, id) {
+        const record = this.dataStore.getRecord(collection, id);
+        return record ? cleanForStorage(record) : null;
+    }
+
+    /**
+     * Make a record match a snapshot (null removes it)
+     */
+    restoreSnapshot(change, snapshot) {
+        const current = this.dataStore.getRecord(change.collection, change.id);
+
+        if (current) {
+            this.dataStore.removeRecord(change.collection, current);
+        }
+        if (snapshot) {
+            this.dataStore.insertRecord(change.collection, cleanForStorage(snapshot));
+        }
+    }
+
+    /**
+     * Save the stacks to sessionStorage, dropping the oldest commands if
+     * they don't fit (photos can make snapshots large)
+     */
+    persist() {
+        while (true) {
+            try {
+                sessionStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({
+                    undo: this.undoStack,
+                    redo: this.redoStack
+                }));
+                break;
+            } catch (error) {
+                if (!this.undoStack.length && !this.redoStack.length) {
+                    console.error('Error saving edit history:', error);
+                    break;
+                }
+                if (this.undoStack.length) {
+                    this.undoStack.shift();
+                } else {
+                    this.redoStack.shift();
+                }
+            }
+        }
+
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+
+    /**
+     * Load the stacks saved earlier in this session
+     */
+    restore() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(HISTORY_STORAGE_KEY) || 'null');
+            if (saved) {
+                this.undoStack = Array.isArray(saved.undo) ? saved.undo : [];
+                this.redoStack = Array.isArray(saved.redo) ? saved.redo : [];
+            }
+        } catch (error) {
+            console.error('Error loading edit history:', error);
+        }
+    }
+}
@@ -3,8 +3,28 @@
  * Handles data storage and persistence for the application
  */
 
-// Import Leaflet as a global (already loaded via CDN)
-const L = window.L;
+import { LocalStorageAdapter, cleanForStorage } from '../storage/StorageAdapter.js';
+import { IndexedDBAdapter } from '../storage/IndexedDBAdapter.js';
+import { SCHEMA_VERSION, migrateData, normalizeUtility, normalizeStructure } from './Schema.js';
+import { MERGE_COLLECTIONS, createMergePlan, listRecords } from './Merge.js';
+import { CommandHistory } from './CommandHistory.js';
+import { AuditLog } from './AuditLog.js';
+import { SpatialIndex } from './SpatialIndex.js';
+import { downloadBlob, exportFileName } from '../utils/FileUtils.js';
+
+// Warn the user once storage usage passes this fraction of the quota
+const STORAGE_WARNING_RATIO = 0.8;
+
+/**
+ * Pick the best storage backend available in this browser
+ * @returns {StorageAdapter}
+ */
+function createStorageAdapter() {
+    if (IndexedDBAdapter.isSupported()) {
+        return new IndexedDBAdapter();
+    }
+    return new LocalStorageAdapter();
+}
 
 // Data Collections
 export class DataStore {
@@ -29,8 +49,33 @@ export class DataStore {
         this.annotations = [];
         this.measurements = [];
         
-        // Load any existing data from localStorage
-        this.loadInitialData();
+        // Append-only change history, and deleted records kept for it
+        this.audit = new AuditLog();
+        this.tombstones = [];
+        
+        // Excavation session logs (see ExcavationLog.js). Kept on this device
+        // only: they are exported on their own, signed, not with the data.
+        this.excavationSessions = [];
+        
+        // When data was last merged or imported (ISO). Both sides agreed on
+        // every record then, so only later edits make a merge conflict.
+        this.lastMerge = null;
+        
+        // Bounds of utility lines and structures, for nearby-record queries
+        this.spatialIndex = new SpatialIndex();
+        
+        // Storage backend (IndexedDB when available, localStorage otherwise)
+        this.storage = createStorageAdapter();
+        this.pendingSave = Promise.resolve();
+        this.storageUsage = null;
+        this.uiController = null; // Will be set by main.js
+        this.appState = null; // Will be set by main.js (user and GPS accuracy for the audit log)
+        
+        // Load any existing data - resolves once the saved data is in memory
+        this.ready = this.loadInitialData();
+        
+        // Undo/redo stacks for edits made this session
+        this.history = new CommandHistory(this);
         
         // Bind methods
         this.getUtilityById = this.getUtilityById.bind(this);
@@ -38,22 +83,28 @@ export class DataStore {
         this.generateId = this.generateId.bind(this);
         this.saveData = this.saveData.bind(this);
         this.loadData = this.loadData.bind(this);
+        this.getExportData = this.getExportData.bind(this);
         this.exportData = this.exportData.bind(this);
         this.importData = this.importData.bind(this);
         this.loadInitialData = this.loadInitialData.bind(this);
+        this.reportStorageUsage = this.reportStorageUsage.bind(this);
         this.getUtilities = this.getUtilities.bind(this);
         this.getStructures = this.getStructures.bind(this);
         this.addUtility = this.addUtility.bind(this);
         this.addStructure = this.addStructure.bind(this);
+        this.addStructures = this.addStructures.bind(this);
+        this.touchRecord = this.touchRecord.bind(this);
+        this.getRecord = this.getRecord.bind(this);
+        this.findNearby = this.findNearby.bind(this);
+        this.recordChange = this.recordChange.bind(this);
+        this.planMerge = this.planMerge.bind(this);
+        this.applyMerge = this.applyMerge.bind(this);
     }
     
     // Load initial data - returns a promise for async operation
     loadInitialData() {
-        return new Promise((resolve, reject) => {
-            const success = this.loadData();
-            if (success) {
-                resolve();
-            } else {
+        return this.loadData().then(success => {
+            if (!success) {
                 // If no data exists, create empty data structures
                 this.utilities = {
                     water: [],
@@ -73,9 +124,10 @@ export class DataStore {
                 
                 this.annotations = [];
                 this.measurements = [];
-                
-                resolve();
             }
+            
+            this.spatialIndex.rebuild(this);
+            this.reportStorageUsage();
         });
     }
     
@@ -101,7 +153,8 @@ export class DataStore {
         return allStructures;
     }
     
-    // Add a utility to the data store
+    // Add a utility to the data store. Call inside a history command: its
+    // commit writes the audit entry and saves.
     addUtility(utility) {
         if (!utility || !utility.type) {
             console.error('Cannot add utility: missing required data');
@@ -113,10 +166,13 @@ export class DataStore {
             utility.id = this.generateId('utility');
         }
         
+        // Bring the record into canonical form (coordinates, dateAdded, ...)
+        normalizeUtility(utility);
+        
         // Add to the appropriate type collection
         if (this.utilities[utility.type]) {
             this.utilities[utility.type].push(utility);
-            this.saveData(); // Save after adding
+            this.spatialIndex.update('utilities', utility);
             return true;
         } else {
             console.error('Cannot add utility: invalid type', utility.type);
@@ -124,7 +180,8 @@ export class DataStore {
         }
     }
     
-    // Add a structure to the data store
+    // Add a structure to the data store. Call inside a history command: its
+    // commit writes the audit entry and saves.
     addStructure(structure) {
         if (!structure || !structure.utilityType) {
             console.error('Cannot add structure: missing required data');
@@ -136,10 +193,13 @@ export class DataStore {
             structure.id = this.generateId('structure');
         }
         
+        // Bring the record into canonical form (coordinates, dateAdded, ...)
+        normalizeStructure(structure);
+        
         // Add to the appropriate type collection
         if (this.structures[structure.utilityType]) {
             this.structures[structure.utilityType].push(structure);
-            this.saveData(); // Save after adding
+            this.spatialIndex.update('structures', structure);
             return true;
         } else {
             console.error('Cannot add structure: invalid utility type', structure.utilityType);
@@ -147,6 +207,33 @@ export class DataStore {
         }
     }
     
+    // Add many structures at once (bulk import) with a single save
+    addStructures(structures) {
+        let added = 0;
+        
+        structures.forEach(structure => {
+            if (!structure.id) {
+                structure.id = this.generateId('structure');
+            }
+            
+            normalizeStructure(structure);
+            
+            if (this.structures[structure.utilityType]) {
+                this.structures[structure.utilityType].push(structure);
+                this.recordChange('structures', null, structure, { action: 'import', label: 'CSV import' });
+                added++;
+            } else {
+                console.error('Cannot add structure: invalid utility type', structure.utilityType);
+            }
+        });
+        
+        if (added) {
+            this.saveData();
+        }
+        
+        return added;
+    }
+    
     // Get a utility by ID
     getUtilityById(id) {
         let found = null;
@@ -177,141 +264,279 @@ export class DataStore {
         return found;
     }
     
+    // Ids of utilities or structures within `radius` meters of a point, by
+    // their bounds (callers measure the exact distance)
+    findNearby(collection, latlng, radius) {
+        return this.spatialIndex.search(collection, latlng, radius);
+    }
+    
+    // Find a record by id in any collection ('utilities', 'annotations', ...)
+    getRecord(collection, id) {
+        return listRecords(this, collection).find(record => record.id === id) || null;
+    }
+    
+    // Utility or structure at the other end of a connection, tracked in a
+    // history command so an edit to its copy of the connection can be undone.
+    // Returns { collection, record }, or null if it no longer exists.
+    findConnected(id, command) {
+        const utility = this.getUtilityById(id);
+        const collection = utility ? 'utilities' : 'structures';
+        const record = utility || this.getStructureById(id);
+        if (!record) return null;
+        
+        command.track(collection, record.id);
+        return { collection, record };
+    }
+    
+    // Append an audit entry for a change to one record. Deleted records are
+    // tombstoned so their history survives; re-adding one lifts the tombstone.
+    // Every edit, undo, import and merge passes through here, so it also
+    // keeps the spatial index in step.
+    recordChange(collection, before, after, options = {}) {
+        if (after) {
+            this.spatialIndex.update(collection, after);
+        } else if (before) {
+            this.spatialIndex.remove(collection, before.id);
+        }
+        
+        const beforeCopy = before ? cleanForStorage(before) : null;
+        const afterCopy = after ? cleanForStorage(after) : null;
+        const user = this.getCurrentUser();
+        let action = options.action;
+        
+        if (beforeCopy && !afterCopy) {
+            this.tombstones.push({
+                collection: collection,
+                record: beforeCopy,
+                dateDeleted: new Date().toISOString(),
+                deletedBy: user
+            });
+        } else if (afterCopy && !beforeCopy) {
+            const index = this.tombstones.findIndex(tombstone => tombstone.record.id === afterCopy.id);
+            if (index !== -1) {
+                this.tombstones.splice(index, 1);
+                action = action || 'restore';
+            }
+        }
+        
+        return this.audit.append({
+            collection: collection,
+            before: beforeCopy,
+            after: afterCopy,
+            action: action,
+            label: options.label,
+            user: user,
+            gpsAccuracy: this.appState ? this.appState.locationAccuracy : null
+        });
+    }
+    
+    // Name recorded in audit entries
+    getCurrentUser() {
+        return (this.appState && this.appState.userName) || 'Unknown user';
+    }
+    
+    // Stamp a record as edited now (used to detect merge conflicts)
+    touchRecord(record) {
+        if (record) {
+            record.dateModified = new Date().toISOString();
+        }
+        return record;
+    }
+    
     // Generate a unique ID for a new element
     generateId(prefix) {
         return prefix + '-' + Date.now() + '-' + Math.floor(Math.random() * 1000);
     }
     
-    // Save data to localStorage
+    // Store the current state of an excavation session log. Only the
+    // session is written where the backend can (alerts arrive often).
+    saveExcavationSession(log) {
+        const session = JSON.parse(JSON.stringify(log));
+        const index = this.excavationSessions.findIndex(existing => existing.id === session.id);
+        
+        if (index >= 0) {
+            this.excavationSessions[index] = session;
+        } else {
+            this.excavationSessions.push(session);
+        }
+        
+        return this.queueSave(() => this.storage.saveExcavationSession(session, () => this.getSerializableData()));
+    }
+    
+    // Get the collections stripped of Leaflet objects, ready to persist
+    getSerializableData() {
+        return cleanForStorage({
+            version: SCHEMA_VERSION,
+            utilities: this.utilities,
+            structures: this.structures,
+            annotations: this.annotations,
+            measurements: this.measurements,
+            audit: this.audit.entries,
+            tombstones: this.tombstones,
+            excavationSessions: this.excavationSessions,
+            lastMerge: this.lastMerge
+        });
+    }
+    
+    // Save data through the storage adapter
     saveData() {
-        try {
-            const data = {
-                utilities: this.utilities,
-                structures: this.structures,
-                annotations: this.annotations,
-                measurements: this.measurements
-            };
-            
-            // Remove circular references before saving
-            const cleanData = JSON.stringify(data, (key, value) => {
-                // Skip Leaflet objects
-                if (
-                    key === 'marker' || 
-                    key === 'line' ||
-                    key === 'editHandles' ||
-                    key === 'layer' ||
-                    value instanceof L.Layer ||
-                    value instanceof L.Map
-                ) {
-                    return undefined;
-                }
+        return this.queueSave(() => this.storage.save(this.getSerializableData()));
+    }
+    
+    // Run a storage write after the initial load and any save still in
+    // flight, so writes never interleave or overwrite data that hasn't
+    // loaded yet
+    queueSave(write) {
+        this.pendingSave = this.pendingSave
+            .then(() => this.ready)
+            .then(write)
+            .then(() => this.reportStorageUsage())
+            .catch(error => {
+                console.error('Error saving data:', error);
                 
-                // Keep the rest
-                return value;
+                if (this.uiController) {
+                    const quotaExceeded = error && (error.name === 'QuotaExceededError' || error.code === 22);
+                    this.uiController.showToast(
+                        quotaExceeded ? 'Storage is full - export your data and remove old photos' : 'Error saving data',
+                        'error'
+                    );
+                }
             });
-            
-            localStorage.setItem('cac_utilitrack_data', cleanData);
-            return true;
-        } catch (error) {
-            console.error('Error saving data:', error);
-            return false;
-        }
+        
+        return true;
     }
     
-    // Load data from localStorage
-    loadData() {
+    // Load data through the storage adapter
+    async loadData() {
         try {
-            const savedData = localStorage.getItem('cac_utilitrack_data');
+            const savedData = await this.storage.load();
             
             if (!savedData) {
                 return false;
             }
             
-            const data = JSON.parse(savedData);
+            // Upgrade older saves to the current schema
+            const data = migrateData(savedData);
             
             // Restore data
             this.utilities = data.utilities || this.utilities;
             this.structures = data.structures || this.structures;
             this.annotations = data.annotations || this.annotations;
             this.measurements = data.measurements || this.measurements;
+            this.audit = new AuditLog(data.audit);
+            this.tombstones = data.tombstones || [];
+            this.excavationSessions = data.excavationSessions || [];
+            this.lastMerge = data.lastMerge || null;
             
             return true;
         } catch (error) {
             console.error('Error loading data:', error);
+            
+            // Fall back to localStorage so a broken IndexedDB doesn't lose the session
+            if (!(this.storage instanceof LocalStorageAdapter)) {
+                console.warn('Falling back to localStorage storage');
+                this.storage = new LocalStorageAdapter();
+                return this.loadData();
+            }
+            
             return false;
         }
     }
     
-    // Export data as JSON file
-    exportData() {
+    // Query the storage backend for usage and pass it on to the UI
+    async reportStorageUsage() {
         try {
-            // Clean the data for export 
-            const exportData = {
-                utilities: {},
-                structures: {},
-                annotations: this.annotations,
-                measurements: this.measurements,
-                timestamp: new Date().toISOString(),
-                version: '1.0'
-            };
+            const usage = await this.storage.getUsage();
+            if (!usage) return null;
             
-            // Convert utilities for export (removing circular references)
-            for (const type in this.utilities) {
-                exportData.utilities[type] = this.utilities[type].map(utility => {
-                    return {
-                        id: utility.id,
-                        type: utility.type,
-                        lineType: utility.lineType,
-                        points: utility.points,
-                        size: utility.size,
-                        depth: utility.depth,
-                        material: utility.material,
-                        condition: utility.condition,
-                        notes: utility.notes,
-                        date: utility.date,
-                        connections: utility.connections,
-                        imageData: utility.imageData
-                    };
-                });
-            }
+            const wasNearQuota = this.storageUsage && this.storageUsage.quota &&
+                this.storageUsage.usage / this.storageUsage.quota >= STORAGE_WARNING_RATIO;
+            const nearQuota = usage.quota && usage.usage / usage.quota >= STORAGE_WARNING_RATIO;
             
-            // Convert structures for export
-            for (const type in this.structures) {
-                exportData.structures[type] = this.structures[type].map(structure => {
-                    return {
-                        id: structure.id,
-                        type: structure.type,
-                        structureType: structure.structureType,
-                        latlng: structure.latlng,
-                        size: structure.size,
-                        depth: structure.depth,
-                        material: structure.material,
-                        condition: structure.condition,
-                        notes: structure.notes,
-                        date: structure.date,
-                        connections: structure.connections,
-                        imageData: structure.imageData
-                    };
-                });
-            }
+            this.storageUsage = usage;
             
-            // Convert to JSON string
-            const jsonString = JSON.stringify(exportData, null, 2);
+            if (this.uiController && this.uiController.updateStorageUsage) {
+                this.uiController.updateStorageUsage(usage);
+                
+                if (nearQuota && !wasNearQuota) {
+                    this.uiController.showToast('Device storage is almost full', 'warning');
+                }
+            }
             
-            // Create a download link
+            return usage;
+        } catch (error) {
+            console.error('Error reading storage usage:', error);
+            return null;
+        }
+    }
+    
+    // Build a clean, versioned copy of all data for export
+    getExportData() {
+        // Clean the data for export 
+        const cleanData = this.getSerializableData();
+        const exportData = {
+            utilities: {},
+            structures: {},
+            annotations: cleanData.annotations,
+            measurements: cleanData.measurements,
+            audit: cleanData.audit,
+            tombstones: cleanData.tombstones,
+            timestamp: new Date().toISOString(),
+            version: SCHEMA_VERSION
+        };
+        
+        // Convert utilities for export (removing circular references)
+        for (const type in this.utilities) {
+            exportData.utilities[type] = this.utilities[type].map(utility => {
+                return {
+                    id: utility.id,
+                    type: utility.type,
+                    lineType: utility.lineType,
+                    coordinates: utility.coordinates,
+                    size: utility.size,
+                    depth: utility.depth,
+                    material: utility.material,
+                    condition: utility.condition,
+                    notes: utility.notes,
+                    dateAdded: utility.dateAdded,
+                    dateModified: utility.dateModified,
+                    connections: utility.connections,
+                    imageData: utility.imageData
+                };
+            });
+        }
+        
+        // Convert structures for export
+        for (const type in this.structures) {
+            exportData.structures[type] = this.structures[type].map(structure => {
+                return {
+                    id: structure.id,
+                    structureType: structure.structureType,
+                    utilityType: structure.utilityType,
+                    coordinates: structure.coordinates,
+                    size: structure.size,
+                    depth: structure.depth,
+                    material: structure.material,
+                    condition: structure.condition,
+                    notes: structure.notes,
+                    dateAdded: structure.dateAdded,
+                    dateModified: structure.dateModified,
+                    connections: structure.connections,
+                    imageData: structure.imageData
+                };
+            });
+        }
+        
+        return exportData;
+    }
+    
+    // Export data as JSON file
+    exportData() {
+        try {
+            const jsonString = JSON.stringify(this.getExportData(), null, 2);
             const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `cac-utilitrack-export-${new Date().toISOString().split('T')[0]}.json`;
             
-            // Trigger download
-            document.body.appendChild(a);
-            a.click();
-            
-            // Cleanup
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            downloadBlob(blob, exportFileName('json', 'cac-utilitrack-export'));
             
             return true;
         } catch (error) {
@@ -320,22 +545,51 @@ export class DataStore {
         }
     }
     
-    // Import data from JSON file
+    // Import data from a JSON string or an already parsed object
     importData(jsonString) {
         try {
-            const data = JSON.parse(jsonString);
+            const parsed = typeof jsonString === 'string' ? JSON.parse(jsonString) : jsonString;
             
             // Validate data format
-            if (!data.utilities || !data.structures) {
+            if (!parsed || !parsed.utilities || !parsed.structures) {
                 throw new Error('Invalid data format');
             }
             
+            // Upgrade older exports to the current schema
+            const data = migrateData(parsed);
+            
+            // Remember what is being replaced, for the audit log
+            const previous = {};
+            Object.keys(MERGE_COLLECTIONS).forEach(collection => {
+                previous[collection] = new Map(listRecords(this, collection).map(record => [record.id, cleanForStorage(record)]));
+            });
+            
             // Store the data
             this.utilities = data.utilities;
             this.structures = data.structures;
             this.annotations = data.annotations || [];
             this.measurements = data.measurements || [];
             
+            // Keep the file's history, then log what the import changed
+            this.audit.merge(data.audit);
+            this.mergeTombstones(data.tombstones);
+            Object.keys(MERGE_COLLECTIONS).forEach(collection => {
+                const replaced = previous[collection];
+                
+                listRecords(this, collection).forEach(record => {
+                    this.recordChange(collection, replaced.get(record.id) || null, record, { action: 'import', label: 'Import (replace all)' });
+                    replaced.delete(record.id);
+                });
+                
+                replaced.forEach(record => {
+                    this.recordChange(collection, record, null, { label: 'Import (replace all)' });
+                });
+            });
+            
+            // Earlier edits no longer apply to the replaced data
+            this.history.clear();
+            this.lastMerge = new Date().toISOString();
+            
             // Save to local storage
             this.saveData();
             
@@ -345,4 +599,115 @@ export class DataStore {
             return false;
         }
     }
-} 
\ No newline at end of file
+    
+    // Compare import data with the local data without changing anything
+    planMerge(jsonString) {
+        const parsed = typeof jsonString === 'string' ? JSON.parse(jsonString) : jsonString;
+        
+        if (!parsed || !parsed.utilities || !parsed.structures) {
+            throw new Error('Invalid data format');
+        }
+        
+        const data = migrateData(parsed);
+        const plan = createMergePlan(this, data, this.lastMerge);
+        
+        // Carry the file's history along with its records
+        plan.audit = data.audit || [];
+        plan.tombstones = data.tombstones || [];
+        
+        return plan;
+    }
+    
+    // Apply a merge plan. `resolutions` maps entry keys to 'local',
+    // 'incoming' or 'both'. Without one, records changed on one side take
+    // that side and conflicts keep the local record.
+    applyMerge(plan, resolutions = {}) {
+        const options = { action: 'import', label: 'Merge import' };
+        
+        this.audit.merge(plan.audit);
+        this.mergeTombstones(plan.tombstones);
+        
+        plan.added.forEach(({ collection, incoming }) => {
+            this.insertRecord(collection, incoming);
+            this.recordChange(collection, null, incoming, options);
+        });
+        
+        const resolve = (entries, fallback) => entries.forEach(entry => {
+            this.resolveMergeEntry(entry, resolutions[entry.key] || fallback, options);
+        });
+        resolve(plan.updated, 'incoming');
+        resolve(plan.keptLocal, 'local');
+        resolve(plan.conflicts, 'local');
+        
+        // The merge isn't undoable, so earlier snapshots could clobber it
+        this.history.clear();
+        this.lastMerge = new Date().toISOString();
+        this.saveData();
+        
+        return true;
+    }
+    
+    // Settle one record that differs: keep the local version, take the
+    // incoming one or keep both
+    resolveMergeEntry(entry, choice, options) {
+        if (choice === 'incoming') {
+            this.replaceRecord(entry.collection, entry.local, entry.incoming);
+            this.recordChange(entry.collection, entry.local, entry.incoming, options);
+        } else if (choice === 'both') {
+            // Keep the incoming version as a separate record
+            const copy = JSON.parse(JSON.stringify(entry.incoming));
+            copy.id = this.generateId(MERGE_COLLECTIONS[entry.collection].kind);
+            this.insertRecord(entry.collection, copy);
+            this.recordChange(entry.collection, null, copy, options);
+        }
+    }
+    
+    // Add tombstones from imported data for records that aren't live here
+    mergeTombstones(tombstones) {
+        if (!Array.isArray(tombstones)) return;
+        
+        tombstones.forEach(tombstone => {
+            if (!tombstone || !tombstone.record || !MERGE_COLLECTIONS[tombstone.collection]) return;
+            
+            const id = tombstone.record.id;
+            const known = this.tombstones.some(existing => existing.record.id === id);
+            if (!known && !this.getRecord(tombstone.collection, id)) {
+                this.tombstones.push(tombstone);
+            }
+        });
+    }
+    
+    // Add a record to a collection, in its type bucket for grouped collections
+    insertRecord(collection, record) {
+        const groupKey = MERGE_COLLECTIONS[collection].groupKey;
+        
+        if (!groupKey) {
+            this[collection].push(record);
+            return;
+        }
+        
+        const group = record[groupKey];
+        if (!this[collection][group]) {
+            this[collection][group] = [];
+        }
+        this[collection][group].push(record);
+    }
+    
+    // Remove a record from a collection
+    removeRecord(collection, record) {
+        const groups = Array.isArray(this[collection]) ? [this[collection]] : Object.values(this[collection]);
+        
+        groups.forEach(group => {
+            const index = group.findIndex(item => item.id === record.id);
+            if (index !== -1) {
+                group.splice(index, 1);
+            }
+        });
+    }
+    
+    // Replace a local record with another version (its type may have changed)
+    replaceRecord(collection, local, incoming) {
+        this.removeRecord(collection, local);
+        this.insertRecord(collection, incoming);
+    }
+}
@@ -0,0 +1,302 @@
+/**
+ * Excavation Module
+ * Planned excavation footprints and pre-dig conflict analysis. A footprint
+ * is either a polygon or a trench: a centerline buffered by half the trench
+ * width. A utility or structure conflicts when it crosses the footprint or
+ * comes within its tolerance zone (the tolerance plus half its diameter).
+ * Geometry is done in a local plane around the site, which is exact to well
+ * under GPS error at work-site scale.
+ */
+
+import { createLocalProjection } from '../utils/Geodesy.js';
+import { listRecords } from './Merge.js';
+
+const METERS_PER_INCH = 0.0254;
+const METERS_PER_FOOT = 0.3048;
+
+// Tolerance zone either side of a facility (inches), before half its diameter
+export const DEFAULT_TOLERANCE_INCHES = 24;
+
+export const DEFAULT_TRENCH_WIDTH_FEET = 2;
+
+// Sharp trench bends are beveled instead of mitred past this many half-widths
+const MITER_LIMIT = 2;
+
+/**
+ * New, empty excavation site
+ * @param {string} type 'polygon' or 'trench'
+ * @param {Object} [options]
+ * @param {number} [options.width] Trench width (feet)
+ * @param {number} [options.tolerance] Tolerance zone (inches)
+ */
+export function createExcavationSite(type, { width = DEFAULT_TRENCH_WIDTH_FEET, tolerance = DEFAULT_TOLERANCE_INCHES } = {}) {
+    return { type, points: [], width, tolerance };
+}
+
+/**
+ * Whether enough points have been placed to make a footprint
+ */
+export function isExcavationSiteComplete(site) {
+    return Boolean(site) && site.points.length >= (site.type === 'trench' ? 2 : 3);
+}
+
+/**
+ * Tolerance zone around a facility
+ * @param {Object} site Excavation site
+ * @param {Object} record Utility or structure (size in inches)
+ * @returns {number} Meters
+ */
+export function getToleranceZone(site, record) {
+    const diameter = parseFloat(record.size) || 0;
+    return (site.tolerance + diameter / 2) * METERS_PER_INCH;
+}
+
+/* Planar helpers ([x, y] in meters) */
+
+function subtract(a, b) {
+    return [a[0] - b[0], a[1] - b[1]];
+}
+
+function cross(a, b) {
+    return a[0] * b[1] - a[1] * b[0];
+}
+
+function closestOnSegment(p, a, b) {
+    const ab = subtract(b, a);
+    const lengthSq = ab[0] * ab[0] + ab[1] * ab[1];
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * ab[0] + (p[1] - a[1]) * ab[1]) / lengthSq)) : 0;
+    const point = [a[0] + ab[0] * t, a[1] + ab[1] * t];
+
+    return { point, distance: Math.hypot(p[0] - point[0], p[1] - point[1]) };
+}
+
+function intersectSegments(a, b, c, d) {
+    const r = subtract(b, a);
+    const s = subtract(d, c);
+    const denominator = cross(r, s);
+    if (denominator === 0) return null;
+
+    const ac = subtract(c, a);
+    const t = cross(ac, s) / denominator;
+    const u = cross(ac, r) / denominator;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+    return [a[0] + r[0] * t, a[1] + r[1] * t];
+}
+
+/**
+ * Closest pair of points between two segments
+ * @returns {{distance: number, point: Array<number>}} point lies on the first segment
+ */
+function closestBetweenSegments(a, b, c, d) {
+    const crossing = intersectSegments(a, b, c, d);
+    if (crossing) return { distance: 0, point: crossing };
+
+    const candidates = [
+        closestOnSegment(a, c, d),
+        closestOnSegment(b, c, d)
+    ].map((result, i) => ({ distance: result.distance, point: i ? b : a }));
+
+    [c, d].forEach(q => {
+        const result = closestOnSegment(q, a, b);
+        candidates.push({ distance: result.distance, point: result.point });
+    });
+
+    return candidates.reduce((best, candidate) => (candidate.distance < best.distance ? candidate : best));
+}
+
+function pointInRing(p, ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > p[1]) !== (yj > p[1]) && p[0] < (xj - xi) * (p[1] - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+function segments(points, closed) {
+    const result = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        result.push([points[i], points[i + 1]]);
+    }
+    if (closed && points.length > 2) {
+        result.push([points[points.length - 1], points[0]]);
+    }
+    return result;
+}
+
+/**
+ * Outline of a trench: the centerline offset by half the width on both
+ * sides with mitred joins and square ends
+ */
+function trenchOutline(centerline, halfWidth) {
+    const normals = segments(centerline, false).map(([a, b]) => {
+        const direction = subtract(b, a);
+        const length = Math.hypot(direction[0], direction[1]) || 1;
+        return [-direction[1] / length, direction[0] / length];
+    });
+
+    const left = [];
+    const right = [];
+
+    centerline.forEach((point, i) => {
+        const before = normals[Math.max(0, i - 1)];
+        const after = normals[Math.min(normals.length - 1, i)];
+        let offset = [before[0] + after[0], before[1] + after[1]];
+        const length = Math.hypot(offset[0], offset[1]);
+
+        if (length < 1e-9) {
+            offset = after; // reversal: fall back to the next segment's normal
+        } else {
+            const scale = Math.min(MITER_LIMIT, 1 / ((offset[0] * after[0] + offset[1] * after[1]) / length));
+            offset = [offset[0] / length * scale, offset[1] / length * scale];
+        }
+
+        left.push([point[0] + offset[0] * halfWidth, point[1] + offset[1] * halfWidth]);
+        right.push([point[0] - offset[0] * halfWidth, point[1] - offset[1] * halfWidth]);
+    });
+
+    return [...left, ...right.reverse()];
+}
+
+/**
+ * Planar model of a site's footprint
+ */
+function buildFootprint(site) {
+    const projection = createLocalProjection(site.points[0]);
+    const points = site.points.map(point => projection.forward(point));
+
+    if (site.type === 'trench') {
+        const halfWidth = site.width * METERS_PER_FOOT / 2;
+        const outline = trenchOutline(points, halfWidth);
+
+        return {
+            projection,
+            outline,
+            edges: segments(outline, true),
+            // Distance from a point to the trench (0 inside)
+            distanceTo: p => Math.max(0, Math.min(...segments(points, false).map(([a, b]) => closestOnSegment(p, a, b).distance)) - halfWidth),
+            // Distance from a segment to the trench, and the closest point on the segment
+            segmentDistance: (a, b) => {
+                const best = segments(points, false)
+                    .map(([c, d]) => closestBetweenSegments(a, b, c, d))
+                    .reduce((min, result) => (result.distance < min.distance ? result : min));
+                return { distance: Math.max(0, best.distance - halfWidth), point: best.point };
+            }
+        };
+    }
+
+    const edges = segments(points, true);
+    return {
+        projection,
+        outline: points,
+        edges,
+        distanceTo: p => (pointInRing(p, points) ? 0 : Math.min(...edges.map(([a, b]) => closestOnSegment(p, a, b).distance))),
+        segmentDistance: (a, b) => {
+            if (pointInRing(a, points)) return { distance: 0, point: a };
+            return edges
+                .map(([c, d]) => closestBetweenSegments(a, b, c, d))
+                .reduce((min, result) => (result.distance < min.distance ? result : min));
+        }
+    };
+}
+
+/**
+ * Footprint outline as a closed ring of [lat, lng], for display
+ * @param {Object} site Excavation site
+ * @returns {Array<Array<number>>} Empty when the site is incomplete
+ */
+export function getFootprintOutline(site) {
+    if (!isExcavationSiteComplete(site)) return [];
+
+    const footprint = buildFootprint(site);
+    return footprint.outline.map(point => footprint.projection.inverse(point));
+}
+
+function roundLatLng([lat, lng]) {
+    return [Number(lat.toFixed(8)), Number(lng.toFixed(8))];
+}
+
+/**
+ * Utility lines and structures that cross the footprint or fall inside
+ * their tolerance zone of it
+ *
+ * @param {Object} site Complete excavation site
+ * @param {Object} data Collections to check (the DataStore)
+ * @returns {{outline: Array, conflicts: Array<Object>, checked: number}}
+ *   Each conflict is { collection, record, status: 'intersects'|'tolerance',
+ *   distance (m from the footprint, 0 when it intersects), tolerance (m),
+ *   crossings: [[lat, lng]] where a line crosses the footprint edge,
+ *   closestPoint: [lat, lng] }. Conflicts are sorted, intersections first.
+ */
+export function analyzeExcavationSite(site, data) {
+    const footprint = buildFootprint(site);
+    const { projection } = footprint;
+    const conflicts = [];
+    let checked = 0;
+
+    listRecords(data, 'utilities').forEach(utility => {
+        if (!Array.isArray(utility.coordinates) || utility.coordinates.length < 2) return;
+        checked++;
+
+        const line = utility.coordinates.map(point => projection.forward(point));
+        const crossings = [];
+        let closest = { distance: Infinity, point: line[0] };
+
+        segments(line, false).forEach(([a, b]) => {
+            footprint.edges.forEach(([c, d]) => {
+                const crossing = intersectSegments(a, b, c, d);
+                if (crossing) crossings.push(crossing);
+            });
+
+            const result = footprint.segmentDistance(a, b);
+            if (result.distance < closest.distance) closest = result;
+        });
+
+        const tolerance = getToleranceZone(site, utility);
+        const intersects = crossings.length > 0 || footprint.distanceTo(line[0]) === 0;
+        if (!intersects && closest.distance > tolerance) return;
+
+        conflicts.push({
+            collection: 'utilities',
+            record: utility,
+            status: intersects ? 'intersects' : 'tolerance',
+            distance: intersects ? 0 : closest.distance,
+            tolerance,
+            crossings: crossings.map(point => roundLatLng(projection.inverse(point))),
+            closestPoint: roundLatLng(projection.inverse(crossings[0] || closest.point))
+        });
+    });
+
+    listRecords(data, 'structures').forEach(structure => {
+        if (!Array.isArray(structure.coordinates)) return;
+        checked++;
+
+        const distance = footprint.distanceTo(projection.forward(structure.coordinates));
+        const tolerance = getToleranceZone(site, structure);
+        if (distance > tolerance) return;
+
+        conflicts.push({
+            collection: 'structures',
+            record: structure,
+            status: distance === 0 ? 'intersects' : 'tolerance',
+            distance,
+            tolerance,
+            crossings: [],
+            closestPoint: structure.coordinates
+        });
+    });
+
+    conflicts.sort((a, b) => (a.status === b.status ? a.distance - b.distance : a.status === 'intersects' ? -1 : 1));
+
+    return {
+        outline: footprint.outline.map(point => projection.inverse(point)),
+        conflicts,
+        checked
+    };
+}
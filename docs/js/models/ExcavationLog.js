@@ -0,0 +1,242 @@
+/**
+ * ExcavationLog Module
+ * Timestamped record of one excavation session, kept as evidence of what
+ * the operator was warned about: entry and exit, every proximity alert
+ * raised, every dismissal with the operator's acknowledgement, and the GPS
+ * track. Exported logs are signed with a per-device ECDSA key so later
+ * changes to the file can be detected. The file carries the public key, so
+ * a check is only worth anything against a key fingerprint known from
+ * elsewhere: the device itself or its printed report.
+ */
+
+export const EXCAVATION_LOG_FORMAT = 'cac-utilitrack-excavation-log';
+
+// Per-device signing key pair (JWK)
+const SIGNING_KEY_STORAGE_KEY = 'cac_utilitrack_signing_key';
+
+const SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Track points closer together than this are skipped
+const MIN_TRACK_INTERVAL = 1000; // ms
+
+export class ExcavationLog {
+    /**
+     * @param {Object} session
+     * @param {string} [session.id]
+     * @param {string} session.user Operator name
+     * @param {Object|null} [session.site] Planned footprint (see Excavation.js)
+     * @param {number|null} [session.digDepth] Planned dig depth (feet)
+     * @param {Object} [session.clearanceRules] Alert thresholds in force
+     */
+    constructor({ id, user, site = null, digDepth = null, clearanceRules = null, startTime, endTime = null, entries = [], track = [] }) {
+        this.id = id || `excavation-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+        this.user = user;
+        this.site = site ? JSON.parse(JSON.stringify(site)) : null;
+        this.digDepth = digDepth;
+        this.clearanceRules = clearanceRules ? JSON.parse(JSON.stringify(clearanceRules)) : null;
+        this.startTime = startTime || new Date().toISOString();
+        this.endTime = endTime;
+        this.entries = entries;
+        this.track = track;
+    }
+
+    /**
+     * Rebuild a saved log
+     */
+    static from(saved) {
+        return new ExcavationLog(saved);
+    }
+
+    /**
+     * Append an event
+     * @param {string} type 'enter', 'exit', 'alert' or 'dismiss'
+     * @param {Object} [details]
+     * @returns {Object} The entry
+     */
+    record(type, details = {}) {
+        const entry = { time: new Date().toISOString(), type, ...details };
+        this.entries.push(entry);
+
+        if (type === 'exit') {
+            this.endTime = entry.time;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Add a GPS fix to the track
+     * @param {GeolocationPosition} position
+     * @returns {boolean} Whether it was added
+     */
+    addTrackPoint(position) {
+        const time = position.timestamp || Date.now();
+        const last = this.track[this.track.length - 1];
+        if (last && time - Date.parse(last.time) < MIN_TRACK_INTERVAL) return false;
+
+        const { latitude, longitude, accuracy, heading, speed } = position.coords;
+        this.track.push({
+            time: new Date(time).toISOString(),
+            lat: latitude,
+            lng: longitude,
+            accuracy: typeof accuracy === 'number' ? Math.round(accuracy * 10) / 10 : null,
+            heading: typeof heading === 'number' && isFinite(heading) ? Math.round(heading) : null,
+            speed: typeof speed === 'number' && isFinite(speed) ? Math.round(speed * 10) / 10 : null
+        });
+
+        return true;
+    }
+
+    /**
+     * Counts for lists and reports
+     */
+    getSummary() {
+        const count = type => this.entries.filter(entry => entry.type === type).length;
+        const end = this.endTime ? Date.parse(this.endTime) : Date.now();
+
+        return {
+            alerts: count('alert'),
+            dismissals: count('dismiss'),
+            trackPoints: this.track.length,
+            durationMinutes: Math.max(0, Math.round((end - Date.parse(this.startTime)) / 60000))
+        };
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            user: this.user,
+            site: this.site,
+            digDepth: this.digDepth,
+            clearanceRules: this.clearanceRules,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            entries: this.entries,
+            track: this.track
+        };
+    }
+}
+
+/**
+ * JSON with object keys sorted, so the signed bytes don't depend on
+ * property order
+ */
+export function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * SHA-256 thumbprint of a public key (RFC 7638), in hex
+ * @param {Object} publicJwk EC public key
+ * @returns {Promise<string>}
+ */
+export async function getKeyFingerprint(publicJwk) {
+    const { crv, kty, x, y } = publicJwk;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalJSON({ crv, kty, x, y })));
+    return toHex(digest);
+}
+
+/**
+ * Fingerprint of this device's signing key, to pin when verifying its exports
+ * @returns {Promise<string>}
+ */
+export async function getDeviceKeyFingerprint() {
+    const { publicJwk } = await getSigningKey();
+    return getKeyFingerprint(publicJwk);
+}
+
+/**
+ * This device's signing key pair, created on first use
+ * @returns {Promise<{privateKey: CryptoKey, publicJwk: Object}>}
+ */
+async function getSigningKey() {
+    const saved = JSON.parse(localStorage.getItem(SIGNING_KEY_STORAGE_KEY) || 'null');
+
+    if (saved) {
+        const privateKey = await crypto.subtle.importKey('jwk', saved.privateKey, SIGNING_ALGORITHM, false, ['sign']);
+        return { privateKey, publicJwk: saved.publicKey };
+    }
+
+    const pair = await crypto.subtle.generateKey(SIGNING_ALGORITHM, true, ['sign', 'verify']);
+    const stored = {
+        privateKey: await crypto.subtle.exportKey('jwk', pair.privateKey),
+        publicKey: await crypto.subtle.exportKey('jwk', pair.publicKey)
+    };
+    localStorage.setItem(SIGNING_KEY_STORAGE_KEY, JSON.stringify(stored));
+
+    return { privateKey: pair.privateKey, publicJwk: stored.publicKey };
+}
+
+/**
+ * Signed export of a log
+ * @param {ExcavationLog} log
+ * @returns {Promise<Object>} { format, version, session, signature }
+ */
+export async function signExcavationLog(log) {
+    const session = JSON.parse(JSON.stringify(log.toJSON()));
+    const bytes = new TextEncoder().encode(canonicalJSON(session));
+    const { privateKey, publicJwk } = await getSigningKey();
+
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    const signature = await crypto.subtle.sign(SIGNATURE_ALGORITHM, privateKey, bytes);
+
+    return {
+        format: EXCAVATION_LOG_FORMAT,
+        version: 1,
+        exported: new Date().toISOString(),
+        session,
+        signature: {
+            algorithm: 'ECDSA-P256-SHA256',
+            canonicalization: 'sorted-keys-json',
+            publicKey: { kty: publicJwk.kty, crv: publicJwk.crv, x: publicJwk.x, y: publicJwk.y },
+            keyFingerprint: await getKeyFingerprint(publicJwk),
+            sha256: toHex(digest),
+            value: toBase64(signature)
+        }
+    };
+}
+
+/**
+ * Check that a signed export was signed by a known key and hasn't been
+ * changed since. Anyone can re-sign an edited file with a key of their own,
+ * so the key in the file has to match the pinned fingerprint.
+ * @param {Object} exported Result of signExcavationLog (parsed from the file)
+ * @param {string} trustedFingerprint Fingerprint of the signing device's key
+ * @returns {Promise<boolean>}
+ */
+export async function verifyExcavationLog(exported, trustedFingerprint) {
+    try {
+        const { session, signature } = exported;
+        if (await getKeyFingerprint(signature.publicKey) !== trustedFingerprint) return false;
+
+        const publicKey = await crypto.subtle.importKey('jwk', signature.publicKey, SIGNING_ALGORITHM, false, ['verify']);
+        const bytes = new TextEncoder().encode(canonicalJSON(session));
+
+        return await crypto.subtle.verify(SIGNATURE_ALGORITHM, publicKey, fromBase64(signature.value), bytes);
+    } catch (error) {
+        console.error('Error verifying excavation log:', error);
+        return false;
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * LineEdit Module
+ * Vertex and line operations for the geometry editor: insert and delete
+ * vertices, split a line in two, join two lines end to end and reverse one.
+ * Each returns new coordinates plus a vertex map (old index -> new index,
+ * -1 where the vertex is gone) so per-vertex data such as captures can be
+ * carried over.
+ */
+
+import { closestPointOnLine, createLocalProjection, geodesicDistance } from '../utils/Geodesy.js';
+
+// Points closer than this are the same vertex (m)
+export const VERTEX_TOLERANCE = 0.01;
+
+// Line ends closer than this are joined (m)
+export const JOIN_TOLERANCE = 0.05;
+
+// Largest change of direction at the joint for two lines to be merged (degrees)
+export const MAX_MERGE_BEND = 10;
+
+/**
+ * Add a vertex to a segment
+ * @param {Array<Array<number>>} coordinates Line vertices
+ * @param {number} segmentIndex Segment to add it to (between vertex i and i + 1)
+ * @param {Array<number>} point [lat, lng] of the new vertex
+ * @returns {{coordinates: Array, vertexMap: Array<number>}}
+ */
+export function insertVertex(coordinates, segmentIndex, point) {
+    return {
+        coordinates: [
+            ...coordinates.slice(0, segmentIndex + 1),
+            [point[0], point[1]],
+            ...coordinates.slice(segmentIndex + 1)
+        ],
+        vertexMap: coordinates.map((vertex, i) => i <= segmentIndex ? i : i + 1)
+    };
+}
+
+/**
+ * Remove a vertex. A line keeps at least two.
+ * @returns {{coordinates: Array, vertexMap: Array<number>}|null} Null if
+ *   the line is too short to lose one
+ */
+export function deleteVertex(coordinates, index) {
+    if (coordinates.length <= 2 || index < 0 || index >= coordinates.length) return null;
+
+    return {
+        coordinates: coordinates.filter((vertex, i) => i !== index),
+        vertexMap: coordinates.map((vertex, i) => i < index ? i : i === index ? -1 : i - 1)
+    };
+}
+
+/**
+ * Cut a line in two at the point on it closest to a given point. Cutting
+ * at a vertex shares it between both parts; elsewhere a vertex is added to
+ * each.
+ * @param {Array<Array<number>>} coordinates Line vertices
+ * @param {Array|Object} point Where to cut
+ * @returns {Object|null} { point, station (m along the line), distance (m
+ *   from the given point), parts: [{ coordinates, vertexMap }, ...] }, or
+ *   null if the point is at an end of the line
+ */
+export function splitLine(coordinates, point) {
+    const closest = closestPointOnLine(point, coordinates);
+    if (!closest || coordinates.length < 2) return null;
+
+    const { segmentIndex } = closest;
+    let cut = null;
+    if (geodesicDistance(closest.point, coordinates[segmentIndex]) <= VERTEX_TOLERANCE) {
+        cut = segmentIndex;
+    } else if (geodesicDistance(closest.point, coordinates[segmentIndex + 1]) <= VERTEX_TOLERANCE) {
+        cut = segmentIndex + 1;
+    }
+    if (cut === 0 || cut === coordinates.length - 1) return null;
+
+    const copy = vertex => [vertex[0], vertex[1]];
+    let splitPoint;
+    let first;
+    let second;
+    let firstEnd; // Last original vertex in the first part
+    let secondStart; // First original vertex in the second part
+    if (cut !== null) {
+        splitPoint = copy(coordinates[cut]);
+        first = coordinates.slice(0, cut + 1).map(copy);
+        second = coordinates.slice(cut).map(copy);
+        firstEnd = cut;
+        secondStart = cut;
+    } else {
+        splitPoint = copy(closest.point);
+        first = [...coordinates.slice(0, segmentIndex + 1).map(copy), splitPoint];
+        second = [copy(splitPoint), ...coordinates.slice(segmentIndex + 1).map(copy)];
+        firstEnd = segmentIndex;
+        secondStart = segmentIndex + 1;
+    }
+    const secondShift = second.length - (coordinates.length - secondStart); // 1 if the cut added a vertex
+
+    return {
+        point: splitPoint,
+        station: closest.station,
+        distance: closest.distance,
+        parts: [
+            {
+                coordinates: first,
+                vertexMap: coordinates.map((vertex, i) => i <= firstEnd ? i : -1)
+            },
+            {
+                coordinates: second,
+                vertexMap: coordinates.map((vertex, i) => i >= secondStart ? i - secondStart + secondShift : -1)
+            }
+        ]
+    };
+}
+
+/**
+ * Same line run the other way
+ * @returns {{coordinates: Array, vertexMap: Array<number>}}
+ */
+export function reverseLine(coordinates) {
+    const last = coordinates.length - 1;
+    return {
+        coordinates: coordinates.map((vertex, i) => [coordinates[last - i][0], coordinates[last - i][1]]),
+        vertexMap: coordinates.map((vertex, i) => last - i)
+    };
+}
+
+/**
+ * Join two lines that meet end to end and carry on in the same direction.
+ * The result runs the way the first line does.
+ * @param {Array<Array<number>>} first Line kept
+ * @param {Array<Array<number>>} second Line joined onto it
+ * @param {Object} [options] { tolerance (m between the ends), maxBend (degrees) }
+ * @returns {Object|null} { coordinates, vertexMaps: [first's, second's] },
+ *   or null if the lines don't meet or bend too much where they do
+ */
+export function mergeLines(first, second, { tolerance = JOIN_TOLERANCE, maxBend = MAX_MERGE_BEND } = {}) {
+    if (first.length < 2 || second.length < 2) return null;
+
+    const firstLast = first.length - 1;
+    const secondLast = second.length - 1;
+    const ends = [
+        { atFirstEnd: true, atSecondStart: true, a: first[firstLast], b: second[0] },
+        { atFirstEnd: true, atSecondStart: false, a: first[firstLast], b: second[secondLast] },
+        { atFirstEnd: false, atSecondStart: false, a: first[0], b: second[secondLast] },
+        { atFirstEnd: false, atSecondStart: true, a: first[0], b: second[0] }
+    ];
+    const joint = ends.find(end => geodesicDistance(end.a, end.b) <= tolerance);
+    if (!joint) return null;
+
+    // Both lines oriented to run through the joint in first's direction
+    const before = joint.atFirstEnd ? first : (joint.atSecondStart ? [...second].reverse() : second);
+    const after = joint.atFirstEnd ? (joint.atSecondStart ? second : [...second].reverse()) : first;
+    if (getBend(before[before.length - 2], before[before.length - 1], after[1]) > maxBend) return null;
+
+    // The joint is the first line's vertex; the second's is dropped there
+    const joined = joint.atFirstEnd ? [...first, ...after.slice(1)] : [...before.slice(0, -1), ...first];
+    const coordinates = joined.map(vertex => [vertex[0], vertex[1]]);
+
+    const firstMap = first.map((vertex, i) => joint.atFirstEnd ? i : i + secondLast);
+    const secondMap = second.map((vertex, i) => {
+        // Index along the second line as oriented through the joint
+        const j = joint.atSecondStart === joint.atFirstEnd ? i : secondLast - i;
+        if (joint.atFirstEnd) return j === 0 ? -1 : firstLast + j;
+        return j === secondLast ? -1 : j;
+    });
+
+    return { coordinates, vertexMaps: [firstMap, secondMap] };
+}
+
+/**
+ * Per-vertex captures carried over by a vertex map. Of vertices merged
+ * into one, the first capture is kept.
+ * @param {Array<Object>} [captures] Captures with `vertex` indexes
+ * @param {Array<number>} vertexMap Old index -> new index, -1 where removed
+ * @returns {Array<Object>|undefined} Undefined if none are left
+ */
+export function remapCaptures(captures, vertexMap) {
+    if (!captures) return undefined;
+
+    const remapped = new Map();
+    captures.forEach(capture => {
+        const vertex = vertexMap[capture.vertex];
+        if (vertex >= 0 && !remapped.has(vertex)) {
+            remapped.set(vertex, { ...capture, vertex });
+        }
+    });
+
+    return remapped.size ? [...remapped.values()] : undefined;
+}
+
+/**
+ * Change of direction at vertex b going a -> b -> c, in degrees
+ */
+function getBend(a, b, c) {
+    const projection = createLocalProjection(b);
+    const [ax, ay] = projection.forward(a);
+    const [cx, cy] = projection.forward(c);
+
+    const inLength = Math.hypot(ax, ay);
+    const outLength = Math.hypot(cx, cy);
+    if (!inLength || !outLength) return 0;
+
+    // Straight on is a and c on opposite sides of b
+    const cos = -(ax * cx + ay * cy) / (inLength * outLength);
+    return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+}
@@ -0,0 +1,114 @@
+/**
+ * LineTrace Module
+ * GPS trace of a utility walked over with the locating wand. Filtered
+ * location estimates are recorded while the trace is running (not while
+ * paused), then thinned with Douglas-Peucker into the vertices of the new
+ * line.
+ */
+
+import { lineLength, geodesicDistance, simplifyLine } from '../utils/Geodesy.js';
+
+export const DEFAULT_TRACE_TOLERANCE = 0.5; // meters
+
+// Estimates the filter rates worse than this are skipped (m)
+const MAX_TRACE_ACCURACY = 15;
+
+// Points closer than this to the last one add nothing (m)
+const MIN_POINT_SPACING = 0.2;
+
+export class LineTrace {
+    /**
+     * @param {Object} options
+     * @param {string} options.utilityType Utility type the new line will get
+     * @param {string} options.lineType 'main' or 'service'
+     */
+    constructor({ utilityType, lineType }) {
+        this.utilityType = utilityType;
+        this.lineType = lineType;
+        this.points = []; // { lat, lng, accuracy, time }
+        this.skipped = 0;
+        this.paused = false;
+        this.startTime = Date.now();
+    }
+
+    /**
+     * Record a filtered location estimate
+     * @param {Object} estimate { latitude, longitude, accuracy } from the position filter
+     * @param {number} [time] Fix time (ms)
+     * @returns {boolean} Whether it was recorded
+     */
+    addPosition(estimate, time = Date.now()) {
+        if (this.paused || !estimate) return false;
+
+        const { latitude, longitude, accuracy } = estimate;
+        if (!isFinite(latitude) || !isFinite(longitude)) return false;
+
+        if (accuracy > MAX_TRACE_ACCURACY) {
+            this.skipped++;
+            return false;
+        }
+
+        const last = this.points[this.points.length - 1];
+        if (last && geodesicDistance([last.lat, last.lng], [latitude, longitude]) < MIN_POINT_SPACING) {
+            return false;
+        }
+
+        this.points.push({ lat: latitude, lng: longitude, accuracy, time });
+        return true;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * Recorded track as [[lat, lng]]
+     */
+    getCoordinates() {
+        return this.points.map(point => [point.lat, point.lng]);
+    }
+
+    /**
+     * Length of the recorded track (m)
+     */
+    getLength() {
+        return lineLength(this.getCoordinates());
+    }
+
+    /**
+     * Vertices of the line at a tolerance
+     * @param {number} tolerance Meters
+     * @returns {Array<Array<number>>} [[lat, lng]]
+     */
+    simplify(tolerance) {
+        return simplifyLine(this.getCoordinates(), tolerance);
+    }
+
+    /**
+     * Statistics to store on the traced line
+     * @param {number} tolerance Meters
+     * @returns {Object}
+     */
+    getStatistics(tolerance) {
+        const accuracies = this.points.map(point => point.accuracy).filter(isFinite);
+        const meanAccuracy = accuracies.length
+            ? accuracies.reduce((sum, accuracy) => sum + accuracy, 0) / accuracies.length
+            : null;
+
+        return {
+            method: 'trace',
+            points: this.points.length,
+            vertices: this.simplify(tolerance).length,
+            tolerance, // meters
+            length: Math.round(this.getLength() * 100) / 100, // meters
+            meanAccuracy: meanAccuracy === null ? null : Math.round(meanAccuracy * 10) / 10,
+            skipped: this.skipped,
+            duration: Math.round((Date.now() - this.startTime) / 1000), // seconds
+            date: new Date().toISOString()
+        };
+    }
+}
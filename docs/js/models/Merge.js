@@ -0,0 +1,149 @@
+/**
+ * Merge Module
+ * Compares imported data with the local collections record by record
+ * (matched by id) and sorts the differences into new records, records
+ * changed on one side only and conflicts that need a decision from the user
+ */
+
+// Collections that take part in a merge. Grouped collections are stored as
+// { utilityType: [records] }, keyed by `groupKey` on each record. `fields`
+// are compared and shown in the conflict diff.
+export const MERGE_COLLECTIONS = {
+    utilities: {
+        kind: 'utility',
+        label: 'Utility',
+        groupKey: 'type',
+        fields: ['type', 'lineType', 'coordinates', 'size', 'depth', 'material', 'condition', 'notes', 'connections', 'imageData']
+    },
+    structures: {
+        kind: 'structure',
+        label: 'Structure',
+        groupKey: 'utilityType',
+        fields: ['structureType', 'utilityType', 'coordinates', 'size', 'depth', 'material', 'condition', 'notes', 'connections', 'imageData']
+    },
+    annotations: {
+        kind: 'annotation',
+        label: 'Annotation',
+        fields: ['text', 'coordinates']
+    },
+    measurements: {
+        kind: 'measurement',
+        label: 'Measurement',
+        fields: ['coordinates', 'distance']
+    }
+};
+
+// How a conflict can be resolved
+export const MERGE_CHOICES = ['local', 'incoming', 'both'];
+
+/**
+ * Flatten a collection to an array of records
+ * @param {Object} data Object holding the collections (a DataStore or parsed data)
+ * @param {string} collection Key of MERGE_COLLECTIONS
+ * @returns {Array<Object>}
+ */
+export function listRecords(data, collection) {
+    const records = data[collection];
+
+    if (Array.isArray(records)) return records;
+    if (!records || typeof records !== 'object') return [];
+
+    return Object.values(records).flatMap(group => Array.isArray(group) ? group : []);
+}
+
+/**
+ * Whether a record was edited since it was created, or since the last merge
+ * or import when there has been one (both sides agreed on it then)
+ * @param {Object} record
+ * @param {number} base Time of the last merge or import (ms), NaN if none
+ */
+function wasEditedSince(record, base) {
+    const modified = Date.parse(record.dateModified);
+    if (isNaN(modified)) return false;
+
+    const added = Date.parse(record.dateAdded);
+    return modified > Math.max(isNaN(added) ? -Infinity : added, isNaN(base) ? -Infinity : base);
+}
+
+/**
+ * Comparable text for a field value (Leaflet objects are never compared)
+ */
+function fieldKey(value) {
+    if (value === undefined || value === null || value === '') return '';
+    return JSON.stringify(value);
+}
+
+/**
+ * Fields whose values differ between two versions of a record
+ * @returns {Array<string>}
+ */
+export function getChangedFields(collection, local, incoming) {
+    return MERGE_COLLECTIONS[collection].fields.filter(field => {
+        return fieldKey(local[field]) !== fieldKey(incoming[field]);
+    });
+}
+
+/**
+ * Compare incoming data with local data
+ *
+ * A record that differs goes to the side that was edited (dateModified
+ * after the record was created and after the last merge) when the other
+ * side wasn't: `updated` takes the incoming version, `keptLocal` keeps the
+ * local one. Records edited on both sides, or on neither as far as the
+ * timestamps tell, are conflicts. Every entry has a `key` for the choice
+ * the user can make in the diff; updated and keptLocal entries only set
+ * the default.
+ *
+ * @param {Object} local Local collections (the DataStore)
+ * @param {Object} incoming Migrated import data
+ * @param {string|null} [lastMerge] ISO time of the last merge or import
+ * @returns {{added: Array, updated: Array, conflicts: Array, keptLocal: Array, unchanged: number}}
+ */
+export function createMergePlan(local, incoming, lastMerge = null) {
+    const base = Date.parse(lastMerge);
+    const plan = { added: [], updated: [], conflicts: [], keptLocal: [], unchanged: 0 };
+
+    Object.keys(MERGE_COLLECTIONS).forEach(collection => {
+        const localById = new Map(listRecords(local, collection).map(record => [record.id, record]));
+        const seen = new Set();
+
+        listRecords(incoming, collection).forEach(record => {
+            // Ignore repeated ids within the file
+            if (!record.id || seen.has(record.id)) return;
+            seen.add(record.id);
+
+            const localRecord = localById.get(record.id);
+
+            if (!localRecord) {
+                plan.added.push({ collection, incoming: record });
+                return;
+            }
+
+            const changedFields = getChangedFields(collection, localRecord, record);
+            if (!changedFields.length) {
+                plan.unchanged++;
+                return;
+            }
+
+            const localEdited = wasEditedSince(localRecord, base);
+            const incomingEdited = wasEditedSince(record, base);
+            const entry = {
+                key: `${collection}:${record.id}`,
+                collection,
+                local: localRecord,
+                incoming: record,
+                changedFields
+            };
+
+            if (incomingEdited && !localEdited) {
+                plan.updated.push(entry);
+            } else if (localEdited && !incomingEdited) {
+                plan.keptLocal.push(entry);
+            } else {
+                plan.conflicts.push(entry);
+            }
+        });
+    });
+
+    return plan;
+}
@@ -0,0 +1,602 @@
+/**
+ * NetworkGraph Module
+ * Topology of one utility type's network: nodes where lines end, meet,
+ * connect or pass a structure, and edges along the lines between them.
+ * Answers the tracing questions (services fed by a main, valves that
+ * isolate a break, the way downstream to an outfall).
+ *
+ * Flow follows the direction lines were drawn in, except that services on
+ * pressure networks flow away from the main they tap. Gravity networks are
+ * expected to be drawn in the direction of flow.
+ */
+
+import { createLocalProjection } from '../utils/Geodesy.js';
+
+// Line ends and connection points closer than this join at one node
+export const NODE_TOLERANCE = 1; // meters
+
+// Structures this close to a line sit on it
+export const STRUCTURE_TOLERANCE = 2; // meters
+
+// Networks that flow by gravity, in the direction lines were drawn
+const GRAVITY_TYPES = ['sewer'];
+
+// Structures a crew can close to shut off flow (regulator stations have
+// inlet valves)
+export const ISOLATION_TYPES = ['valve', 'regulator'];
+
+// Structures that are customer meters
+const METER_TYPES = ['meter'];
+
+/**
+ * Closest point on a planar polyline
+ * @param {Array<number>} point [x, y]
+ * @param {Array<Array<number>>} points Line vertices [x, y]
+ * @param {Array<number>} stations Distance of each vertex along the line
+ * @returns {{point: Array<number>, distance: number, station: number}}
+ */
+function closestOnPolyline([px, py], points, stations) {
+    let best = null;
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const [ax, ay] = points[i];
+        const dx = points[i + 1][0] - ax;
+        const dy = points[i + 1][1] - ay;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+        const x = ax + dx * t;
+        const y = ay + dy * t;
+        const distance = Math.hypot(px - x, py - y);
+
+        if (!best || distance < best.distance) {
+            best = { point: [x, y], distance, station: stations[i] + (stations[i + 1] - stations[i]) * t };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Part of a planar polyline between two stations
+ * @returns {Array<Array<number>>} Vertices [x, y]
+ */
+function slicePolyline(points, stations, from, to) {
+    const at = station => {
+        let i = 0;
+        while (i < points.length - 2 && stations[i + 1] < station) i++;
+        const span = stations[i + 1] - stations[i];
+        const t = span > 0 ? Math.max(0, Math.min(1, (station - stations[i]) / span)) : 0;
+        return [points[i][0] + (points[i + 1][0] - points[i][0]) * t, points[i][1] + (points[i + 1][1] - points[i][1]) * t];
+    };
+
+    const slice = [at(from)];
+    stations.forEach((station, i) => {
+        if (station > from && station < to) slice.push(points[i]);
+    });
+    slice.push(at(to));
+
+    return slice;
+}
+
+export class NetworkGraph {
+    /**
+     * @param {string} utilityType The network to build ('water', 'sewer', ...)
+     * @param {Array<Object>} utilities Utility records (other types are skipped)
+     * @param {Array<Object>} structures Structure records (other types are skipped)
+     */
+    constructor(utilityType, utilities, structures) {
+        this.utilityType = utilityType;
+        this.gravity = GRAVITY_TYPES.includes(utilityType);
+
+        this.nodes = new Map(); // id -> { id, point: [lat, lng], structureIds, edgeIds }
+        this.edges = new Map(); // id -> { id, utilityId, lineType, from, to, length, coordinates, forward }
+        this.utilities = new Map();
+        this.structures = new Map();
+        this.nodeByStructure = new Map();
+        this.edgesByUtility = new Map();
+
+        this.projection = null;
+        this.grid = new Map(); // Node positions bucketed by NODE_TOLERANCE cells
+        this.nextNodeId = 1;
+
+        this.build(
+            utilities.filter(utility => utility.type === utilityType && Array.isArray(utility.coordinates) && utility.coordinates.length >= 2),
+            structures.filter(structure => structure.utilityType === utilityType && Array.isArray(structure.coordinates))
+        );
+    }
+
+    /**
+     * Build the graph from the network's lines and structures
+     */
+    build(utilities, structures) {
+        const origin = utilities.length ? utilities[0].coordinates[0] : structures[0]?.coordinates;
+        if (!origin) return;
+        this.projection = createLocalProjection(origin);
+
+        structures.forEach(structure => {
+            this.structures.set(structure.id, structure);
+            const node = this.findOrAddNode(this.projection.forward(structure.coordinates));
+            node.structureIds.push(structure.id);
+            this.nodeByStructure.set(structure.id, node.id);
+        });
+
+        const lines = utilities.map(utility => {
+            const points = utility.coordinates.map(point => this.projection.forward(point));
+            const stations = [0];
+            for (let i = 1; i < points.length; i++) {
+                stations.push(stations[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+            }
+
+            const box = {
+                minX: Math.min(...points.map(point => point[0])) - STRUCTURE_TOLERANCE,
+                minY: Math.min(...points.map(point => point[1])) - STRUCTURE_TOLERANCE,
+                maxX: Math.max(...points.map(point => point[0])) + STRUCTURE_TOLERANCE,
+                maxY: Math.max(...points.map(point => point[1])) + STRUCTURE_TOLERANCE
+            };
+
+            this.utilities.set(utility.id, utility);
+            return { utility, points, stations, box };
+        });
+
+        const inBox = ([x, y], box) => x >= box.minX && x <= box.maxX && y >= box.minY && y <= box.maxY;
+
+        lines.forEach(line => {
+            const { utility, points, stations, box } = line;
+            const length = stations[stations.length - 1];
+            const cuts = [
+                { station: 0, point: points[0] },
+                { station: length, point: points[points.length - 1] }
+            ];
+
+            // Recorded connections (service taps on a main)
+            (utility.connections || []).forEach(connection => {
+                if (!Array.isArray(connection.point)) return;
+                const closest = closestOnPolyline(this.projection.forward(connection.point), points, stations);
+                if (closest && closest.distance <= STRUCTURE_TOLERANCE) {
+                    cuts.push({ station: closest.station, point: closest.point });
+                }
+            });
+
+            // Other lines ending on this one
+            lines.forEach(other => {
+                if (other === line) return;
+                [other.points[0], other.points[other.points.length - 1]].forEach(end => {
+                    if (!inBox(end, box)) return;
+                    const closest = closestOnPolyline(end, points, stations);
+                    if (closest.distance <= NODE_TOLERANCE) {
+                        cuts.push({ station: closest.station, point: closest.point });
+                    }
+                });
+            });
+
+            // Structures on the line
+            structures.forEach(structure => {
+                const point = this.projection.forward(structure.coordinates);
+                if (!inBox(point, box)) return;
+                const closest = closestOnPolyline(point, points, stations);
+                if (closest.distance <= STRUCTURE_TOLERANCE) {
+                    cuts.push({ station: closest.station, point: closest.point, nodeId: this.nodeByStructure.get(structure.id) });
+                }
+            });
+
+            // Cuts next to a structure on the line join the structure's node
+            cuts.forEach(cut => {
+                if (cut.nodeId) return;
+                const structureCut = cuts.find(other => other.nodeId && Math.abs(other.station - cut.station) <= NODE_TOLERANCE);
+                if (structureCut) {
+                    cut.nodeId = structureCut.nodeId;
+                    this.addToGrid(cut.point, structureCut.nodeId);
+                } else {
+                    cut.nodeId = this.findOrAddNode(cut.point).id;
+                }
+            });
+
+            cuts.sort((a, b) => a.station - b.station);
+            this.addLineEdges(line, cuts);
+        });
+
+        if (!this.gravity) {
+            this.orientServices();
+        }
+    }
+
+    /**
+     * Edges between consecutive cuts along a line
+     */
+    addLineEdges({ utility, points, stations }, cuts) {
+        const edgeIds = [];
+        let previous = cuts[0];
+
+        cuts.slice(1).forEach(cut => {
+            if (cut.nodeId === previous.nodeId) return;
+
+            const id = `${utility.id}:${edgeIds.length}`;
+            const edge = {
+                id,
+                utilityId: utility.id,
+                lineType: utility.lineType,
+                from: previous.nodeId,
+                to: cut.nodeId,
+                length: cut.station - previous.station,
+                coordinates: slicePolyline(points, stations, previous.station, cut.station)
+                    .map(point => this.projection.inverse(point)),
+                forward: true
+            };
+
+            this.edges.set(id, edge);
+            this.nodes.get(edge.from).edgeIds.push(id);
+            this.nodes.get(edge.to).edgeIds.push(id);
+            edgeIds.push(id);
+            previous = cut;
+        });
+
+        this.edgesByUtility.set(utility.id, edgeIds);
+    }
+
+    /**
+     * Services on pressure networks flow away from the main they tap,
+     * whichever way they were drawn
+     */
+    orientServices() {
+        this.edgesByUtility.forEach((edgeIds, utilityId) => {
+            if (!edgeIds.length || this.utilities.get(utilityId).lineType !== 'service') return;
+
+            const touchesMain = nodeId => this.nodes.get(nodeId).edgeIds
+                .map(id => this.edges.get(id))
+                .some(edge => edge.lineType === 'main' && edge.utilityId !== utilityId);
+
+            const start = this.edges.get(edgeIds[0]).from;
+            const end = this.edges.get(edgeIds[edgeIds.length - 1]).to;
+            if (touchesMain(end) && !touchesMain(start)) {
+                edgeIds.forEach(id => {
+                    this.edges.get(id).forward = false;
+                });
+            }
+        });
+    }
+
+    /**
+     * Node within NODE_TOLERANCE of a point, or a new one there
+     * @param {Array<number>} point [x, y]
+     */
+    findOrAddNode(point) {
+        const cellX = Math.floor(point[0] / NODE_TOLERANCE);
+        const cellY = Math.floor(point[1] / NODE_TOLERANCE);
+        let best = null;
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                (this.grid.get(`${cellX + dx},${cellY + dy}`) || []).forEach(entry => {
+                    const distance = Math.hypot(entry.point[0] - point[0], entry.point[1] - point[1]);
+                    if (distance <= NODE_TOLERANCE && (!best || distance < best.distance)) {
+                        best = { nodeId: entry.nodeId, distance };
+                    }
+                });
+            }
+        }
+
+        if (best) {
+            return this.nodes.get(best.nodeId);
+        }
+
+        const node = {
+            id: `n${this.nextNodeId++}`,
+            point: this.projection.inverse(point),
+            structureIds: [],
+            edgeIds: []
+        };
+        this.nodes.set(node.id, node);
+        this.addToGrid(point, node.id);
+
+        return node;
+    }
+
+    addToGrid(point, nodeId) {
+        const key = `${Math.floor(point[0] / NODE_TOLERANCE)},${Math.floor(point[1] / NODE_TOLERANCE)}`;
+        if (!this.grid.has(key)) this.grid.set(key, []);
+        this.grid.get(key).push({ point, nodeId });
+    }
+
+    /**
+     * Whether a node has a valve on it
+     * @param {string} nodeId
+     */
+    isValveNode(nodeId) {
+        return this.nodes.get(nodeId).structureIds
+            .some(id => ISOLATION_TYPES.includes(this.structures.get(id).structureType));
+    }
+
+    /**
+     * Where a trace starts: a structure's node, or the edge of a line
+     * nearest a point on it
+     * @param {Object} start { structureId } or { utilityId, point: [lat, lng] }
+     * @returns {{nodeId: string}|{edgeId: string, station: number, point: Array}|null}
+     *   The node, or the edge with the distance along it and the point on
+     *   it nearest the start point. Null if the start isn't on the network.
+     */
+    locate({ structureId, utilityId, point }) {
+        if (structureId) {
+            const nodeId = this.nodeByStructure.get(structureId);
+            return nodeId && this.nodes.get(nodeId).edgeIds.length ? { nodeId } : null;
+        }
+
+        const edgeIds = this.edgesByUtility.get(utilityId) || [];
+        if (!edgeIds.length) return null;
+        if (!point) return { edgeId: edgeIds[0], station: 0, point: this.edges.get(edgeIds[0]).coordinates[0] };
+
+        const target = this.projection.forward(point);
+        let best = null;
+        edgeIds.forEach(edgeId => {
+            const points = this.edges.get(edgeId).coordinates.map(coordinate => this.projection.forward(coordinate));
+            const stations = [0];
+            for (let i = 1; i < points.length; i++) {
+                stations.push(stations[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+            }
+            const closest = closestOnPolyline(target, points, stations);
+            if (!best || closest.distance < best.distance) {
+                best = { edgeId, distance: closest.distance, station: closest.station, point: closest.point };
+            }
+        });
+
+        return { edgeId: best.edgeId, station: best.station, point: this.projection.inverse(best.point) };
+    }
+
+    /**
+     * Services fed by the main at the start (a point on the main, or a
+     * structure on it), and the structures on them such as meters
+     * @param {Object} start See locate
+     * @returns {Object|null} { sourceUtilityIds, sourceEdgeIds, edgeIds,
+     *   utilityIds, structureIds, nodeIds }
+     */
+    findFedServices(start) {
+        const location = this.locate(start);
+        if (!location) return null;
+
+        let sourceUtilityIds;
+        if (location.edgeId) {
+            sourceUtilityIds = [this.edges.get(location.edgeId).utilityId];
+        } else {
+            const atNode = this.nodes.get(location.nodeId).edgeIds.map(id => this.edges.get(id));
+            const mains = atNode.filter(edge => edge.lineType === 'main');
+            sourceUtilityIds = [...new Set((mains.length ? mains : atNode).map(edge => edge.utilityId))];
+        }
+
+        const sourceEdgeIds = sourceUtilityIds.flatMap(id => this.edgesByUtility.get(id));
+        const seeds = new Set(sourceEdgeIds.flatMap(id => [this.edges.get(id).from, this.edges.get(id).to]));
+
+        const { edgeIds, nodeIds } = this.walk([...seeds], edge =>
+            edge.lineType === 'service' && !sourceUtilityIds.includes(edge.utilityId));
+
+        return {
+            sourceUtilityIds,
+            sourceEdgeIds,
+            edgeIds,
+            utilityIds: this.utilityIdsOf(edgeIds),
+            structureIds: this.structureIdsOf(nodeIds.filter(id => !seeds.has(id))),
+            nodeIds
+        };
+    }
+
+    /**
+     * Valves to close to isolate a break, and what loses service.
+     *
+     * The walk out from the break stops at the first valve in every
+     * direction. Of those, only valves with a main beyond them need closing:
+     * a valve with nothing but services beyond it (a curb stop) has no
+     * supply behind it, so its services are cut off with the rest. A break
+     * at a valve is isolated by the valves around it.
+     * @param {Object} start See locate
+     * @returns {Object|null} { valves: [{ structureId, nodeId, point,
+     *   distance }] nearest first (distance along the pipe, m), valveIds,
+     *   valveNodeIds, edgeIds (lines out of service), utilityIds,
+     *   serviceIds, meterIds, structureIds, nodeIds, length (m) }
+     */
+    findIsolatingValves(start) {
+        const location = this.locate(start);
+        if (!location) return null;
+
+        let seeds;
+        let startEdgeIds = [];
+        if (location.edgeId) {
+            const edge = this.edges.get(location.edgeId);
+            seeds = [edge.from, edge.to];
+            startEdgeIds = [edge.id];
+        } else {
+            seeds = [location.nodeId];
+        }
+
+        const boundaryNodeIds = new Set();
+        const zone = this.walk(seeds, () => true, nodeId => {
+            if (nodeId === location.nodeId) return true;
+            if (this.isValveNode(nodeId)) {
+                boundaryNodeIds.add(nodeId);
+                return false;
+            }
+            return true;
+        }, startEdgeIds);
+
+        const zoneEdgeIds = new Set(zone.edgeIds);
+        const affectedEdgeIds = new Set(zone.edgeIds);
+        const affectedNodeIds = new Set(zone.nodeIds.filter(id => !boundaryNodeIds.has(id)));
+        const valveNodeIds = [];
+
+        boundaryNodeIds.forEach(nodeId => {
+            const beyond = this.walk([nodeId], edge => !zoneEdgeIds.has(edge.id));
+            const fedFromBeyond = beyond.edgeIds.some(id => this.edges.get(id).lineType === 'main');
+
+            if (fedFromBeyond) {
+                valveNodeIds.push(nodeId);
+            } else {
+                beyond.edgeIds.forEach(id => affectedEdgeIds.add(id));
+                beyond.nodeIds.forEach(id => affectedNodeIds.add(id));
+            }
+        });
+
+        const distances = this.distancesFrom(location, zoneEdgeIds);
+        const valves = valveNodeIds
+            .map(nodeId => ({
+                structureId: this.nodes.get(nodeId).structureIds
+                    .find(id => ISOLATION_TYPES.includes(this.structures.get(id).structureType)),
+                nodeId,
+                point: this.nodes.get(nodeId).point,
+                distance: distances.get(nodeId) ?? null
+            }))
+            .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+
+        const edgeIds = [...affectedEdgeIds];
+        const nodeIds = [...affectedNodeIds];
+        const utilityIds = this.utilityIdsOf(edgeIds);
+        const structureIds = this.structureIdsOf(nodeIds);
+
+        return {
+            valves,
+            valveIds: valves.map(valve => valve.structureId),
+            valveNodeIds: valves.map(valve => valve.nodeId),
+            edgeIds,
+            utilityIds,
+            serviceIds: utilityIds.filter(id => this.utilities.get(id).lineType === 'service'),
+            meterIds: structureIds.filter(id => METER_TYPES.includes(this.structures.get(id).structureType)),
+            structureIds,
+            nodeIds,
+            length: edgeIds.reduce((sum, id) => sum + this.edges.get(id).length, 0)
+        };
+    }
+
+    /**
+     * Shortest distance along the pipe from a location to each node,
+     * over a set of edges
+     * @param {Object} location From locate
+     * @param {Set<string>} edgeIds Edges that may be followed
+     * @returns {Map<string, number>} Node id -> meters
+     */
+    distancesFrom(location, edgeIds) {
+        const distances = new Map();
+        if (location.edgeId) {
+            const edge = this.edges.get(location.edgeId);
+            distances.set(edge.from, location.station);
+            distances.set(edge.to, Math.min(distances.get(edge.to) ?? Infinity, edge.length - location.station));
+        } else {
+            distances.set(location.nodeId, 0);
+        }
+
+        // Dijkstra; trace networks are small enough for a linear scan
+        const done = new Set();
+        while (true) {
+            let nodeId = null;
+            distances.forEach((distance, id) => {
+                if (!done.has(id) && (nodeId === null || distance < distances.get(nodeId))) nodeId = id;
+            });
+            if (nodeId === null) break;
+            done.add(nodeId);
+
+            this.nodes.get(nodeId).edgeIds.forEach(id => {
+                if (!edgeIds.has(id) || id === location.edgeId) return;
+                const edge = this.edges.get(id);
+                const next = edge.from === nodeId ? edge.to : edge.from;
+                const distance = distances.get(nodeId) + edge.length;
+                if (distance < (distances.get(next) ?? Infinity)) {
+                    distances.set(next, distance);
+                }
+            });
+        }
+
+        return distances;
+    }
+
+    /**
+     * Everything downstream of the start, to the outfalls (nodes the flow
+     * goes no further from)
+     * @param {Object} start See locate
+     * @returns {Object|null} { edgeIds, utilityIds, structureIds, nodeIds,
+     *   outfallNodeIds }
+     */
+    traceDownstream(start) {
+        const location = this.locate(start);
+        if (!location) return null;
+
+        const downstreamOf = edge => (edge.forward ? edge.to : edge.from);
+        const edgeIds = new Set();
+        let seeds;
+        if (location.edgeId) {
+            const edge = this.edges.get(location.edgeId);
+            edgeIds.add(edge.id);
+            seeds = [downstreamOf(edge)];
+        } else {
+            seeds = [location.nodeId];
+        }
+
+        const visited = new Set(seeds);
+        const queue = [...seeds];
+        const outfallNodeIds = [];
+
+        while (queue.length) {
+            const nodeId = queue.shift();
+            const outgoing = this.nodes.get(nodeId).edgeIds
+                .map(id => this.edges.get(id))
+                .filter(edge => (edge.forward ? edge.from : edge.to) === nodeId);
+
+            if (!outgoing.length) {
+                outfallNodeIds.push(nodeId);
+            }
+
+            outgoing.forEach(edge => {
+                edgeIds.add(edge.id);
+                const next = downstreamOf(edge);
+                if (!visited.has(next)) {
+                    visited.add(next);
+                    queue.push(next);
+                }
+            });
+        }
+
+        const nodeIds = [...visited];
+        return {
+            edgeIds: [...edgeIds],
+            utilityIds: this.utilityIdsOf([...edgeIds]),
+            structureIds: this.structureIdsOf(nodeIds),
+            nodeIds,
+            outfallNodeIds
+        };
+    }
+
+    /**
+     * Breadth-first walk from seed nodes
+     * @param {Array<string>} seeds Node ids to start from
+     * @param {Function} canTraverse (edge) => whether the walk may follow it
+     * @param {Function} [canExpand] (nodeId) => whether to carry on past a node
+     * @param {Array<string>} [startEdgeIds] Edges counted as walked already
+     * @returns {{edgeIds: Array<string>, nodeIds: Array<string>}}
+     */
+    walk(seeds, canTraverse, canExpand = () => true, startEdgeIds = []) {
+        const edgeIds = new Set(startEdgeIds);
+        const visited = new Set(seeds);
+        const queue = [...seeds];
+
+        while (queue.length) {
+            const nodeId = queue.shift();
+            if (!canExpand(nodeId)) continue;
+
+            this.nodes.get(nodeId).edgeIds.forEach(id => {
+                const edge = this.edges.get(id);
+                if (edgeIds.has(id) || !canTraverse(edge)) return;
+
+                edgeIds.add(id);
+                const next = edge.from === nodeId ? edge.to : edge.from;
+                if (!visited.has(next)) {
+                    visited.add(next);
+                    queue.push(next);
+                }
+            });
+        }
+
+        return { edgeIds: [...edgeIds], nodeIds: [...visited] };
+    }
+
+    utilityIdsOf(edgeIds) {
+        return [...new Set(edgeIds.map(id => this.edges.get(id).utilityId))];
+    }
+
+    structureIdsOf(nodeIds) {
+        return [...new Set(nodeIds.flatMap(id => this.nodes.get(id).structureIds))];
+    }
+}
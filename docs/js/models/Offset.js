@@ -0,0 +1,101 @@
+/**
+ * Offset Module
+ * Points placed at an offset from the user's position, for utilities that
+ * can't be stood on (traffic, fences): a bearing and distance, or a
+ * distance to the left or right of the heading. Offsets are short, so the
+ * point is laid out on the local plane around the user.
+ */
+
+import { createLocalProjection } from '../utils/Geodesy.js';
+
+export const OFFSET_MODES = {
+    bearing: 'Bearing & distance',
+    lateral: 'Left / right of heading'
+};
+
+// Past this the heading and bearing errors dominate the position (m)
+export const MAX_OFFSET_DISTANCE = 100;
+
+/**
+ * Bearing of the offset in degrees clockwise from north
+ * @param {Object} offset
+ * @param {string} offset.mode 'bearing' or 'lateral'
+ * @param {number} [offset.bearing] Entered bearing (mode 'bearing')
+ * @param {string} [offset.side] 'left' or 'right' (mode 'lateral')
+ * @param {number|null} [offset.heading] Current heading (mode 'lateral')
+ * @returns {number|null} Null when the mode's input is missing
+ */
+export function getOffsetBearing({ mode, bearing, side, heading }) {
+    let value;
+
+    if (mode === 'lateral') {
+        if (typeof heading !== 'number' || !isFinite(heading)) return null;
+        value = heading + (side === 'left' ? -90 : 90);
+    } else {
+        if (typeof bearing !== 'number' || !isFinite(bearing)) return null;
+        value = bearing;
+    }
+
+    return ((value % 360) + 360) % 360;
+}
+
+/**
+ * Check an offset before placing a point with it
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateOffset(offset) {
+    if (!offset.origin) {
+        return 'No GPS position yet';
+    }
+    if (!(offset.distance > 0) || offset.distance > MAX_OFFSET_DISTANCE) {
+        return `Distance must be between 0 and ${MAX_OFFSET_DISTANCE} m`;
+    }
+    if (offset.mode === 'lateral' && getOffsetBearing(offset) === null) {
+        return 'No heading yet: turn on the compass or walk a few steps';
+    }
+    if (offset.mode !== 'lateral' && (getOffsetBearing(offset) === null || offset.bearing < 0 || offset.bearing > 360)) {
+        return 'Bearing must be between 0 and 360°';
+    }
+    return null;
+}
+
+/**
+ * Point at an offset from the origin
+ * @param {Array} origin [lat, lng]
+ * @param {number} bearing Degrees clockwise from north
+ * @param {number} distance Meters
+ * @returns {Array<number>} [lat, lng]
+ */
+export function offsetPoint(origin, bearing, distance) {
+    const direction = bearing * Math.PI / 180;
+    return createLocalProjection(origin).inverse([distance * Math.sin(direction), distance * Math.cos(direction)]);
+}
+
+/**
+ * Place a point from a valid offset (see validateOffset)
+ * @param {Object} offset { origin: [lat, lng], originAccuracy, mode,
+ *   bearing, side, heading, headingSource, distance }
+ * @returns {{position: Array<number>, statistics: Object}} The point and
+ *   what to store with it
+ */
+export function computeOffset(offset) {
+    const bearing = getOffsetBearing(offset);
+    const position = offsetPoint(offset.origin, bearing, offset.distance);
+    const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+    return {
+        position,
+        statistics: {
+            method: 'offset',
+            mode: offset.mode,
+            origin: offset.origin.map(value => round(value, 8)),
+            originAccuracy: typeof offset.originAccuracy === 'number' ? round(offset.originAccuracy, 1) : null,
+            bearing: round(bearing, 1), // degrees
+            distance: offset.distance, // meters
+            side: offset.mode === 'lateral' ? offset.side : null,
+            heading: offset.mode === 'lateral' ? round(offset.heading, 1) : null,
+            headingSource: offset.mode === 'lateral' ? offset.headingSource || null : null,
+            date: new Date().toISOString()
+        }
+    };
+}
@@ -0,0 +1,186 @@
+/**
+ * PointCapture Module
+ * Averaged position from GPS fixes collected while standing on a point
+ * (a valve lid, a line vertex). Fixes far from the robust center are
+ * rejected as outliers; the rest are averaged, weighted by their reported
+ * accuracy. The capture converges once the averaged position's estimated
+ * 95% error is within the target accuracy, or ends when time runs out.
+ */
+
+import { createLocalProjection } from '../utils/Geodesy.js';
+
+export const DEFAULT_CAPTURE_DURATION = 30; // seconds
+export const DEFAULT_CAPTURE_TARGET = 1; // meters, reached in ~25 s with ±5 m phone fixes
+
+// 95% radius of a 2D normal distribution in standard deviations
+const CONFIDENCE_95 = 2.4477;
+
+// Median distance from the center of a 2D normal distribution in standard deviations
+const MEDIAN_RADIUS = 1.1774;
+
+// Fixes further than this many robust standard deviations are outliers
+const OUTLIER_SIGMAS = 3;
+
+// Never reject fixes this close to the center (m), however tight the rest are
+const MIN_OUTLIER_DISTANCE = 0.5;
+
+// Fixes the device itself rates worse than this are ignored (m)
+const MAX_FIX_ACCURACY = 30;
+
+// Fixes needed before the capture can converge
+const MIN_SAMPLES = 5;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+export class PointCapture {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.duration] Longest capture (seconds)
+     * @param {number} [options.targetAccuracy] 95% error to stop at (meters)
+     */
+    constructor({ duration = DEFAULT_CAPTURE_DURATION, targetAccuracy = DEFAULT_CAPTURE_TARGET } = {}) {
+        this.duration = duration;
+        this.targetAccuracy = targetAccuracy;
+        this.fixes = [];
+        this.ignored = 0;
+        this.startTime = Date.now();
+        this.projection = null;
+    }
+
+    /**
+     * Add a raw GPS fix
+     * @param {GeolocationPosition} position
+     * @returns {boolean} Whether it was kept
+     */
+    addFix(position) {
+        const { latitude, longitude, accuracy } = position.coords;
+
+        if (!isFinite(latitude) || !isFinite(longitude) || !(accuracy <= MAX_FIX_ACCURACY)) {
+            this.ignored++;
+            return false;
+        }
+
+        // Phones hand out the same cached fix again; it adds no information
+        if (position.timestamp && this.fixes.some(fix => fix.time === position.timestamp)) {
+            this.ignored++;
+            return false;
+        }
+
+        if (!this.projection) {
+            this.projection = createLocalProjection([latitude, longitude]);
+        }
+
+        const [east, north] = this.projection.forward([latitude, longitude]);
+        this.fixes.push({ east, north, accuracy: Math.max(accuracy, 0.1), time: position.timestamp || Date.now() });
+
+        return true;
+    }
+
+    /**
+     * Seconds since the capture started
+     */
+    getElapsed(now = Date.now()) {
+        return (now - this.startTime) / 1000;
+    }
+
+    /**
+     * Whether the capture has converged or run out of time
+     */
+    isComplete(now = Date.now()) {
+        const result = this.getResult();
+        return (result && result.converged) || this.getElapsed(now) >= this.duration;
+    }
+
+    /**
+     * Current averaged position and statistics
+     * @returns {Object|null} { position: [lat, lng], samples, rejected,
+     *   stdDevEast, stdDevNorth, spread (DRMS of the kept fixes, m),
+     *   precision (estimated 95% error of the average, m), meanAccuracy,
+     *   converged, progress (0-1 towards the target) }. Null before the
+     *   first usable fix.
+     */
+    getResult() {
+        if (!this.fixes.length) return null;
+
+        // Robust center and scale: per-axis median, median distance from it
+        const center = [median(this.fixes.map(fix => fix.east)), median(this.fixes.map(fix => fix.north))];
+        const distances = this.fixes.map(fix => Math.hypot(fix.east - center[0], fix.north - center[1]));
+        const limit = Math.max(MIN_OUTLIER_DISTANCE, OUTLIER_SIGMAS * median(distances) / MEDIAN_RADIUS);
+        const kept = this.fixes.filter((fix, i) => distances[i] <= limit);
+
+        // Accuracy-weighted mean
+        let totalWeight = 0;
+        let east = 0;
+        let north = 0;
+        kept.forEach(fix => {
+            const weight = 1 / (fix.accuracy * fix.accuracy);
+            east += fix.east * weight;
+            north += fix.north * weight;
+            totalWeight += weight;
+        });
+        east /= totalWeight;
+        north /= totalWeight;
+
+        // Sample standard deviation per axis
+        const n = kept.length;
+        const variance = axis => (n > 1
+            ? kept.reduce((sum, fix) => sum + (fix[axis] - (axis === 'east' ? east : north)) ** 2, 0) / (n - 1)
+            : 0);
+        const stdDevEast = Math.sqrt(variance('east'));
+        const stdDevNorth = Math.sqrt(variance('north'));
+        const spread = Math.hypot(stdDevEast, stdDevNorth);
+        const meanAccuracy = kept.reduce((sum, fix) => sum + fix.accuracy, 0) / n;
+
+        // Standard error of the mean, treating fixes as independent; with
+        // too few fixes fall back on what the device reports. Fixes that
+        // agree suspiciously well can't make the average better than the
+        // device's own 95% accuracy averaged over n fixes.
+        const precision = n >= MIN_SAMPLES
+            ? Math.max(CONFIDENCE_95 * (spread / Math.SQRT2) / Math.sqrt(n), meanAccuracy / Math.sqrt(n))
+            : meanAccuracy;
+        const converged = n >= MIN_SAMPLES && precision <= this.targetAccuracy;
+
+        return {
+            position: this.projection.inverse([east, north]),
+            samples: n,
+            rejected: this.fixes.length - n + this.ignored,
+            stdDevEast,
+            stdDevNorth,
+            spread,
+            precision,
+            meanAccuracy,
+            converged,
+            progress: converged ? 1 : Math.min(1, this.targetAccuracy / precision, n / MIN_SAMPLES)
+        };
+    }
+
+    /**
+     * Statistics to store on the captured structure or vertex
+     * @returns {Object|null}
+     */
+    getStatistics() {
+        const result = this.getResult();
+        if (!result) return null;
+
+        const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+        return {
+            method: 'averaged',
+            samples: result.samples,
+            rejected: result.rejected,
+            duration: round(this.getElapsed(), 1), // seconds
+            stdDevEast: round(result.stdDevEast), // meters
+            stdDevNorth: round(result.stdDevNorth),
+            spread: round(result.spread), // DRMS, meters
+            precision: round(result.precision), // 95%, meters
+            meanAccuracy: round(result.meanAccuracy, 1),
+            targetAccuracy: this.targetAccuracy,
+            converged: result.converged,
+            date: new Date().toISOString()
+        };
+    }
+}
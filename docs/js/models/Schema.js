@@ -0,0 +1,404 @@
+/**
+ * Schema Module
+ * Canonical record shapes, version migrations and normalization for
+ * everything the DataStore loads or imports
+ */
+
+// Current data schema version - bump when adding a migration below
+export const SCHEMA_VERSION = '2.0';
+
+// Version assumed for data saved before exports were versioned
+const LEGACY_VERSION = '1.0';
+
+export const UTILITY_TYPES = ['water', 'gas', 'electric', 'sewer', 'telecom'];
+export const LINE_TYPES = ['main', 'service'];
+
+// Structure types and the utility each one belongs to in the Add Structure modal
+export const STRUCTURE_UTILITY_TYPES = {
+    valve: 'water',
+    meter: 'water',
+    hydrant: 'water',
+    regulator: 'gas',
+    transformer: 'electric',
+    junction: 'electric',
+    manhole: 'sewer',
+    catchbasin: 'sewer',
+    handhole: 'telecom'
+};
+export const STRUCTURE_TYPES = Object.keys(STRUCTURE_UTILITY_TYPES);
+
+/**
+ * Canonical shape of each record type. Coordinates are always stored as
+ * [lat, lng] arrays; utilities hold an array of them.
+ *
+ * Optional: a structure placed by averaged or offset capture has `capture`
+ * (see PointCapture.getStatistics and Offset.computeOffset, told apart by
+ * `method`); a utility with captured vertices has `captures`, the same
+ * statistics plus the `vertex` index they belong to.
+ * A utility traced with GPS has `trace` (see LineTrace.getStatistics).
+ */
+export const RECORD_SCHEMAS = {
+    utility: {
+        required: ['id', 'type', 'lineType', 'coordinates'],
+        defaults: {
+            lineType: 'service',
+            size: 0,
+            depth: 0,
+            material: 'Unknown',
+            condition: 'Unknown',
+            notes: '',
+            connections: []
+        }
+    },
+    structure: {
+        required: ['id', 'structureType', 'utilityType', 'coordinates'],
+        defaults: {
+            size: 0,
+            depth: 0,
+            material: 'Unknown',
+            condition: 'Unknown',
+            notes: '',
+            connections: []
+        }
+    },
+    annotation: {
+        required: ['id', 'text', 'coordinates'],
+        defaults: {
+            text: ''
+        }
+    },
+    measurement: {
+        required: ['id', 'coordinates'],
+        defaults: {}
+    }
+};
+
+/**
+ * Migrations keyed by the version they upgrade FROM. Each one receives the
+ * raw data object and must return data stamped with the next version.
+ */
+const MIGRATIONS = {
+    // 1.0 -> 2.0: unify points/latlng -> coordinates and date/createdAt -> dateAdded
+    '1.0': (data) => {
+        return {
+            ...normalizeData(data),
+            version: '2.0'
+        };
+    }
+};
+
+/**
+ * Convert any supported point representation to a [lat, lng] array
+ * @param {Array|Object} point [lat, lng], {lat, lng}, {latitude, longitude} or L.LatLng
+ * @returns {Array|null} [lat, lng] or null if the point is invalid
+ */
+export function toLatLngArray(point) {
+    if (!point) return null;
+
+    let lat;
+    let lng;
+
+    if (Array.isArray(point)) {
+        [lat, lng] = point;
+    } else if (typeof point === 'object') {
+        lat = point.lat !== undefined ? point.lat : point.latitude;
+        lng = point.lng !== undefined ? point.lng : (point.lon !== undefined ? point.lon : point.longitude);
+    }
+
+    lat = parseFloat(lat);
+    lng = parseFloat(lng);
+
+    if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return null;
+    }
+
+    return [lat, lng];
+}
+
+/**
+ * Apply schema defaults for missing fields
+ */
+function applyDefaults(record, kind) {
+    const defaults = RECORD_SCHEMAS[kind].defaults;
+
+    for (const key in defaults) {
+        if (record[key] === undefined || record[key] === null) {
+            record[key] = Array.isArray(defaults[key]) ? [] : defaults[key];
+        }
+    }
+
+    return record;
+}
+
+/**
+ * Move a legacy date field to dateAdded. Records that have never been
+ * edited have dateModified === dateAdded.
+ */
+function normalizeDate(record) {
+    if (!record.dateAdded) {
+        record.dateAdded = record.date || record.createdAt || new Date().toISOString();
+    }
+    if (!record.dateModified) {
+        record.dateModified = record.dateAdded;
+    }
+    delete record.date;
+    delete record.createdAt;
+}
+
+/**
+ * Parse numeric attributes that may have been saved as strings
+ */
+function normalizeNumbers(record) {
+    ['size', 'depth'].forEach(key => {
+        if (record[key] !== undefined && record[key] !== null && record[key] !== '') {
+            const value = parseFloat(record[key]);
+            record[key] = isFinite(value) ? value : 0;
+        }
+    });
+}
+
+/**
+ * Normalize connection entries (points may be L.LatLng objects)
+ */
+function normalizeConnections(record) {
+    if (!Array.isArray(record.connections)) {
+        record.connections = [];
+        return;
+    }
+
+    record.connections.forEach(connection => {
+        if (connection && connection.point) {
+            connection.point = toLatLngArray(connection.point) || connection.point;
+        }
+    });
+}
+
+/**
+ * Normalize a utility line record in place
+ * @param {Object} utility The record
+ * @param {string} [bucketType] The utility type bucket it was stored under
+ * @returns {Object} The same record, in canonical form
+ */
+export function normalizeUtility(utility, bucketType) {
+    if (!utility.type && bucketType) {
+        utility.type = bucketType;
+    }
+
+    const rawPoints = utility.coordinates || utility.points || utility.latlngs || [];
+    utility.coordinates = (Array.isArray(rawPoints) ? rawPoints : [])
+        .map(toLatLngArray)
+        .filter(Boolean);
+    delete utility.points;
+    delete utility.latlngs;
+
+    if (!LINE_TYPES.includes(utility.lineType)) {
+        utility.lineType = RECORD_SCHEMAS.utility.defaults.lineType;
+    }
+
+    normalizeDate(utility);
+    normalizeNumbers(utility);
+    normalizeConnections(utility);
+
+    return applyDefaults(utility, 'utility');
+}
+
+/**
+ * Normalize a structure record in place
+ * @param {Object} structure The record
+ * @param {string} [bucketType] The utility type bucket it was stored under
+ * @returns {Object} The same record, in canonical form
+ */
+export function normalizeStructure(structure, bucketType) {
+    // Older records used `type` for either the utility type or the structure kind
+    if (!structure.utilityType) {
+        structure.utilityType = UTILITY_TYPES.includes(structure.type) ? structure.type : bucketType;
+    }
+    if (!structure.structureType && structure.type && !UTILITY_TYPES.includes(structure.type)) {
+        structure.structureType = structure.type;
+    }
+
+    const rawPoint = structure.coordinates || structure.latlng || structure.location;
+    structure.coordinates = toLatLngArray(rawPoint);
+    delete structure.latlng;
+    delete structure.location;
+
+    normalizeDate(structure);
+    normalizeNumbers(structure);
+    normalizeConnections(structure);
+
+    return applyDefaults(structure, 'structure');
+}
+
+/**
+ * Normalize an annotation record in place
+ * @param {Object} annotation The record
+ * @returns {Object} The same record, in canonical form
+ */
+export function normalizeAnnotation(annotation) {
+    annotation.coordinates = toLatLngArray(annotation.coordinates || annotation.latlng);
+    delete annotation.latlng;
+
+    normalizeDate(annotation);
+
+    return applyDefaults(annotation, 'annotation');
+}
+
+/**
+ * Normalize a measurement record in place
+ * @param {Object} measurement The record
+ * @returns {Object} The same record, in canonical form
+ */
+export function normalizeMeasurement(measurement) {
+    const rawPoints = measurement.coordinates || measurement.points || [];
+    measurement.coordinates = (Array.isArray(rawPoints) ? rawPoints : [])
+        .map(toLatLngArray)
+        .filter(Boolean);
+    delete measurement.points;
+
+    normalizeDate(measurement);
+
+    return applyDefaults(measurement, 'measurement');
+}
+
+/**
+ * Check a normalized record against its schema
+ * @param {string} kind 'utility', 'structure', 'annotation' or 'measurement'
+ * @param {Object} record The normalized record
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export function validateRecord(kind, record) {
+    const errors = [];
+    const schema = RECORD_SCHEMAS[kind];
+
+    schema.required.forEach(key => {
+        if (record[key] === undefined || record[key] === null || record[key] === '') {
+            errors.push(`missing ${key}`);
+        }
+    });
+
+    if (kind === 'utility') {
+        if (!UTILITY_TYPES.includes(record.type)) {
+            errors.push(`invalid utility type "${record.type}"`);
+        }
+        if (!Array.isArray(record.coordinates) || record.coordinates.length < 2) {
+            errors.push('a line needs at least 2 valid points');
+        }
+    } else if (kind === 'structure') {
+        if (!UTILITY_TYPES.includes(record.utilityType)) {
+            errors.push(`invalid utility type "${record.utilityType}"`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Collect records from either a { type: [records] } map or a flat array
+ */
+function collectGrouped(collection) {
+    const entries = [];
+
+    if (Array.isArray(collection)) {
+        collection.forEach(record => entries.push([undefined, record]));
+    } else if (collection && typeof collection === 'object') {
+        for (const type in collection) {
+            (collection[type] || []).forEach(record => entries.push([type, record]));
+        }
+    }
+
+    return entries.filter(([, record]) => record && typeof record === 'object');
+}
+
+/**
+ * Create empty { type: [] } buckets
+ */
+export function createEmptyBuckets() {
+    const buckets = {};
+    UTILITY_TYPES.forEach(type => {
+        buckets[type] = [];
+    });
+    return buckets;
+}
+
+/**
+ * Normalize a whole data object. Records are placed in the bucket matching
+ * their own type, so records saved under the wrong key are re-homed.
+ * Structures and annotations without a usable position are dropped (and
+ * logged): everything that shows or exports them needs one.
+ * @param {Object} data Raw data ({ utilities, structures, annotations, measurements })
+ * @returns {Object} Normalized data
+ */
+export function normalizeData(data) {
+    const utilities = createEmptyBuckets();
+    const structures = createEmptyBuckets();
+    const dropped = [];
+
+    collectGrouped(data.utilities).forEach(([bucketType, record]) => {
+        const utility = normalizeUtility(record, bucketType);
+        if (!utilities[utility.type]) {
+            utilities[utility.type] = [];
+        }
+        utilities[utility.type].push(utility);
+    });
+
+    collectGrouped(data.structures).forEach(([bucketType, record]) => {
+        const structure = normalizeStructure(record, bucketType);
+        if (!structure.coordinates) {
+            dropped.push(`structure ${structure.id}`);
+            return;
+        }
+        if (!structures[structure.utilityType]) {
+            structures[structure.utilityType] = [];
+        }
+        structures[structure.utilityType].push(structure);
+    });
+
+    const annotations = (data.annotations || []).filter(Boolean).map(normalizeAnnotation).filter(annotation => {
+        if (annotation.coordinates) return true;
+        dropped.push(`annotation ${annotation.id}`);
+        return false;
+    });
+
+    if (dropped.length) {
+        console.warn(`Dropped ${dropped.length} record(s) without a position:`, dropped);
+    }
+
+    return {
+        ...data,
+        utilities,
+        structures,
+        annotations,
+        measurements: (data.measurements || []).filter(Boolean).map(normalizeMeasurement)
+    };
+}
+
+/**
+ * Run every migration needed to bring data up to SCHEMA_VERSION, then
+ * normalize it. Safe to call on data that is already current.
+ * @param {Object} data Raw loaded or imported data
+ * @returns {Object} Data at SCHEMA_VERSION
+ */
+export function migrateData(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Invalid data format');
+    }
+
+    let migrated = { ...data };
+    let version = String(migrated.version || LEGACY_VERSION);
+
+    while (version !== SCHEMA_VERSION) {
+        const migration = MIGRATIONS[version];
+        if (!migration) {
+            throw new Error(`Unsupported data version ${version}`);
+        }
+
+        migrated = migration(migrated);
+        version = String(migrated.version);
+    }
+
+    // Always normalize so hand-edited or partially migrated records are fixed up
+    return {
+        ...normalizeData(migrated),
+        version: SCHEMA_VERSION
+    };
+}
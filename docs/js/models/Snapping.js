@@ -0,0 +1,98 @@
+/**
+ * Snapping Module
+ * Snapping for drawn points: a tap near an existing line end, vertex,
+ * structure or line is moved exactly onto it, so lines drawn to meet
+ * really do meet. The tolerance is set both on screen (pixels) and on the
+ * ground (meters); a snap has to be within both.
+ */
+
+import { closestPointOnLine, geodesicDistance } from '../utils/Geodesy.js';
+
+// What can be snapped to, most preferred first when several are in range
+export const SNAP_TARGETS = ['endpoint', 'vertex', 'structure', 'segment'];
+
+export const SNAP_TARGET_LABELS = {
+    endpoint: 'Line ends',
+    vertex: 'Vertices',
+    structure: 'Structures',
+    segment: 'Along lines'
+};
+
+export const DEFAULT_SNAP_SETTINGS = {
+    enabled: true,
+    tolerancePixels: 20, // Feels the same at any zoom
+    toleranceMeters: 3, // Keeps a zoomed-out tap from jumping across the street
+    targets: { endpoint: true, vertex: true, structure: true, segment: true }
+};
+
+/**
+ * Saved snap settings over the defaults, dropping invalid values
+ * @param {Object} [saved]
+ * @returns {Object} Settings shaped like DEFAULT_SNAP_SETTINGS
+ */
+export function normalizeSnapSettings(saved) {
+    const settings = {
+        ...DEFAULT_SNAP_SETTINGS,
+        targets: { ...DEFAULT_SNAP_SETTINGS.targets }
+    };
+    if (!saved || typeof saved !== 'object') return settings;
+
+    if (typeof saved.enabled === 'boolean') settings.enabled = saved.enabled;
+    if (saved.tolerancePixels > 0) settings.tolerancePixels = saved.tolerancePixels;
+    if (saved.toleranceMeters > 0) settings.toleranceMeters = saved.toleranceMeters;
+    SNAP_TARGETS.forEach(target => {
+        if (typeof saved.targets?.[target] === 'boolean') settings.targets[target] = saved.targets[target];
+    });
+
+    return settings;
+}
+
+/**
+ * Best place to snap a point to
+ * @param {Array|Object} point [lat, lng] or {lat, lng}
+ * @param {Object} candidates { utilities, structures } near the point
+ * @param {Object} options { tolerance (m), targets: { endpoint, vertex,
+ *   structure, segment } }
+ * @returns {Object|null} { kind, point: [lat, lng], distance (m), and
+ *   utility, vertex (index, not for segments) and station (m along the
+ *   line) for lines, or structure }
+ */
+export function findSnap(point, { utilities = [], structures = [] }, { tolerance, targets }) {
+    const found = [];
+
+    utilities.forEach(utility => {
+        const coordinates = utility.coordinates || [];
+        let station = 0;
+
+        coordinates.forEach((vertex, i) => {
+            if (i > 0) station += geodesicDistance(coordinates[i - 1], vertex);
+
+            const kind = i === 0 || i === coordinates.length - 1 ? 'endpoint' : 'vertex';
+            if (!targets[kind]) return;
+
+            const distance = geodesicDistance(point, vertex);
+            if (distance <= tolerance) {
+                found.push({ kind, point: [vertex[0], vertex[1]], distance, utility, vertex: i, station });
+            }
+        });
+
+        if (targets.segment && coordinates.length >= 2) {
+            const closest = closestPointOnLine(point, coordinates);
+            if (closest.distance <= tolerance) {
+                found.push({ kind: 'segment', point: closest.point, distance: closest.distance, utility, station: closest.station });
+            }
+        }
+    });
+
+    if (targets.structure) {
+        structures.forEach(structure => {
+            const distance = geodesicDistance(point, structure.coordinates);
+            if (distance <= tolerance) {
+                found.push({ kind: 'structure', point: [structure.coordinates[0], structure.coordinates[1]], distance, structure });
+            }
+        });
+    }
+
+    found.sort((a, b) => SNAP_TARGETS.indexOf(a.kind) - SNAP_TARGETS.indexOf(b.kind) || a.distance - b.distance);
+    return found[0] || null;
+}
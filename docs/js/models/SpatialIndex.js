@@ -0,0 +1,113 @@
+/**
+ * SpatialIndex Module
+ * R-trees of utility line and structure bounds, kept in step with the
+ * DataStore, so proximity checks and map lookups only look at records near
+ * a point instead of every record in the job.
+ */
+
+import { RTree } from '../utils/RTree.js';
+import { createLocalProjection } from '../utils/Geodesy.js';
+import { listRecords } from './Merge.js';
+
+// Collections that have geometry
+const INDEXED_COLLECTIONS = ['utilities', 'structures'];
+
+// Widen query boxes slightly so the local-plane conversion can't clip them
+const QUERY_MARGIN = 1.1;
+
+/**
+ * Bounding box of a record in degrees (x = longitude, y = latitude)
+ * @param {string} collection 'utilities' or 'structures'
+ * @param {Object} record
+ * @returns {Object|null} Null when the record has no usable coordinates
+ */
+function getRecordBounds(collection, record) {
+    if (!record || !Array.isArray(record.coordinates)) return null;
+
+    const points = collection === 'structures' ? [record.coordinates] : record.coordinates;
+    const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+    points.forEach(point => {
+        if (!Array.isArray(point) || !isFinite(point[0]) || !isFinite(point[1])) return;
+        box.minX = Math.min(box.minX, point[1]);
+        box.minY = Math.min(box.minY, point[0]);
+        box.maxX = Math.max(box.maxX, point[1]);
+        box.maxY = Math.max(box.maxY, point[0]);
+    });
+
+    return isFinite(box.minX) ? box : null;
+}
+
+export class SpatialIndex {
+    constructor() {
+        this.trees = {};
+        INDEXED_COLLECTIONS.forEach(collection => {
+            this.trees[collection] = new RTree();
+        });
+    }
+
+    /**
+     * Index every record from scratch
+     * @param {Object} data Collections to index (the DataStore)
+     */
+    rebuild(data) {
+        INDEXED_COLLECTIONS.forEach(collection => {
+            const items = [];
+
+            listRecords(data, collection).forEach(record => {
+                const box = getRecordBounds(collection, record);
+                if (box) items.push({ key: record.id, box });
+            });
+
+            this.trees[collection].load(items);
+        });
+    }
+
+    /**
+     * Index a record's current geometry, replacing any earlier entry
+     * @param {string} collection
+     * @param {Object} record
+     */
+    update(collection, record) {
+        const tree = this.trees[collection];
+        if (!tree || !record) return;
+
+        const box = getRecordBounds(collection, record);
+        if (box) {
+            tree.insert(record.id, box);
+        } else {
+            tree.remove(record.id);
+        }
+    }
+
+    /**
+     * Drop a record from the index
+     * @param {string} collection
+     * @param {string} id
+     */
+    remove(collection, id) {
+        if (this.trees[collection]) {
+            this.trees[collection].remove(id);
+        }
+    }
+
+    /**
+     * Ids of records whose bounds come within a distance of a point. This
+     * is a coarse filter: callers still measure the true distance.
+     * @param {string} collection 'utilities' or 'structures'
+     * @param {Array|Object} center [lat, lng] or {lat, lng}
+     * @param {number} radius Meters
+     * @returns {Array<string>}
+     */
+    search(collection, center, radius) {
+        const tree = this.trees[collection];
+        if (!tree) return [];
+
+        const projection = createLocalProjection(center);
+        const reach = Math.max(0, radius) * QUERY_MARGIN;
+        const [minY, minX] = projection.inverse([-reach, -reach]);
+        const [maxY, maxX] = projection.inverse([reach, reach]);
+
+        return tree.search({ minX, minY, maxX, maxY });
+    }
+}
@@ -0,0 +1,461 @@
+/**
+ * TopologyValidator Module
+ * Quality checks on the mapped network: services that never reached a main,
+ * connections to records that no longer exist, lines drawn twice, lines
+ * that cross themselves, repeated vertices and structures far from any line
+ * of their network. Each issue says where to look and, where one is safe,
+ * carries a fix for the controller to apply.
+ */
+
+import { closestPointOnLine, createLocalProjection } from '../utils/Geodesy.js';
+
+export const ISSUE_TYPES = {
+    'disconnected-service': { label: 'Service not connected to a main', severity: 'error' },
+    'missing-target': { label: 'Connection to a missing record', severity: 'error' },
+    'duplicate-line': { label: 'Duplicate line', severity: 'error' },
+    'self-intersection': { label: 'Line crosses itself', severity: 'warning' },
+    'zero-length-segment': { label: 'Zero-length segment', severity: 'warning' },
+    'isolated-structure': { label: 'Structure far from any line', severity: 'warning' }
+};
+
+export const DEFAULT_VALIDATION_OPTIONS = {
+    connectDistance: 3, // m a service end may be from a main and still be connected by the fix
+    duplicateTolerance: 0.5, // m between lines that count as drawn twice
+    zeroLength: 0.01, // m below which a segment has no length
+    structureDistance: 5, // m from the nearest line before a structure is flagged
+    structureSnapDistance: 25 // m within which the fix moves a structure onto its line
+};
+
+/**
+ * Planar geometry of a line in the shared projection
+ */
+function projectLine(utility, projection) {
+    const points = utility.coordinates.map(point => projection.forward(point));
+    return {
+        utility,
+        points,
+        box: {
+            minX: Math.min(...points.map(point => point[0])),
+            minY: Math.min(...points.map(point => point[1])),
+            maxX: Math.max(...points.map(point => point[0])),
+            maxY: Math.max(...points.map(point => point[1]))
+        }
+    };
+}
+
+function boxesOverlap(a, b, margin) {
+    return a.minX - margin <= b.maxX && b.minX - margin <= a.maxX &&
+        a.minY - margin <= b.maxY && b.minY - margin <= a.maxY;
+}
+
+/**
+ * Planar distance from a point to a polyline
+ */
+function distanceToPolyline([px, py], points) {
+    let best = Infinity;
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const [ax, ay] = points[i];
+        const dx = points[i + 1][0] - ax;
+        const dy = points[i + 1][1] - ay;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+        best = Math.min(best, Math.hypot(px - ax - dx * t, py - ay - dy * t));
+    }
+
+    return best;
+}
+
+function polylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    }
+    return length;
+}
+
+/**
+ * Where segments a-b and c-d cross, as the fraction along a-b, or null.
+ * Segments that overlap along a line cross at the start of the overlap.
+ */
+function segmentCrossing(a, b, c, d) {
+    const rx = b[0] - a[0];
+    const ry = b[1] - a[1];
+    const sx = d[0] - c[0];
+    const sy = d[1] - c[1];
+    const denominator = rx * sy - ry * sx;
+    const qx = c[0] - a[0];
+    const qy = c[1] - a[1];
+
+    if (Math.abs(denominator) < 1e-12) {
+        // Parallel: only collinear overlaps cross
+        if (Math.abs(qx * ry - qy * rx) > 1e-9) return null;
+        const lengthSq = rx * rx + ry * ry;
+        if (!(lengthSq > 0)) return null;
+
+        const t0 = (qx * rx + qy * ry) / lengthSq;
+        const t1 = t0 + (sx * rx + sy * ry) / lengthSq;
+        const start = Math.max(0, Math.min(t0, t1));
+        return start <= Math.min(1, Math.max(t0, t1)) ? start : null;
+    }
+
+    const t = (qx * sy - qy * sx) / denominator;
+    const u = (qx * ry - qy * rx) / denominator;
+    return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+/**
+ * Check the network
+ * @param {Array<Object>} utilities Utility records
+ * @param {Array<Object>} structures Structure records
+ * @param {Object} [options] Overrides of DEFAULT_VALIDATION_OPTIONS
+ * @returns {Array<Object>} Issues, errors first: { id, type, severity,
+ *   collection, recordId, message, points: [[lat, lng], ...] to zoom to,
+ *   fix: { action, label, ... } or null }
+ */
+export function validateTopology(utilities, structures, options = {}) {
+    const settings = { ...DEFAULT_VALIDATION_OPTIONS, ...options };
+    const lines = utilities.filter(utility => Array.isArray(utility.coordinates) && utility.coordinates.length >= 2);
+    const points = structures.filter(structure => Array.isArray(structure.coordinates));
+
+    const origin = lines.length ? lines[0].coordinates[0] : points[0]?.coordinates;
+    if (!origin) return [];
+
+    const projection = createLocalProjection(origin);
+    const projected = lines.map(utility => projectLine(utility, projection));
+
+    const issues = [
+        ...findDisconnectedServices(projected, settings),
+        ...findMissingTargets(utilities, structures),
+        ...findDuplicateLines(projected, settings),
+        ...findSelfIntersections(projected, projection, settings),
+        ...findZeroLengthSegments(projected, settings),
+        ...findIsolatedStructures(points, projected, projection, settings)
+    ];
+
+    const order = Object.keys(ISSUE_TYPES);
+    return issues.sort((a, b) =>
+        (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1) ||
+        order.indexOf(a.type) - order.indexOf(b.type));
+}
+
+function createIssue(type, fields) {
+    return {
+        type,
+        severity: ISSUE_TYPES[type].severity,
+        fix: null,
+        ...fields
+    };
+}
+
+/**
+ * Services without a recorded connection to a main of their own type. The
+ * fix moves the nearer end onto a main within connectDistance and records
+ * the connection on both lines.
+ */
+function findDisconnectedServices(projected, settings) {
+    const byId = new Map(projected.map(line => [line.utility.id, line.utility]));
+    const issues = [];
+
+    projected.filter(line => line.utility.lineType === 'service').forEach(line => {
+        const service = line.utility;
+        const connected = (service.connections || []).some(connection => {
+            const target = byId.get(connection.targetId);
+            return target && target.lineType === 'main' && target.type === service.type;
+        });
+        if (connected) return;
+
+        const ends = [0, service.coordinates.length - 1];
+        let nearest = null;
+        projected
+            .filter(main => main.utility.lineType === 'main' && main.utility.type === service.type &&
+                boxesOverlap(main.box, line.box, settings.connectDistance))
+            .forEach(main => {
+                ends.forEach(vertex => {
+                    const distance = distanceToPolyline(line.points[vertex], main.points);
+                    if (!nearest || distance < nearest.distance) {
+                        nearest = { main: main.utility, vertex, distance };
+                    }
+                });
+            });
+
+        const issue = createIssue('disconnected-service', {
+            id: `disconnected-service:${service.id}`,
+            collection: 'utilities',
+            recordId: service.id,
+            message: `${service.type} service is not connected to a ${service.type} main`,
+            points: service.coordinates
+        });
+
+        if (nearest && nearest.distance <= settings.connectDistance) {
+            const closest = closestPointOnLine(service.coordinates[nearest.vertex], nearest.main.coordinates);
+            issue.message = `${service.type} service ends ${nearest.distance.toFixed(1)} m from a main without connecting`;
+            issue.points = [...service.coordinates, closest.point];
+            issue.fix = {
+                action: 'connect',
+                label: 'Connect to main',
+                serviceId: service.id,
+                mainId: nearest.main.id,
+                vertex: nearest.vertex,
+                point: closest.point,
+                station: Math.round(closest.station * 100) / 100
+            };
+        }
+
+        issues.push(issue);
+    });
+
+    return issues;
+}
+
+/**
+ * Connections whose targetId is no longer a utility or structure
+ */
+function findMissingTargets(utilities, structures) {
+    const ids = new Set([...utilities, ...structures].map(record => record.id));
+    const issues = [];
+
+    [['utilities', utilities], ['structures', structures]].forEach(([collection, records]) => {
+        records.forEach(record => {
+            (record.connections || []).forEach(connection => {
+                if (!connection || ids.has(connection.targetId)) return;
+
+                const point = connection.point || (collection === 'utilities' ? record.coordinates[0] : record.coordinates);
+                issues.push(createIssue('missing-target', {
+                    id: `missing-target:${record.id}:${connection.targetId}`,
+                    collection,
+                    recordId: record.id,
+                    message: `Connection to ${connection.targetId || 'an unnamed record'}, which no longer exists`,
+                    points: point ? [point] : [],
+                    fix: {
+                        action: 'remove-connection',
+                        label: 'Remove connection',
+                        collection,
+                        recordId: record.id,
+                        targetId: connection.targetId
+                    }
+                }));
+            });
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * Lines of one type that lie along another within duplicateTolerance, over
+ * their whole length. The fix deletes the shorter one (the newer one when
+ * they match) and moves its connections to the line that is kept.
+ */
+function findDuplicateLines(projected, settings) {
+    const issues = [];
+    const tolerance = settings.duplicateTolerance;
+
+    // Vertices and segment midpoints of a line all lie on the other
+    const liesAlong = (line, other) => line.points.every((point, i) => {
+        if (distanceToPolyline(point, other.points) > tolerance) return false;
+        if (i === 0) return true;
+        const previous = line.points[i - 1];
+        return distanceToPolyline([(point[0] + previous[0]) / 2, (point[1] + previous[1]) / 2], other.points) <= tolerance;
+    });
+
+    for (let i = 0; i < projected.length; i++) {
+        for (let j = i + 1; j < projected.length; j++) {
+            const a = projected[i];
+            const b = projected[j];
+            if (a.utility.type !== b.utility.type || !boxesOverlap(a.box, b.box, tolerance)) continue;
+
+            const lengthA = polylineLength(a.points);
+            const lengthB = polylineLength(b.points);
+            if (lengthA <= tolerance || lengthB <= tolerance) continue;
+
+            let [duplicate, kept] = lengthA < lengthB ? [a, b] : [b, a];
+            if (Math.abs(lengthA - lengthB) <= tolerance &&
+                (a.utility.dateAdded || '') > (b.utility.dateAdded || '')) {
+                [duplicate, kept] = [a, b];
+            }
+            if (!liesAlong(duplicate, kept)) continue;
+
+            issues.push(createIssue('duplicate-line', {
+                id: `duplicate-line:${duplicate.utility.id}:${kept.utility.id}`,
+                collection: 'utilities',
+                recordId: duplicate.utility.id,
+                message: `${duplicate.utility.type} ${duplicate.utility.lineType} lies along ${kept.utility.id}`,
+                points: duplicate.utility.coordinates,
+                fix: {
+                    action: 'delete-line',
+                    label: 'Delete duplicate',
+                    utilityId: duplicate.utility.id,
+                    keepId: kept.utility.id
+                }
+            }));
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Lines that cross or double back over themselves. The fix cuts out the
+ * loop between the two crossing segments.
+ */
+function findSelfIntersections(projected, projection, settings) {
+    const issues = [];
+
+    projected.forEach(line => {
+        const { points, utility } = line;
+        const closed = points.length > 3 &&
+            Math.hypot(points[0][0] - points[points.length - 1][0], points[0][1] - points[points.length - 1][1]) < 1e-6;
+
+        // Repeated vertices are a zero-length-segment issue; skipped here, the
+        // segments either side of them meet end to end rather than cross
+        const segments = [];
+        for (let k = 0; k < points.length - 1; k++) {
+            if (Math.hypot(points[k + 1][0] - points[k][0], points[k + 1][1] - points[k][1]) >= settings.zeroLength) {
+                segments.push(k);
+            }
+        }
+
+        for (let a = 0; a < segments.length; a++) {
+            for (let b = a + 2; b < segments.length; b++) {
+                if (closed && a === 0 && b === segments.length - 1) continue;
+                const i = segments[a];
+                const j = segments[b];
+
+                const t = segmentCrossing(points[i], points[i + 1], points[j], points[j + 1]);
+                if (t === null) continue;
+
+                const crossing = projection.inverse([
+                    points[i][0] + (points[i + 1][0] - points[i][0]) * t,
+                    points[i][1] + (points[i + 1][1] - points[i][1]) * t
+                ]);
+
+                // Keep vertices up to i, the crossing, then from j + 1 on
+                const vertexMap = utility.coordinates.map((point, k) => {
+                    if (k <= i) return k;
+                    if (k <= j) return -1;
+                    return k - j + i + 1;
+                });
+
+                issues.push(createIssue('self-intersection', {
+                    id: `self-intersection:${utility.id}:${i}:${j}`,
+                    collection: 'utilities',
+                    recordId: utility.id,
+                    message: `${utility.type} ${utility.lineType} crosses itself between vertices ${i + 1} and ${j + 2}`,
+                    points: [crossing],
+                    fix: {
+                        action: 'set-coordinates',
+                        label: 'Remove loop',
+                        utilityId: utility.id,
+                        coordinates: [
+                            ...utility.coordinates.slice(0, i + 1),
+                            crossing,
+                            ...utility.coordinates.slice(j + 1)
+                        ],
+                        vertexMap
+                    }
+                }));
+            }
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Consecutive vertices at the same spot. The fix drops the repeats, or
+ * deletes a line that has no length at all.
+ */
+function findZeroLengthSegments(projected, settings) {
+    const issues = [];
+
+    projected.forEach(({ utility, points }) => {
+        const vertexMap = [0];
+        const kept = [0];
+        for (let i = 1; i < points.length; i++) {
+            const last = points[kept[kept.length - 1]];
+            if (Math.hypot(points[i][0] - last[0], points[i][1] - last[1]) < settings.zeroLength) {
+                vertexMap.push(kept.length - 1); // Same spot as the vertex kept
+            } else {
+                vertexMap.push(kept.length);
+                kept.push(i);
+            }
+        }
+
+        const repeats = points.length - kept.length;
+        if (!repeats) return;
+
+        const issue = createIssue('zero-length-segment', {
+            id: `zero-length-segment:${utility.id}`,
+            collection: 'utilities',
+            recordId: utility.id,
+            message: `${utility.type} ${utility.lineType} has ${repeats} repeated vertex${repeats === 1 ? '' : 'es'}`,
+            points: utility.coordinates
+        });
+
+        if (kept.length >= 2) {
+            issue.fix = {
+                action: 'set-coordinates',
+                label: 'Remove repeats',
+                utilityId: utility.id,
+                coordinates: kept.map(i => utility.coordinates[i]),
+                vertexMap
+            };
+        } else {
+            issue.message = `${utility.type} ${utility.lineType} has no length`;
+            issue.fix = { action: 'delete-line', label: 'Delete line', utilityId: utility.id, keepId: null };
+        }
+
+        issues.push(issue);
+    });
+
+    return issues;
+}
+
+/**
+ * Structures more than structureDistance from every line of their
+ * utilityType. The fix moves one onto a line within structureSnapDistance.
+ */
+function findIsolatedStructures(structures, projected, projection, settings) {
+    const issues = [];
+
+    structures.forEach(structure => {
+        const point = projection.forward(structure.coordinates);
+        let nearest = null;
+        projected
+            .filter(line => line.utility.type === structure.utilityType)
+            .forEach(line => {
+                const distance = distanceToPolyline(point, line.points);
+                if (!nearest || distance < nearest.distance) {
+                    nearest = { utility: line.utility, distance };
+                }
+            });
+
+        if (nearest && nearest.distance <= settings.structureDistance) return;
+
+        const issue = createIssue('isolated-structure', {
+            id: `isolated-structure:${structure.id}`,
+            collection: 'structures',
+            recordId: structure.id,
+            message: nearest
+                ? `${structure.structureType} is ${Math.round(nearest.distance)} m from the nearest ${structure.utilityType} line`
+                : `${structure.structureType} has no ${structure.utilityType} lines mapped`,
+            points: [structure.coordinates]
+        });
+
+        if (nearest && nearest.distance <= settings.structureSnapDistance) {
+            const closest = closestPointOnLine(structure.coordinates, nearest.utility.coordinates);
+            issue.points.push(closest.point);
+            issue.fix = {
+                action: 'move-structure',
+                label: 'Move onto line',
+                structureId: structure.id,
+                point: closest.point
+            };
+        }
+
+        issues.push(issue);
+    });
+
+    return issues;
+}
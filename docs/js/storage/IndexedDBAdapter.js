@@ -0,0 +1,422 @@
+/**
+ * IndexedDBAdapter Module
+ * IndexedDB storage backend with one object store per collection and
+ * photos stored as Blobs. The audit log, tombstones and excavation
+ * sessions have stores of their own.
+ */
+
+import { StorageAdapter, LOCAL_STORAGE_KEY } from './StorageAdapter.js';
+
+const DB_NAME = 'cac_utilitrack';
+const DB_VERSION = 3; // 2: audit and tombstones stores, 3: excavation sessions
+
+// Object stores holding DataStore records (keyed by record id)
+const RECORD_STORES = ['utilities', 'structures', 'annotations', 'measurements'];
+const PHOTO_STORE = 'photos';
+const META_STORE = 'meta';
+const AUDIT_STORE = 'audit'; // Append-only, keyed by entry id
+const TOMBSTONE_STORE = 'tombstones'; // Rewritten on every save
+const SESSION_STORE = 'excavationSessions'; // Keyed by session id, written one at a time
+
+// Default buckets for the grouped collections
+const UTILITY_TYPES = ['water', 'gas', 'electric', 'sewer', 'telecom'];
+
+export class IndexedDBAdapter extends StorageAdapter {
+    constructor(dbName = DB_NAME) {
+        super();
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.db = null;
+
+        // Photo id -> data URL last written, so unchanged photos aren't rewritten
+        this.photoCache = new Map();
+
+        // Audit entry ids already stored; entries never change once written
+        this.storedAuditIds = new Set();
+    }
+
+    /**
+     * Check whether IndexedDB is available in this browser
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof window !== 'undefined' && !!window.indexedDB;
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(this.dbName, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('utilities')) {
+                    const store = db.createObjectStore('utilities', { keyPath: 'id' });
+                    store.createIndex('type', 'type', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains('structures')) {
+                    const store = db.createObjectStore('structures', { keyPath: 'id' });
+                    store.createIndex('utilityType', 'utilityType', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains('annotations')) {
+                    db.createObjectStore('annotations', { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains('measurements')) {
+                    db.createObjectStore('measurements', { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains(PHOTO_STORE)) {
+                    db.createObjectStore(PHOTO_STORE, { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    db.createObjectStore(META_STORE, { keyPath: 'key' });
+                }
+
+                if (!db.objectStoreNames.contains(AUDIT_STORE)) {
+                    db.createObjectStore(AUDIT_STORE, { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains(TOMBSTONE_STORE)) {
+                    db.createObjectStore(TOMBSTONE_STORE, { autoIncrement: true });
+                }
+
+                if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                    db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+
+                // Another tab upgraded the schema - release our connection
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+
+                // Ask the browser not to evict our data under storage pressure
+                if (navigator.storage && navigator.storage.persist) {
+                    navigator.storage.persist().catch(() => {});
+                }
+
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+        });
+    }
+
+    /**
+     * Load all collections, migrating legacy localStorage data on first run
+     * @returns {Promise<Object|null>}
+     */
+    async load() {
+        const db = await this.open();
+
+        await this.migrateFromLocalStorage(db);
+
+        const tx = db.transaction([...RECORD_STORES, PHOTO_STORE, META_STORE, AUDIT_STORE, TOMBSTONE_STORE, SESSION_STORE], 'readonly');
+        const [utilities, structures, annotations, measurements, photos, versionEntry, mergeEntry, audit, tombstones, excavationSessions] = await Promise.all([
+            ...RECORD_STORES.map(name => requestToPromise(tx.objectStore(name).getAll())),
+            requestToPromise(tx.objectStore(PHOTO_STORE).getAll()),
+            requestToPromise(tx.objectStore(META_STORE).get('schemaVersion')),
+            requestToPromise(tx.objectStore(META_STORE).get('lastMerge')),
+            requestToPromise(tx.objectStore(AUDIT_STORE).getAll()),
+            requestToPromise(tx.objectStore(TOMBSTONE_STORE).getAll()),
+            requestToPromise(tx.objectStore(SESSION_STORE).getAll())
+        ]);
+
+        audit.forEach(entry => this.storedAuditIds.add(entry.id));
+
+        // Everything deleted still leaves its history behind
+        if (!utilities.length && !structures.length && !annotations.length && !measurements.length &&
+            !audit.length && !tombstones.length && !excavationSessions.length) {
+            return null;
+        }
+
+        // Re-attach photos as data URLs so the in-memory records keep their shape
+        const photoMap = new Map(photos.map(photo => [photo.id, photo.blob]));
+        const records = [...utilities, ...structures, ...annotations, ...measurements];
+
+        await Promise.all(records.map(async record => {
+            if (!record.photoId) return;
+
+            const blob = photoMap.get(record.photoId);
+            if (blob) {
+                record.imageData = await blobToDataUrl(blob);
+                this.photoCache.set(record.photoId, record.imageData);
+            }
+            delete record.photoId;
+        }));
+
+        return {
+            // Stores written before the schema was versioned have no entry
+            version: versionEntry ? versionEntry.value : undefined,
+            utilities: groupBy(utilities, 'type'),
+            structures: groupBy(structures, 'utilityType'),
+            annotations,
+            measurements,
+            audit: audit.sort((a, b) => a.timestamp.localeCompare(b.timestamp)),
+            tombstones,
+            excavationSessions,
+            lastMerge: mergeEntry ? mergeEntry.value : null
+        };
+    }
+
+    /**
+     * Replace the stored collections with the given data
+     * @param {Object} data Clean data collections
+     * @returns {Promise<void>}
+     */
+    async save(data) {
+        const db = await this.open();
+
+        // Prepare everything before opening the transaction - IndexedDB
+        // transactions auto-commit as soon as we await anything else
+        const rows = {
+            utilities: flatten(data.utilities),
+            structures: flatten(data.structures),
+            annotations: data.annotations || [],
+            measurements: data.measurements || []
+        };
+
+        const photoWrites = [];
+        const referencedPhotos = new Set();
+
+        for (const storeName of RECORD_STORES) {
+            rows[storeName] = rows[storeName].map((record, index) => {
+                const row = { ...record };
+
+                if (row.id === undefined || row.id === null) {
+                    row.id = `${storeName}-${index}`;
+                }
+
+                if (typeof row.imageData === 'string' && row.imageData.startsWith('data:')) {
+                    const photoId = `photo-${row.id}`;
+                    referencedPhotos.add(photoId);
+
+                    if (this.photoCache.get(photoId) !== row.imageData) {
+                        photoWrites.push({ id: photoId, dataUrl: row.imageData, blob: dataUrlToBlob(row.imageData) });
+                    }
+
+                    row.photoId = photoId;
+                    delete row.imageData;
+                }
+
+                return row;
+            });
+        }
+
+        const auditWrites = (data.audit || []).filter(entry => !this.storedAuditIds.has(entry.id));
+
+        const tx = db.transaction([...RECORD_STORES, PHOTO_STORE, META_STORE, AUDIT_STORE, TOMBSTONE_STORE, SESSION_STORE], 'readwrite');
+
+        for (const storeName of RECORD_STORES) {
+            const store = tx.objectStore(storeName);
+            store.clear();
+            rows[storeName].forEach(row => store.put(row));
+        }
+
+        if (data.version) {
+            tx.objectStore(META_STORE).put({ key: 'schemaVersion', value: data.version });
+        }
+        tx.objectStore(META_STORE).put({ key: 'lastMerge', value: data.lastMerge || null });
+
+        const auditStore = tx.objectStore(AUDIT_STORE);
+        auditWrites.forEach(entry => auditStore.put(entry));
+
+        const tombstoneStore = tx.objectStore(TOMBSTONE_STORE);
+        tombstoneStore.clear();
+        (data.tombstones || []).forEach(tombstone => tombstoneStore.add(tombstone));
+
+        const sessionStore = tx.objectStore(SESSION_STORE);
+        sessionStore.clear();
+        (data.excavationSessions || []).forEach(session => sessionStore.put(session));
+
+        const photoStore = tx.objectStore(PHOTO_STORE);
+        photoWrites.forEach(photo => photoStore.put({ id: photo.id, blob: photo.blob }));
+
+        // Drop photos whose records no longer exist
+        const keyRequest = photoStore.getAllKeys();
+        keyRequest.onsuccess = () => {
+            keyRequest.result.forEach(key => {
+                if (!referencedPhotos.has(key)) {
+                    photoStore.delete(key);
+                }
+            });
+        };
+
+        await transactionToPromise(tx);
+
+        auditWrites.forEach(entry => this.storedAuditIds.add(entry.id));
+
+        // Only update the cache once the photos are committed
+        photoWrites.forEach(photo => this.photoCache.set(photo.id, photo.dataUrl));
+        for (const key of [...this.photoCache.keys()]) {
+            if (!referencedPhotos.has(key)) {
+                this.photoCache.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Write one excavation session without rewriting the other stores
+     * @param {Object} session Clean session log
+     * @returns {Promise<void>}
+     */
+    async saveExcavationSession(session) {
+        const db = await this.open();
+        const tx = db.transaction(SESSION_STORE, 'readwrite');
+        tx.objectStore(SESSION_STORE).put(session);
+        await transactionToPromise(tx);
+    }
+
+    /**
+     * Get the storage estimate for this origin
+     * @returns {Promise<{usage: number, quota: number, backend: string}|null>}
+     */
+    async getUsage() {
+        if (!navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+
+        const estimate = await navigator.storage.estimate();
+
+        return {
+            usage: estimate.usage || 0,
+            quota: estimate.quota || 0,
+            backend: this.name
+        };
+    }
+
+    /**
+     * Move data saved by the old localStorage backend into IndexedDB.
+     * Runs once; the localStorage key is removed after a successful copy.
+     * @param {IDBDatabase} db The open database
+     */
+    async migrateFromLocalStorage(db) {
+        const metaTx = db.transaction(META_STORE, 'readonly');
+        const migrated = await requestToPromise(metaTx.objectStore(META_STORE).get('localStorageMigrated'));
+
+        if (migrated) return;
+
+        let legacyData = null;
+        try {
+            const savedData = localStorage.getItem(LOCAL_STORAGE_KEY);
+            legacyData = savedData ? JSON.parse(savedData) : null;
+        } catch (error) {
+            console.error('Error reading legacy localStorage data:', error);
+        }
+
+        if (legacyData) {
+            await this.save(legacyData);
+            console.log('Migrated localStorage data to IndexedDB');
+        }
+
+        const tx = db.transaction(META_STORE, 'readwrite');
+        tx.objectStore(META_STORE).put({ key: 'localStorageMigrated', value: new Date().toISOString() });
+        await transactionToPromise(tx);
+
+        // Free the ~5 MB localStorage quota now that IndexedDB holds the data
+        if (legacyData) {
+            localStorage.removeItem(LOCAL_STORAGE_KEY);
+        }
+    }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve when a transaction commits, reject if it aborts
+ */
+function transactionToPromise(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+}
+
+/**
+ * Flatten a { type: [records] } collection into one array
+ */
+function flatten(grouped) {
+    const rows = [];
+    for (const type in grouped || {}) {
+        (grouped[type] || []).forEach(record => rows.push(record));
+    }
+    return rows;
+}
+
+/**
+ * Group records into { type: [records] } buckets
+ */
+function groupBy(records, key) {
+    const grouped = {};
+    UTILITY_TYPES.forEach(type => {
+        grouped[type] = [];
+    });
+
+    records.forEach(record => {
+        const type = record[key];
+        if (!grouped[type]) {
+            grouped[type] = [];
+        }
+        grouped[type].push(record);
+    });
+
+    return grouped;
+}
+
+/**
+ * Convert a base64 data URL into a Blob
+ */
+function dataUrlToBlob(dataUrl) {
+    const [header, payload] = dataUrl.split(',');
+    const mimeType = (header.match(/data:([^;]+)/) || [])[1] || 'application/octet-stream';
+
+    if (!header.includes(';base64')) {
+        return new Blob([decodeURIComponent(payload)], { type: mimeType });
+    }
+
+    const binary = atob(payload);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * Read a Blob back into a data URL
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
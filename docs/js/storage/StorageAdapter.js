@@ -0,0 +1,121 @@
+/**
+ * StorageAdapter Module
+ * Pluggable persistence backends for the DataStore
+ */
+
+// Import Leaflet as a global (already loaded via CDN)
+const L = window.L;
+
+// Legacy localStorage key used before the adapter layer existed
+export const LOCAL_STORAGE_KEY = 'cac_utilitrack_data';
+
+// Approximate localStorage quota in bytes (browsers allow ~5 MB per origin)
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+/**
+ * Strip Leaflet objects and other runtime-only references from the data
+ * collections so they can be serialized or structured-cloned
+ * @param {Object} data The data collections
+ * @returns {Object} A deep copy that is safe to persist
+ */
+export function cleanForStorage(data) {
+    const json = JSON.stringify(data, (key, value) => {
+        // Skip Leaflet objects
+        if (
+            key === 'marker' ||
+            key === 'line' ||
+            key === 'editHandles' ||
+            key === 'layer' ||
+            (L && (value instanceof L.Layer || value instanceof L.Map))
+        ) {
+            return undefined;
+        }
+
+        // Keep the rest
+        return value;
+    });
+
+    return JSON.parse(json);
+}
+
+/**
+ * Base class for storage backends. Subclasses persist the DataStore
+ * collections ({ utilities, structures, annotations, measurements }).
+ */
+export class StorageAdapter {
+    constructor() {
+        this.name = 'base';
+    }
+
+    /**
+     * Load previously saved data
+     * @returns {Promise<Object|null>} The saved collections or null if nothing is stored
+     */
+    async load() {
+        throw new Error(`${this.constructor.name} does not implement load()`);
+    }
+
+    /**
+     * Persist the data collections
+     * @param {Object} data Clean data collections (see cleanForStorage)
+     * @returns {Promise<void>}
+     */
+    async save(data) {
+        throw new Error(`${this.constructor.name} does not implement save()`);
+    }
+
+    /**
+     * Persist one excavation session. Backends that keep everything in one
+     * place write all the data; others write just the session.
+     * @param {Object} session Clean session log
+     * @param {function(): Object} getData Returns all the clean data collections
+     * @returns {Promise<void>}
+     */
+    async saveExcavationSession(session, getData) {
+        return this.save(getData());
+    }
+
+    /**
+     * Get the current storage usage
+     * @returns {Promise<{usage: number, quota: number, backend: string}|null>}
+     */
+    async getUsage() {
+        return null;
+    }
+}
+
+/**
+ * Original single-key localStorage backend. Used as a fallback when
+ * IndexedDB is unavailable (e.g. some private browsing modes).
+ */
+export class LocalStorageAdapter extends StorageAdapter {
+    constructor(key = LOCAL_STORAGE_KEY) {
+        super();
+        this.name = 'localStorage';
+        this.key = key;
+    }
+
+    async load() {
+        const savedData = localStorage.getItem(this.key);
+
+        if (!savedData) {
+            return null;
+        }
+
+        return JSON.parse(savedData);
+    }
+
+    async save(data) {
+        localStorage.setItem(this.key, JSON.stringify(data));
+    }
+
+    async getUsage() {
+        const savedData = localStorage.getItem(this.key) || '';
+
+        return {
+            usage: savedData.length * 2, // UTF-16 characters
+            quota: LOCAL_STORAGE_QUOTA,
+            backend: this.name
+        };
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * FileUtils Module
+ * Browser file download and read helpers shared by the import/export formats
+ */
+
+/**
+ * Trigger a browser download of a Blob
+ * @param {Blob} blob The file contents
+ * @param {string} filename The suggested file name
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+
+    // Give the browser a moment to start the download before cleaning up
+    setTimeout(() => {
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }, 100);
+}
+
+/**
+ * Build a dated export file name, e.g. utilitrack-export-2024-05-01.geojson
+ * @param {string} extension File extension without the dot
+ * @param {string} [prefix] File name prefix
+ * @returns {string}
+ */
+export function exportFileName(extension, prefix = 'utilitrack-export') {
+    return `${prefix}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Read a File as text
+ * @param {File} file The file to read
+ * @returns {Promise<string>}
+ */
+export function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Get the lower-cased extension of a file name
+ * @param {string} filename
+ * @returns {string} Extension without the dot, or '' if there is none
+ */
+export function getFileExtension(filename) {
+    const match = /\.([^.]+)$/.exec(filename || '');
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Decode a data URL into raw bytes
+ * @param {string} dataUrl e.g. data:image/jpeg;base64,...
+ * @returns {{bytes: Uint8Array, mimeType: string}}
+ */
+export function dataUrlToBytes(dataUrl) {
+    const [header, payload = ''] = dataUrl.split(',');
+    const mimeType = (header.match(/data:([^;]+)/) || [])[1] || 'application/octet-stream';
+
+    if (!header.includes(';base64')) {
+        return { bytes: new TextEncoder().encode(decodeURIComponent(payload)), mimeType };
+    }
+
+    const binary = atob(payload);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return { bytes, mimeType };
+}
@@ -0,0 +1,326 @@
+/**
+ * Geodesy Module
+ * Geodesic distances on the WGS84 ellipsoid and point-to-line proximity:
+ * the closest point on a segment or polyline, the distance to it and its
+ * station (distance along the line from the first vertex), and line
+ * simplification
+ */
+
+// WGS84 ellipsoid
+const SEMI_MAJOR_AXIS = 6378137;
+const FLATTENING = 1 / 298.257223563;
+const SEMI_MINOR_AXIS = SEMI_MAJOR_AXIS * (1 - FLATTENING);
+const E2 = FLATTENING * (2 - FLATTENING);
+
+const DEG = Math.PI / 180;
+
+// Mean radius, used when Vincenty fails to converge (near-antipodal points)
+const MEAN_RADIUS = 6371008.8;
+
+/**
+ * Read a point given as [lat, lng], {lat, lng} or an L.LatLng
+ * @returns {Array<number>} [lat, lng]
+ */
+function toLatLng(point) {
+    return Array.isArray(point) ? [point[0], point[1]] : [point.lat, point.lng];
+}
+
+/**
+ * Great-circle distance on a sphere (fallback only)
+ */
+function haversineDistance([lat1, lng1], [lat2, lng2]) {
+    const dLat = (lat2 - lat1) * DEG;
+    const dLng = (lng2 - lng1) * DEG;
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * DEG) * Math.cos(lat2 * DEG) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * MEAN_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Geodesic distance between two points (Vincenty inverse formula)
+ * @param {Array|Object} from [lat, lng] or {lat, lng}
+ * @param {Array|Object} to [lat, lng] or {lat, lng}
+ * @returns {number} Distance in meters
+ */
+export function geodesicDistance(from, to) {
+    const [lat1, lng1] = toLatLng(from);
+    const [lat2, lng2] = toLatLng(to);
+
+    if (lat1 === lat2 && lng1 === lng2) return 0;
+
+    const L = (lng2 - lng1) * DEG;
+    const U1 = Math.atan((1 - FLATTENING) * Math.tan(lat1 * DEG));
+    const U2 = Math.atan((1 - FLATTENING) * Math.tan(lat2 * DEG));
+    const sinU1 = Math.sin(U1);
+    const cosU1 = Math.cos(U1);
+    const sinU2 = Math.sin(U2);
+    const cosU2 = Math.cos(U2);
+
+    let lambda = L;
+    let sinSigma;
+    let cosSigma;
+    let sigma;
+    let cosSqAlpha;
+    let cos2SigmaM;
+
+    for (let iteration = 0; iteration < 100; iteration++) {
+        const sinLambda = Math.sin(lambda);
+        const cosLambda = Math.cos(lambda);
+
+        sinSigma = Math.sqrt(
+            (cosU2 * sinLambda) ** 2 +
+            (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2
+        );
+        if (sinSigma === 0) return 0;
+
+        cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+        sigma = Math.atan2(sinSigma, cosSigma);
+
+        const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+        cosSqAlpha = 1 - sinAlpha * sinAlpha;
+        cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0; // equatorial line
+
+        const C = FLATTENING / 16 * cosSqAlpha * (4 + FLATTENING * (4 - 3 * cosSqAlpha));
+        const previousLambda = lambda;
+        lambda = L + (1 - C) * FLATTENING * sinAlpha * (
+            sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM))
+        );
+
+        if (Math.abs(lambda - previousLambda) < 1e-12) {
+            const uSq = cosSqAlpha * (SEMI_MAJOR_AXIS ** 2 - SEMI_MINOR_AXIS ** 2) / (SEMI_MINOR_AXIS ** 2);
+            const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+            const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+            const deltaSigma = B * sinSigma * (
+                cos2SigmaM + B / 4 * (
+                    cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+                    B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)
+                )
+            );
+
+            return SEMI_MINOR_AXIS * A * (sigma - deltaSigma);
+        }
+    }
+
+    return haversineDistance([lat1, lng1], [lat2, lng2]);
+}
+
+/**
+ * Earth-centered, earth-fixed coordinates of a surface point
+ */
+function toEcef([lat, lng]) {
+    const phi = lat * DEG;
+    const lambda = lng * DEG;
+    const n = SEMI_MAJOR_AXIS / Math.sqrt(1 - E2 * Math.sin(phi) ** 2);
+
+    return [
+        n * Math.cos(phi) * Math.cos(lambda),
+        n * Math.cos(phi) * Math.sin(lambda),
+        n * (1 - E2) * Math.sin(phi)
+    ];
+}
+
+/**
+ * Geodetic latitude/longitude of an ECEF point (Bowring's method). The
+ * height is dropped, which puts chord points back on the surface.
+ */
+function fromEcef([x, y, z]) {
+    const p = Math.hypot(x, y);
+    const theta = Math.atan2(z * SEMI_MAJOR_AXIS, p * SEMI_MINOR_AXIS);
+    const ep2 = (SEMI_MAJOR_AXIS ** 2 - SEMI_MINOR_AXIS ** 2) / (SEMI_MINOR_AXIS ** 2);
+
+    const phi = Math.atan2(
+        z + ep2 * SEMI_MINOR_AXIS * Math.sin(theta) ** 3,
+        p - E2 * SEMI_MAJOR_AXIS * Math.cos(theta) ** 3
+    );
+
+    return [phi / DEG, Math.atan2(y, x) / DEG];
+}
+
+/**
+ * Closest point on the segment start-end to a point
+ *
+ * The segment's position parameter is found on the straight chord between
+ * the endpoints in 3D (ECEF), which for utility-length segments differs
+ * from the geodesic by far less than GPS error; the distances returned are
+ * true geodesic distances on the ellipsoid.
+ *
+ * @param {Array|Object} point Query point
+ * @param {Array|Object} start Segment start
+ * @param {Array|Object} end Segment end
+ * @returns {{point: Array<number>, distance: number, fraction: number, along: number, length: number}}
+ *   Closest [lat, lng], geodesic distance to it (m), position along the
+ *   segment (0-1), distance from start to it (m) and segment length (m)
+ */
+export function closestPointOnSegment(point, start, end) {
+    const p = toLatLng(point);
+    const a = toLatLng(start);
+    const b = toLatLng(end);
+
+    const pa = toEcef(a);
+    const pb = toEcef(b);
+    const pp = toEcef(p);
+
+    const ab = [pb[0] - pa[0], pb[1] - pa[1], pb[2] - pa[2]];
+    const ap = [pp[0] - pa[0], pp[1] - pa[1], pp[2] - pa[2]];
+    const lengthSq = ab[0] * ab[0] + ab[1] * ab[1] + ab[2] * ab[2];
+
+    let fraction = lengthSq > 0 ? (ap[0] * ab[0] + ap[1] * ab[1] + ap[2] * ab[2]) / lengthSq : 0;
+    fraction = Math.max(0, Math.min(1, fraction));
+
+    let closest;
+    if (fraction === 0) {
+        closest = a;
+    } else if (fraction === 1) {
+        closest = b;
+    } else {
+        closest = fromEcef([pa[0] + ab[0] * fraction, pa[1] + ab[1] * fraction, pa[2] + ab[2] * fraction]);
+    }
+
+    const length = geodesicDistance(a, b);
+
+    return {
+        point: closest,
+        distance: geodesicDistance(p, closest),
+        fraction,
+        along: length * fraction,
+        length
+    };
+}
+
+/**
+ * Closest point on a polyline to a point
+ * @param {Array|Object} point Query point
+ * @param {Array<Array|Object>} coordinates Line vertices
+ * @returns {{point: Array<number>, distance: number, station: number, segmentIndex: number, fraction: number}|null}
+ *   Closest [lat, lng], geodesic distance to it (m), station along the line
+ *   from the first vertex (m), and the segment it lies on. Null for an
+ *   empty line.
+ */
+export function closestPointOnLine(point, coordinates) {
+    if (!Array.isArray(coordinates) || !coordinates.length) return null;
+
+    if (coordinates.length === 1) {
+        const vertex = toLatLng(coordinates[0]);
+        return { point: vertex, distance: geodesicDistance(point, vertex), station: 0, segmentIndex: 0, fraction: 0 };
+    }
+
+    let best = null;
+    let station = 0;
+
+    for (let i = 0; i < coordinates.length - 1; i++) {
+        const result = closestPointOnSegment(point, coordinates[i], coordinates[i + 1]);
+
+        if (!best || result.distance < best.distance) {
+            best = {
+                point: result.point,
+                distance: result.distance,
+                station: station + result.along,
+                segmentIndex: i,
+                fraction: result.fraction
+            };
+        }
+
+        station += result.length;
+    }
+
+    return best;
+}
+
+/**
+ * Station of the point on a line closest to a given point, rounded to the
+ * centimeter as connections store it
+ * @param {Array|Object} point Query point
+ * @param {Array<Array|Object>} coordinates Line vertices
+ * @returns {number} Meters from the first vertex
+ */
+export function measureStation(point, coordinates) {
+    return Math.round(closestPointOnLine(point, coordinates).station * 100) / 100;
+}
+
+/**
+ * Total geodesic length of a polyline
+ * @param {Array<Array|Object>} coordinates Line vertices
+ * @returns {number} Length in meters
+ */
+export function lineLength(coordinates) {
+    let length = 0;
+
+    for (let i = 0; i < (coordinates || []).length - 1; i++) {
+        length += geodesicDistance(coordinates[i], coordinates[i + 1]);
+    }
+
+    return length;
+}
+
+/**
+ * Local east/north plane (meters) centered on a point, for planar geometry
+ * over an area the size of a work site. Uses the ellipsoid's radii of
+ * curvature at the origin.
+ * @param {Array|Object} origin [lat, lng] or {lat, lng}
+ * @returns {{forward: function, inverse: function}} forward: [lat, lng] -> [x, y],
+ *   inverse: [x, y] -> [lat, lng]
+ */
+export function createLocalProjection(origin) {
+    const [lat0, lng0] = toLatLng(origin);
+    const sinLat = Math.sin(lat0 * DEG);
+    const w = Math.sqrt(1 - E2 * sinLat * sinLat);
+    const metersPerDegreeLat = SEMI_MAJOR_AXIS * (1 - E2) / (w * w * w) * DEG;
+    const metersPerDegreeLng = SEMI_MAJOR_AXIS / w * Math.cos(lat0 * DEG) * DEG;
+
+    return {
+        forward(point) {
+            const [lat, lng] = toLatLng(point);
+            return [(lng - lng0) * metersPerDegreeLng, (lat - lat0) * metersPerDegreeLat];
+        },
+        inverse([x, y]) {
+            return [lat0 + y / metersPerDegreeLat, lng0 + x / metersPerDegreeLng];
+        }
+    };
+}
+
+/**
+ * Thin a polyline with Douglas-Peucker: drop vertices that lie within a
+ * tolerance of the simplified line. Kept vertices are not moved.
+ * @param {Array<Array|Object>} coordinates Line vertices
+ * @param {number} tolerance Meters
+ * @returns {Array<Array<number>>} Kept vertices as [lat, lng], first and last always included
+ */
+export function simplifyLine(coordinates, tolerance) {
+    const points = (coordinates || []).map(toLatLng);
+    if (points.length < 3 || !(tolerance > 0)) return points;
+
+    const projection = createLocalProjection(points[0]);
+    const xy = points.map(point => projection.forward(point));
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+
+    const stack = [[0, points.length - 1]];
+    while (stack.length) {
+        const [first, last] = stack.pop();
+        const [ax, ay] = xy[first];
+        const dx = xy[last][0] - ax;
+        const dy = xy[last][1] - ay;
+        const lengthSq = dx * dx + dy * dy;
+        let farthest = -1;
+        let maxDistance = tolerance;
+
+        for (let i = first + 1; i < last; i++) {
+            const [px, py] = xy[i];
+            const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+            const distance = Math.hypot(px - ax - t * dx, py - ay - t * dy);
+
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = i;
+            }
+        }
+
+        if (farthest !== -1) {
+            keep[farthest] = true;
+            stack.push([first, farthest], [farthest, last]);
+        }
+    }
+
+    return points.filter((point, i) => keep[i]);
+}
@@ -0,0 +1,17 @@
+/**
+ * Html Module
+ * Helpers for building HTML strings for reports and panels
+ */
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {*} value Anything; null and undefined become an empty string
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
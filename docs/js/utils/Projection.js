@@ -0,0 +1,220 @@
+/**
+ * Projection Module
+ * Projects WGS84/NAD83 lat/lng to planar CAD coordinates: UTM and State
+ * Plane (Transverse Mercator and Lambert Conformal Conic zones)
+ */
+
+// GRS80 ellipsoid (NAD83). The difference from WGS84 is sub-millimetre.
+const SEMI_MAJOR_AXIS = 6378137;
+const FLATTENING = 1 / 298.257222101;
+const E2 = 2 * FLATTENING - FLATTENING * FLATTENING;
+const E = Math.sqrt(E2);
+const EP2 = E2 / (1 - E2);
+
+const DEG = Math.PI / 180;
+
+// Length units for projected output
+export const UNITS = {
+    m: { label: 'Meters', metersPerUnit: 1, dxfCode: 6 },
+    usft: { label: 'US survey feet', metersPerUnit: 1200 / 3937, dxfCode: 2 }, // R2000 has no survey-foot code
+    ft: { label: 'International feet', metersPerUnit: 0.3048, dxfCode: 2 }
+};
+
+/**
+ * Degrees and minutes to decimal degrees (zone parameters are published in DMS)
+ */
+function dm(degrees, minutes) {
+    return Math.sign(degrees) * (Math.abs(degrees) + minutes / 60);
+}
+
+/**
+ * NAD83 State Plane zones. Angles are decimal degrees; false origins are
+ * meters. Add zones here as new service areas come up.
+ */
+export const STATE_PLANE_ZONES = [
+    { id: 'spcs-0700', name: 'Delaware (0700)', projection: 'tm', lat0: 38, lon0: dm(-75, 25), k0: 0.999995, falseEasting: 200000, falseNorthing: 0 },
+    { id: 'spcs-1900', name: 'Maryland (1900)', projection: 'lcc', lat0: dm(37, 40), lon0: -77, lat1: dm(38, 18), lat2: dm(39, 27), falseEasting: 400000, falseNorthing: 0 },
+    { id: 'spcs-2900', name: 'New Jersey (2900)', projection: 'tm', lat0: dm(38, 50), lon0: dm(-74, 30), k0: 0.9999, falseEasting: 150000, falseNorthing: 0 },
+    { id: 'spcs-3104', name: 'New York Long Island (3104)', projection: 'lcc', lat0: dm(40, 10), lon0: -74, lat1: dm(40, 40), lat2: dm(41, 2), falseEasting: 300000, falseNorthing: 0 },
+    { id: 'spcs-3200', name: 'North Carolina (3200)', projection: 'lcc', lat0: dm(33, 45), lon0: -79, lat1: dm(34, 20), lat2: dm(36, 10), falseEasting: 609601.22, falseNorthing: 0 },
+    { id: 'spcs-3401', name: 'Ohio North (3401)', projection: 'lcc', lat0: dm(39, 40), lon0: dm(-82, 30), lat1: dm(40, 26), lat2: dm(41, 42), falseEasting: 600000, falseNorthing: 0 },
+    { id: 'spcs-3402', name: 'Ohio South (3402)', projection: 'lcc', lat0: 38, lon0: dm(-82, 30), lat1: dm(38, 44), lat2: dm(40, 2), falseEasting: 600000, falseNorthing: 0 },
+    { id: 'spcs-3701', name: 'Pennsylvania North (3701)', projection: 'lcc', lat0: dm(40, 10), lon0: dm(-77, 45), lat1: dm(40, 53), lat2: dm(41, 57), falseEasting: 600000, falseNorthing: 0 },
+    { id: 'spcs-3702', name: 'Pennsylvania South (3702)', projection: 'lcc', lat0: dm(39, 20), lon0: dm(-77, 45), lat1: dm(39, 56), lat2: dm(40, 58), falseEasting: 600000, falseNorthing: 0 },
+    { id: 'spcs-4501', name: 'Virginia North (4501)', projection: 'lcc', lat0: dm(37, 40), lon0: dm(-78, 30), lat1: dm(38, 2), lat2: dm(39, 12), falseEasting: 3500000, falseNorthing: 2000000 },
+    { id: 'spcs-4502', name: 'Virginia South (4502)', projection: 'lcc', lat0: dm(36, 20), lon0: dm(-78, 30), lat1: dm(36, 46), lat2: dm(37, 58), falseEasting: 3500000, falseNorthing: 1000000 },
+    { id: 'spcs-4701', name: 'West Virginia North (4701)', projection: 'lcc', lat0: dm(38, 30), lon0: dm(-79, 30), lat1: 39, lat2: dm(40, 15), falseEasting: 600000, falseNorthing: 0 },
+    { id: 'spcs-4702', name: 'West Virginia South (4702)', projection: 'lcc', lat0: 37, lon0: -81, lat1: dm(37, 29), lat2: dm(38, 53), falseEasting: 600000, falseNorthing: 0 }
+];
+
+/**
+ * Build the definition of a UTM zone
+ * @param {number} zone Zone number (1-60)
+ * @param {boolean} south Southern hemisphere
+ * @returns {Object} Coordinate system definition
+ */
+export function getUtmZone(zone, south = false) {
+    return {
+        id: `utm-${zone}${south ? 's' : 'n'}`,
+        name: `UTM zone ${zone}${south ? 'S' : 'N'}`,
+        projection: 'tm',
+        lat0: 0,
+        lon0: zone * 6 - 183,
+        k0: 0.9996,
+        falseEasting: 500000,
+        falseNorthing: south ? 10000000 : 0
+    };
+}
+
+/**
+ * Pick the UTM zone containing a location
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Object} Coordinate system definition
+ */
+export function getUtmZoneForLocation(lat, lng) {
+    const zone = Math.min(60, Math.max(1, Math.floor((lng + 180) / 6) + 1));
+    return getUtmZone(zone, lat < 0);
+}
+
+/**
+ * List every selectable coordinate system, grouped for a <select>
+ * @returns {Array<{group: string, systems: Array<Object>}>}
+ */
+export function listCoordinateSystems() {
+    const north = [];
+    const south = [];
+
+    for (let zone = 1; zone <= 60; zone++) {
+        north.push(getUtmZone(zone, false));
+        south.push(getUtmZone(zone, true));
+    }
+
+    return [
+        { group: 'State Plane (NAD83)', systems: STATE_PLANE_ZONES },
+        { group: 'UTM North', systems: north },
+        { group: 'UTM South', systems: south }
+    ];
+}
+
+/**
+ * Look up a coordinate system by id
+ * @param {string} id e.g. 'spcs-1900' or 'utm-18n'
+ * @returns {Object|null}
+ */
+export function getCoordinateSystem(id) {
+    const stateZone = STATE_PLANE_ZONES.find(zone => zone.id === id);
+    if (stateZone) return stateZone;
+
+    const match = /^utm-(\d{1,2})([ns])$/.exec(id || '');
+    if (match && +match[1] >= 1 && +match[1] <= 60) {
+        return getUtmZone(+match[1], match[2] === 's');
+    }
+
+    return null;
+}
+
+/**
+ * Create a function projecting [lat, lng] to [x, y] in the given units
+ * @param {Object} crs Coordinate system definition
+ * @param {string} [units] Key of UNITS
+ * @returns {function(number, number): Array<number>}
+ */
+export function createProjector(crs, units = 'm') {
+    const scale = 1 / (UNITS[units] || UNITS.m).metersPerUnit;
+    const project = crs.projection === 'lcc'
+        ? createLambertConformalConic(crs)
+        : createTransverseMercator(crs);
+
+    return (lat, lng) => {
+        const [x, y] = project(lat * DEG, lng * DEG);
+        return [x * scale, y * scale];
+    };
+}
+
+/**
+ * Meridian arc length from the equator (Snyder 3-21)
+ */
+function meridianArc(phi) {
+    const e4 = E2 * E2;
+    const e6 = e4 * E2;
+
+    return SEMI_MAJOR_AXIS * (
+        (1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+        (3 * E2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+        (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+        (35 * e6 / 3072) * Math.sin(6 * phi)
+    );
+}
+
+/**
+ * Transverse Mercator (Snyder 8-9 to 8-10), accurate to millimetres
+ * within a UTM or State Plane zone
+ */
+function createTransverseMercator(crs) {
+    const lon0 = crs.lon0 * DEG;
+    const k0 = crs.k0;
+    const m0 = meridianArc(crs.lat0 * DEG);
+
+    return (phi, lambda) => {
+        const sinPhi = Math.sin(phi);
+        const cosPhi = Math.cos(phi);
+        const tanPhi = Math.tan(phi);
+
+        const n = SEMI_MAJOR_AXIS / Math.sqrt(1 - E2 * sinPhi * sinPhi);
+        const t = tanPhi * tanPhi;
+        const c = EP2 * cosPhi * cosPhi;
+        const a = (lambda - lon0) * cosPhi;
+        const m = meridianArc(phi);
+
+        const x = k0 * n * (
+            a +
+            (1 - t + c) * Math.pow(a, 3) / 6 +
+            (5 - 18 * t + t * t + 72 * c - 58 * EP2) * Math.pow(a, 5) / 120
+        );
+
+        const y = k0 * (
+            m - m0 + n * tanPhi * (
+                a * a / 2 +
+                (5 - t + 9 * c + 4 * c * c) * Math.pow(a, 4) / 24 +
+                (61 - 58 * t + t * t + 600 * c - 330 * EP2) * Math.pow(a, 6) / 720
+            )
+        );
+
+        return [x + crs.falseEasting, y + crs.falseNorthing];
+    };
+}
+
+/**
+ * Lambert Conformal Conic with two standard parallels (Snyder 15-1 to 15-10)
+ */
+function createLambertConformalConic(crs) {
+    const mFactor = phi => Math.cos(phi) / Math.sqrt(1 - E2 * Math.sin(phi) ** 2);
+    const tFactor = phi => {
+        const eSin = E * Math.sin(phi);
+        return Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - eSin) / (1 + eSin), E / 2);
+    };
+
+    const phi1 = crs.lat1 * DEG;
+    const phi2 = crs.lat2 * DEG;
+    const lon0 = crs.lon0 * DEG;
+
+    const m1 = mFactor(phi1);
+    const m2 = mFactor(phi2);
+    const t1 = tFactor(phi1);
+    const t2 = tFactor(phi2);
+
+    const n = (Math.log(m1) - Math.log(m2)) / (Math.log(t1) - Math.log(t2));
+    const f = m1 / (n * Math.pow(t1, n));
+    const rho0 = SEMI_MAJOR_AXIS * f * Math.pow(tFactor(crs.lat0 * DEG), n);
+
+    return (phi, lambda) => {
+        const rho = SEMI_MAJOR_AXIS * f * Math.pow(tFactor(phi), n);
+        const theta = n * (lambda - lon0);
+
+        return [
+            crs.falseEasting + rho * Math.sin(theta),
+            crs.falseNorthing + rho0 - rho * Math.cos(theta)
+        ];
+    };
+}
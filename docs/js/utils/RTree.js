@@ -0,0 +1,265 @@
+/**
+ * RTree Module
+ * In-memory R-tree of bounding boxes for "what is near here" queries that
+ * don't scan every item. Items are stored under a key so they can be moved
+ * or removed; bulk loads are packed with sort-tile-recursive (STR).
+ *
+ * Boxes are { minX, minY, maxX, maxY } in any planar units (the spatial
+ * index uses longitude/latitude degrees).
+ */
+
+// Node fan-out
+const MAX_ENTRIES = 9;
+
+function createNode(children, leaf) {
+    const node = { children, leaf, minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    calculateBounds(node);
+    return node;
+}
+
+function calculateBounds(node) {
+    node.minX = Infinity;
+    node.minY = Infinity;
+    node.maxX = -Infinity;
+    node.maxY = -Infinity;
+    node.children.forEach(child => extend(node, child));
+}
+
+function extend(box, other) {
+    box.minX = Math.min(box.minX, other.minX);
+    box.minY = Math.min(box.minY, other.minY);
+    box.maxX = Math.max(box.maxX, other.maxX);
+    box.maxY = Math.max(box.maxY, other.maxY);
+}
+
+function area(box) {
+    return (box.maxX - box.minX) * (box.maxY - box.minY);
+}
+
+function enlargedArea(box, other) {
+    return (Math.max(box.maxX, other.maxX) - Math.min(box.minX, other.minX)) *
+        (Math.max(box.maxY, other.maxY) - Math.min(box.minY, other.minY));
+}
+
+function intersects(a, b) {
+    return a.minX <= b.maxX && a.minY <= b.maxY && a.maxX >= b.minX && a.maxY >= b.minY;
+}
+
+function contains(a, b) {
+    return a.minX <= b.minX && a.minY <= b.minY && a.maxX >= b.maxX && a.maxY >= b.maxY;
+}
+
+function centerX(box) {
+    return (box.minX + box.maxX) / 2;
+}
+
+function centerY(box) {
+    return (box.minY + box.maxY) / 2;
+}
+
+/**
+ * Group boxes into parent nodes of up to MAX_ENTRIES each: sort into
+ * vertical slices by x, then fill nodes along each slice by y
+ */
+function pack(children, leaf) {
+    const nodeCount = Math.ceil(children.length / MAX_ENTRIES);
+    const sliceCount = Math.ceil(Math.sqrt(nodeCount));
+    const sliceSize = Math.ceil(nodeCount / sliceCount) * MAX_ENTRIES;
+    const sorted = [...children].sort((a, b) => centerX(a) - centerX(b));
+    const nodes = [];
+
+    for (let i = 0; i < sorted.length; i += sliceSize) {
+        const slice = sorted.slice(i, i + sliceSize).sort((a, b) => centerY(a) - centerY(b));
+
+        for (let j = 0; j < slice.length; j += MAX_ENTRIES) {
+            nodes.push(createNode(slice.slice(j, j + MAX_ENTRIES), leaf));
+        }
+    }
+
+    return nodes;
+}
+
+export class RTree {
+    constructor() {
+        this.clear();
+    }
+
+    /**
+     * Remove every item
+     */
+    clear() {
+        this.root = createNode([], true);
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Replace the contents with a batch of items (much faster than inserting
+     * them one at a time)
+     * @param {Array<{key: *, box: Object}>} items
+     */
+    load(items) {
+        this.clear();
+
+        let level = items.map(({ key, box }) => {
+            const entry = { key, minX: box.minX, minY: box.minY, maxX: box.maxX, maxY: box.maxY };
+            this.entries.set(key, entry);
+            return entry;
+        });
+
+        if (!level.length) return;
+
+        level = pack(level, true);
+        while (level.length > 1) {
+            level = pack(level, false);
+        }
+        this.root = level[0];
+    }
+
+    /**
+     * Add an item, or move it if the key is already in the tree
+     * @param {*} key
+     * @param {Object} box Bounding box
+     */
+    insert(key, box) {
+        if (this.entries.has(key)) {
+            this.remove(key);
+        }
+
+        const entry = { key, minX: box.minX, minY: box.minY, maxX: box.maxX, maxY: box.maxY };
+        const path = [];
+        let node = this.root;
+
+        // Descend into the child that grows least to take the box
+        while (!node.leaf) {
+            path.push(node);
+            extend(node, entry);
+            node = node.children.reduce((best, child) => {
+                const growth = enlargedArea(child, entry) - area(child);
+                const bestGrowth = enlargedArea(best, entry) - area(best);
+                return growth < bestGrowth || (growth === bestGrowth && area(child) < area(best)) ? child : best;
+            });
+        }
+
+        node.children.push(entry);
+        extend(node, entry);
+        this.entries.set(key, entry);
+
+        // Split overflowing nodes on the way back up
+        while (node.children.length > MAX_ENTRIES) {
+            const sibling = this.split(node);
+            const parent = path.pop();
+
+            if (!parent) {
+                this.root = createNode([node, sibling], false);
+                break;
+            }
+
+            parent.children.push(sibling);
+            node = parent;
+        }
+    }
+
+    /**
+     * Split a node in two along the axis its children are most spread out
+     * on. The node keeps the first half; the second half is returned.
+     */
+    split(node) {
+        const xs = node.children.map(centerX);
+        const ys = node.children.map(centerY);
+        const byX = Math.max(...xs) - Math.min(...xs) >= Math.max(...ys) - Math.min(...ys);
+
+        node.children.sort((a, b) => (byX ? centerX(a) - centerX(b) : centerY(a) - centerY(b)));
+        const sibling = createNode(node.children.splice(Math.ceil(node.children.length / 2)), node.leaf);
+        calculateBounds(node);
+
+        return sibling;
+    }
+
+    /**
+     * Remove an item
+     * @param {*} key
+     * @returns {boolean} Whether it was in the tree
+     */
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+
+        const path = this.findPath(this.root, entry, []);
+        this.entries.delete(key);
+        if (!path) return true;
+
+        const leaf = path[path.length - 1];
+        leaf.children.splice(leaf.children.indexOf(entry), 1);
+
+        // Drop emptied nodes and shrink the bounds above
+        for (let i = path.length - 1; i >= 0; i--) {
+            const node = path[i];
+            if (i > 0 && !node.children.length) {
+                path[i - 1].children.splice(path[i - 1].children.indexOf(node), 1);
+            } else {
+                calculateBounds(node);
+            }
+        }
+
+        while (!this.root.leaf && this.root.children.length === 1) {
+            this.root = this.root.children[0];
+        }
+        if (!this.root.children.length) {
+            this.root = createNode([], true);
+        }
+
+        return true;
+    }
+
+    /**
+     * Nodes from `node` down to the leaf holding an entry
+     */
+    findPath(node, entry, path) {
+        path.push(node);
+
+        if (node.leaf) {
+            if (node.children.includes(entry)) return path;
+        } else {
+            for (const child of node.children) {
+                if (contains(child, entry)) {
+                    const found = this.findPath(child, entry, path);
+                    if (found) return found;
+                }
+            }
+        }
+
+        path.pop();
+        return null;
+    }
+
+    /**
+     * Keys of all items whose boxes intersect a box
+     * @param {Object} box
+     * @returns {Array}
+     */
+    search(box) {
+        const results = [];
+        if (!intersects(this.root, box)) return results;
+
+        const stack = [this.root];
+        while (stack.length) {
+            const node = stack.pop();
+
+            node.children.forEach(child => {
+                if (!intersects(child, box)) return;
+
+                if (node.leaf) {
+                    results.push(child.key);
+                } else {
+                    stack.push(child);
+                }
+            });
+        }
+
+        return results;
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * ZipWriter Module
+ * Minimal in-browser ZIP archive writer (stored, uncompressed entries).
+ * Used for KMZ and zipped shapefile exports so they work offline.
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Version 2.0 - the minimum that supports folders
+const ZIP_VERSION = 20;
+
+// General purpose flag bit 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Build (once) the CRC-32 lookup table
+ */
+function getCrcTable() {
+    if (crcTable) return crcTable;
+
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+    }
+
+    return crcTable;
+}
+
+/**
+ * Compute the CRC-32 checksum of a byte array
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+    const table = getCrcTable();
+    let crc = 0xffffffff;
+
+    for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a Date to MS-DOS time and date fields
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+export class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} path Path inside the archive (use / as separator)
+     * @param {string|Uint8Array|ArrayBuffer} data File contents; strings are UTF-8 encoded
+     * @param {Date} [modified] Modification time
+     */
+    addFile(path, data, modified = new Date()) {
+        let bytes;
+        if (typeof data === 'string') {
+            bytes = this.encoder.encode(data);
+        } else if (data instanceof ArrayBuffer) {
+            bytes = new Uint8Array(data);
+        } else {
+            bytes = data;
+        }
+
+        this.entries.push({
+            name: this.encoder.encode(path),
+            bytes,
+            crc: crc32(bytes),
+            modified: toDosDateTime(modified)
+        });
+    }
+
+    /**
+     * Assemble the archive
+     * @param {string} [mimeType] MIME type of the resulting Blob
+     * @returns {Blob}
+     */
+    toBlob(mimeType = 'application/zip') {
+        const parts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, LOCAL_FILE_HEADER, true);
+            header.setUint16(4, ZIP_VERSION, true);
+            header.setUint16(6, UTF8_FLAG, true);
+            header.setUint16(8, 0, true); // stored
+            header.setUint16(10, entry.modified.time, true);
+            header.setUint16(12, entry.modified.date, true);
+            header.setUint32(14, entry.crc, true);
+            header.setUint32(18, entry.bytes.length, true);
+            header.setUint32(22, entry.bytes.length, true);
+            header.setUint16(26, entry.name.length, true);
+            header.setUint16(28, 0, true);
+
+            parts.push(header, entry.name, entry.bytes);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+            central.setUint16(4, ZIP_VERSION, true);
+            central.setUint16(6, ZIP_VERSION, true);
+            central.setUint16(8, UTF8_FLAG, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, entry.modified.time, true);
+            central.setUint16(14, entry.modified.date, true);
+            central.setUint32(16, entry.crc, true);
+            central.setUint32(20, entry.bytes.length, true);
+            central.setUint32(24, entry.bytes.length, true);
+            central.setUint16(28, entry.name.length, true);
+            central.setUint16(30, 0, true); // extra field length
+            central.setUint16(32, 0, true); // comment length
+            central.setUint16(34, 0, true); // disk number
+            central.setUint16(36, 0, true); // internal attributes
+            central.setUint32(38, 0, true); // external attributes
+            central.setUint32(42, offset, true);
+
+            centralParts.push(central, entry.name);
+
+            offset += 30 + entry.name.length + entry.bytes.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+        end.setUint16(4, 0, true);
+        end.setUint16(6, 0, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        end.setUint16(20, 0, true);
+
+        return new Blob([...parts, ...centralParts, end], { type: mimeType });
+    }
+}